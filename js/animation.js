@@ -0,0 +1,237 @@
+/**
+ * Animation Module
+ *
+ * Time-driven changes played on top of the current setup, for previewing and recording:
+ * - Turntable: the selected node makes one full turn around its Y axis per clip
+ * - Orbit: the camera makes one full circle around its target per clip
+ * - Sweep: a numeric parameter follows keyframes {time, value} (linear in between)
+ * Every frame is computed from its time alone, so a recording rendered at a fixed
+ * timestep is the same no matter how fast the frames are drawn. Stopping restores
+ * the animated values.
+ */
+
+/**
+ * Material settings edited in the control panel (selected node, edited side)
+ * @param {Object} state - Application state
+ * @returns {Object|null} Material settings, or null without a selected node
+ */
+function editedMaterial(state) {
+    const node = state.scene.get(state.selectedNode);
+    return node ? node.materials[state.editedMaterial] : null;
+}
+
+// Parameters a sweep can animate: target(state) returns the object holding the value
+// and its key, or null if there is nothing to animate
+export const SWEEP_PARAMETERS = {
+    roughness: {
+        label: 'Roughness',
+        range: [0, 1],
+        target: (state) => [editedMaterial(state), 'roughness'],
+    },
+    metallic: {
+        label: 'Metallic',
+        range: [0, 1],
+        target: (state) => [editedMaterial(state), 'metallic'],
+    },
+    ior: {
+        label: 'IOR',
+        range: [1, 3],
+        target: (state) => [editedMaterial(state), 'ior'],
+    },
+    anisotropy: {
+        label: 'Anisotropy',
+        range: [0, 1],
+        target: (state) => [editedMaterial(state), 'anisotropy'],
+    },
+    anisotropyRotation: {
+        label: 'Anisotropy Rotation (°)',
+        range: [-90, 90],
+        target: (state) => [editedMaterial(state), 'anisotropyRotation'],
+    },
+    clearcoatRoughness: {
+        label: 'Clear Coat Roughness',
+        range: [0, 1],
+        target: (state) => [editedMaterial(state), 'clearcoatRoughness'],
+    },
+    sheenRoughness: {
+        label: 'Sheen Roughness',
+        range: [0, 1],
+        target: (state) => [editedMaterial(state), 'sheenRoughness'],
+    },
+    transmission: {
+        label: 'Transmission',
+        range: [0, 1],
+        target: (state) => [editedMaterial(state), 'transmission'],
+    },
+    scatterRadius: {
+        label: 'Scatter Radius',
+        range: [0, 0.5],
+        target: (state) => [editedMaterial(state), 'scatterRadius'],
+    },
+    emissiveStrength: {
+        label: 'Emissive Strength',
+        range: [0, 10],
+        target: (state) => [editedMaterial(state), 'emissiveStrength'],
+    },
+    normalScale: {
+        label: 'Normal Strength',
+        range: [0, 2],
+        target: (state) => [editedMaterial(state), 'normalScale'],
+    },
+    lightIntensity: {
+        label: 'Light Intensity (in its unit)',
+        range: [0, 5000],
+        target: (state) => [state.lights[state.selectedLight] || null, 'intensity'],
+    },
+    envIntensity: {
+        label: 'Environment Intensity',
+        range: [0, 3],
+        target: (state) => [state, 'envIntensity'],
+    },
+    exposure: {
+        label: 'Exposure (EV)',
+        range: [-6, 6],
+        target: (state) => [state, 'exposure'],
+    },
+    compareSplit: {
+        label: 'Compare Divider',
+        range: [0, 1],
+        target: (state) => [state, 'compareSplit'],
+    },
+};
+
+/**
+ * Create animation settings
+ * @param {Object} overrides - Fields to replace in the defaults
+ * @returns {Object} Settings {duration (seconds), turntable, orbit, sweep}; sweep is
+ *          null or {parameter (key of SWEEP_PARAMETERS), keyframes: [{time, value}]}
+ */
+export function createAnimationSettings(overrides = {}) {
+    return {
+        duration: 5,
+        turntable: true,
+        orbit: false,
+        sweep: null,
+        ...overrides,
+    };
+}
+
+/**
+ * Value of a keyframe track at a time (held constant before the first and after the last key)
+ * @param {Array<{time: number, value: number}>} keyframes - Keys sorted by time
+ * @param {number} time - Time in seconds
+ * @returns {number} Interpolated value
+ */
+export function sampleKeyframes(keyframes, time) {
+    if (time <= keyframes[0].time) return keyframes[0].value;
+    for (let i = 1; i < keyframes.length; i++) {
+        const a = keyframes[i - 1];
+        const b = keyframes[i];
+        if (time <= b.time) {
+            const t = b.time > a.time ? (time - a.time) / (b.time - a.time) : 1;
+            return a.value + (b.value - a.value) * t;
+        }
+    }
+    return keyframes[keyframes.length - 1].value;
+}
+
+/**
+ * An animation bound to the state and camera it was started on
+ */
+export class Animation {
+    /**
+     * @param {Object} settings - Settings from createAnimationSettings
+     */
+    constructor(settings) {
+        this.settings = settings;
+        this.duration = settings.duration;
+
+        // Animated values and their values before the start (see start)
+        this.node = null;
+        this.nodeYaw = 0;
+        this.camera = null;
+        this.cameraYaw = 0;
+        this.sweepTarget = null;
+        this.sweepKey = null;
+        this.sweepValue = 0;
+    }
+
+    /**
+     * Remember what is animated (the node, light or material selected now) and its values
+     * @param {Object} state - Application state
+     * @param {Camera} camera - Orbit camera
+     * @returns {Array<string>} Parts left out because they have nothing to animate
+     */
+    start(state, camera) {
+        const { turntable, orbit, sweep } = this.settings;
+        const skipped = [];
+
+        if (turntable) {
+            this.node = state.scene.get(state.selectedNode);
+            if (this.node) {
+                this.nodeYaw = this.node.rotation[1];
+            } else {
+                skipped.push('turntable (no node selected)');
+            }
+        }
+
+        if (orbit) {
+            this.camera = camera;
+            this.cameraYaw = camera.yaw;
+        }
+
+        if (sweep) {
+            const [target, key] = SWEEP_PARAMETERS[sweep.parameter].target(state);
+            if (target) {
+                this.sweepTarget = target;
+                this.sweepKey = key;
+                this.sweepValue = target[key];
+            } else {
+                skipped.push(`${SWEEP_PARAMETERS[sweep.parameter].label} sweep (nothing selected)`);
+            }
+        }
+        return skipped;
+    }
+
+    /**
+     * Set the animated values for a point in time
+     * @param {number} time - Seconds since the start of the clip (0 to duration)
+     */
+    apply(time) {
+        const phase = time / this.duration;
+
+        if (this.node) {
+            this.node.rotation[1] = this.nodeYaw + 360 * phase;
+        }
+        if (this.camera) {
+            this.camera.yaw = this.cameraYaw + 2 * Math.PI * phase;
+        }
+        if (this.sweepTarget) {
+            this.sweepTarget[this.sweepKey] = sampleKeyframes(this.settings.sweep.keyframes, time);
+        }
+    }
+
+    /**
+     * Restore the values from before the start
+     */
+    stop() {
+        if (this.node) {
+            this.node.rotation[1] = this.nodeYaw;
+        }
+        if (this.camera) {
+            this.camera.yaw = this.cameraYaw;
+        }
+        if (this.sweepTarget) {
+            this.sweepTarget[this.sweepKey] = this.sweepValue;
+        }
+    }
+
+    /**
+     * Number of frames in a recording (the last frame stops short of the loop point)
+     * @param {number} fps - Frames per second
+     * @returns {number} Frame count (at least 1)
+     */
+    frameCount(fps) {
+        return Math.max(1, Math.round(this.duration * fps));
+    }
+}
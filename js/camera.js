@@ -2,7 +2,7 @@
  * Camera Controls Module
  * 
  * Provides orbit camera controls with mouse interaction:
- * - Left-click drag: Rotate camera around target
+ * - Left-click drag: Rotate camera around target (unless onDragStart claims the drag)
  * - Right-click drag: Pan camera position
  * - Mouse wheel: Zoom in/out
  */
@@ -34,6 +34,10 @@ export class Camera {
         this.isPanning = false;
         this.lastMousePos = [0, 0];
         
+        // Given first refusal of left-button drags; returns true when it handles
+        // the drag itself (e.g. a gizmo handle under the cursor)
+        this.onDragStart = null;
+        
         // Bind event handlers
         this.setupEventListeners();
     }
@@ -44,6 +48,7 @@ export class Camera {
     setupEventListeners() {
         // Mouse down: start rotation or pan
         this.canvas.addEventListener('mousedown', (e) => {
+            if (e.button === 0 && this.onDragStart && this.onDragStart(e)) return;
             if (e.button === 0) this.isRotating = true;  // Left button
             if (e.button === 2) this.isPanning = true;    // Right button
             this.lastMousePos = [e.clientX, e.clientY];
@@ -108,6 +113,33 @@ export class Camera {
         });
     }
     
+    /**
+     * Orbit parameters that define the view (for saving it)
+     * @returns {Object} {target, distance, yaw, pitch, pan}
+     */
+    getView() {
+        return {
+            target: [...this.target],
+            distance: this.distance,
+            yaw: this.yaw,
+            pitch: this.pitch,
+            pan: [...this.pan],
+        };
+    }
+    
+    /**
+     * Restore a saved view (pitch and distance are clamped like mouse input)
+     * 
+     * @param {Object} view - Fields of getView; missing fields are left unchanged
+     */
+    setView(view) {
+        if (view.target) this.target = [...view.target];
+        if (view.pan) this.pan = [...view.pan];
+        if (view.yaw !== undefined) this.yaw = view.yaw;
+        if (view.pitch !== undefined) this.pitch = clamp(view.pitch, -1.2, 1.2);
+        if (view.distance !== undefined) this.distance = clamp(view.distance, 1.2, 12.0);
+    }
+    
     /**
      * Update camera matrices based on current parameters
      * Call this every frame before rendering
@@ -81,14 +81,14 @@ export class DebugVectorRenderer {
     /**
      * Render debug vectors at a hit point
      * @param {Object} hitInfo - Hit information with point, normal, and vectors
-     * @param {Object} vectors - { N, L, V, H } vectors to render
+     * @param {Object} vectors - { N, L, V, H, T, B } vectors to render
      * @param {Array<number>} viewMatrix - Camera view matrix
      * @param {Array<number>} projMatrix - Projection matrix
      */
     render(hitInfo, vectors, viewMatrix, projMatrix) {
         const { gl, program, vao, vbo } = this;
         const { point, normal } = hitInfo;
-        const { N, L, V, H } = vectors;
+        const { N, L, V, H, T, B } = vectors;
         
         gl.useProgram(program);
         gl.bindVertexArray(vao);
@@ -106,10 +106,12 @@ export class DebugVectorRenderer {
         
         // Define vector colors
         const vectorConfigs = [
-            { vector: N, color: [0, 1, 0], name: 'N' },     // Green - Normal
-            { vector: L, color: [1, 1, 0], name: 'L' },     // Yellow - Light
-            { vector: V, color: [0, 0.5, 1], name: 'V' },   // Cyan - View
-            { vector: H, color: [1, 0, 1], name: 'H' }      // Magenta - Half
+            { vector: N, color: [0, 1, 0], name: 'N' },         // Green - Normal
+            { vector: L, color: [1, 1, 0], name: 'L' },         // Yellow - Light
+            { vector: V, color: [0, 0.5, 1], name: 'V' },       // Cyan - View
+            { vector: H, color: [1, 0, 1], name: 'H' },         // Magenta - Half
+            { vector: T, color: [1, 0.25, 0.25], name: 'T' },   // Red - Tangent
+            { vector: B, color: [1, 0.63, 0.25], name: 'B' }    // Orange - Bitangent
         ];
         
         // Render each vector
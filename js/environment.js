@@ -0,0 +1,509 @@
+/**
+ * Image-Based Lighting Module
+ *
+ * Turns an equirectangular HDR image into the textures needed for the
+ * split-sum approximation of the Cook-Torrance BRDF under environment lighting:
+ * - Environment cube map (skybox and prefilter source)
+ * - Irradiance cube map (cosine-convolved, for the diffuse term)
+ * - Prefiltered specular cube map (one mip level per roughness step)
+ * - BRDF integration LUT (scale/bias applied to F0, indexed by N·V and roughness)
+ *
+ * All render targets are half-float, which requires EXT_color_buffer_float.
+ */
+
+import { vec3, mat4, CUBE_FACES } from './math.js';
+import { createProgram, fullscreenVertexShader, SAMPLING_GLSL } from './shaders.js';
+
+// Texture units reserved for IBL (after the shadow map units)
+export const IRRADIANCE_UNIT = 2;
+export const PREFILTER_UNIT = 3;
+export const BRDF_LUT_UNIT = 4;
+
+// Precomputed texture sizes
+const ENV_SIZE = 512;          // Environment cube face size
+const IRRADIANCE_SIZE = 32;    // Irradiance is very low frequency
+const PREFILTER_SIZE = 128;    // Prefiltered base level (roughness 0)
+const PREFILTER_LEVELS = 5;    // 128 → 8, roughness = level / (levels - 1)
+const BRDF_LUT_SIZE = 256;
+
+// ====================================
+// Shaders
+// ====================================
+
+/**
+ * Cube capture vertex shader
+ * Renders a unit cube from its center; the interpolated position is the lookup direction
+ */
+const captureVertexShader = `#version 300 es
+precision highp float;
+
+layout(location = 0) in vec3 aPos;
+
+uniform mat4 uView;
+uniform mat4 uProj;
+
+out vec3 vDir;
+
+void main() {
+    vDir = aPos;
+    gl_Position = uProj * uView * vec4(aPos, 1.0);
+}
+`;
+
+/**
+ * Equirectangular → cube map conversion
+ */
+const equirectFragmentShader = `#version 300 es
+precision highp float;
+
+in vec3 vDir;
+out vec4 fragColor;
+
+uniform sampler2D uEquirect;
+
+const float PI = 3.14159265;
+
+void main() {
+    vec3 d = normalize(vDir);
+    // Longitude from atan, latitude from asin (top row of the image = +Y)
+    vec2 uv = vec2(atan(d.z, d.x) / (2.0 * PI) + 0.5, 0.5 - asin(clamp(d.y, -1.0, 1.0)) / PI);
+    // Clamp to the half-float range so extreme suns don't become infinity
+    fragColor = vec4(min(texture(uEquirect, uv).rgb, vec3(65000.0)), 1.0);
+}
+`;
+
+/**
+ * Diffuse irradiance convolution
+ *
+ * Integrates L(ω)·cosθ over the hemisphere around N on a regular (θ, φ) grid.
+ * The result is stored pre-divided by π so the shader can use albedo * irradiance.
+ */
+const irradianceFragmentShader = `#version 300 es
+precision highp float;
+
+in vec3 vDir;
+out vec4 fragColor;
+
+uniform samplerCube uEnvMap;
+uniform float uSourceLod;   // Blurred source level keeps the sample count low
+
+const float PI = 3.14159265;
+
+void main() {
+    vec3 N = normalize(vDir);
+    vec3 up = abs(N.y) < 0.999 ? vec3(0.0, 1.0, 0.0) : vec3(1.0, 0.0, 0.0);
+    vec3 right = normalize(cross(up, N));
+    up = cross(N, right);
+
+    vec3 sum = vec3(0.0);
+    float count = 0.0;
+    const float delta = 0.05;
+    for (float phi = 0.0; phi < 2.0 * PI; phi += delta) {
+        for (float theta = 0.0; theta < 0.5 * PI; theta += delta) {
+            vec3 t = vec3(sin(theta) * cos(phi), sin(theta) * sin(phi), cos(theta));
+            vec3 dir = t.x * right + t.y * up + t.z * N;
+            // sinθ accounts for the smaller solid angle near the pole
+            sum += textureLod(uEnvMap, dir, uSourceLod).rgb * cos(theta) * sin(theta);
+            count += 1.0;
+        }
+    }
+    fragColor = vec4(PI * sum / count, 1.0);
+}
+`;
+
+/**
+ * Specular prefiltering (GGX lobe, N = V = R assumption)
+ *
+ * Samples are read from a blurrier source mip when their PDF is low,
+ * which removes the bright speckles of naive importance sampling.
+ */
+const prefilterFragmentShader = `#version 300 es
+precision highp float;
+
+in vec3 vDir;
+out vec4 fragColor;
+
+uniform samplerCube uEnvMap;
+uniform float uRoughness;   // Perceptual roughness of this mip level
+uniform float uEnvSize;     // Source face size in texels
+const float PI = 3.14159265;
+${SAMPLING_GLSL}
+const uint SAMPLE_COUNT = 512u;
+
+void main() {
+    vec3 N = normalize(vDir);
+    vec3 V = N;
+    float alpha = max(uRoughness * uRoughness, 0.001);
+    float a2 = alpha * alpha;
+
+    vec3 sum = vec3(0.0);
+    float weight = 0.0;
+    for (uint i = 0u; i < SAMPLE_COUNT; ++i) {
+        vec3 H = importanceSampleGGX(hammersley(i, SAMPLE_COUNT), N, alpha);
+        vec3 L = normalize(2.0 * dot(V, H) * H - V);
+        float NdotL = dot(N, L);
+        if (NdotL > 0.0) {
+            // PDF of L: D(h)·(n·h) / (4·(v·h)), with N = V the terms cancel to D / 4
+            float NdotH = max(dot(N, H), 0.0);
+            float denom = NdotH * NdotH * (a2 - 1.0) + 1.0;
+            float D = a2 / (PI * denom * denom);
+            float pdf = D / 4.0 + 0.0001;
+
+            float saTexel = 4.0 * PI / (6.0 * uEnvSize * uEnvSize);
+            float saSample = 1.0 / (float(SAMPLE_COUNT) * pdf + 0.0001);
+            float lod = uRoughness == 0.0 ? 0.0 : 0.5 * log2(saSample / saTexel);
+
+            sum += textureLod(uEnvMap, L, max(lod, 0.0)).rgb * NdotL;
+            weight += NdotL;
+        }
+    }
+    fragColor = vec4(sum / max(weight, 0.0001), 1.0);
+}
+`;
+
+/**
+ * BRDF integration LUT
+ *
+ * For each (N·V, roughness) stores the scale (x) and bias (y) applied to F0:
+ * ∫ f_r cosθ dω ≈ F0 * x + y
+ */
+const brdfLutFragmentShader = `#version 300 es
+precision highp float;
+
+in vec2 vUV;
+out vec4 fragColor;
+const float PI = 3.14159265;
+${SAMPLING_GLSL}
+const uint SAMPLE_COUNT = 1024u;
+
+// Schlick-GGX with the IBL remapping k = α / 2
+float G_SchlickGGX_IBL(float NdotX, float k) {
+    return NdotX / (NdotX * (1.0 - k) + k);
+}
+
+vec2 integrateBRDF(float NdotV, float roughness) {
+    vec3 V = vec3(sqrt(1.0 - NdotV * NdotV), 0.0, NdotV);
+    vec3 N = vec3(0.0, 0.0, 1.0);
+    float alpha = max(roughness * roughness, 0.001);
+    float k = alpha / 2.0;
+
+    float A = 0.0;
+    float B = 0.0;
+    for (uint i = 0u; i < SAMPLE_COUNT; ++i) {
+        vec3 H = importanceSampleGGX(hammersley(i, SAMPLE_COUNT), N, alpha);
+        vec3 L = normalize(2.0 * dot(V, H) * H - V);
+        float NdotL = max(L.z, 0.0);
+        float NdotH = max(H.z, 0.0);
+        float VdotH = max(dot(V, H), 0.0);
+        if (NdotL > 0.0) {
+            float G = G_SchlickGGX_IBL(NdotV, k) * G_SchlickGGX_IBL(NdotL, k);
+            float G_Vis = G * VdotH / max(NdotH * NdotV, 0.0001);
+            float Fc = pow(1.0 - VdotH, 5.0);
+            A += (1.0 - Fc) * G_Vis;
+            B += Fc * G_Vis;
+        }
+    }
+    return vec2(A, B) / float(SAMPLE_COUNT);
+}
+
+void main() {
+    fragColor = vec4(integrateBRDF(max(vUV.x, 0.001), vUV.y), 0.0, 1.0);
+}
+`;
+
+/**
+ * Skybox vertex shader
+ * Uses the rotation part of the view matrix only and forces depth to the far plane
+ */
+const skyboxVertexShader = `#version 300 es
+precision highp float;
+
+layout(location = 0) in vec3 aPos;
+
+uniform mat4 uView;   // View matrix with translation removed
+uniform mat4 uProj;
+
+out vec3 vDir;
+
+void main() {
+    vDir = aPos;
+    vec4 clip = uProj * uView * vec4(aPos, 1.0);
+    gl_Position = clip.xyww; // z = w → depth 1.0 after the perspective divide
+}
+`;
+
+/**
+ * Skybox fragment shader
+ */
+const skyboxFragmentShader = `#version 300 es
+precision highp float;
+
+in vec3 vDir;
+out vec4 fragColor;
+
+uniform samplerCube uEnvMap;
+uniform float uIntensity;
+
+void main() {
+    fragColor = vec4(texture(uEnvMap, normalize(vDir)).rgb * uIntensity, 1.0);
+}
+`;
+
+// ====================================
+// Helpers
+// ====================================
+
+/**
+ * Create a position-only unit cube (36 vertices, no index buffer)
+ * Used for cube map capture and the skybox
+ * @param {WebGL2RenderingContext} gl - WebGL context
+ * @returns {WebGLVertexArrayObject} VAO with attribute 0 = position
+ */
+function createUnitCubeVAO(gl) {
+    // Two triangles per face, corners of the [-1, 1]³ cube
+    const corners = [
+        [-1, -1, -1], [1, -1, -1], [1, 1, -1], [-1, 1, -1],
+        [-1, -1, 1], [1, -1, 1], [1, 1, 1], [-1, 1, 1],
+    ];
+    const faces = [
+        [4, 5, 6, 7], [1, 0, 3, 2], [0, 4, 7, 3],
+        [5, 1, 2, 6], [3, 7, 6, 2], [0, 1, 5, 4],
+    ];
+    const positions = [];
+    for (const [a, b, c, d] of faces) {
+        for (const i of [a, b, c, a, c, d]) positions.push(...corners[i]);
+    }
+
+    const vao = gl.createVertexArray();
+    gl.bindVertexArray(vao);
+    const vbo = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, vbo);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(positions), gl.STATIC_DRAW);
+    gl.enableVertexAttribArray(0);
+    gl.vertexAttribPointer(0, 3, gl.FLOAT, false, 0, 0);
+    gl.bindVertexArray(null);
+    return vao;
+}
+
+/**
+ * Allocate an immutable half-float cube map
+ * @param {WebGL2RenderingContext} gl - WebGL context
+ * @param {number} size - Face size in texels
+ * @param {number} levels - Number of mip levels
+ * @returns {WebGLTexture} Cube map texture
+ */
+function createCubeTexture(gl, size, levels) {
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_CUBE_MAP, texture);
+    gl.texStorage2D(gl.TEXTURE_CUBE_MAP, levels, gl.RGBA16F, size, size);
+    gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_MIN_FILTER,
+        levels > 1 ? gl.LINEAR_MIPMAP_LINEAR : gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_WRAP_R, gl.CLAMP_TO_EDGE);
+    return texture;
+}
+
+/**
+ * Environment map and IBL precomputation
+ */
+export class EnvironmentMap {
+    /**
+     * @param {WebGL2RenderingContext} gl - WebGL context
+     */
+    constructor(gl) {
+        this.gl = gl;
+
+        // Half-float color attachments are required for every precomputation pass
+        this.supported = !!gl.getExtension('EXT_color_buffer_float');
+
+        this.framebuffer = gl.createFramebuffer();
+        this.cubeVAO = createUnitCubeVAO(gl);
+        this.emptyVAO = gl.createVertexArray();
+
+        this.programs = {
+            equirect: createProgram(gl, captureVertexShader, equirectFragmentShader),
+            irradiance: createProgram(gl, captureVertexShader, irradianceFragmentShader),
+            prefilter: createProgram(gl, captureVertexShader, prefilterFragmentShader),
+            brdfLut: createProgram(gl, fullscreenVertexShader, brdfLutFragmentShader),
+            skybox: createProgram(gl, skyboxVertexShader, skyboxFragmentShader),
+        };
+
+        this.envCubemap = null;
+        this.irradianceMap = null;
+        this.prefilterMap = null;
+        this.brdfLut = null;
+        this.prefilterMaxLod = PREFILTER_LEVELS - 1;
+        this.ready = false; // True once an environment has been loaded
+    }
+
+    /**
+     * Render the six faces of a cube map level with the given program
+     *
+     * @param {WebGLProgram} program - Capture program (uses uView/uProj)
+     * @param {WebGLTexture} target - Destination cube map
+     * @param {number} size - Face size of the destination level
+     * @param {number} level - Destination mip level
+     */
+    renderCube(program, target, size, level = 0) {
+        const { gl } = this;
+        const proj = mat4.perspective(Math.PI / 2, 1, 0.1, 10);
+
+        gl.useProgram(program);
+        gl.uniformMatrix4fv(gl.getUniformLocation(program, 'uProj'), false, proj);
+        gl.viewport(0, 0, size, size);
+        gl.bindVertexArray(this.cubeVAO);
+
+        CUBE_FACES.forEach((face, i) => {
+            gl.framebufferTexture2D(
+                gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0,
+                gl.TEXTURE_CUBE_MAP_POSITIVE_X + i, target, level
+            );
+            const view = mat4.lookAt([0, 0, 0], face.dir, face.up);
+            gl.uniformMatrix4fv(gl.getUniformLocation(program, 'uView'), false, view);
+            gl.drawArrays(gl.TRIANGLES, 0, 36);
+        });
+    }
+
+    /**
+     * Integrate the BRDF LUT (environment independent, done once)
+     */
+    buildBrdfLut() {
+        const { gl } = this;
+        this.brdfLut = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, this.brdfLut);
+        gl.texStorage2D(gl.TEXTURE_2D, 1, gl.RG16F, BRDF_LUT_SIZE, BRDF_LUT_SIZE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.brdfLut, 0);
+        gl.viewport(0, 0, BRDF_LUT_SIZE, BRDF_LUT_SIZE);
+        gl.useProgram(this.programs.brdfLut);
+        gl.bindVertexArray(this.emptyVAO);
+        gl.drawArrays(gl.TRIANGLES, 0, 3);
+    }
+
+    /**
+     * Load an equirectangular HDR image and precompute all IBL textures
+     * The caller is responsible for restoring the viewport afterwards.
+     *
+     * @param {{width: number, height: number, data: Float32Array}} hdr - Parsed HDR image (RGBA)
+     * @throws {Error} If float render targets are unavailable
+     */
+    load(hdr) {
+        const { gl, programs } = this;
+        if (!this.supported) {
+            throw new Error('Float render targets (EXT_color_buffer_float) are not supported');
+        }
+
+        // Upload the equirectangular source
+        const equirect = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, equirect);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA16F, hdr.width, hdr.height, 0, gl.RGBA, gl.FLOAT, hdr.data);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+        // Replace textures from a previous environment
+        for (const tex of [this.envCubemap, this.irradianceMap, this.prefilterMap]) {
+            if (tex) gl.deleteTexture(tex);
+        }
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.disable(gl.DEPTH_TEST);
+
+        if (!this.brdfLut) this.buildBrdfLut();
+
+        // 1. Equirectangular → environment cube map (with mip chain for filtered lookups)
+        const envLevels = Math.log2(ENV_SIZE) + 1;
+        this.envCubemap = createCubeTexture(gl, ENV_SIZE, envLevels);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, equirect);
+        gl.useProgram(programs.equirect);
+        gl.uniform1i(gl.getUniformLocation(programs.equirect, 'uEquirect'), 0);
+        this.renderCube(programs.equirect, this.envCubemap, ENV_SIZE);
+        gl.bindTexture(gl.TEXTURE_CUBE_MAP, this.envCubemap);
+        gl.generateMipmap(gl.TEXTURE_CUBE_MAP);
+
+        // 2. Diffuse irradiance (sampling a 64px source level is plenty)
+        this.irradianceMap = createCubeTexture(gl, IRRADIANCE_SIZE, 1);
+        gl.bindTexture(gl.TEXTURE_CUBE_MAP, this.envCubemap);
+        gl.useProgram(programs.irradiance);
+        gl.uniform1i(gl.getUniformLocation(programs.irradiance, 'uEnvMap'), 0);
+        gl.uniform1f(gl.getUniformLocation(programs.irradiance, 'uSourceLod'), Math.log2(ENV_SIZE / 64));
+        this.renderCube(programs.irradiance, this.irradianceMap, IRRADIANCE_SIZE);
+
+        // 3. Prefiltered specular, roughness increases with mip level
+        this.prefilterMap = createCubeTexture(gl, PREFILTER_SIZE, PREFILTER_LEVELS);
+        gl.bindTexture(gl.TEXTURE_CUBE_MAP, this.envCubemap);
+        gl.useProgram(programs.prefilter);
+        gl.uniform1i(gl.getUniformLocation(programs.prefilter, 'uEnvMap'), 0);
+        gl.uniform1f(gl.getUniformLocation(programs.prefilter, 'uEnvSize'), ENV_SIZE);
+        for (let level = 0; level < PREFILTER_LEVELS; level++) {
+            const roughness = level / (PREFILTER_LEVELS - 1);
+            gl.uniform1f(gl.getUniformLocation(programs.prefilter, 'uRoughness'), roughness);
+            this.renderCube(programs.prefilter, this.prefilterMap, PREFILTER_SIZE >> level, level);
+        }
+
+        // Restore state
+        gl.deleteTexture(equirect);
+        gl.bindTexture(gl.TEXTURE_CUBE_MAP, null);
+        gl.bindVertexArray(null);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.enable(gl.DEPTH_TEST);
+
+        this.ready = true;
+    }
+
+    /**
+     * Bind irradiance, prefiltered and LUT textures to their reserved units
+     */
+    bindTextures() {
+        const { gl } = this;
+        gl.activeTexture(gl.TEXTURE0 + IRRADIANCE_UNIT);
+        gl.bindTexture(gl.TEXTURE_CUBE_MAP, this.irradianceMap);
+        gl.activeTexture(gl.TEXTURE0 + PREFILTER_UNIT);
+        gl.bindTexture(gl.TEXTURE_CUBE_MAP, this.prefilterMap);
+        gl.activeTexture(gl.TEXTURE0 + BRDF_LUT_UNIT);
+        gl.bindTexture(gl.TEXTURE_2D, this.brdfLut);
+        gl.activeTexture(gl.TEXTURE0);
+    }
+
+    /**
+     * Draw the environment behind already rendered geometry
+     *
+     * @param {Array<number>} viewMatrix - Camera view matrix
+     * @param {Array<number>} projMatrix - Camera projection matrix
+     * @param {number} intensity - Radiance multiplier
+     */
+    drawSkybox(viewMatrix, projMatrix, intensity) {
+        const { gl } = this;
+        const program = this.programs.skybox;
+
+        // Strip translation so the sky stays infinitely far away
+        const rotationOnly = [...viewMatrix];
+        rotationOnly[12] = 0;
+        rotationOnly[13] = 0;
+        rotationOnly[14] = 0;
+
+        gl.useProgram(program);
+        gl.uniformMatrix4fv(gl.getUniformLocation(program, 'uView'), false, rotationOnly);
+        gl.uniformMatrix4fv(gl.getUniformLocation(program, 'uProj'), false, projMatrix);
+        gl.uniform1f(gl.getUniformLocation(program, 'uIntensity'), intensity);
+        gl.uniform1i(gl.getUniformLocation(program, 'uEnvMap'), 0);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_CUBE_MAP, this.envCubemap);
+
+        // Depth is forced to 1.0, so only pixels not covered by geometry pass LEQUAL
+        gl.depthFunc(gl.LEQUAL);
+        gl.bindVertexArray(this.cubeVAO);
+        gl.drawArrays(gl.TRIANGLES, 0, 36);
+        gl.depthFunc(gl.LESS);
+        gl.bindVertexArray(null);
+    }
+}
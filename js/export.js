@@ -0,0 +1,349 @@
+/**
+ * Image Export Module
+ *
+ * Renders the scene offscreen at any resolution, through Renderer.render, for saving to disk:
+ * - Supersampling: the image is rendered N× larger and box-filtered down
+ *   (on top of the multisampling of the scene target)
+ * - Tiling: images larger than one tile are rendered tile by tile, each with its
+ *   part of the camera frustum (off-axis projection), so the size is not limited
+ *   by MAX_RENDERBUFFER_SIZE or MAX_VIEWPORT_DIMS
+ * - Output: the tone-mapped sRGB image (PNG) and optionally the linear scene
+ *   radiance before exposure and tone mapping (32-bit float OpenEXR or PFM)
+ *
+ * The scene target holds radiance already scaled by the camera exposure (the lights
+ * are converted with it, see packLights), so the radiance is divided by it again:
+ * light from the lights comes out in cd/m², and the relative environment, emission
+ * and ambient strengths as the radiance they stand for through the default camera.
+ * The white furnace test does not use the camera and is written as rendered.
+ */
+
+import { mat4 } from './math.js';
+import { cameraExposure } from './photometry.js';
+
+// Largest image edge (browsers refuse to encode larger canvases)
+export const MAX_EXPORT_SIZE = 16384;
+
+// Largest tile edge in rendered pixels; bounds the memory of the multisampled
+// half-float scene target (about 200 MB at 2048 with 4× MSAA)
+const MAX_TILE_SIZE = 2048;
+
+// Float formats for the linear radiance
+export const RADIANCE_FORMATS = {
+    NONE: 'none',
+    EXR: 'exr',   // OpenEXR, uncompressed scanlines, 32-bit float RGB
+    PFM: 'pfm',   // Portable float map, 32-bit float RGB
+};
+
+// 8-bit sRGB → linear, for averaging supersamples in linear light
+const SRGB_TO_LINEAR = Float32Array.from({ length: 256 }, (_, i) => {
+    const c = i / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+});
+
+/**
+ * Linear → 8-bit sRGB
+ * @param {number} c - Linear value
+ * @returns {number} Encoded value in [0, 255]
+ */
+function linearToSRGB8(c) {
+    const encoded = c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+    return Math.round(Math.min(Math.max(encoded, 0), 1) * 255);
+}
+
+/**
+ * Projection correction that zooms a sub-rectangle of the image to the full viewport
+ * @param {number} x - Left edge of the tile in rendered pixels
+ * @param {number} y - Bottom edge of the tile in rendered pixels
+ * @param {number} width - Tile width
+ * @param {number} height - Tile height
+ * @param {number} fullWidth - Rendered image width
+ * @param {number} fullHeight - Rendered image height
+ * @returns {Array<number>} Matrix to apply after the projection (NDC scale and offset)
+ */
+function tileMatrix(x, y, width, height, fullWidth, fullHeight) {
+    const sx = fullWidth / width;
+    const sy = fullHeight / height;
+    const cx = (2 * x + width) / fullWidth - 1;   // Tile center in NDC
+    const cy = (2 * y + height) / fullHeight - 1;
+    return [
+        sx, 0, 0, 0,
+        0, sy, 0, 0,
+        0, 0, 1, 0,
+        -cx * sx, -cy * sy, 0, 1,
+    ];
+}
+
+/**
+ * Box-filter a rendered tile into the output image
+ * @param {ArrayLike<number>} source - RGBA tile, rows bottom-up (readPixels order)
+ * @param {Object} tile - {x, y, width, height} in output pixels (y from the top)
+ * @param {number} s - Supersampling factor
+ * @param {Function} decode - Source value → linear value
+ * @param {Function} store - Receives (index of the output pixel, r, g, b) in linear light
+ * @param {number} outputWidth - Output image width
+ */
+function resolveTile(source, tile, s, decode, store, outputWidth) {
+    const rowLength = tile.width * s * 4;
+    const scale = 1 / (s * s);
+
+    for (let y = 0; y < tile.height; y++) {
+        const sourceRow = (tile.height - 1 - y) * s; // Flip to top-down
+        for (let x = 0; x < tile.width; x++) {
+            let r = 0;
+            let g = 0;
+            let b = 0;
+            for (let j = 0; j < s; j++) {
+                let i = (sourceRow + j) * rowLength + x * s * 4;
+                for (let k = 0; k < s; k++, i += 4) {
+                    r += decode(source[i]);
+                    g += decode(source[i + 1]);
+                    b += decode(source[i + 2]);
+                }
+            }
+            store((tile.y + y) * outputWidth + tile.x + x, r * scale, g * scale, b * scale);
+        }
+    }
+}
+
+/**
+ * Render the scene into an image of any size
+ * The renderer's targets are resized to the tile size; resize it back to the
+ * canvas afterwards.
+ *
+ * @param {Renderer} renderer - Renderer (its programs, environment and shadows are used)
+ * @param {Object} scene - Scene data {camera, objects, lightSphere, areaLights}; camera =
+ *        {viewMatrix, projectionMatrix, position}, projection for the image's aspect ratio
+ * @param {Object} state - Application state
+ * @param {Object} options - {width, height, supersampling, radiance (keep the linear
+ *        radiance), onProgress(tilesDone, tileCount)}
+ * @returns {Promise<Object>} Image {width, height, pixels, radiance}: 8-bit sRGB RGBA
+ *          and linear float RGB (null unless requested), rows top-down
+ */
+export async function renderImage(renderer, scene, state, options) {
+    const { gl } = renderer;
+    const { width, height, supersampling: s, radiance: keepRadiance = false, onProgress = null } = options;
+
+    const limit = Math.min(
+        MAX_TILE_SIZE,
+        gl.getParameter(gl.MAX_RENDERBUFFER_SIZE),
+        gl.getParameter(gl.MAX_TEXTURE_SIZE),
+        ...gl.getParameter(gl.MAX_VIEWPORT_DIMS)
+    );
+    const tileSize = Math.floor(limit / s); // In output pixels
+    if (tileSize < 1) {
+        throw new Error(`${s}× supersampling exceeds the maximum render size (${limit})`);
+    }
+
+    const fullWidth = width * s;
+    const fullHeight = height * s;
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    const radiance = keepRadiance ? new Float32Array(width * height * 3) : null;
+    const unexpose = state.furnaceTest ? 1 : 1 / cameraExposure(state);
+
+    // Tone-mapped tiles are written to an 8-bit target instead of the canvas
+    const colorBuffer = gl.createRenderbuffer();
+    gl.bindRenderbuffer(gl.RENDERBUFFER, colorBuffer);
+    gl.renderbufferStorage(gl.RENDERBUFFER, gl.RGBA8, Math.min(width, tileSize) * s, Math.min(height, tileSize) * s);
+    gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+    const framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.RENDERBUFFER, colorBuffer);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    const columns = Math.ceil(width / tileSize);
+    const rows = Math.ceil(height / tileSize);
+    const tileCount = columns * rows;
+
+    try {
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                const tile = { x: column * tileSize, y: row * tileSize };
+                tile.width = Math.min(tileSize, width - tile.x);
+                tile.height = Math.min(tileSize, height - tile.y);
+
+                // Rendered rectangle (GL convention: y from the bottom)
+                const w = tile.width * s;
+                const h = tile.height * s;
+                const x0 = tile.x * s;
+                const y0 = fullHeight - (tile.y + tile.height) * s;
+                const camera = {
+                    ...scene.camera,
+                    projectionMatrix: mat4.multiply(
+                        tileMatrix(x0, y0, w, h, fullWidth, fullHeight),
+                        scene.camera.projectionMatrix
+                    ),
+                };
+
+                renderer.resize(w, h);
+                renderer.render({ ...scene, camera }, state, { framebuffer, imageX: x0, imageWidth: fullWidth });
+
+                const display = new Uint8Array(w * h * 4);
+                gl.bindFramebuffer(gl.READ_FRAMEBUFFER, framebuffer);
+                gl.readPixels(0, 0, w, h, gl.RGBA, gl.UNSIGNED_BYTE, display);
+                gl.bindFramebuffer(gl.READ_FRAMEBUFFER, null);
+                resolveTile(display, tile, s, (v) => SRGB_TO_LINEAR[v], (i, r, g, b) => {
+                    pixels[i * 4] = linearToSRGB8(r);
+                    pixels[i * 4 + 1] = linearToSRGB8(g);
+                    pixels[i * 4 + 2] = linearToSRGB8(b);
+                    pixels[i * 4 + 3] = 255;
+                }, width);
+
+                if (radiance) {
+                    resolveTile(renderer.postProcessor.readRadiance(), tile, s, (v) => v * unexpose, (i, r, g, b) => {
+                        radiance[i * 3] = r;
+                        radiance[i * 3 + 1] = g;
+                        radiance[i * 3 + 2] = b;
+                    }, width);
+                }
+
+                // Let the page update between tiles
+                if (onProgress) onProgress(row * columns + column + 1, tileCount);
+                await new Promise((resolve) => setTimeout(resolve, 0));
+            }
+        }
+    } finally {
+        gl.deleteFramebuffer(framebuffer);
+        gl.deleteRenderbuffer(colorBuffer);
+    }
+
+    return { width, height, pixels, radiance };
+}
+
+// ====================================
+// Encoders
+// ====================================
+
+/**
+ * Encode the 8-bit image as PNG
+ * @param {Object} image - Image from renderImage
+ * @returns {Promise<Blob>} PNG file
+ */
+export function encodePNG(image) {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    canvas.getContext('2d').putImageData(new ImageData(image.pixels, image.width, image.height), 0, 0);
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error(`The browser could not encode a ${image.width}×${image.height} PNG`));
+            }
+        }, 'image/png');
+    });
+}
+
+/**
+ * Encode the linear radiance as a portable float map (little-endian, rows bottom-up)
+ * @param {Object} image - Image from renderImage, with radiance
+ * @returns {Blob} PFM file
+ */
+export function encodePFM(image) {
+    const { width, height, radiance } = image;
+    const header = new TextEncoder().encode(`PF\n${width} ${height}\n-1.0\n`);
+    const data = new DataView(new ArrayBuffer(width * height * 12));
+    for (let y = 0; y < height; y++) {
+        const sourceRow = (height - 1 - y) * width * 3;
+        for (let i = 0; i < width * 3; i++) {
+            data.setFloat32((y * width * 3 + i) * 4, radiance[sourceRow + i], true);
+        }
+    }
+    return new Blob([header, data], { type: 'application/octet-stream' });
+}
+
+/**
+ * Build the OpenEXR header: magic, version and the required attributes
+ * (channels B, G, R as 32-bit float, no compression, increasing Y)
+ *
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Uint8Array} Header bytes, including the terminating null byte
+ */
+function exrHeader(width, height) {
+    const bytes = [];
+    const u8 = (v) => bytes.push(v);
+    const i32 = (v) => {
+        for (let k = 0; k < 4; k++) bytes.push((v >>> (8 * k)) & 0xff);
+    };
+    const f32 = (v) => bytes.push(...new Uint8Array(new Float32Array([v]).buffer));
+    const str = (text) => {
+        for (const c of text) bytes.push(c.charCodeAt(0));
+        bytes.push(0);
+    };
+    const attribute = (name, type, size, write) => {
+        str(name);
+        str(type);
+        i32(size);
+        write();
+    };
+    const box = () => {
+        i32(0);
+        i32(0);
+        i32(width - 1);
+        i32(height - 1);
+    };
+
+    i32(20000630); // Magic number
+    i32(2);        // Version 2, single-part scanline file
+
+    // Channels in alphabetical order: name, pixel type (2 = FLOAT), pLinear, reserved, sampling
+    attribute('channels', 'chlist', 3 * 18 + 1, () => {
+        for (const name of ['B', 'G', 'R']) {
+            str(name);
+            i32(2);
+            u8(0);
+            u8(0);
+            u8(0);
+            u8(0);
+            i32(1);
+            i32(1);
+        }
+        u8(0);
+    });
+    attribute('compression', 'compression', 1, () => u8(0));
+    attribute('dataWindow', 'box2i', 16, box);
+    attribute('displayWindow', 'box2i', 16, box);
+    attribute('lineOrder', 'lineOrder', 1, () => u8(0));
+    attribute('pixelAspectRatio', 'float', 4, () => f32(1));
+    attribute('screenWindowCenter', 'v2f', 8, () => {
+        f32(0);
+        f32(0);
+    });
+    attribute('screenWindowWidth', 'float', 4, () => f32(1));
+    u8(0);
+
+    return new Uint8Array(bytes);
+}
+
+/**
+ * Encode the linear radiance as an uncompressed OpenEXR file
+ * Layout: header, offset table (one entry per scanline), then per scanline its y,
+ * its data size and the B, G and R rows.
+ *
+ * @param {Object} image - Image from renderImage, with radiance
+ * @returns {Blob} EXR file
+ */
+export function encodeEXR(image) {
+    const { width, height, radiance } = image;
+    const header = exrHeader(width, height);
+    const lineSize = 8 + width * 12;
+    const tableSize = height * 8;
+    const data = new DataView(new ArrayBuffer(tableSize + height * lineSize));
+
+    for (let y = 0; y < height; y++) {
+        const offset = tableSize + y * lineSize;
+        data.setBigUint64(y * 8, BigInt(header.length + offset), true);
+        data.setInt32(offset, y, true);
+        data.setInt32(offset + 4, width * 12, true);
+
+        const row = y * width * 3;
+        for (let x = 0; x < width; x++) {
+            const p = offset + 8 + x * 4;
+            data.setFloat32(p, radiance[row + x * 3 + 2], true);                 // B
+            data.setFloat32(p + width * 4, radiance[row + x * 3 + 1], true);     // G
+            data.setFloat32(p + width * 8, radiance[row + x * 3], true);         // R
+        }
+    }
+    return new Blob([header, data], { type: 'image/x-exr' });
+}
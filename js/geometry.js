@@ -1,16 +1,193 @@
 /**
  * Geometry Generation Module
  * 
- * Creates 3D geometry (vertices, normals, UVs, indices) for common shapes.
- * Vertex data layout: [x, y, z, nx, ny, nz, u, v] per vertex
+ * Creates 3D geometry (vertices, normals, UVs, tangents, indices) for common shapes.
+ * Vertex data layout: [x, y, z, nx, ny, nz, u, v, tx, ty, tz, tw] per vertex
  * - Position (x, y, z): 3D coordinates in model space
  * - Normal (nx, ny, nz): Surface normal for lighting calculations
  * - UV (u, v): Texture coordinates (0-1 range)
+ * - Tangent (tx, ty, tz): Direction of increasing u, for normal mapping
+ * - Handedness (tw): ±1, bitangent = cross(normal, tangent) * tw
  */
 
-// Floor height constant - shadows will be projected onto this plane
+import { vec3 } from './math.js';
+
+// Floor height constant (where the floor node places the plane)
 export const FLOOR_Y = -0.75;
 
+// Half-width of the default plane (10 × 10 floor)
+export const PLANE_HALF_SIZE = 5;
+
+// Radius of the built-in sphere and half-size of the built-in cube
+export const OBJECT_HALF_SIZE = 0.6;
+
+// Radius of the light marker spheres
+export const LIGHT_SPHERE_RADIUS = 0.1;
+
+// Floats per vertex in the interleaved layout
+export const VERTEX_STRIDE = 12;
+
+/**
+ * Generate per-vertex tangents from positions, normals and UVs
+ * 
+ * Accumulates per-triangle tangent/bitangent (Lengyel's method), then
+ * orthogonalizes against the normal (Gram-Schmidt) and stores the handedness
+ * of the UV mapping in w so mirrored UVs still produce correct bitangents.
+ * 
+ * @param {Float32Array|Array<number>} data - Vertex data, 8 floats per vertex [pos, normal, uv]
+ * @param {Uint16Array|Uint32Array|Array<number>} indices - Triangle indices
+ * @returns {Float32Array} Vertex data with VERTEX_STRIDE floats per vertex
+ */
+export function computeTangents(data, indices) {
+    const count = data.length / 8;
+    const tan = new Float32Array(count * 3);
+    const bitan = new Float32Array(count * 3);
+
+    for (let i = 0; i < indices.length; i += 3) {
+        const i0 = indices[i], i1 = indices[i + 1], i2 = indices[i + 2];
+        const p0 = i0 * 8, p1 = i1 * 8, p2 = i2 * 8;
+
+        // Triangle edges in position and UV space
+        const e1 = [data[p1] - data[p0], data[p1 + 1] - data[p0 + 1], data[p1 + 2] - data[p0 + 2]];
+        const e2 = [data[p2] - data[p0], data[p2 + 1] - data[p0 + 1], data[p2 + 2] - data[p0 + 2]];
+        const du1 = data[p1 + 6] - data[p0 + 6], dv1 = data[p1 + 7] - data[p0 + 7];
+        const du2 = data[p2 + 6] - data[p0 + 6], dv2 = data[p2 + 7] - data[p0 + 7];
+
+        const det = du1 * dv2 - du2 * dv1;
+        if (Math.abs(det) < 1e-12) continue; // Degenerate UVs contribute nothing
+        const r = 1 / det;
+
+        for (let k = 0; k < 3; k++) {
+            const t = (e1[k] * dv2 - e2[k] * dv1) * r;
+            const b = (e2[k] * du1 - e1[k] * du2) * r;
+            for (const v of [i0, i1, i2]) {
+                tan[v * 3 + k] += t;
+                bitan[v * 3 + k] += b;
+            }
+        }
+    }
+
+    const out = new Float32Array(count * VERTEX_STRIDE);
+    for (let v = 0; v < count; v++) {
+        const src = v * 8;
+        const dst = v * VERTEX_STRIDE;
+        for (let k = 0; k < 8; k++) out[dst + k] = data[src + k];
+
+        const n = [data[src + 3], data[src + 4], data[src + 5]];
+        let t = [tan[v * 3], tan[v * 3 + 1], tan[v * 3 + 2]];
+
+        // Gram-Schmidt: remove the normal component
+        const nDotT = n[0] * t[0] + n[1] * t[1] + n[2] * t[2];
+        t = [t[0] - n[0] * nDotT, t[1] - n[1] * nDotT, t[2] - n[2] * nDotT];
+        let len = Math.hypot(t[0], t[1], t[2]);
+        if (len < 1e-8) {
+            // No usable UV gradient: pick any vector perpendicular to the normal
+            t = Math.abs(n[0]) < 0.9 ? [0, -n[2], n[1]] : [n[2], 0, -n[0]];
+            len = Math.hypot(t[0], t[1], t[2]) || 1;
+        }
+        t = [t[0] / len, t[1] / len, t[2] / len];
+
+        // Handedness: does cross(n, t) point along the accumulated bitangent?
+        const c = [
+            n[1] * t[2] - n[2] * t[1],
+            n[2] * t[0] - n[0] * t[2],
+            n[0] * t[1] - n[1] * t[0],
+        ];
+        const b = [bitan[v * 3], bitan[v * 3 + 1], bitan[v * 3 + 2]];
+        const w = c[0] * b[0] + c[1] * b[1] + c[2] * b[2] < 0 ? -1 : 1;
+
+        out[dst + 8] = t[0];
+        out[dst + 9] = t[1];
+        out[dst + 10] = t[2];
+        out[dst + 11] = w;
+    }
+    return out;
+}
+
+/**
+ * Pick the smallest index array type able to address every vertex
+ * 16-bit indices cover up to 65536 vertices; larger meshes need 32-bit indices
+ * 
+ * @param {ArrayLike<number>} indices - Triangle indices
+ * @param {number} vertexCount - Number of vertices referenced
+ * @returns {Uint16Array|Uint32Array} Typed index array
+ */
+export function createIndexArray(indices, vertexCount) {
+    return vertexCount > 65536 ? Uint32Array.from(indices) : Uint16Array.from(indices);
+}
+
+/**
+ * Unweld an indexed mesh and give each triangle its face normal (faceted look)
+ * 
+ * @param {Float32Array|Array<number>} data - Vertex data, 8 floats per vertex (normals are replaced)
+ * @param {ArrayLike<number>} indices - Triangle indices
+ * @returns {{data: Float32Array, indices: Uint16Array|Uint32Array}} One vertex per triangle corner
+ */
+export function computeFlatNormals(data, indices) {
+    const out = new Float32Array(indices.length * 8);
+
+    for (let i = 0; i < indices.length; i += 3) {
+        const p = [indices[i] * 8, indices[i + 1] * 8, indices[i + 2] * 8];
+        const e1 = vec3.sub(data.slice(p[1], p[1] + 3), data.slice(p[0], p[0] + 3));
+        const e2 = vec3.sub(data.slice(p[2], p[2] + 3), data.slice(p[0], p[0] + 3));
+        const normal = vec3.normalize(vec3.cross(e1, e2));
+
+        for (let k = 0; k < 3; k++) {
+            const dst = (i + k) * 8;
+            for (let c = 0; c < 8; c++) out[dst + c] = data[p[k] + c];
+            out.set(normal, dst + 3);
+        }
+    }
+
+    const sequential = Array.from({ length: indices.length }, (_, i) => i);
+    return { data: out, indices: createIndexArray(sequential, indices.length) };
+}
+
+/**
+ * Generate smooth (averaged) normals for an indexed mesh
+ * 
+ * Face normals are accumulated unnormalized, so larger triangles weigh more.
+ * Vertices at the same position share one normal, so UV seams stay smooth.
+ * 
+ * @param {Float32Array|Array<number>} data - Vertex data, 8 floats per vertex (normals are replaced)
+ * @param {ArrayLike<number>} indices - Triangle indices
+ * @returns {Float32Array} Vertex data with smooth normals, 8 floats per vertex
+ */
+export function computeSmoothNormals(data, indices) {
+    const count = data.length / 8;
+
+    // Group vertices by position
+    const groups = new Map();
+    const groupOf = new Uint32Array(count);
+    for (let v = 0; v < count; v++) {
+        const key = `${data[v * 8]},${data[v * 8 + 1]},${data[v * 8 + 2]}`;
+        if (!groups.has(key)) groups.set(key, groups.size);
+        groupOf[v] = groups.get(key);
+    }
+
+    const sums = new Float32Array(groups.size * 3);
+    for (let i = 0; i < indices.length; i += 3) {
+        const p = [indices[i] * 8, indices[i + 1] * 8, indices[i + 2] * 8];
+        const e1 = vec3.sub(data.slice(p[1], p[1] + 3), data.slice(p[0], p[0] + 3));
+        const e2 = vec3.sub(data.slice(p[2], p[2] + 3), data.slice(p[0], p[0] + 3));
+        const n = vec3.cross(e1, e2);
+        for (let k = 0; k < 3; k++) {
+            const g = groupOf[indices[i + k]] * 3;
+            sums[g] += n[0];
+            sums[g + 1] += n[1];
+            sums[g + 2] += n[2];
+        }
+    }
+
+    const out = Float32Array.from(data);
+    for (let v = 0; v < count; v++) {
+        const g = groupOf[v] * 3;
+        const n = [sums[g], sums[g + 1], sums[g + 2]];
+        out.set(vec3.length(n) > 0 ? vec3.normalize(n) : [0, 1, 0], v * 8 + 3);
+    }
+    return out;
+}
+
 /**
  * Create a cube geometry
  * The cube is centered at origin with size 1.2 units
@@ -18,7 +195,7 @@ export const FLOOR_Y = -0.75;
  * @returns {{data: Float32Array, indices: Uint16Array}} Vertex data and indices
  */
 export function createCube() {
-    const halfSize = 0.6; // Cube extends from -0.6 to +0.6
+    const halfSize = OBJECT_HALF_SIZE; // Cube extends from -0.6 to +0.6
     const positions = [
         // Front face (z = +0.6)
         -halfSize, -halfSize,  halfSize,  0, 0, 1,  0, 0, // Bottom-left
@@ -68,7 +245,7 @@ export function createCube() {
     ];
 
     return {
-        data: new Float32Array(positions),
+        data: computeTangents(positions, indices),
         indices: new Uint16Array(indices)
     };
 }
@@ -82,7 +259,7 @@ export function createCube() {
 export function createSphere(segments = 32) {
     const positions = [];
     const indices = [];
-    const radius = 0.6;
+    const radius = OBJECT_HALF_SIZE;
 
     // Generate vertices
     // Iterate over latitude (y-axis) and longitude (around y-axis)
@@ -111,6 +288,9 @@ export function createSphere(segments = 32) {
             positions.push(x, y, z);
             // UV coordinates
             positions.push(u, v);
+            // Tangent = ∂position/∂u (direction of increasing longitude)
+            // v grows toward -Y, the same way cross(N, T) points, hence w = +1
+            positions.push(-sinPhi, 0, cosPhi, 1);
         }
     }
 
@@ -137,18 +317,20 @@ export function createSphere(segments = 32) {
 
 /**
  * Create a ground plane geometry
- * A flat horizontal surface used as the floor for shadow projection
+ * A flat horizontal surface in the XZ plane through the origin
+ * (the floor node places it at FLOOR_Y)
  * @param {number} size - Half-width of the plane (total size = size × 2)
  * @returns {{data: Float32Array, indices: Uint16Array}} Vertex data and indices
  */
-export function createPlane(size = 5) {
+export function createPlane(size = PLANE_HALF_SIZE) {
     const positions = [
-        // Four corners of the plane, all at FLOOR_Y height
-        // Normal points upward (0, 1, 0)
-        -size, FLOOR_Y, -size,  0, 1, 0,  0, 0, // Bottom-left
-         size, FLOOR_Y, -size,  0, 1, 0,  1, 0, // Bottom-right
-         size, FLOOR_Y,  size,  0, 1, 0,  1, 1, // Top-right
-        -size, FLOOR_Y,  size,  0, 1, 0,  0, 1, // Top-left
+        // Four corners of the plane, all at height 0
+        // Normal points upward (0, 1, 0), tangent along +X (u direction)
+        // v grows along +Z while cross(N, T) points along -Z, hence w = -1
+        -size, 0, -size,  0, 1, 0,  0, 0,  1, 0, 0, -1, // Bottom-left
+         size, 0, -size,  0, 1, 0,  1, 0,  1, 0, 0, -1, // Bottom-right
+         size, 0,  size,  0, 1, 0,  1, 1,  1, 0, 0, -1, // Top-right
+        -size, 0,  size,  0, 1, 0,  0, 1,  1, 0, 0, -1, // Top-left
     ];
 
     // Two triangles forming a quad
@@ -168,7 +350,7 @@ export function createPlane(size = 5) {
 export function createLightSphere(segments = 8) {
     const positions = [];
     const indices = [];
-    const radius = 0.1; // Small sphere for light
+    const radius = LIGHT_SPHERE_RADIUS; // Small sphere for light
 
     // Generate vertices
     for (let latIndex = 0; latIndex <= segments; latIndex++) {
@@ -192,6 +374,7 @@ export function createLightSphere(segments = 8) {
             positions.push(x * radius, y * radius, z * radius);
             positions.push(x, y, z);
             positions.push(u, v);
+            positions.push(-sinPhi, 0, cosPhi, 1);
         }
     }
 
@@ -212,12 +395,101 @@ export function createLightSphere(segments = 8) {
     };
 }
 
+/**
+ * Create a unit square for rectangular area lights
+ * Spans [-0.5, 0.5] in X and Y and faces +Z, the emitting side
+ * (areaLightMatrix scales it to the light's size)
+ * @returns {{data: Float32Array, indices: Uint16Array}} Vertex data and indices
+ */
+export function createLightQuad() {
+    const positions = [
+        -0.5, -0.5, 0,  0, 0, 1,  0, 0,  1, 0, 0, 1,
+         0.5, -0.5, 0,  0, 0, 1,  1, 0,  1, 0, 0, 1,
+         0.5,  0.5, 0,  0, 0, 1,  1, 1,  1, 0, 0, 1,
+        -0.5,  0.5, 0,  0, 0, 1,  0, 1,  1, 0, 0, 1,
+    ];
+
+    // Counterclockwise seen from +Z, so the emitting side is the front face
+    const indices = [0, 1, 2, 0, 2, 3];
+
+    return {
+        data: new Float32Array(positions),
+        indices: new Uint16Array(indices)
+    };
+}
+
+/**
+ * Create a unit-diameter disk for disk area lights
+ * Lies in the XY plane and faces +Z, the emitting side
+ * @param {number} segments - Number of rim vertices
+ * @returns {{data: Float32Array, indices: Uint16Array}} Vertex data and indices
+ */
+export function createLightDisk(segments = 32) {
+    const positions = [0, 0, 0,  0, 0, 1,  0.5, 0.5,  1, 0, 0, 1]; // Center
+    const indices = [];
+
+    for (let i = 0; i <= segments; i++) {
+        const phi = (i / segments) * Math.PI * 2;
+        const x = Math.cos(phi) * 0.5;
+        const y = Math.sin(phi) * 0.5;
+        positions.push(x, y, 0,  0, 0, 1,  x + 0.5, y + 0.5,  1, 0, 0, 1);
+    }
+
+    // Fan around the center, counterclockwise seen from +Z
+    for (let i = 1; i <= segments; i++) {
+        indices.push(0, i, i + 1);
+    }
+
+    return {
+        data: new Float32Array(positions),
+        indices: new Uint16Array(indices)
+    };
+}
+
+/**
+ * Create an open unit cylinder for tube area lights
+ * Runs along X from -0.5 to 0.5 with a diameter of 1
+ * @param {number} segments - Number of subdivisions around the axis
+ * @returns {{data: Float32Array, indices: Uint16Array}} Vertex data and indices
+ */
+export function createLightTube(segments = 16) {
+    const positions = [];
+    const indices = [];
+
+    for (let i = 0; i <= segments; i++) {
+        const u = i / segments;
+        const phi = u * Math.PI * 2;
+        const y = Math.cos(phi);
+        const z = Math.sin(phi);
+
+        // One vertex at each end of the tube, normal pointing outward
+        for (const x of [-0.5, 0.5]) {
+            positions.push(x, y * 0.5, z * 0.5,  0, y, z,  u, x + 0.5,  0, -z, y, 1);
+        }
+    }
+
+    // Two triangles per side, counterclockwise seen from outside
+    for (let i = 0; i < segments; i++) {
+        const a = i * 2;
+        indices.push(a, a + 2, a + 1);
+        indices.push(a + 1, a + 2, a + 3);
+    }
+
+    return {
+        data: new Float32Array(positions),
+        indices: new Uint16Array(indices)
+    };
+}
+
 /**
  * Create a Vertex Array Object (VAO) from geometry data
  * VAOs store vertex attribute configuration for efficient rendering
  * @param {WebGL2RenderingContext} gl - WebGL context
- * @param {{data: Float32Array, indices: Uint16Array}} geo - Geometry data
- * @returns {{vao: WebGLVertexArrayObject, count: number}} VAO and index count
+ * @param {{data: Float32Array, indices: Uint16Array|Uint32Array}} geo - Geometry data
+ * @returns {{vao: WebGLVertexArrayObject, count: number, indexType: number, buffers: Array<WebGLBuffer>,
+ *          data: Float32Array, indices: Uint16Array|Uint32Array}}
+ *          VAO, index count, index type for drawElements, the buffers backing the VAO
+ *          and the source arrays (kept for picking)
  */
 export function createVAO(gl, geo) {
     // Create and bind VAO
@@ -235,8 +507,8 @@ export function createVAO(gl, geo) {
     gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, geo.indices, gl.STATIC_DRAW);
 
     // Configure vertex attributes
-    // Each vertex has 8 floats: 3 position + 3 normal + 2 UV
-    const stride = 8 * 4; // 8 floats × 4 bytes per float
+    // Each vertex has 12 floats: 3 position + 3 normal + 2 UV + 4 tangent
+    const stride = VERTEX_STRIDE * 4; // 12 floats × 4 bytes per float
 
     // Attribute 0: Position (vec3)
     gl.enableVertexAttribArray(0);
@@ -250,11 +522,32 @@ export function createVAO(gl, geo) {
     gl.enableVertexAttribArray(2);
     gl.vertexAttribPointer(2, 2, gl.FLOAT, false, stride, 6 * 4);
 
+    // Attribute 3: Tangent with handedness (vec4)
+    gl.enableVertexAttribArray(3);
+    gl.vertexAttribPointer(3, 4, gl.FLOAT, false, stride, 8 * 4);
+
     // Unbind VAO to prevent accidental modification
     gl.bindVertexArray(null);
 
     return {
         vao,
-        count: geo.indices.length
+        count: geo.indices.length,
+        indexType: geo.indices instanceof Uint32Array ? gl.UNSIGNED_INT : gl.UNSIGNED_SHORT,
+        buffers: [vbo, ebo],
+        // CPU copies for ray picking (see intersectMesh)
+        data: geo.data,
+        indices: geo.indices
     };
 }
+
+/**
+ * Release a VAO created by createVAO together with its buffers
+ * @param {WebGL2RenderingContext} gl - WebGL context
+ * @param {{vao: WebGLVertexArrayObject, buffers: Array<WebGLBuffer>}} geo - Object returned by createVAO
+ */
+export function deleteVAO(gl, geo) {
+    gl.deleteVertexArray(geo.vao);
+    for (const buffer of geo.buffers) {
+        gl.deleteBuffer(buffer);
+    }
+}
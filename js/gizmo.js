@@ -0,0 +1,421 @@
+/**
+ * Transform Gizmo Module
+ *
+ * Translate/rotate/scale handles drawn over the selected node or light:
+ * - Picking: handles are hit-tested against the mouse ray (Camera.screenToWorldRay)
+ * - Dragging: GizmoDrag turns mouse rays into a translation, angle or scale factor
+ * - Drawing: GizmoRenderer draws the handles on top of the scene with the
+ *   debug line program (solid color, no lighting)
+ *
+ * A gizmo frame describes where and how the handles are drawn:
+ * frame = { mode, origin, axes, size }
+ * - axes: three unit vectors (world space) the handles are aligned with
+ * - size: world-space length of an axis handle (see gizmoSize)
+ *
+ * A handle = { type, axis, axes }:
+ * - type: 'axis' | 'plane' | 'ring' | 'uniform' | 'free'
+ * - axis: index of the frame axis the handle belongs to (the normal for 'plane')
+ * - axes: indices of the components the handle edits
+ */
+
+import { vec3 } from './math.js';
+
+export const GIZMO_MODES = {
+    TRANSLATE: 'translate',
+    ROTATE: 'rotate',
+    SCALE: 'scale',
+    HIDDEN: 'hidden',
+};
+
+// Handle colors (index = frame axis) and highlight for hovered/dragged handles
+const AXIS_COLORS = [[0.95, 0.25, 0.25], [0.3, 0.85, 0.3], [0.3, 0.5, 1.0]];
+const HIGHLIGHT_COLOR = [1.0, 0.85, 0.2];
+const UNIFORM_COLOR = [0.85, 0.85, 0.85];
+
+// Handle layout as fractions of the frame size
+const PLANE_HANDLE_MIN = 0.25;   // Plane square corner nearest to the origin
+const PLANE_HANDLE_MAX = 0.45;   // Plane square corner farthest from the origin
+const RING_RADIUS = 0.9;
+const ARROW_LENGTH = 0.2;
+const ARROW_RADIUS = 0.06;
+const BOX_HALF_SIZE = 0.06;      // Scale handle boxes
+const UNIFORM_HALF_SIZE = 0.1;   // Uniform scale box at the origin
+const PICK_TOLERANCE = 0.08;     // Distance from a handle that still counts as a hit
+
+// Fraction of the camera distance covered by an axis handle (constant on-screen size)
+const SCREEN_SIZE = 0.15;
+
+/**
+ * World-space size that keeps the gizmo at a constant size on screen
+ * @param {Array<number>} origin - Gizmo position
+ * @param {Array<number>} cameraPos - Camera position
+ * @returns {number} Axis handle length
+ */
+export function gizmoSize(origin, cameraPos) {
+    return vec3.length(vec3.sub(origin, cameraPos)) * SCREEN_SIZE;
+}
+
+/**
+ * Round a value to the nearest multiple of a step
+ * @param {number} value - Value to snap
+ * @param {number} step - Grid step (0 = no snapping)
+ * @returns {number} Snapped value
+ */
+export function snapValue(value, step) {
+    return step > 0 ? Math.round(value / step) * step : value;
+}
+
+/**
+ * Intersect a ray with an infinite plane
+ * @param {{origin: Array<number>, direction: Array<number>}} ray - Ray (direction normalized)
+ * @param {Array<number>} point - Point on the plane
+ * @param {Array<number>} normal - Plane normal
+ * @returns {{point: Array<number>, t: number}|null} Hit point and ray distance, or null
+ */
+function intersectRayPlane(ray, point, normal) {
+    const denom = vec3.dot(normal, ray.direction);
+    if (Math.abs(denom) < 1e-6) return null; // Ray parallel to the plane
+    const t = vec3.dot(vec3.sub(point, ray.origin), normal) / denom;
+    if (t < 0) return null;
+    return { point: vec3.add(ray.origin, vec3.scale(ray.direction, t)), t };
+}
+
+/**
+ * Closest approach between a ray and an infinite line
+ * @param {{origin: Array<number>, direction: Array<number>}} ray - Ray (direction normalized)
+ * @param {Array<number>} origin - Point on the line
+ * @param {Array<number>} axis - Line direction (normalized)
+ * @returns {{s: number, distance: number, t: number}|null} Position along the line,
+ *          distance between the closest points and ray distance, or null if parallel
+ */
+function closestPointOnAxis(ray, origin, axis) {
+    const w = vec3.sub(ray.origin, origin);
+    const b = vec3.dot(ray.direction, axis);
+    const d = vec3.dot(ray.direction, w);
+    const e = vec3.dot(axis, w);
+    const denom = 1 - b * b;
+    if (denom < 1e-6) return null;
+
+    const t = (b * e - d) / denom;   // Along the ray
+    const s = (e - b * d) / denom;   // Along the line
+    const onRay = vec3.add(ray.origin, vec3.scale(ray.direction, t));
+    const onAxis = vec3.add(origin, vec3.scale(axis, s));
+    return { s, distance: vec3.length(vec3.sub(onRay, onAxis)), t };
+}
+
+/**
+ * Find the gizmo handle under a ray
+ * Overlapping handles resolve to the one nearest to the camera.
+ *
+ * @param {Object} frame - Gizmo frame {mode, origin, axes, size}
+ * @param {{origin: Array<number>, direction: Array<number>}} ray - Mouse ray
+ * @returns {Object|null} Handle {type, axis, axes}, or null
+ */
+export function pickHandle(frame, ray) {
+    const { mode, origin, axes, size } = frame;
+    const tolerance = PICK_TOLERANCE * size;
+    const hits = [];
+
+    if (mode === GIZMO_MODES.ROTATE) {
+        axes.forEach((axis, i) => {
+            const hit = intersectRayPlane(ray, origin, axis);
+            if (!hit) return;
+            const radius = vec3.length(vec3.sub(hit.point, origin));
+            if (Math.abs(radius - RING_RADIUS * size) < tolerance) {
+                hits.push({ t: hit.t, handle: { type: 'ring', axis: i, axes: [i] } });
+            }
+        });
+    } else {
+        axes.forEach((axis, i) => {
+            const hit = closestPointOnAxis(ray, origin, axis);
+            if (hit && hit.t > 0 && hit.distance < tolerance && hit.s > 0 && hit.s < size + tolerance) {
+                hits.push({ t: hit.t, handle: { type: 'axis', axis: i, axes: [i] } });
+            }
+        });
+
+        if (mode === GIZMO_MODES.TRANSLATE) {
+            // Plane squares between the two axes they move along
+            axes.forEach((normal, i) => {
+                const hit = intersectRayPlane(ray, origin, normal);
+                if (!hit) return;
+                const offset = vec3.sub(hit.point, origin);
+                const others = [0, 1, 2].filter((k) => k !== i);
+                const inside = others.every((k) => {
+                    const v = vec3.dot(offset, axes[k]) / size;
+                    return v >= PLANE_HANDLE_MIN && v <= PLANE_HANDLE_MAX;
+                });
+                if (inside) {
+                    // Planes win over the axes that border them
+                    hits.push({ t: hit.t - tolerance, handle: { type: 'plane', axis: i, axes: others } });
+                }
+            });
+        } else {
+            // Uniform scale box at the origin (wins over the axes that start inside it)
+            const toOrigin = vec3.sub(origin, ray.origin);
+            const along = vec3.dot(toOrigin, ray.direction);
+            const miss = vec3.length(vec3.sub(toOrigin, vec3.scale(ray.direction, along)));
+            if (along > 0 && miss < (UNIFORM_HALF_SIZE + PICK_TOLERANCE) * size) {
+                hits.push({ t: along - size, handle: { type: 'uniform', axis: -1, axes: [0, 1, 2] } });
+            }
+        }
+    }
+
+    if (hits.length === 0) return null;
+    hits.sort((a, b) => a.t - b.t);
+    return hits[0].handle;
+}
+
+/**
+ * One drag of a gizmo handle
+ * The frame is captured when the drag starts, so results are relative to the
+ * starting state even though the target moves while dragging.
+ */
+export class GizmoDrag {
+    /**
+     * @param {Object} frame - Gizmo frame at the start of the drag
+     * @param {Object} handle - Dragged handle (see pickHandle; 'free' drags
+     *        move in the plane facing the camera)
+     * @param {{origin: Array<number>, direction: Array<number>}} ray - Mouse ray at the start
+     */
+    constructor(frame, handle, ray) {
+        this.frame = frame;
+        this.handle = handle;
+        this.angle = 0;
+
+        // Constraint plane for plane/ring/free/uniform drags
+        const { origin, axes } = frame;
+        if (handle.type === 'plane' || handle.type === 'ring') {
+            this.planeNormal = axes[handle.axis];
+        } else {
+            this.planeNormal = vec3.scale(ray.direction, -1);
+        }
+        this.start = this.project(ray);
+        this.last = this.start && vec3.sub(this.start, origin);
+    }
+
+    /**
+     * Project a mouse ray onto the handle's constraint (axis line or plane)
+     * @param {{origin: Array<number>, direction: Array<number>}} ray - Mouse ray
+     * @returns {Array<number>|null} Constrained point (world space), or null
+     */
+    project(ray) {
+        const { origin, axes } = this.frame;
+        if (this.handle.type === 'axis') {
+            const axis = axes[this.handle.axis];
+            const hit = closestPointOnAxis(ray, origin, axis);
+            return hit ? vec3.add(origin, vec3.scale(axis, hit.s)) : null;
+        }
+        const hit = intersectRayPlane(ray, origin, this.planeNormal);
+        return hit ? hit.point : null;
+    }
+
+    /**
+     * Drag result for the current mouse ray
+     * @param {{origin: Array<number>, direction: Array<number>}} ray - Mouse ray
+     * @returns {Object|null} {delta} world-space offset for translate/free handles,
+     *          {angle} radians around the ring axis, or {factor} for scale handles;
+     *          null if the ray misses the constraint
+     */
+    update(ray) {
+        const point = this.project(ray);
+        if (!point || !this.start) return null;
+        const { origin, axes, mode } = this.frame;
+        const { type, axis } = this.handle;
+
+        if (type === 'ring') {
+            // Accumulate small steps so the angle can go past ±180°
+            const current = vec3.sub(point, origin);
+            const sin = vec3.dot(vec3.cross(this.last, current), axes[axis]);
+            this.angle += Math.atan2(sin, vec3.dot(this.last, current));
+            this.last = current;
+            return { angle: this.angle };
+        }
+
+        if (mode === GIZMO_MODES.SCALE) {
+            const startDistance = type === 'axis'
+                ? vec3.dot(vec3.sub(this.start, origin), axes[axis])
+                : vec3.length(vec3.sub(this.start, origin));
+            const distance = type === 'axis'
+                ? vec3.dot(vec3.sub(point, origin), axes[axis])
+                : vec3.length(vec3.sub(point, origin));
+            if (Math.abs(startDistance) < 1e-6) return null;
+            return { factor: distance / startDistance };
+        }
+
+        return { delta: vec3.sub(point, this.start) };
+    }
+}
+
+/**
+ * Unit vector perpendicular to an axis
+ * @param {Array<number>} axis - Unit vector
+ * @returns {Array<number>} Perpendicular unit vector
+ */
+function perpendicular(axis) {
+    const other = Math.abs(axis[1]) < 0.9 ? [0, 1, 0] : [1, 0, 0];
+    return vec3.normalize(vec3.cross(axis, other));
+}
+
+/**
+ * Triangles of an arrowhead cone
+ * @param {Array<number>} base - Center of the cone base
+ * @param {Array<number>} axis - Cone direction (unit)
+ * @param {number} length - Cone height
+ * @param {number} radius - Base radius
+ * @returns {Array<number>} Triangle vertices
+ */
+function coneTriangles(base, axis, length, radius) {
+    const u = perpendicular(axis);
+    const v = vec3.cross(axis, u);
+    const apex = vec3.add(base, vec3.scale(axis, length));
+    const segments = 12;
+    const vertices = [];
+    for (let i = 0; i < segments; i++) {
+        const ring = (k) => {
+            const angle = (k / segments) * Math.PI * 2;
+            return vec3.add(base, vec3.add(vec3.scale(u, Math.cos(angle) * radius), vec3.scale(v, Math.sin(angle) * radius)));
+        };
+        vertices.push(...apex, ...ring(i), ...ring(i + 1));
+        vertices.push(...base, ...ring(i + 1), ...ring(i));
+    }
+    return vertices;
+}
+
+/**
+ * Triangles of a box aligned with the gizmo axes
+ * @param {Array<number>} center - Box center
+ * @param {Array<Array<number>>} axes - Frame axes
+ * @param {number} halfSize - Half-size along each axis
+ * @returns {Array<number>} Triangle vertices
+ */
+function boxTriangles(center, axes, halfSize) {
+    const corner = (sx, sy, sz) => vec3.add(center, vec3.add(
+        vec3.scale(axes[0], sx * halfSize),
+        vec3.add(vec3.scale(axes[1], sy * halfSize), vec3.scale(axes[2], sz * halfSize))
+    ));
+    const vertices = [];
+    // Two triangles per face, faces perpendicular to each axis on both sides
+    for (let i = 0; i < 3; i++) {
+        for (const side of [-1, 1]) {
+            const p = (a, b) => {
+                const s = [0, 0, 0];
+                s[i] = side;
+                s[(i + 1) % 3] = a;
+                s[(i + 2) % 3] = b;
+                return corner(...s);
+            };
+            vertices.push(...p(-1, -1), ...p(1, -1), ...p(1, 1));
+            vertices.push(...p(-1, -1), ...p(1, 1), ...p(-1, 1));
+        }
+    }
+    return vertices;
+}
+
+/**
+ * Renders the gizmo handles over the scene (no depth test)
+ */
+export class GizmoRenderer {
+    /**
+     * @param {WebGL2RenderingContext} gl - WebGL context
+     * @param {WebGLProgram} program - Solid color line program (debugVertexShader/debugFragmentShader)
+     */
+    constructor(gl, program) {
+        this.gl = gl;
+        this.program = program;
+
+        this.vao = gl.createVertexArray();
+        this.vbo = gl.createBuffer();
+
+        gl.bindVertexArray(this.vao);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.vbo);
+        gl.enableVertexAttribArray(0);
+        gl.vertexAttribPointer(0, 3, gl.FLOAT, false, 0, 0);
+        gl.bindVertexArray(null);
+    }
+
+    /**
+     * Draw the handles of a frame
+     * @param {Object} frame - Gizmo frame {mode, origin, axes, size}
+     * @param {Array<number>} viewMatrix - Camera view matrix
+     * @param {Array<number>} projMatrix - Projection matrix
+     * @param {Object|null} highlight - Handle to highlight (hovered or dragged)
+     */
+    render(frame, viewMatrix, projMatrix, highlight = null) {
+        const { gl, program } = this;
+        const { mode, origin, axes, size } = frame;
+
+        // Collect draw calls: {primitive, vertices, color}
+        const parts = [];
+        const colorFor = (type, axis, color) =>
+            highlight && highlight.type === type && highlight.axis === axis ? HIGHLIGHT_COLOR : color;
+
+        if (mode === GIZMO_MODES.ROTATE) {
+            const segments = 64;
+            axes.forEach((axis, i) => {
+                const u = perpendicular(axis);
+                const v = vec3.cross(axis, u);
+                const point = (k) => {
+                    const angle = (k / segments) * Math.PI * 2;
+                    return vec3.add(origin, vec3.scale(
+                        vec3.add(vec3.scale(u, Math.cos(angle)), vec3.scale(v, Math.sin(angle))),
+                        RING_RADIUS * size
+                    ));
+                };
+                const vertices = [];
+                for (let k = 0; k < segments; k++) {
+                    vertices.push(...point(k), ...point(k + 1));
+                }
+                parts.push({ primitive: gl.LINES, vertices, color: colorFor('ring', i, AXIS_COLORS[i]) });
+            });
+        } else {
+            axes.forEach((axis, i) => {
+                const color = colorFor('axis', i, AXIS_COLORS[i]);
+                const tip = vec3.add(origin, vec3.scale(axis, size));
+                parts.push({ primitive: gl.LINES, vertices: [...origin, ...tip], color });
+
+                const head = mode === GIZMO_MODES.TRANSLATE
+                    ? coneTriangles(tip, axis, ARROW_LENGTH * size, ARROW_RADIUS * size)
+                    : boxTriangles(tip, axes, BOX_HALF_SIZE * size);
+                parts.push({ primitive: gl.TRIANGLES, vertices: head, color });
+            });
+
+            if (mode === GIZMO_MODES.TRANSLATE) {
+                axes.forEach((normal, i) => {
+                    const a = axes[(i + 1) % 3];
+                    const b = axes[(i + 2) % 3];
+                    const p = (sa, sb) => vec3.add(origin, vec3.add(vec3.scale(a, sa * size), vec3.scale(b, sb * size)));
+                    const lo = PLANE_HANDLE_MIN;
+                    const hi = PLANE_HANDLE_MAX;
+                    parts.push({
+                        primitive: gl.TRIANGLES,
+                        vertices: [...p(lo, lo), ...p(hi, lo), ...p(hi, hi), ...p(lo, lo), ...p(hi, hi), ...p(lo, hi)],
+                        color: colorFor('plane', i, vec3.scale(AXIS_COLORS[i], 0.7)),
+                    });
+                });
+            } else {
+                parts.push({
+                    primitive: gl.TRIANGLES,
+                    vertices: boxTriangles(origin, axes, UNIFORM_HALF_SIZE * size),
+                    color: colorFor('uniform', -1, UNIFORM_COLOR),
+                });
+            }
+        }
+
+        gl.useProgram(program);
+        gl.bindVertexArray(this.vao);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.vbo);
+        gl.uniformMatrix4fv(gl.getUniformLocation(program, 'uView'), false, viewMatrix);
+        gl.uniformMatrix4fv(gl.getUniformLocation(program, 'uProj'), false, projMatrix);
+        const colorLoc = gl.getUniformLocation(program, 'uColor');
+
+        // Handles stay visible inside and behind objects
+        gl.disable(gl.DEPTH_TEST);
+        for (const { primitive, vertices, color } of parts) {
+            gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(vertices), gl.DYNAMIC_DRAW);
+            gl.uniform3fv(colorLoc, color);
+            gl.drawArrays(primitive, 0, vertices.length / 3);
+        }
+        gl.enable(gl.DEPTH_TEST);
+        gl.bindVertexArray(null);
+    }
+}
@@ -0,0 +1,464 @@
+/**
+ * glTF 2.0 Loader
+ *
+ * Loads .gltf (JSON + external .bin / images, or embedded data URIs) and
+ * binary .glb files into drawables for the renderer:
+ * - Triangle primitives become VAOs built with createVAO
+ * - Node hierarchies are flattened; each instance gets its world transform as modelMatrix
+ * - pbrMetallicRoughness materials map onto the albedo/metallic/roughness uniforms,
+ *   their textures onto the material texture slots (see textures.js); the clear-coat,
+ *   sheen and transmission extensions contribute their factors (not their textures)
+ *
+ * Not supported: skins, morph targets, animations, sparse accessors, cameras,
+ * and extensions that change geometry encoding (Draco, meshopt, quantization).
+ */
+
+import { mat4 } from './math.js';
+import { computeTangents, computeFlatNormals, createIndexArray, createVAO, VERTEX_STRIDE } from './geometry.js';
+import { MaterialTextures } from './textures.js';
+import { createMaterial, createBounds, expandBoundsTransformed, fitModel, disposeModel } from './model.js';
+
+// GLB container constants
+const GLB_MAGIC = 0x46546C67;   // 'glTF'
+const CHUNK_JSON = 0x4E4F534A;  // 'JSON'
+const CHUNK_BIN = 0x004E4942;   // 'BIN\0'
+
+// Accessor component types: byte size and DataView getter
+const COMPONENT_TYPES = {
+    5120: { size: 1, read: 'getInt8', max: 127 },
+    5121: { size: 1, read: 'getUint8', max: 255 },
+    5122: { size: 2, read: 'getInt16', max: 32767 },
+    5123: { size: 2, read: 'getUint16', max: 65535 },
+    5125: { size: 4, read: 'getUint32', max: 1 },
+    5126: { size: 4, read: 'getFloat32', max: 1 },
+};
+
+// Components per accessor element
+const TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+
+// Primitive mode for triangle lists (the only mode rendered)
+const MODE_TRIANGLES = 4;
+
+// Required extensions this loader can honour
+const SUPPORTED_EXTENSIONS = new Set([
+    'KHR_materials_emissive_strength',
+    'KHR_materials_anisotropy',
+    'KHR_materials_clearcoat',
+    'KHR_materials_sheen',
+    'KHR_materials_transmission',
+    'KHR_materials_ior',
+]);
+
+/**
+ * File name without directories, with URI escapes decoded
+ * @param {string} path - Relative URI or file name
+ * @returns {string} Base name
+ */
+function baseName(path) {
+    const name = path.split(/[\\/]/).pop();
+    try {
+        return decodeURIComponent(name);
+    } catch {
+        return name;
+    }
+}
+
+/**
+ * Split a GLB container into its JSON and binary chunks
+ *
+ * @param {ArrayBuffer} buffer - .glb file contents
+ * @returns {{json: Object, bin: ArrayBuffer|null}} Parsed glTF JSON and BIN chunk
+ * @throws {Error} If the container is malformed
+ */
+function parseGLB(buffer) {
+    const view = new DataView(buffer);
+    if (buffer.byteLength < 20 || view.getUint32(0, true) !== GLB_MAGIC) {
+        throw new Error('Not a binary glTF file (bad GLB header)');
+    }
+    const version = view.getUint32(4, true);
+    if (version !== 2) {
+        throw new Error(`Unsupported GLB version ${version} (only glTF 2.0 is supported)`);
+    }
+
+    let json = null;
+    let bin = null;
+    let offset = 12;
+    while (offset + 8 <= buffer.byteLength) {
+        const length = view.getUint32(offset, true);
+        const type = view.getUint32(offset + 4, true);
+        const start = offset + 8;
+        if (start + length > buffer.byteLength) {
+            throw new Error('Truncated GLB chunk');
+        }
+        if (type === CHUNK_JSON) {
+            json = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, start, length)));
+        } else if (type === CHUNK_BIN && !bin) {
+            bin = buffer.slice(start, start + length);
+        }
+        offset = start + length;
+    }
+    if (!json) {
+        throw new Error('GLB file has no JSON chunk');
+    }
+    return { json, bin };
+}
+
+/**
+ * Fetch the bytes behind a buffer or image URI
+ *
+ * @param {string} uri - Data URI or relative path
+ * @param {Map<string, File>} files - Companion files chosen by the user, by base name
+ * @returns {Promise<ArrayBuffer>} Contents
+ * @throws {Error} If a referenced file was not provided
+ */
+async function resolveUri(uri, files) {
+    if (uri.startsWith('data:')) {
+        const response = await fetch(uri);
+        return response.arrayBuffer();
+    }
+    const file = files.get(baseName(uri));
+    if (!file) {
+        throw new Error(`Missing file "${baseName(uri)}" - select or drop it together with the .gltf`);
+    }
+    return file.arrayBuffer();
+}
+
+/**
+ * Read an accessor into a tightly packed array
+ * Normalized integer attributes are converted to floats in [0, 1] / [-1, 1].
+ *
+ * @param {Object} gltf - glTF JSON
+ * @param {Array<ArrayBuffer>} buffers - Loaded buffers
+ * @param {number} index - Accessor index
+ * @returns {{array: Float32Array|Uint32Array, size: number, count: number}} Values,
+ *          components per element and element count
+ * @throws {Error} If the accessor cannot be read
+ */
+function readAccessor(gltf, buffers, index) {
+    const accessor = gltf.accessors && gltf.accessors[index];
+    if (!accessor) {
+        throw new Error(`Invalid accessor index ${index}`);
+    }
+    if (accessor.sparse) {
+        throw new Error('Sparse accessors are not supported');
+    }
+    const component = COMPONENT_TYPES[accessor.componentType];
+    const size = TYPE_SIZES[accessor.type];
+    if (!component || !size) {
+        throw new Error(`Unsupported accessor type ${accessor.type}/${accessor.componentType}`);
+    }
+
+    const { count } = accessor;
+    const isFloat = accessor.componentType === 5126;
+    const isIndex = !isFloat && !accessor.normalized && size === 1;
+    const array = isIndex ? new Uint32Array(count) : new Float32Array(count * size);
+
+    // Accessors without a buffer view are all zeros
+    if (accessor.bufferView === undefined) {
+        return { array, size, count };
+    }
+
+    const bufferView = gltf.bufferViews[accessor.bufferView];
+    const buffer = buffers[bufferView.buffer];
+    const base = (bufferView.byteOffset || 0) + (accessor.byteOffset || 0);
+    const stride = bufferView.byteStride || component.size * size;
+    if (base + stride * (count - 1) + component.size * size > buffer.byteLength) {
+        throw new Error(`Accessor ${index} reads past the end of its buffer`);
+    }
+
+    const view = new DataView(buffer);
+    const read = view[component.read].bind(view);
+    const scale = accessor.normalized ? 1 / component.max : 1;
+
+    for (let i = 0; i < count; i++) {
+        const elementOffset = base + i * stride;
+        for (let c = 0; c < size; c++) {
+            const value = read(elementOffset + c * component.size, true);
+            // Signed normalized values clamp at -1 (e.g. -128 / 127)
+            array[i * size + c] = accessor.normalized ? Math.max(value * scale, -1) : value;
+        }
+    }
+    return { array, size, count };
+}
+
+/**
+ * Build interleaved vertex data for a triangle primitive
+ *
+ * @param {Object} gltf - glTF JSON
+ * @param {Array<ArrayBuffer>} buffers - Loaded buffers
+ * @param {Object} primitive - Mesh primitive
+ * @returns {{data: Float32Array, indices: Uint16Array|Uint32Array}} Geometry for createVAO
+ */
+function buildGeometry(gltf, buffers, primitive) {
+    const { attributes } = primitive;
+    if (attributes.POSITION === undefined) {
+        throw new Error('Mesh primitive has no POSITION attribute');
+    }
+    const position = readAccessor(gltf, buffers, attributes.POSITION);
+    const normal = attributes.NORMAL !== undefined ? readAccessor(gltf, buffers, attributes.NORMAL) : null;
+    const uv = attributes.TEXCOORD_0 !== undefined ? readAccessor(gltf, buffers, attributes.TEXCOORD_0) : null;
+    const tangent = attributes.TANGENT !== undefined ? readAccessor(gltf, buffers, attributes.TANGENT) : null;
+    const vertexCount = position.count;
+
+    // Non-indexed primitives draw vertices in order
+    const indices = primitive.indices !== undefined
+        ? readAccessor(gltf, buffers, primitive.indices).array
+        : Uint32Array.from({ length: vertexCount }, (_, i) => i);
+
+    // Position, normal, UV (tangents are appended below)
+    const data = new Float32Array(vertexCount * 8);
+    for (let v = 0; v < vertexCount; v++) {
+        data.set(position.array.subarray(v * 3, v * 3 + 3), v * 8);
+        if (normal) data.set(normal.array.subarray(v * 3, v * 3 + 3), v * 8 + 3);
+        if (uv) data.set(uv.array.subarray(v * 2, v * 2 + 2), v * 8 + 6);
+    }
+
+    // glTF requires flat normals when none are given
+    if (!normal) {
+        const flat = computeFlatNormals(data, indices);
+        return { data: computeTangents(flat.data, flat.indices), indices: flat.indices };
+    }
+
+    // Use authored tangents when present, otherwise derive them from the UVs
+    let vertices;
+    if (tangent) {
+        vertices = new Float32Array(vertexCount * VERTEX_STRIDE);
+        for (let v = 0; v < vertexCount; v++) {
+            vertices.set(data.subarray(v * 8, v * 8 + 8), v * VERTEX_STRIDE);
+            vertices.set(tangent.array.subarray(v * 4, v * 4 + 4), v * VERTEX_STRIDE + 8);
+        }
+    } else {
+        vertices = computeTangents(data, indices);
+    }
+    return { data: vertices, indices: createIndexArray(indices, vertexCount) };
+}
+
+/**
+ * Local transform of a node (matrix, or translation/rotation/scale)
+ * @param {Object} node - glTF node
+ * @returns {Array<number>} Node → parent transform
+ */
+function nodeMatrix(node) {
+    if (node.matrix) {
+        return node.matrix.slice();
+    }
+    return mat4.fromTRS(
+        node.translation || [0, 0, 0],
+        node.rotation || [0, 0, 0, 1],
+        node.scale || [1, 1, 1]
+    );
+}
+
+/**
+ * Load a glTF 2.0 model from user-selected files
+ *
+ * @param {WebGL2RenderingContext} gl - WebGL context
+ * @param {Array<File>} fileList - A .glb, or a .gltf plus the .bin/image files it references
+ * @returns {Promise<Object>} Model (see model.js), fitted to the size of the built-in objects
+ * @throws {Error} If no glTF file was given or the asset cannot be loaded
+ */
+export async function loadGLTF(gl, fileList) {
+    const files = new Map(Array.from(fileList, (file) => [file.name, file]));
+    const main = Array.from(fileList).find((file) => /\.(gltf|glb)$/i.test(file.name));
+    if (!main) {
+        throw new Error('No .gltf or .glb file selected');
+    }
+
+    // Container: JSON with external buffers, or GLB with an embedded BIN chunk
+    const contents = await main.arrayBuffer();
+    let gltf;
+    let glbBin = null;
+    if (/\.glb$/i.test(main.name)) {
+        ({ json: gltf, bin: glbBin } = parseGLB(contents));
+    } else {
+        gltf = JSON.parse(new TextDecoder().decode(contents));
+    }
+
+    const version = gltf.asset && gltf.asset.version;
+    if (!version || !version.startsWith('2.')) {
+        throw new Error(`Unsupported glTF version ${version || '(missing)'}`);
+    }
+    for (const extension of gltf.extensionsRequired || []) {
+        if (!SUPPORTED_EXTENSIONS.has(extension)) {
+            throw new Error(`Required glTF extension ${extension} is not supported`);
+        }
+    }
+
+    // Buffers (a buffer without a URI refers to the GLB BIN chunk)
+    const buffers = await Promise.all((gltf.buffers || []).map((buffer) => {
+        if (buffer.uri === undefined) {
+            if (!glbBin) throw new Error('Buffer has no URI and the file has no BIN chunk');
+            return glbBin;
+        }
+        return resolveUri(buffer.uri, files);
+    }));
+
+    // Images are decoded once and shared by every texture slot that uses them
+    const imageCache = new Map();
+    const loadImage = (index) => {
+        if (!imageCache.has(index)) {
+            imageCache.set(index, (async () => {
+                const image = gltf.images[index];
+                let blob;
+                if (image.bufferView !== undefined) {
+                    const view = gltf.bufferViews[image.bufferView];
+                    const start = view.byteOffset || 0;
+                    blob = new Blob([buffers[view.buffer].slice(start, start + view.byteLength)],
+                        { type: image.mimeType });
+                } else {
+                    blob = new Blob([await resolveUri(image.uri, files)]);
+                }
+                try {
+                    return await createImageBitmap(blob, {
+                        premultiplyAlpha: 'none',
+                        colorSpaceConversion: 'none',
+                    });
+                } catch {
+                    throw new Error(`Could not decode image ${image.name || image.uri || index}`);
+                }
+            })());
+        }
+        return imageCache.get(index);
+    };
+
+    const model = {
+        name: main.name,
+        drawables: [],
+        geometries: [],
+        materials: [],
+        triangleCount: 0,
+        warnings: [],
+    };
+
+    try {
+        // Materials (index -1 = glTF default material)
+        const materials = new Map();
+        const getMaterial = async (index) => {
+            const key = index === undefined ? -1 : index;
+            if (materials.has(key)) return materials.get(key);
+
+            const def = (gltf.materials && gltf.materials[key]) || {};
+            const pbr = def.pbrMetallicRoughness || {};
+            const baseColor = pbr.baseColorFactor || [1, 1, 1, 1];
+            const extensions = def.extensions || {};
+            const emissiveStrength = extensions.KHR_materials_emissive_strength
+                ? extensions.KHR_materials_emissive_strength.emissiveStrength
+                : 1;
+            const anisotropy = extensions.KHR_materials_anisotropy || {};
+            const clearcoat = extensions.KHR_materials_clearcoat || {};
+            const sheen = extensions.KHR_materials_sheen || {};
+            const transmission = extensions.KHR_materials_transmission || {};
+            const ior = extensions.KHR_materials_ior || {};
+            const material = createMaterial({
+                name: def.name || (key < 0 ? 'Default' : `Material ${key}`),
+                albedo: baseColor.slice(0, 3),
+                metallic: pbr.metallicFactor !== undefined ? pbr.metallicFactor : 1,
+                roughness: pbr.roughnessFactor !== undefined ? pbr.roughnessFactor : 1,
+                ior: ior.ior !== undefined ? ior.ior : 1.5,
+                emissive: (def.emissiveFactor || [0, 0, 0]).map((c) => c * emissiveStrength),
+                normalScale: def.normalTexture && def.normalTexture.scale !== undefined
+                    ? def.normalTexture.scale : 1,
+                occlusionStrength: def.occlusionTexture && def.occlusionTexture.strength !== undefined
+                    ? def.occlusionTexture.strength : 1,
+                anisotropy: anisotropy.anisotropyStrength || 0,
+                anisotropyRotation: anisotropy.anisotropyRotation || 0,
+                clearcoat: clearcoat.clearcoatFactor || 0,
+                clearcoatRoughness: clearcoat.clearcoatRoughnessFactor || 0,
+                sheenColor: sheen.sheenColorFactor || [0, 0, 0],
+                sheenRoughness: sheen.sheenRoughnessFactor || 0,
+                transmission: transmission.transmissionFactor || 0,
+            });
+
+            const slots = {
+                baseColor: pbr.baseColorTexture,
+                metallicRoughness: pbr.metallicRoughnessTexture,
+                normal: def.normalTexture,
+                occlusion: def.occlusionTexture,
+                emissive: def.emissiveTexture,
+                anisotropy: anisotropy.anisotropyTexture,
+            };
+            for (const [slot, info] of Object.entries(slots)) {
+                const texture = info && gltf.textures && gltf.textures[info.index];
+                if (!texture || texture.source === undefined) continue;
+                if (!material.textures) material.textures = new MaterialTextures(gl);
+                material.textures.setImage(slot, await loadImage(texture.source));
+            }
+
+            materials.set(key, material);
+            model.materials.push(material);
+            return material;
+        };
+
+        // Mesh primitives become VAOs, shared between instances of the same mesh
+        const meshCache = new Map();
+        const getMesh = async (index) => {
+            if (meshCache.has(index)) return meshCache.get(index);
+            const primitives = [];
+            for (const primitive of gltf.meshes[index].primitives) {
+                const mode = primitive.mode !== undefined ? primitive.mode : MODE_TRIANGLES;
+                if (mode !== MODE_TRIANGLES) {
+                    model.warnings.push(`Skipped primitive with unsupported mode ${mode}`);
+                    continue;
+                }
+                const geometry = createVAO(gl, buildGeometry(gltf, buffers, primitive));
+                model.geometries.push(geometry);
+                const accessor = gltf.accessors[primitive.attributes.POSITION];
+                primitives.push({
+                    geometry,
+                    material: await getMaterial(primitive.material),
+                    min: accessor.min,
+                    max: accessor.max,
+                });
+            }
+            meshCache.set(index, primitives);
+            return primitives;
+        };
+
+        // Walk the node hierarchy of the default scene
+        const bounds = createBounds();
+        const visit = async (nodeIndex, parentMatrix) => {
+            const node = gltf.nodes[nodeIndex];
+            const world = mat4.multiply(parentMatrix, nodeMatrix(node));
+
+            if (node.mesh !== undefined) {
+                for (const primitive of await getMesh(node.mesh)) {
+                    model.drawables.push({
+                        ...primitive.geometry,
+                        modelMatrix: world,
+                        material: primitive.material,
+                    });
+                    model.triangleCount += primitive.geometry.count / 3;
+                    if (primitive.min && primitive.max) {
+                        expandBoundsTransformed(bounds, primitive.min, primitive.max, world);
+                    }
+                }
+            }
+            for (const child of node.children || []) {
+                await visit(child, world);
+            }
+        };
+
+        const scenes = gltf.scenes || [];
+        const scene = scenes[gltf.scene !== undefined ? gltf.scene : 0];
+        const roots = scene ? scene.nodes || [] : [];
+        for (const root of roots) {
+            await visit(root, mat4.identity());
+        }
+        if (model.drawables.length === 0) {
+            throw new Error('The glTF scene contains no triangle meshes');
+        }
+
+        fitModel(model, bounds);
+    } catch (err) {
+        // Free whatever was created before the failure
+        disposeModel(gl, model);
+        throw err;
+    } finally {
+        for (const pending of imageCache.values()) {
+            pending.then((image) => image.close(), () => {});
+        }
+    }
+
+    model.warnings.forEach((warning) => console.warn(`glTF: ${warning}`));
+    return model;
+}
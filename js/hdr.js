@@ -0,0 +1,156 @@
+/**
+ * Radiance HDR (RGBE) Loader
+ *
+ * Parses .hdr files as written by Radiance, HDRShop and most HDRI libraries.
+ * Supports flat, old-style RLE and new-style (per-channel) RLE scanlines.
+ *
+ * Each pixel is stored as shared-exponent RGBE:
+ * value = mantissa * 2^(exponent - 128) / 256
+ */
+
+/**
+ * Read one newline-terminated ASCII line from a byte array
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} pos - Start offset
+ * @returns {{line: string, next: number}} Line text (without newline) and offset after it
+ */
+function readLine(bytes, pos) {
+    let end = pos;
+    while (end < bytes.length && bytes[end] !== 0x0a) end++;
+    if (end >= bytes.length) {
+        throw new Error('Unexpected end of file in HDR header');
+    }
+    let line = '';
+    for (let i = pos; i < end; i++) line += String.fromCharCode(bytes[i]);
+    return { line, next: end + 1 };
+}
+
+/**
+ * Decode one scanline into RGBE bytes
+ *
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} pos - Offset of the scanline
+ * @param {number} width - Scanline width in pixels
+ * @param {Uint8Array} out - Output buffer (width * 4 bytes, interleaved RGBE)
+ * @returns {number} Offset after the scanline
+ */
+function readScanline(bytes, pos, width, out) {
+    const isNewRLE = width >= 8 && width < 0x8000 &&
+        bytes[pos] === 2 && bytes[pos + 1] === 2 && (bytes[pos + 2] & 0x80) === 0;
+
+    if (isNewRLE) {
+        // New-style RLE: 4-byte marker, then each channel encoded separately
+        const encodedWidth = (bytes[pos + 2] << 8) | bytes[pos + 3];
+        if (encodedWidth !== width) {
+            throw new Error('HDR scanline width does not match image width');
+        }
+        pos += 4;
+
+        for (let channel = 0; channel < 4; channel++) {
+            let x = 0;
+            while (x < width) {
+                if (pos >= bytes.length) throw new Error('Unexpected end of HDR data');
+                let count = bytes[pos++];
+                if (count > 128) {
+                    // Run: repeat the next byte (count - 128) times
+                    count -= 128;
+                    if (count > width - x) throw new Error('Bad HDR run length');
+                    const value = bytes[pos++];
+                    for (let i = 0; i < count; i++) out[(x++) * 4 + channel] = value;
+                } else {
+                    // Literal: copy the next count bytes
+                    if (count === 0 || count > width - x) throw new Error('Bad HDR literal length');
+                    for (let i = 0; i < count; i++) out[(x++) * 4 + channel] = bytes[pos++];
+                }
+            }
+        }
+        return pos;
+    }
+
+    // Flat pixels, possibly with old-style RLE (1,1,1,n repeats the previous pixel)
+    let x = 0;
+    let shift = 0;
+    while (x < width) {
+        if (pos + 4 > bytes.length) throw new Error('Unexpected end of HDR data');
+        const r = bytes[pos], g = bytes[pos + 1], b = bytes[pos + 2], e = bytes[pos + 3];
+        pos += 4;
+
+        if (r === 1 && g === 1 && b === 1 && x > 0) {
+            const count = e << shift;
+            if (count > width - x) throw new Error('Bad HDR run length');
+            for (let i = 0; i < count; i++, x++) {
+                out.copyWithin(x * 4, (x - 1) * 4, x * 4);
+            }
+            shift += 8;
+        } else {
+            out[x * 4] = r;
+            out[x * 4 + 1] = g;
+            out[x * 4 + 2] = b;
+            out[x * 4 + 3] = e;
+            x++;
+            shift = 0;
+        }
+    }
+    return pos;
+}
+
+/**
+ * Parse a Radiance .hdr file
+ *
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {{width: number, height: number, data: Float32Array}} Linear RGBA pixels,
+ *          top row first (alpha is always 1)
+ * @throws {Error} If the file is not a valid RGBE image
+ */
+export function parseHDR(buffer) {
+    const bytes = new Uint8Array(buffer);
+
+    // Magic line
+    let { line, next } = readLine(bytes, 0);
+    if (!line.startsWith('#?')) {
+        throw new Error('Not a Radiance HDR file (missing #? signature)');
+    }
+
+    // Header variables until the first empty line
+    let format = null;
+    for (;;) {
+        ({ line, next } = readLine(bytes, next));
+        if (line.trim() === '') break;
+        if (line.startsWith('FORMAT=')) format = line.slice(7).trim();
+    }
+    if (format && format !== '32-bit_rle_rgbe') {
+        throw new Error(`Unsupported HDR pixel format: ${format}`);
+    }
+
+    // Resolution string, e.g. "-Y 512 +X 1024"
+    ({ line, next } = readLine(bytes, next));
+    const match = line.trim().match(/^([-+])Y\s+(\d+)\s+\+X\s+(\d+)$/);
+    if (!match) {
+        throw new Error(`Unsupported HDR orientation: "${line.trim()}"`);
+    }
+    const bottomUp = match[1] === '+';
+    const height = parseInt(match[2], 10);
+    const width = parseInt(match[3], 10);
+
+    // Decode scanlines and convert RGBE to linear floats
+    const data = new Float32Array(width * height * 4);
+    const scanline = new Uint8Array(width * 4);
+    let pos = next;
+
+    for (let y = 0; y < height; y++) {
+        pos = readScanline(bytes, pos, width, scanline);
+        const row = bottomUp ? height - 1 - y : y;
+
+        for (let x = 0; x < width; x++) {
+            const e = scanline[x * 4 + 3];
+            const scale = e === 0 ? 0 : Math.pow(2, e - 136); // 2^(e-128) / 256
+            const o = (row * width + x) * 4;
+            data[o] = scanline[x * 4] * scale;
+            data[o + 1] = scanline[x * 4 + 1] * scale;
+            data[o + 2] = scanline[x * 4 + 2] * scale;
+            data[o + 3] = 1;
+        }
+    }
+
+    return { width, height, data };
+}
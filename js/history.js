@@ -0,0 +1,94 @@
+/**
+ * Undo History Module
+ *
+ * Linear undo/redo stack of reversible edits.
+ * entry = { label, undo(), redo() }
+ * - undo/redo: restore the state before/after the edit
+ * Making a new edit discards the redo stack.
+ */
+
+// Oldest entries are dropped beyond this many edits
+const HISTORY_LIMIT = 100;
+
+export class UndoHistory {
+    constructor() {
+        this.undoStack = [];
+        this.redoStack = [];
+
+        // Called after every change of the stacks (e.g. to enable undo/redo buttons)
+        this.onChange = null;
+    }
+
+    /**
+     * Record an edit that has already been applied
+     * @param {Object} entry - Edit {label, undo, redo}
+     */
+    push(entry) {
+        this.undoStack.push(entry);
+        if (this.undoStack.length > HISTORY_LIMIT) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.notify();
+    }
+
+    /**
+     * Revert the most recent edit
+     * @returns {boolean} False if there was nothing to undo
+     */
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return false;
+        entry.undo();
+        this.redoStack.push(entry);
+        this.notify();
+        return true;
+    }
+
+    /**
+     * Re-apply the most recently undone edit
+     * @returns {boolean} False if there was nothing to redo
+     */
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return false;
+        entry.redo();
+        this.undoStack.push(entry);
+        this.notify();
+        return true;
+    }
+
+    /**
+     * Forget all edits (e.g. after the whole scene was replaced)
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notify();
+    }
+
+    /**
+     * Label of the edit that undo would revert
+     * @returns {string|null} Label, or null if the stack is empty
+     */
+    get undoLabel() {
+        return this.undoStack.length > 0 ? this.undoStack[this.undoStack.length - 1].label : null;
+    }
+
+    /**
+     * Label of the edit that redo would re-apply
+     * @returns {string|null} Label, or null if the stack is empty
+     */
+    get redoLabel() {
+        return this.redoStack.length > 0 ? this.redoStack[this.redoStack.length - 1].label : null;
+    }
+
+    /**
+     * Report a change of the stacks to the listener
+     */
+    notify() {
+        if (this.onChange) {
+            this.onChange(this);
+        }
+    }
+}
@@ -2,10 +2,13 @@
  * Ray-Object Intersection Module
  * 
  * Provides ray casting functions for mouse picking.
- * Used to detect when the mouse hovers over 3D objects.
+ * Used to detect when the mouse hovers over 3D objects:
+ * - Analytic ray-sphere test (light markers)
+ * - Triangle meshes of any size through a bounding volume hierarchy (MeshBVH)
  */
 
-import { vec3 } from './math.js';
+import { vec3, mat3, mat4 } from './math.js';
+import { VERTEX_STRIDE } from './geometry.js';
 
 /**
  * Ray-sphere intersection test
@@ -45,86 +48,384 @@ export function intersectSphere(rayOrigin, rayDir, sphereCenter, sphereRadius) {
     return { point, normal };
 }
 
+// ====================================
+// Triangle meshes (bounding volume hierarchy)
+// ====================================
+
+// Most triangles per BVH leaf; larger leaves are split whenever a split is possible
+const BVH_LEAF_SIZE = 4;
+
+// Candidate split planes per axis for the surface area heuristic
+const BVH_BINS = 12;
+
 /**
- * Ray-AABB (axis-aligned bounding box) intersection test
- * Uses slab method for efficient intersection testing
+ * Bounding volume hierarchy over the triangles of an indexed mesh
  * 
- * @param {Array<number>} rayOrigin - Ray starting point
- * @param {Array<number>} rayDir - Ray direction (normalized)
- * @param {Array<number>} boxCenter - Box center position
- * @param {number} boxHalfSize - Half-size of the cube (0.6 for our cube)
- * @returns {Object|null} Hit info {point, normal} or null if no hit
+ * Built top-down with a binned surface area heuristic. Nodes live in flat typed
+ * arrays so meshes with hundreds of thousands of triangles stay compact:
+ * - nodeBounds: 6 floats per node (min xyz, max xyz)
+ * - nodeData: 2 integers per node; internal nodes store [left child, 0]
+ *   (the right child follows the left one), leaves [first triangle, count]
+ * - triangles: triangle indices reordered so every leaf covers a contiguous range
  */
-export function intersectCube(rayOrigin, rayDir, boxCenter, boxHalfSize) {
-    // Calculate box min and max corners
-    const min = vec3.sub(boxCenter, [boxHalfSize, boxHalfSize, boxHalfSize]);
-    const max = vec3.add(boxCenter, [boxHalfSize, boxHalfSize, boxHalfSize]);
-    
-    // Test X-axis slab
-    let tmin = (min[0] - rayOrigin[0]) / rayDir[0];
-    let tmax = (max[0] - rayOrigin[0]) / rayDir[0];
-    if (tmin > tmax) [tmin, tmax] = [tmax, tmin]; // Swap if needed
-    
-    // Test Y-axis slab
-    let tymin = (min[1] - rayOrigin[1]) / rayDir[1];
-    let tymax = (max[1] - rayOrigin[1]) / rayDir[1];
-    if (tymin > tymax) [tymin, tymax] = [tymax, tymin];
-    
-    // Check if slabs overlap
-    if ((tmin > tymax) || (tymin > tmax)) return null;
-    
-    // Update intersection range
-    if (tymin > tmin) tmin = tymin;
-    if (tymax < tmax) tmax = tymax;
-    
-    // Test Z-axis slab
-    let tzmin = (min[2] - rayOrigin[2]) / rayDir[2];
-    let tzmax = (max[2] - rayOrigin[2]) / rayDir[2];
-    if (tzmin > tzmax) [tzmin, tzmax] = [tzmax, tzmin];
-    
-    // Check if all slabs overlap
-    if ((tmin > tzmax) || (tzmin > tmax)) return null;
-    
-    if (tzmin > tmin) tmin = tzmin;
-    
-    // Reject if intersection is behind ray
-    if (tmin < 0) return null;
-    
-    // Calculate hit point
-    const point = vec3.add(rayOrigin, vec3.scale(rayDir, tmin));
-    
-    // Determine which face was hit by finding the axis with largest component
-    const local = vec3.sub(point, boxCenter);
-    const absLocal = local.map(Math.abs);
-    const maxAxis = Math.max(absLocal[0], absLocal[1], absLocal[2]);
-    
-    // Set normal based on which face was hit
-    let normal = [0, 0, 0];
-    if (maxAxis === absLocal[0]) {
-        normal = [Math.sign(local[0]), 0, 0];
-    } else if (maxAxis === absLocal[1]) {
-        normal = [0, Math.sign(local[1]), 0];
-    } else {
-        normal = [0, 0, Math.sign(local[2])];
+export class MeshBVH {
+    /**
+     * @param {Float32Array} data - Interleaved vertex data (position first in each vertex)
+     * @param {Uint16Array|Uint32Array} indices - Triangle indices
+     * @param {number} stride - Floats per vertex
+     */
+    constructor(data, indices, stride = VERTEX_STRIDE) {
+        this.data = data;
+        this.indices = indices;
+        this.stride = stride;
+        
+        const triangleCount = Math.floor(indices.length / 3);
+        this.triangles = new Uint32Array(triangleCount);
+        
+        // Bounds and centroid of every triangle
+        const triangleBounds = new Float32Array(triangleCount * 6);
+        const centroids = new Float32Array(triangleCount * 3);
+        for (let i = 0; i < triangleCount; i++) {
+            this.triangles[i] = i;
+            for (let axis = 0; axis < 3; axis++) {
+                const a = data[indices[i * 3] * stride + axis];
+                const b = data[indices[i * 3 + 1] * stride + axis];
+                const c = data[indices[i * 3 + 2] * stride + axis];
+                const min = Math.min(a, b, c);
+                const max = Math.max(a, b, c);
+                triangleBounds[i * 6 + axis] = min;
+                triangleBounds[i * 6 + 3 + axis] = max;
+                centroids[i * 3 + axis] = (min + max) / 2;
+            }
+        }
+        
+        // A binary tree with at least one triangle per leaf has at most 2n - 1 nodes
+        const maxNodes = Math.max(1, 2 * triangleCount - 1);
+        this.nodeBounds = new Float32Array(maxNodes * 6);
+        this.nodeData = new Uint32Array(maxNodes * 2);
+        this.nodeCount = 1;
+        
+        this.build(triangleBounds, centroids);
     }
     
-    return { point, normal };
+    /**
+     * Split nodes top-down until the leaves are small (iterative, no recursion limit)
+     * @param {Float32Array} triangleBounds - Per-triangle bounds (6 floats each)
+     * @param {Float32Array} centroids - Per-triangle centroids (3 floats each)
+     */
+    build(triangleBounds, centroids) {
+        const { triangles, nodeBounds, nodeData } = this;
+        const binCounts = new Uint32Array(BVH_BINS);
+        const binBounds = new Float32Array(BVH_BINS * 6);
+        const rightCounts = new Uint32Array(BVH_BINS);
+        const rightAreas = new Float32Array(BVH_BINS);
+        
+        const stack = [[0, 0, triangles.length]];
+        while (stack.length > 0) {
+            const [node, start, end] = stack.pop();
+            
+            // Node bounds and centroid bounds
+            const bounds = [Infinity, Infinity, Infinity, -Infinity, -Infinity, -Infinity];
+            const centroidMin = [Infinity, Infinity, Infinity];
+            const centroidMax = [-Infinity, -Infinity, -Infinity];
+            for (let i = start; i < end; i++) {
+                const tri = triangles[i];
+                for (let axis = 0; axis < 3; axis++) {
+                    bounds[axis] = Math.min(bounds[axis], triangleBounds[tri * 6 + axis]);
+                    bounds[3 + axis] = Math.max(bounds[3 + axis], triangleBounds[tri * 6 + 3 + axis]);
+                    centroidMin[axis] = Math.min(centroidMin[axis], centroids[tri * 3 + axis]);
+                    centroidMax[axis] = Math.max(centroidMax[axis], centroids[tri * 3 + axis]);
+                }
+            }
+            nodeBounds.set(bounds, node * 6);
+            
+            const count = end - start;
+            const makeLeaf = () => {
+                nodeData[node * 2] = start;
+                nodeData[node * 2 + 1] = count;
+            };
+            if (count <= BVH_LEAF_SIZE) {
+                makeLeaf();
+                continue;
+            }
+            
+            // Split along the axis with the widest centroid spread
+            const extents = [0, 1, 2].map((axis) => centroidMax[axis] - centroidMin[axis]);
+            const axis = extents.indexOf(Math.max(...extents));
+            if (!(extents[axis] > 0)) {
+                makeLeaf(); // All centroids coincide: no split separates them
+                continue;
+            }
+            
+            // Bin the centroids
+            const binScale = BVH_BINS / extents[axis];
+            const binOf = (tri) => Math.min(BVH_BINS - 1, Math.floor((centroids[tri * 3 + axis] - centroidMin[axis]) * binScale));
+            binCounts.fill(0);
+            for (let b = 0; b < BVH_BINS; b++) {
+                binBounds.set([Infinity, Infinity, Infinity, -Infinity, -Infinity, -Infinity], b * 6);
+            }
+            for (let i = start; i < end; i++) {
+                const tri = triangles[i];
+                const b = binOf(tri);
+                binCounts[b]++;
+                for (let k = 0; k < 3; k++) {
+                    binBounds[b * 6 + k] = Math.min(binBounds[b * 6 + k], triangleBounds[tri * 6 + k]);
+                    binBounds[b * 6 + 3 + k] = Math.max(binBounds[b * 6 + 3 + k], triangleBounds[tri * 6 + 3 + k]);
+                }
+            }
+            
+            // Sweep from the right to get the area/count of every right-hand side,
+            // then from the left to evaluate each split: cost ∝ area × triangle count
+            const sweep = [];
+            const reset = () => sweep.splice(0, 6, Infinity, Infinity, Infinity, -Infinity, -Infinity, -Infinity);
+            const grow = (b) => {
+                for (let k = 0; k < 3; k++) {
+                    sweep[k] = Math.min(sweep[k], binBounds[b * 6 + k]);
+                    sweep[3 + k] = Math.max(sweep[3 + k], binBounds[b * 6 + 3 + k]);
+                }
+            };
+            let sum = 0;
+            reset();
+            for (let b = BVH_BINS - 1; b > 0; b--) {
+                grow(b);
+                sum += binCounts[b];
+                rightCounts[b] = sum;
+                rightAreas[b] = sum > 0 ? surfaceArea(sweep) : 0;
+            }
+            reset();
+            let leftCount = 0;
+            let bestCost = Infinity;
+            let bestSplit = -1;
+            for (let b = 1; b < BVH_BINS; b++) {
+                grow(b - 1);
+                leftCount += binCounts[b - 1];
+                if (leftCount === 0 || rightCounts[b] === 0) continue;
+                const cost = surfaceArea(sweep) * leftCount + rightAreas[b] * rightCounts[b];
+                if (cost < bestCost) {
+                    bestCost = cost;
+                    bestSplit = b;
+                }
+            }
+            
+            // Partition the range in place: bins below the split go left
+            let mid = start;
+            if (bestSplit > 0) {
+                for (let i = start; i < end; i++) {
+                    if (binOf(triangles[i]) < bestSplit) {
+                        const tmp = triangles[i];
+                        triangles[i] = triangles[mid];
+                        triangles[mid++] = tmp;
+                    }
+                }
+            }
+            if (mid === start || mid === end) {
+                mid = (start + end) >> 1; // Degenerate binning: split the range in half
+            }
+            
+            const left = this.nodeCount;
+            this.nodeCount += 2;
+            nodeData[node * 2] = left;
+            nodeData[node * 2 + 1] = 0;
+            stack.push([left + 1, mid, end], [left, start, mid]);
+        }
+    }
+    
+    /**
+     * Distance along a ray to a node's bounding box
+     * @param {number} node - Node index
+     * @param {Array<number>} origin - Ray origin
+     * @param {Array<number>} invDir - Reciprocal of the ray direction
+     * @returns {number} Entry distance (≥ 0), or Infinity if the box is missed
+     */
+    intersectNode(node, origin, invDir) {
+        const b = this.nodeBounds;
+        const o = node * 6;
+        let tmin = 0;
+        let tmax = Infinity;
+        for (let axis = 0; axis < 3; axis++) {
+            const t0 = (b[o + axis] - origin[axis]) * invDir[axis];
+            const t1 = (b[o + 3 + axis] - origin[axis]) * invDir[axis];
+            tmin = Math.max(tmin, Math.min(t0, t1));
+            tmax = Math.min(tmax, Math.max(t0, t1));
+            if (tmin > tmax) return Infinity;
+        }
+        return tmin;
+    }
+    
+    /**
+     * Nearest triangle hit by a ray (triangles are double-sided)
+     * @param {Array<number>} origin - Ray origin (mesh space)
+     * @param {Array<number>} dir - Ray direction (mesh space, need not be normalized)
+     * @returns {Object|null} {t, triangle, barycentric} with t in units of dir, or null
+     */
+    intersect(origin, dir) {
+        if (this.triangles.length === 0) return null;
+        const { data, indices, stride, nodeData, triangles } = this;
+        // Avoid 0 × ∞ = NaN in the slab test for axis-parallel rays
+        const invDir = dir.map((d) => 1 / (Math.abs(d) > 1e-12 ? d : 1e-12));
+        
+        let best = null;
+        let closest = Infinity;
+        const stack = [0];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (this.intersectNode(node, origin, invDir) >= closest) continue;
+            
+            const count = nodeData[node * 2 + 1];
+            if (count > 0) {
+                const first = nodeData[node * 2];
+                for (let i = first; i < first + count; i++) {
+                    const tri = triangles[i];
+                    const hit = intersectTriangle(origin, dir, data, stride,
+                        indices[tri * 3], indices[tri * 3 + 1], indices[tri * 3 + 2]);
+                    if (hit && hit.t < closest) {
+                        closest = hit.t;
+                        best = { t: hit.t, triangle: tri, barycentric: [1 - hit.u - hit.v, hit.u, hit.v] };
+                    }
+                }
+                continue;
+            }
+            
+            // Visit the nearer child first (pushed last)
+            const left = nodeData[node * 2];
+            const tLeft = this.intersectNode(left, origin, invDir);
+            const tRight = this.intersectNode(left + 1, origin, invDir);
+            if (tLeft <= tRight) {
+                if (tRight < closest) stack.push(left + 1);
+                if (tLeft < closest) stack.push(left);
+            } else {
+                if (tLeft < closest) stack.push(left);
+                if (tRight < closest) stack.push(left + 1);
+            }
+        }
+        return best;
+    }
 }
 
 /**
- * Test ray intersection with current object type
+ * Surface area of a box (relative cost of visiting it)
+ * @param {Array<number>} b - Bounds [min xyz, max xyz]
+ * @returns {number} Surface area / 2
+ */
+function surfaceArea(b) {
+    const x = b[3] - b[0];
+    const y = b[4] - b[1];
+    const z = b[5] - b[2];
+    return x * y + y * z + z * x;
+}
+
+/**
+ * Ray-triangle intersection (Möller-Trumbore, double-sided)
+ * @param {Array<number>} origin - Ray origin
+ * @param {Array<number>} dir - Ray direction
+ * @param {Float32Array} data - Interleaved vertex data
+ * @param {number} stride - Floats per vertex
+ * @param {number} i0 - First vertex index
+ * @param {number} i1 - Second vertex index
+ * @param {number} i2 - Third vertex index
+ * @returns {{t: number, u: number, v: number}|null} Ray distance and barycentrics of vertices 1 and 2
+ */
+function intersectTriangle(origin, dir, data, stride, i0, i1, i2) {
+    const a = i0 * stride;
+    const b = i1 * stride;
+    const c = i2 * stride;
+    const e1 = [data[b] - data[a], data[b + 1] - data[a + 1], data[b + 2] - data[a + 2]];
+    const e2 = [data[c] - data[a], data[c + 1] - data[a + 1], data[c + 2] - data[a + 2]];
+    
+    const p = vec3.cross(dir, e2);
+    const det = vec3.dot(e1, p);
+    if (Math.abs(det) < 1e-12) return null; // Ray parallel to the triangle
+    const invDet = 1 / det;
+    
+    const s = [origin[0] - data[a], origin[1] - data[a + 1], origin[2] - data[a + 2]];
+    const u = vec3.dot(s, p) * invDet;
+    if (u < 0 || u > 1) return null;
+    
+    const q = vec3.cross(s, e1);
+    const v = vec3.dot(dir, q) * invDet;
+    if (v < 0 || u + v > 1) return null;
+    
+    const t = vec3.dot(e2, q) * invDet;
+    return t > 0 ? { t, u, v } : null;
+}
+
+// BVHs per vertex array, shared by every drawable that uses the geometry
+const bvhCache = new WeakMap();
+
+/**
+ * BVH of a drawable's geometry, built on first use
+ * @param {Object} drawable - Geometry from createVAO (keeps `data` and `indices`)
+ * @returns {MeshBVH} Hierarchy over the drawable's triangles
+ */
+export function getMeshBVH(drawable) {
+    let bvh = bvhCache.get(drawable.data);
+    if (!bvh) {
+        bvh = new MeshBVH(drawable.data, drawable.indices);
+        bvhCache.set(drawable.data, bvh);
+    }
+    return bvh;
+}
+
+/**
+ * Ray intersection with a transformed triangle mesh
+ * The ray is moved into mesh space with the inverse model matrix, so the
+ * BVH never has to be rebuilt when the object moves.
  * 
- * @param {Array<number>} rayOrigin - Ray starting point
- * @param {Array<number>} rayDir - Ray direction
- * @param {string} objectType - 'sphere' or 'cube'
- * @param {Array<number>} objectCenter - Object center [x, y, z]
- * @param {number} objectSize - Object size (0.6 for our objects)
- * @returns {Object|null} Hit info {point, normal} or null
+ * @param {Array<number>} rayOrigin - Ray origin (world space)
+ * @param {Array<number>} rayDir - Ray direction (world space, normalized)
+ * @param {Object} drawable - Geometry from createVAO
+ * @param {Array<number>} modelMatrix - Mesh → world transform
+ * @returns {Object|null} Hit {point, normal, tangent, uv, barycentric, triangle, distance}
+ *          in world space (normal and tangent interpolated from the vertices; the
+ *          tangent's w is the bitangent handedness), or null
  */
-export function intersectObject(rayOrigin, rayDir, objectType, objectCenter = [0, 0, 0], objectSize = 0.6) {
-    if (objectType === 'sphere') {
-        return intersectSphere(rayOrigin, rayDir, objectCenter, objectSize);
-    } else {
-        return intersectCube(rayOrigin, rayDir, objectCenter, objectSize);
+export function intersectMesh(rayOrigin, rayDir, drawable, modelMatrix) {
+    const toLocal = mat4.invert(modelMatrix);
+    const origin = mat4.multiplyVec4(toLocal, [...rayOrigin, 1]).slice(0, 3);
+    const dir = mat4.multiplyVec4(toLocal, [...rayDir, 0]).slice(0, 3);
+    
+    const bvh = getMeshBVH(drawable);
+    const hit = bvh.intersect(origin, dir);
+    if (!hit) return null;
+    
+    // Interpolate vertex attributes (normal at offset 3, UV at offset 6, tangent at offset 8)
+    const { data, indices, stride } = bvh;
+    const normal = [0, 0, 0];
+    const uv = [0, 0];
+    const tangent = [0, 0, 0];
+    for (let k = 0; k < 3; k++) {
+        const base = indices[hit.triangle * 3 + k] * stride;
+        const w = hit.barycentric[k];
+        for (let i = 0; i < 3; i++) {
+            normal[i] += data[base + 3 + i] * w;
+            tangent[i] += data[base + 8 + i] * w;
+        }
+        uv[0] += data[base + 6] * w;
+        uv[1] += data[base + 7] * w;
     }
+    const handedness = data[indices[hit.triangle * 3] * stride + 11];
+    
+    const localPoint = vec3.add(origin, vec3.scale(dir, hit.t));
+    const point = mat4.multiplyVec4(modelMatrix, [...localPoint, 1]).slice(0, 3);
+    
+    // Normals transform with the inverse transpose
+    const m = mat3.transpose(mat3.invert(mat3.fromMat4(modelMatrix)));
+    const worldNormal = vec3.normalize([
+        m[0] * normal[0] + m[3] * normal[1] + m[6] * normal[2],
+        m[1] * normal[0] + m[4] * normal[1] + m[7] * normal[2],
+        m[2] * normal[0] + m[5] * normal[1] + m[8] * normal[2],
+    ]);
+    
+    // Tangents lie in the surface and transform with the model matrix itself
+    const worldTangent = vec3.normalize(mat4.multiplyVec4(modelMatrix, [...tangent, 0]).slice(0, 3));
+    
+    return {
+        point,
+        normal: worldNormal,
+        tangent: [...worldTangent, handedness],
+        uv,
+        barycentric: hit.barycentric,
+        triangle: hit.triangle,
+        distance: vec3.length(vec3.sub(point, rayOrigin)),
+    };
 }
@@ -0,0 +1,444 @@
+/**
+ * BRDF Lobe Module
+ *
+ * CPU evaluation of the lighting shader's BRDF for the lobe visualiser: for one
+ * incident (light) direction, what the surface reflects towards every outgoing
+ * direction. The terms mirror evaluateBRDF (same variants, clamps and anisotropic
+ * GGX), so the plotted lobe is the one being rendered for the scalar material
+ * values. Material maps, the layers over the base (clear coat, sheen and
+ * transmission), subsurface scattering and the multiple-scattering compensation
+ * are left out; the coupled Lambert, which needs the albedo tables, is shown
+ * with the 1 - F weight of the plain Lambert.
+ *
+ * A lobe is drawn two ways: sampled in the plane of incidence for the polar plot
+ * of the control panel (see LobePlot in ui.js), and over the hemisphere as a
+ * wireframe at the hovered point, next to the debug vectors (LobeRenderer).
+ */
+
+import { vec3, clamp } from './math.js';
+import { BRDF_VARIANTS } from './shaders.js';
+
+// Terms of the visualiser: plot label and color (also the wireframe's color)
+export const LOBE_TERMS = {
+    fr: { label: 'f_r', color: [1, 1, 1] },
+    D: { label: 'D', color: [1, 0.4, 0.4] },
+    G: { label: 'G', color: [0.4, 0.9, 0.4] },
+    F: { label: 'F', color: [0.4, 0.65, 1] },
+};
+
+const PLANE_SAMPLES = 181;   // Outgoing directions from -90° to 90° (1° apart)
+const MESH_RINGS = 24;       // Polar steps of the wireframe, normal to horizon
+const MESH_SEGMENTS = 48;    // Azimuthal steps of the wireframe
+
+// Rec. 709 luminance weights (F and f_r are plotted as one value)
+const luminance = (c) => 0.2126 * c[0] + 0.7152 * c[1] + 0.0722 * c[2];
+
+// ====================================
+// BRDF terms (ports of shaders.js)
+// ====================================
+
+function D_GGX(NdotH, alpha) {
+    const a2 = alpha * alpha;
+    const denom = NdotH * NdotH * (a2 - 1) + 1;
+    return a2 / Math.max(0.0001, Math.PI * denom * denom);
+}
+
+function D_Beckmann(NdotH, alpha) {
+    const a2 = alpha * alpha;
+    const cos2 = Math.max(NdotH * NdotH, 0.0001);
+    return Math.exp((cos2 - 1) / (a2 * cos2)) / (Math.PI * a2 * cos2 * cos2);
+}
+
+function D_BlinnPhong(NdotH, alpha) {
+    const n = Math.max(2 / (alpha * alpha) - 2, 0);
+    return (n + 2) / (2 * Math.PI) * Math.pow(NdotH, n);
+}
+
+function D_GGXAnisotropic(NdotH, TdotH, BdotH, at, ab) {
+    const a2 = at * ab;
+    const d = [ab * TdotH, at * BdotH, a2 * NdotH];
+    const w2 = a2 / Math.max(vec3.dot(d, d), 1e-7);
+    return a2 * w2 * w2 / Math.PI;
+}
+
+/**
+ * Selected normal distribution function (distributionTerm)
+ * @param {number} variant - BRDF_VARIANTS.D id
+ * @param {number} NdotH - Cosine of the half vector
+ * @param {number} alpha - Squared roughness
+ * @returns {number} Distribution value
+ */
+function distributionTerm(variant, NdotH, alpha) {
+    switch (variant) {
+        case BRDF_VARIANTS.D.BECKMANN: return D_Beckmann(NdotH, alpha);
+        case BRDF_VARIANTS.D.BLINN_PHONG: return D_BlinnPhong(NdotH, alpha);
+        default: return D_GGX(NdotH, alpha);
+    }
+}
+
+function G_Smith(NdotV, NdotL, roughness) {
+    const r = roughness + 1;
+    const k = r * r / 8;
+    const G1 = (x) => x / (x * (1 - k) + k);
+    return G1(NdotV) * G1(NdotL);
+}
+
+function G_SmithHeightCorrelated(NdotV, NdotL, alpha) {
+    const a2 = alpha * alpha;
+    const viewTerm = NdotL * Math.sqrt(NdotV * NdotV * (1 - a2) + a2);
+    const lightTerm = NdotV * Math.sqrt(NdotL * NdotL * (1 - a2) + a2);
+    return 2 * NdotL * NdotV / Math.max(viewTerm + lightTerm, 0.0001);
+}
+
+function G_SmithAnisotropic(NdotV, NdotL, TBdotV, TBdotL, at, ab) {
+    const viewTerm = NdotL * Math.hypot(at * TBdotV[0], ab * TBdotV[1], NdotV);
+    const lightTerm = NdotV * Math.hypot(at * TBdotL[0], ab * TBdotL[1], NdotL);
+    return 2 * NdotL * NdotV / Math.max(viewTerm + lightTerm, 0.0001);
+}
+
+/**
+ * Selected geometry function (geometryTerm)
+ * As in the shader, the Schlick-GGX variant remaps the squared roughness it is given.
+ *
+ * @param {number} variant - BRDF_VARIANTS.G id
+ * @param {number} NdotV - Cosine of the outgoing direction
+ * @param {number} NdotL - Cosine of the incident direction
+ * @param {number} NdotH - Cosine of the half vector
+ * @param {number} VdotH - Cosine between the outgoing direction and the half vector
+ * @param {number} alpha - Squared roughness
+ * @returns {number} Geometry term
+ */
+function geometryTerm(variant, NdotV, NdotL, NdotH, VdotH, alpha) {
+    switch (variant) {
+        case BRDF_VARIANTS.G.SMITH_HEIGHT_CORRELATED:
+            return G_SmithHeightCorrelated(NdotV, NdotL, alpha);
+        case BRDF_VARIANTS.G.KELEMEN:
+            return NdotL * NdotV / Math.max(VdotH * VdotH, 0.0001);
+        case BRDF_VARIANTS.G.COOK_TORRANCE: {
+            const scale = 2 * NdotH / Math.max(VdotH, 0.0001);
+            return Math.min(1, scale * NdotV, scale * NdotL);
+        }
+        case BRDF_VARIANTS.G.IMPLICIT:
+            return NdotL * NdotV;
+        default:
+            return G_Smith(NdotV, NdotL, alpha);
+    }
+}
+
+function fresnelDielectric(c, eta) {
+    const g = Math.sqrt(Math.max(eta * eta - 1 + c * c, 0));
+    const a = (g - c) / (g + c);
+    const b = (c * (g + c) - 1) / (c * (g - c) + 1);
+    return 0.5 * a * a * (1 + b * b);
+}
+
+function fresnelConductor(cosTheta, eta, k) {
+    const c2 = cosTheta * cosTheta;
+    const s2 = 1 - c2;
+    const t0 = eta * eta - k * k - s2;
+    const a2b2 = Math.sqrt(t0 * t0 + 4 * eta * eta * k * k);
+    const a = Math.sqrt(Math.max(0.5 * (a2b2 + t0), 0));
+    const t1 = a2b2 + c2;
+    const t2 = 2 * cosTheta * a;
+    const Rs = (t1 - t2) / (t1 + t2);
+    const t3 = c2 * a2b2 + s2 * s2;
+    const t4 = t2 * s2;
+    const Rp = Rs * (t3 - t4) / (t3 + t4);
+    return 0.5 * (Rp + Rs);
+}
+
+/**
+ * Reflectance at normal incidence per channel (specularF0)
+ * @param {Object} lobe - Lobe (see createLobe)
+ * @returns {Array<number>} F0
+ */
+function specularF0(lobe) {
+    const { surface, brdf, conductor } = lobe;
+    const r = (surface.ior - 1) / (surface.ior + 1);
+    const metal = brdf.F === BRDF_VARIANTS.F.CONDUCTOR
+        ? conductor.eta.map((eta, i) => fresnelConductor(1, eta, conductor.k[i]))
+        : surface.albedo;
+    return metal.map((m) => r * r + (m - r * r) * surface.metallic);
+}
+
+/**
+ * Selected Fresnel term per channel (fresnelTerm)
+ * @param {Object} lobe - Lobe (see createLobe)
+ * @param {number} cosTheta - Cosine between the outgoing direction and the half vector
+ * @returns {Array<number>} Fresnel reflectance
+ */
+function fresnelTerm(lobe, cosTheta) {
+    const { surface, brdf, conductor } = lobe;
+    switch (brdf.F) {
+        case BRDF_VARIANTS.F.DIELECTRIC:
+            return lobe.F0.map((F0) => {
+                const sqrtF0 = Math.sqrt(clamp(F0, 0, 0.99));
+                return fresnelDielectric(cosTheta, (1 + sqrtF0) / (1 - sqrtF0));
+            });
+        case BRDF_VARIANTS.F.CONDUCTOR: {
+            const dielectric = fresnelDielectric(cosTheta, surface.ior);
+            return conductor.eta.map((eta, i) =>
+                dielectric + (fresnelConductor(cosTheta, eta, conductor.k[i]) - dielectric) * surface.metallic);
+        }
+        default:
+            return lobe.F0.map((F0) => F0 + (1 - F0) * Math.pow(1 - cosTheta, 5));
+    }
+}
+
+// Energy-preserving Oren-Nayar constants (as EON_C1 and EON_C2)
+const EON_C1 = 0.28779341;
+const EON_C2 = 0.07248821;
+
+function E_FujiiOrenNayar(mu, roughness) {
+    const c = 1 - mu;
+    const GoverPi = c * (0.0571085289 + c * (0.491881867 + c * (-0.332181442 + c * 0.0714429953)));
+    return (1 + roughness * GoverPi) / (1 + EON_C1 * roughness);
+}
+
+/**
+ * Selected diffuse lobe per channel (diffuseLobe)
+ * @param {Object} lobe - Lobe (see createLobe)
+ * @param {number} NdotV - Cosine of the outgoing direction
+ * @param {number} NdotL - Cosine of the incident direction
+ * @param {number} LdotV - Cosine between the two
+ * @returns {Array<number>} Diffuse BRDF
+ */
+function diffuseLobe(lobe, NdotV, NdotL, LdotV) {
+    const { albedo } = lobe.surface;
+    const { roughness } = lobe;
+    const Fd = BRDF_VARIANTS.Fd;
+    switch (lobe.brdf.Fd) {
+        case Fd.BURLEY:
+        case Fd.BURLEY_RENORMALIZED: {
+            const renormalize = lobe.brdf.Fd === Fd.BURLEY_RENORMALIZED;
+            const energyBias = renormalize ? 0.5 * roughness : 0.5;
+            const energyFactor = renormalize ? 1 + (1 / 1.51 - 1) * roughness : 1;
+            const fd90 = energyBias + roughness * (1 + LdotV); // 2 (l·h)² = 1 + l·v
+            const scatter = (fd90 - 1) * Math.pow(1 - NdotL, 5) + 1;
+            const value = scatter * ((fd90 - 1) * Math.pow(1 - NdotV, 5) + 1) * energyFactor / Math.PI;
+            return albedo.map((a) => a * value);
+        }
+        case Fd.OREN_NAYAR: {
+            const sigma2 = roughness * roughness;
+            const A = 1 - 0.5 * sigma2 / (sigma2 + 0.33);
+            const B = 0.45 * sigma2 / (sigma2 + 0.09);
+            const s = LdotV - NdotL * NdotV;
+            const value = (A + B * Math.max(s, 0) / Math.max(NdotL, NdotV, 0.0001)) / Math.PI;
+            return albedo.map((a) => a * value);
+        }
+        case Fd.OREN_NAYAR_ENERGY: {
+            const s = LdotV - NdotL * NdotV;
+            const sOverT = s > 0 ? s / Math.max(NdotL, NdotV, 0.0001) : s;
+            const AF = 1 / (1 + EON_C1 * roughness);
+            const average = AF * (1 + EON_C2 * roughness);
+            const lost = Math.max(1 - E_FujiiOrenNayar(NdotV, roughness), 1e-7)
+                * Math.max(1 - E_FujiiOrenNayar(NdotL, roughness), 1e-7) / Math.max(1 - average, 1e-7);
+            return albedo.map((a) => {
+                const albedoMS = a * a * average / (1 - a * (1 - average));
+                return a / Math.PI * AF * (1 + roughness * sOverT) + albedoMS / Math.PI * lost;
+            });
+        }
+        default:
+            return albedo.map((a) => a / Math.PI);
+    }
+}
+
+// ====================================
+// Lobes
+// ====================================
+
+/**
+ * Create a lobe: a material lit from one direction
+ * The plane of incidence holds the normal and the light; its in-surface axis P
+ * points away from the light (towards the mirror direction), or along the
+ * tangent under normal incidence.
+ *
+ * @param {Object} surface - Material description (see createMaterial)
+ * @param {Object} brdf - BRDF term variants of the comparison side (see createBrdfSettings)
+ * @param {{eta: Array<number>, k: Array<number>}} conductor - Complex IOR of the
+ *        conductor Fresnel variant (see CONDUCTOR_IOR)
+ * @param {{N: Array<number>, T: Array<number>, B: Array<number>}} frame - Surface normal,
+ *        tangent and bitangent
+ * @param {Array<number>} L - Light direction (normalized)
+ * @returns {Object} Lobe {surface, brdf, conductor, N, L, P, Q, ...}
+ */
+export function createLobe(surface, brdf, conductor, frame, L) {
+    const { N, T, B } = frame;
+    const NdotL = vec3.dot(N, L);
+    const tangential = vec3.sub(vec3.scale(N, NdotL), L);
+    const P = vec3.length(tangential) > 1e-4 ? vec3.normalize(tangential) : T;
+
+    // Same clamps as sampleMaterial and evaluateBRDF
+    const roughness = clamp(surface.roughness, 0.01, 1);
+    const alpha = Math.max(0.001, roughness * roughness);
+
+    // Anisotropy direction rotated from the tangent (sampleAnisotropy)
+    const rotation = surface.anisotropyRotation;
+    const anisotropicT = vec3.normalize(vec3.add(vec3.scale(T, Math.cos(rotation)), vec3.scale(B, Math.sin(rotation))));
+
+    const lobe = {
+        surface, brdf, conductor,
+        N, L, P,
+        Q: vec3.cross(N, P),
+        NdotL: clamp(NdotL, 0, 1),
+        roughness,
+        alpha,
+        alphaT: alpha + (1 - alpha) * surface.anisotropy * surface.anisotropy,
+        anisotropicT,
+        anisotropicB: vec3.cross(N, anisotropicT),
+        F0: null,
+    };
+    lobe.F0 = specularF0(lobe);
+    return lobe;
+}
+
+/**
+ * Evaluate a lobe towards an outgoing direction (evaluateBRDF without the cosine)
+ * F and f_r are reduced to their luminance.
+ *
+ * @param {Object} lobe - Lobe (see createLobe)
+ * @param {Array<number>} V - Outgoing direction (normalized)
+ * @returns {{fr: number, D: number, G: number, F: number}} Full BRDF and its terms
+ */
+export function evaluateLobe(lobe, V) {
+    const { N, L, NdotL, alpha, surface } = lobe;
+    const H = vec3.normalize(vec3.add(V, L));
+    const NdotV = clamp(vec3.dot(N, V), 0, 1);
+    const NdotH = clamp(vec3.dot(N, H), 0, 1);
+    const VdotH = clamp(vec3.dot(V, H), 0, 1);
+
+    let D, G;
+    if (surface.anisotropy > 0) {
+        const T = lobe.anisotropicT;
+        const B = lobe.anisotropicB;
+        D = D_GGXAnisotropic(NdotH, vec3.dot(T, H), vec3.dot(B, H), lobe.alphaT, alpha);
+        G = G_SmithAnisotropic(NdotV, NdotL, [vec3.dot(T, V), vec3.dot(B, V)],
+            [vec3.dot(T, L), vec3.dot(B, L)], lobe.alphaT, alpha);
+    } else {
+        D = distributionTerm(lobe.brdf.D, NdotH, alpha);
+        G = geometryTerm(lobe.brdf.G, NdotV, NdotL, NdotH, VdotH, alpha);
+    }
+    const F = fresnelTerm(lobe, VdotH);
+
+    const specularScale = D * G / Math.max(0.001, 4 * NdotV * NdotL);
+    const diffuse = diffuseLobe(lobe, NdotV, NdotL, clamp(vec3.dot(L, V), -1, 1));
+    const fr = F.map((f, i) => f * specularScale + (1 - f) * (1 - surface.metallic) * diffuse[i]);
+
+    return { fr: luminance(fr), D, G, F: luminance(F) };
+}
+
+/**
+ * Sample a lobe in the plane of incidence
+ * Angles run from -90° (on the light's side) to 90° (the mirror side), measured
+ * from the normal towards P.
+ *
+ * @param {Object} lobe - Lobe (see createLobe)
+ * @returns {{angles: Float32Array, terms: Object}} Angles (radians) and a
+ *          Float32Array of values per LOBE_TERMS key
+ */
+export function sampleIncidencePlane(lobe) {
+    const angles = new Float32Array(PLANE_SAMPLES);
+    const terms = {};
+    for (const key of Object.keys(LOBE_TERMS)) {
+        terms[key] = new Float32Array(PLANE_SAMPLES);
+    }
+
+    for (let i = 0; i < PLANE_SAMPLES; i++) {
+        const theta = (i / (PLANE_SAMPLES - 1) - 0.5) * Math.PI;
+        const V = vec3.add(vec3.scale(lobe.N, Math.cos(theta)), vec3.scale(lobe.P, Math.sin(theta)));
+        const values = evaluateLobe(lobe, V);
+        angles[i] = theta;
+        for (const key of Object.keys(terms)) {
+            terms[key][i] = values[key];
+        }
+    }
+    return { angles, terms };
+}
+
+/**
+ * Wireframe of a lobe term over the hemisphere
+ * Each outgoing direction is pushed out from the origin in proportion to the
+ * term's value, the largest value reaching size. Rings of constant angle to
+ * the normal and meridians from the normal to the horizon are drawn as lines.
+ *
+ * @param {Object} lobe - Lobe (see createLobe)
+ * @param {string} term - LOBE_TERMS key
+ * @param {Array<number>} origin - Surface point (world space)
+ * @param {number} size - Length of the longest direction
+ * @returns {Float32Array|null} Line vertices (pairs), or null for an empty lobe
+ */
+export function lobeMesh(lobe, term, origin, size) {
+    const { N, P, Q } = lobe;
+
+    // Directions on a (ring, segment) grid; ring 0 is the normal
+    const points = [];
+    let max = 0;
+    for (let i = 0; i <= MESH_RINGS; i++) {
+        const theta = i / MESH_RINGS * Math.PI / 2;
+        for (let j = 0; j < MESH_SEGMENTS; j++) {
+            const phi = j / MESH_SEGMENTS * 2 * Math.PI;
+            const tangent = vec3.add(vec3.scale(P, Math.cos(phi)), vec3.scale(Q, Math.sin(phi)));
+            const V = vec3.add(vec3.scale(N, Math.cos(theta)), vec3.scale(tangent, Math.sin(theta)));
+            const value = evaluateLobe(lobe, V)[term];
+            points.push([V, value]);
+            max = Math.max(max, value);
+        }
+    }
+    if (!(max > 0) || !Number.isFinite(max)) return null;
+
+    const vertex = (i, j) => {
+        const [V, value] = points[i * MESH_SEGMENTS + j % MESH_SEGMENTS];
+        return vec3.add(origin, vec3.scale(V, size * value / max));
+    };
+    const lines = [];
+    for (let i = 0; i <= MESH_RINGS; i++) {
+        for (let j = 0; j < MESH_SEGMENTS; j++) {
+            if (i > 0) lines.push(...vertex(i, j), ...vertex(i, j + 1));           // Ring
+            if (i < MESH_RINGS) lines.push(...vertex(i, j), ...vertex(i + 1, j));  // Meridian
+        }
+    }
+    return new Float32Array(lines);
+}
+
+/**
+ * Draws a lobe wireframe with the debug line program
+ */
+export class LobeRenderer {
+    /**
+     * @param {WebGL2RenderingContext} gl - WebGL context
+     * @param {WebGLProgram} program - Debug line program (see debugVertexShader)
+     */
+    constructor(gl, program) {
+        this.gl = gl;
+        this.program = program;
+        this.vao = gl.createVertexArray();
+        this.vbo = gl.createBuffer();
+
+        gl.bindVertexArray(this.vao);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.vbo);
+        gl.enableVertexAttribArray(0);
+        gl.vertexAttribPointer(0, 3, gl.FLOAT, false, 0, 0);
+        gl.bindVertexArray(null);
+    }
+
+    /**
+     * Draw a wireframe
+     * @param {Float32Array} lines - Line vertices (see lobeMesh)
+     * @param {Array<number>} color - RGB
+     * @param {Array<number>} viewMatrix - Camera view matrix
+     * @param {Array<number>} projMatrix - Projection matrix
+     */
+    render(lines, color, viewMatrix, projMatrix) {
+        const { gl, program } = this;
+        gl.useProgram(program);
+        gl.uniformMatrix4fv(gl.getUniformLocation(program, 'uView'), false, viewMatrix);
+        gl.uniformMatrix4fv(gl.getUniformLocation(program, 'uProj'), false, projMatrix);
+        gl.uniform3fv(gl.getUniformLocation(program, 'uColor'), color);
+
+        gl.bindVertexArray(this.vao);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.vbo);
+        gl.bufferData(gl.ARRAY_BUFFER, lines, gl.DYNAMIC_DRAW);
+        gl.drawArrays(gl.LINES, 0, lines.length / 3);
+        gl.bindVertexArray(null);
+    }
+}
@@ -0,0 +1,671 @@
+/**
+ * LTC Table Data
+ *
+ * Generated by tools/fit-ltc.mjs (GGX, height-correlated Smith) - do not edit.
+ * 64×64 entries indexed by roughness (x) and √(1 - n·v) (y), stored as
+ * base64 little-endian half floats:
+ * - LTC_MATRIX: inverse LTC matrix, 4 per entry (see ltcMatrix in shaders.js)
+ * - LTC_AMPLITUDE: BRDF albedo and its Schlick Fresnel part, 2 per entry
+ */
+
+export const LTC_SIZE = 64;
+
+export const LTC_MATRIX =
+    'ADwAAAAAUAEAPAAAAAAhEAA8AAAAACEYADwAAAAApRwAPAAAAAAhIAA8AAAAAHMiADwAAAAApSQAPAAAAABSJgA8AAAAACEoADwA' +
+    'AAAAOikAPAAAAAB0KgA8AAAAAM4rADwAAAAApSwAPAAAAAB0LQA8AAAAAFMuADwAAAAAQy8APAAAAAAiMAA8AAAAAKswADwAAAAA' +
+    'PDEAPAAAAADVMQA8AAAAAHYyADwAAAAAHTMAPAAAAAC+MwA8AAAAADI0ADwAAAAAkjQAPAAAAAD2NAA8AAAAAF41ADwAAAAAyDUA' +
+    'PAAAAAAzNgA8AAAAAJs2ADwAAAAAAzcAPAAAAAB5NwA8AAAAAO43ADwAAAAAMDgAPAAAAABmOAA8AAAAAKM4ADwAAAAA3zgAPAAA' +
+    'AAAXOQA8AAAAAFE5ADwAAAAAjDkAPAAAAADCOQA8AAAAAPs5ADwAAAAAMToAPAAAAABmOgA8AAAAAJo6ADwAAAAAyzoAPAAAAAD8' +
+    'OgA8AAAAACo7ADwAAAAAVzsAPAAAAACBOwA8AAAAAKo7ADwAAAAA0DsAPAAAAAD1OwA8AAAAAAw8ADwAAAAAHDwAPAAAAAArPAA8' +
+    'AAAAADk8ADwAAAAARjwAPAAAAABSPAA8AAAAAF48ADwAAAAAaDwAPAAAAAByPAA8AAAAAHs8ADwAAAAAgzz/OwiAvyVPAf87voC/' +
+    'JSAQ/zv3gr8lIBj/O6uGvyWkHP877om/JSAg/zuijL8lciL/O6uOvyWkJP87ipC/JVEm/zvukb8lICj/O4GTvyU5Kf87opS/JXMq' +
+    '/zublb8lzSv/O6yWvyWlLP871Ze/JXMt/zuLmL8lUy7/OzeZvyVCL/8775m/JSEw/zuzmr8lqjD/O4ObvyU7Mf87Lpy/JdQx/zuc' +
+    'nL4ldTL/O/ScvSUcM/87o5y2Jbwz/zsEnr4lMjT/O4ueviWSNP87FJ+9JfY0/zuZn7wlXTX/OweguiXHNf87KKC0JTI2/zsZoKkl' +
+    'mjb/O+GgtiUCN/87E6GwJXg3/zsroaUl7Tf/OxqhlSUvOP87YaGPJWc4/zvZoY8lozj/O7qhdyXeOP87hKFbJRY5/zs7omMlUTn/' +
+    'O/GhOyWLOf8766EeJcI5/zszohAl+jn/O6yh1SQxOv87RKLQJGU6/zumoY4kmjr/O+KhdiTLOv87bKE1JPw6/zttoQwkKjv/OwSh' +
+    'mSNXO/879KA1I4E7/ztzoKMiqjsAPHCgQiLQOwA8f5+ZIfU7/zu+n0MhCzwAPPqdgiAcPAA8d548ICs8ADydnOYeOTwAPPqcXB5G' +
+    'PAA8mJrkHFM8ADyEmiIcXjwAPOqXzRlpPAA8S5YAGHI8ADwakUkTezwAPACAM4CDPPw7D4C9KU8B/Dt7gb0pHxD8O+yFvSkfGPw7' +
+    'qoq9KaIc/Dvsjb0pHyD8O6GQvSlwIvw7qpK9KaIk/DuJlL0pTyb8O+yVvSkfKPw7f5e9KTcp/DuhmL0pcCr8O5qZvSnKK/w7qpq9' +
+    'KaMs/DvTm70pcS38O4qcvSlQLvw7Np29KUAv/Dvunb0pIDD8O7KevSmoMPw7gZ+9KTkx/DstoL0p0jH8O5qgvSlzMvw78KC8KRkz' +
+    '/Du5oLYpuTP8OwKivSkwNPw7iaK9KZA0/DsSo7wp9DT8O5ejuylbNfw7BaS5KcU1/DslpLMpLzb8OxWkqCmXNvw7tqSvKQE3/DsR' +
+    'pa8pdTf8OyilpSnqN/w7F6WTKS44/DtkpY4pZjj8O9aljimhOP07tqV2Kdw4/Tu2pWApFTn9OyymXilPOf077aU5KYk5/Tv7pSEp' +
+    'wTn9OzCmDSn5Of0726XeKC86/TsFpsUoZDr9O7alkSiYOv07tqVrKMo6/Tt3pTYo+jr9O1OlBigpO/07FKWcJ1U7/jvYpCgngTv+' +
+    'O5SksiapO/47RaQzJtA7/jv2o7Il9Dv+OzyjKSULPP87n6KpJBw8/zvMoRkkKzz/Oy+hLSM5PP87SqAKIkY8/ztknwohUzwAPKyd' +
+    '6h9ePAA8X5zgHWk8ADycmaIbcjwAPJmVuBd7PAA8pwKNgoM89zsXgEwsTgH3OziCTCwcEPc7b4hMLBwY9zv9jEwsnxz3O2+QTCwc' +
+    'IPc77pJMLGwi9zv9lEwsoCT3O8uWTCxLJvc7cJhMLBwo9zudmUwsNCn3O+6aTCxsKvc7MpxMLMUr9zv+nEwsoCz3O9ydTCxuLfc7' +
+    'zJ5MLEwu9zvNn0wsOy/3O3GgTCwdMPc7A6FMLKUw9zueoUwsNjH3O0GiTCzOMfc75KJMLG8y9zteo0ssFDP3O1mjSCy1M/c7dKRL' +
+    'LC409zvkpEwsjTT3O0ulSyzxNPc7rqVKLFg19zsDpkkswTX3OzKmRCwrNvc7PKY+LJM2+Dv2pkAs/zb4O5SnQixwN/g7tac6LOU3' +
+    '+Dujpy0sKzj4Ow2oKixlOPg7V6goLJ44+DtEqBYs2Tj5O1eoCSwUOfk7hagALE05+Tt3qNYrhjn5O4CosCu/Ofk7iaiHK/Y5+Tt5' +
+    'qFMrLTr5O2yoHCtiOvk7Y6jjKpY6+js8qJsqyTr6OyioWCr5Ovo77acEKig7+juqp7YpVDv7OzSnWyl/O/s74aYFKag7+ztUpp8o' +
+    'zzv8O/qlRSj0O/w7X6W8Jws8/Tv5pP0mGzz9O1ikJCYrPP47zaNjJTk8/juHopAkRjz/O4uhlSNTPP87VaDyIV48ADyMnm0gaTwA' +
+    'PD6cyB1yPAA8P5itGXs8ADzGBe2DgzzwOx6AuC1NAfA784K4LRgQ8DvnibgtGBjwO6OOuC2bHPA755G4LRgg8DuclLgtZiLwO6OW' +
+    'uC2bJPA7hZi4LUUm8DvnmbgtGCjwO3ibuC0vKfA7nJy4LWYq8DuUnbgtvivwO6SeuC2cLPA7y5+4LWkt8DuFoLgtRi7wOzGhuC00' +
+    'L/A76KG4LRow8DurorgtoTDwO3mjuC0xMfA7KKS4Lckx8DuUpLctaTLwO+Ckti0NM/A7AqWzLa8z8DvRpbYtLDTwO4Kmty2JNPA7' +
+    'Cqe3Lew08DuNp7UtUzXwO/ynsy28NfE7G6itLSU28Ts4qKctjjbxO5yoqC36NvE7B6mpLWk38TsdqZ8t3TfyOyapki0oOPI7Z6mL' +
+    'LWI48jutqYQtmzjyO7epci3VOPM70alhLRA58zvuqU8tSjnzOwaqOi2COfQ7AKofLbw59Dv6qQAt8zn0OwOq4ywqOvU72am5LF86' +
+    '9TvVqZUskzr1O6CpZSzGOvY7gak3LPc69jtLqQMsJTv3OxOplytTO/c72KgkK307+DuMqKsqpzv4O0qoMSrNO/k726esKfM7+jtP' +
+    'py4pCzz7O32mnigbPPs77qUhKCo8/DsSpR8nOTz9O3akHyZGPP47PaMCJVM8/jvroQMkXjz/O0yg4SFpPP87zZ3NH3I8ADyGmYcb' +
+    'ezwAPCkEDwCEPOY7JYAgL0sB5jutgyAvExDmO1uLIC8TGOY7I5AgL5Yc5jtbkyAvFCDmO7+VIC9eIuY7I5ggL5Yk5juimSAvPibm' +
+    'O1ubIC8UKOY7qJwgLykp5ju/nSAvXyrmO/SeIC+1K+Y7I6AgL5Ys5jvcoCEvYi3mO6KhIS8/LuY7eKIhLywv5jtcoyEvFTDnOyik' +
+    'IS+cMOY7qKQgLysx5zsupSAvwjHnO7SlIC9hMuc7BqYeLwQz5ztXphwvqDPnOy+nHS8pNOc7DqggL4Q05ztiqB8v5zTnO7OoHi9N' +
+    'Neg796gbL7U16DsXqRMvHjboO1OpDi+INug7vakML/Q26Tsxqg0vYjfpO1mqAS/UN+o7far0LiQ46ju/qukuXjjrO/yq3S6XOOs7' +
+    'MKvNLtE46ztHq7cuDDnsO1WrnS5FOew7gauFLn457Tt8q2MuuDnuO3WrPS7vOe47eqsWLiY67ztWq+YtXDrvOzmrtC2QOvA7Fqt+' +
+    'LcI68TvVqkAt9DrxO6OqAi0jO/M7Tqq7LFA78zsKqnYsezv0O6mpJiylO/U7Vam3K8w79jvrqBQr8Tv3O4aocSoKPPg7GKjJKRs8' +
+    '+TtKpyEpKjz6O2ymeCg5PPw7dqWXJ0Y8/TuSpEgmUjz+Ozmj9SRePP87bKFiI2k8/zsan9UgcjwAPPmawxx7PAA8PAfeg4Q82zst' +
+    'gEMwSQHbO2aEQzAOENs7ZoxDMA4Y2zvykEMwjxzbO2aUQzAOINs735ZDMFUi2zvzmEMwjyTbO7yaQzA1Jts7ZpxDMA4o2zuRnUMw' +
+    'ISnbO9+eQzBWKts7KKBDMKor2zvzoEMwkCzbO8+hQzBbLds7vaJDMDYu2zu8o0MwIi/bO2ekQzAPMNs7+KRDMJUw2zuRpUMwJDHb' +
+    'OzKmQzC6Mdw7z6ZDMFgy3Dsmp0Ew+DLcO6ynQDCeM9w7SKhBMCQ03DvZqEMwfTTcOz2pQjDgNN07nalBMEU13TvrqT8wrTXdOxiq' +
+    'OzAVNt47bao5MIA23jvcqjcw7DbfO1KrNjBZN987lasxMMk34DvQqyowHzjgOwmsIzBZOOI7JawaMJI44jtNrBIwzDjjO1ysBTAG' +
+    'OeQ7ZKzqL0A55Dt4rMwveTnlO3yspS+yOeY7eKx4L+s55ztxrEcvITroO2qsEi9XOuo7TqzRLow66js9rJIuvzrsOxesSC7wOu07' +
+    '66v8LR877juXq6stTTvvOzSrUy15O/A71qr9LKI78jtYqpwsyjvyO++pPyzwO/Q7ZKm1Kwk89TvtqPMqGjz3O12oIyoqPPg7tada' +
+    'KTg8+juOpo4oRjz7O3qlhydSPP07V6T3JV48/jt9omkkaTz/O0OgyiFzPAA8NZyhHXw8ADz9COiGhDzOOzSA8zBHAc47HIXzMAcQ' +
+    'zjscjfMwBxjOO7+R8zCIHM47HJXzMAcgzjv8l/MwSyLOO8CZ8zCIJM4705vzMCsmzjscnfMwByjOO3ie8zAZKc47/J/zMEsqzjvV' +
+    'oPMwnSvOO8Ch8zCILM47wKLzMFItzjvUo/QwLC7OO36k9DAWL847HaX0MAgwzjvGpfQwjjDOO3im9DAbMc47Maf0MLExzzvkp/Mw' +
+    'TTLPOyio8jDsMs87f6jxMJIzzzv5qPEwHzTPO5qp8zB3NNA7FarzMNc00DuDqvIwPDXQO9mq7zCjNdE7HKvrMAs20juDq+kwdjbS' +
+    'O/ir5jDjNtM7NqzkME831DtqrN8wvTfUO5Cs2DAZONU7sazPMFM41zvQrMQwjDjXO/usujDGONk7Ea2tMAA52jserZswOjnbOy2t' +
+    'iDB0Od07Oa1zMKw53zszrVkw5DngOymtOzAcOuE7Ia0cMFI65DsFrfEvhzrlO+isoi+6OuY7yaxRL+w66DuWrPQuHDvqO22smC5K' +
+    'O+s7MKwxLnY77Tvvq8ktoDvuO2qrXi3IO+873qrtLO478TtSqn0sCTzzO7KpCCwaPPQ7H6krKyk89jt0qDkqODz3O7SnUilGPPo7' +
+    'W6ZiKFI8+zsapfUmXjz9O4yjKCVpPP47BaHMInM8/zvbnKgefDwAPOsFfoaEPL47O4CiMUUBvjvQhaIx/g++O9CNojH+F747ipKi' +
+    'MX8cvjvQlaIx/h++O4qYojE+Ir47ipqiMX8kvjtznKIxHia/O9CdojH+J787W5+iMQ8pvzuKoKIxPyq/O3+hojGPK787iqKiMX8s' +
+    'vzuto6IxRy2/O3OkojEgLr87HKWiMQgvvzvQpaIxADC/O5CmojGFML87W6eiMRExvzsXqKIxpTHAO3mooTFAMsA7v6igMd8ywDsm' +
+    'qZ8xhTPAO6qpnzEYNME7U6qhMXA0wTvpqqExzjTBO2SroDEyNcI7waudMZg1wzsQrJkxADbDO0usljFrNsQ7iKyTMdc2xTvBrI8x' +
+    'QzfGOwKtizGxN8c7NK2DMRI4yTtUrXkxTDjKO3utbTGFOMs7pa1hMb84zTvFrVIx+DjPO9atPzEzOdI73q0oMW050zvvrRAxpTnW' +
+    'O+yt9DDeOdg74K3SMBY62jvQra0wSzreO7ythzCBOt87lK1YMLU64TtyrSkw5zrkOz2t6y8XO+U7Ba2AL0Y75zvMrA8vcjvpO4Gs' +
+    'li6dO+o7PqwdLsU77DvSq5wt7DvuOzWrGy0IPO87gaqXLBk88TvQqRMsKTzzOxmpGis4PPU7X6gOKkU8+DtHpwIpUjz6O8yl7ide' +
+    'PPw7UqTjJWk8/juyocIjczz/O5GdlR98PAA8XAlDh4U8rTtCgE0yQgGtO4GGTTLsD607gY5NMuwXrTtRk00ydRytO4GWTTLsH607' +
+    'FJlNMjEirTtRm00ydSStO/qcTTIRJq07gZ5NMuwnrTsdoE0yBCmtOxWhTTIxKq07JqJNMn4rrTtRo00ydSytO0ukTTI8La47+6RN' +
+    'MhIurju4pU0y+C6uO4GmTTLvL647WKdNMnswrjsdqE0yBjGuO5KoTTKZMa87+6hNMjIyrztUqUwy0DKvO8upSzJ1M7A7WqpLMhA0' +
+    'sDsIq0wyaDSwO7mrTTLDNLE7IKxLMiY1sjtTrEgyizWyO5CsRTLzNbM70axCMl42tTsSrT4yyja2O02tODI1N7c7lq00MqM3uDvV' +
+    'rS0yCji6O/itITJEOLw7I64VMn44vztLrgYytzjBO3Ou9jHwOMQ7i67hMSs5xzuTrsgxZTnKO6CurTGeOc07pa6NMdY50DuVrmcx' +
+    'DjrTO4KuPjFFOtc7a64SMXo62jtDruAwrzrdOxSuqjDhOt875a1yMBI74jugrTMwQTvkO1+t5y9uO+Y7Ea1iL5o75zu8rNcuwjvp' +
+    'O2isTC7pO+s7Bqy4LQc87TtWqyctGDzuO4WqkSwoPPE7vqn7Kzc88zvpqMsqRTz2OxeonylSPPk7gaZ1KF48+zvbpJkmaTz9O1+i' +
+    'ViRzPP87SZ5AIHw8ADwkC4GGhTyaO0mA9TI/AZo7Lof1MtgPmjsuj/Uy2BeaOwqU9TJqHJo7Lpf1MtgfmjucmfUyISKaOwqc9TJq' +
+    'JJo7f531MgImmjsun/Uy2SeaO4ug9TL3KJo7nKH1MiEqmjvKovUyayuaOwqk9TJqLJo7vqT1Mi8tmjuApfYyAy6bO1Cm9jLnLps7' +
+    'L6f2MtsvmzsOqPYybzCbO4uo9jL5MJs7C6n2MosxnDt3qfUyIjKcO+ip9DK/Mp07bar0MmQznTsIq/MyBzSdO72r9DJeNJ47Qqz1' +
+    'Mrg0nzuKrPQyGjWgO8as8TJ+NaA7Da3tMuU1oTtVreoyTzajO5it5TK7NqU72q3gMiY3pjsortoylDeoO26u0zIBOKs7nK7HMjs4' +
+    'rjvJrrkydTixO/CuqTKvOLQ7HK+YMug4uDs7r4IyITm8O0evZjJcOcA7Ta9GMpU5xDtUryQyzjnJO0mv+zEGOsw7Mq/NMT460DsV' +
+    'r5sxczrUO/GuZTGoOtc7ua4oMds62zuCrugwDDvdOz2upTA8O+A77a1eMGo74juerRUwlTvkOz6tkC+/O+Y736z1LuY76Dt4rFUu' +
+    'BjzqOw2ssi0XPOw7PKsPLSc87jtXqmksNzzxO3KphytFPPQ7hag9KlI89zs6p/AoXjz6O12lUSdpPPw7IqPSJHM8/zvmnrMgfTwA' +
+    'PLEI4IaFPIU7UICaMzsBhTvYh5ozww+FO9iPmjPDF4U7apSaM10chTvYl5ozwx+FOyGamjMQIoU7apyaM14khTsCnpoz8SWFO9if' +
+    'mjPDJ4U796CaM+kohTshopozECqFO2ujmjNXK4U7aqSaM14shTsupZozIC2FOwKmmjPyLYY75aabM9QuhjvZp5szxS+GO26omzNj' +
+    'MIY79qibM+wwhzuBqZszfDGHO/SpmjMQMoc7eKqZM60yiDsMq5kzUTOIO7KrmTP6M4k7N6yZM1Q0ijugrJozrDSLO/GsmTMLNYw7' +
+    'OK2WM281jTuIrZMz1jWOO9WtjzM/NpA7Ga6KM6o2kjtlroQzFjeUO7WufjODN5c7/q52M/A3mjs9r2szMTieO2uvXTNrOKI7la9K' +
+    'M6U4pTvBrzYz3zirO+avIDMYOa87+K8DM1I5tDv7r98yjDm6OwCwuTLFOcA7+q+NMv05xjvfr1wyNTrKO76vIzJrOtA7l6/oMaA6' +
+    '0zter6Qx1DrXOxyvXjEGO9o7164UMTY73Dt/rscwZTvfOyWudjCRO+E7wq0kMLs74jtVrZ0v4zvlO+ms7y4EPOc7caw+LhY86Tvz' +
+    'q4stJzzsO/eq1yw2PO47/KkiLEU88jv3qNcqUjz1O+6nbSlePPk75aUDKGk8/DvJo0oldDz+O6CfMCF9PAA86wteh4Y8bjtWgB40' +
+    'OAFuOz+IHjSrD247P5AeNKsXbjvHlB40UBxuOz+YHjSrH247o5oeNP4hbjvHnB40UCRuO4GeHjTfJW47P6AeNKsnbjtgoR402ihu' +
+    'O6OiHjT+KW47BKQeNEArbjvHpB40USxuO5ylHjQRLW87gaYeNOAtbzt3px40vy5vOz+oHjSuL287y6geNFYwcDteqR403TBwO/Kp' +
+    'HjRrMXA7cqoeNP4xcTsFqx40mTJxO6irHTQ7M3I7LawdNOQzczuPrB00SDR0O/qsHjSgNHU7VK0dNPw0djuorRw0XzV3O/+tGjTF' +
+    'NXk7Uq4YNC42ezubrhY0lzZ+O+2uEzQDN4E7P68PNHA3hDuOrws03TeHO9qvBjQmOIw7BLD8M2E4kDscsOkzmziVOzGw0jPUOJs7' +
+    'RbC5Mw45oztSsJwzSDmoO1WwdjOCObA7VLBMM7w5tztSsBwz9Dm8O0aw5TIsOsI7MrCnMmQ6yTsdsGcymTrPOwGwHjLNOtM7uK/S' +
+    'MQA71ztrr4MxMDvZOxCvLTFfO9w7qq7VMIw73ztDrn4wtzvgO82tIDDfO+I7Va2FLwM85TvUrMcuFTzmO1CsBS4mPOk7lqtDLTU8' +
+    '7Dt+qn0sRDzvO2ypdCtSPPM7TajnKV489zt0pmMoaTz7OzmkwiV0PP47L6CkIX48ADzODBuJhzxVO12AbDQ0AVU7kIhsNJEPVTuQ' +
+    'kGw0kRdVOyKVbDRCHFU7kJhsNJEfVTsim2w06iFVOyKdbDRCJFU7/Z5sNMslVTuQoGw0kidVO8ehbDTKKFU7IqNsNOopVjtQpGw0' +
+    'KCtWOyKlbDRCLFY7B6ZsNAAtVjv9pmw0zS1WOwOobDSpLlY7kKhtNJQvVzsmqW00SDBXO8SpbTTNMFc7X6ptNFkxWDvsqmw06jFZ' +
+    'O5CrbDSEMlk7IKxsNCUzWjt/rGw0yzNbO+WsbDQ7NFw7Ua1sNJI0XTu3rWw07DReOxWuazRONWA7c65pNLM1YjvJrmc0GzZlOxuv' +
+    'ZTSENmg7cq9iNO82azvFr140WzdvOw2wWTTJN3Q7NrBUNBw4eTtSsEw0VTh+O2uwQjSPOIU7gbA2NMk4jDuVsCk0AzmVO6WwGjQ8' +
+    'OZw7qrAFNHg5pDuosNwzsjmtO6SwqTPrObQ7nLBtMyM6uzuFsCozWjrCO22w5DKQOsk7ULCYMsU6zTsosEQy+DrTO/uv7jEqO9c7' +
+    'n6+TMVk72TswrzYxhzvcO7+u1TCzO947Q65yMNs73zu+rQ0wATzhOzmtTi8TPOQ7qKx8LiU85jsXrKstNTzpOwSr2CxEPO072akF' +
+    'LFE88TuqqGEqXjz2O/WmvChqPPo7maQ8JnQ8/Tt/oCEifjwAPEUMqYCHPDs7Y4C4NC8BOzvfiLg0dg87O9+QuDR2Fzs7e5W4NDIc' +
+    'OzvfmLg0dh87O52buDTUITs7e524NDIkOzt2n7g0tiU7O9+guTR2Jzs7KqK5NLkoOzudo7k01Sk7O5ukuTQOKzs7e6W5NDMsOztu' +
+    'prk07iw7O3WnuTS4LTw7SKi5NJEuPDvfqLk0eS88O3+puTQ4MD07Jqq5NLswPTvGqrk0RTE+O2WruTTVMT47C6y5NG0yPztprLk0' +
+    'DDNAO86suTSxM0E7Oa25NC00Qjulrbk0hDREOxauuTTbNEU7f664NDs1Rzvjrrc0oDVLOzyvtTQGNk07mK+yNG82UDvzr6402jZV' +
+    'OySwqzRFN1g7UbCmNLI3Xzt8sKE0EDhlO5+wmTRJOGw7uLCPNIM4dDvPsII0vTh9O+OwczT4OIc79LBjNDE5kjv+sE40bDmZO/uw' +
+    'NTSnOaM79LAYNN85rDvrsPMzGDq0O9ewrjNQOrs7urBfM4Y6wjubsA0zvDrIO3ewtzLxOs07RbBYMiI71DsUsPgxUjvXO7avkjGB' +
+    'O9k7OK8sMa073Du3rsEw1zvdOymuVzD/O987mK3TLxI84TsErfUuJDzkO2KsEy40POc7kKs1LUM86ztDqk8sUTzvOwGp2SpePPQ7' +
+    'cqcWKWo8+TvlpLEmdTz9O9mgmiJ/PAA8Vg+9iog8HjtpgAI1KwEeOyuJAjVZDx47K5ECNVkXHjvRlQI1IhweOyuZAjVZHx47CpwC' +
+    'Nb0hHjvRnQI1IiQeO+ufAjWgJR47K6ECNVknHjuLogI1pigfOwqkAzW+KR8746QDNfMqHzvRpQM1IiwfO9OmAzXaLB876qcDNaEt' +
+    'HzuLqAM1dy4gOyupAzVcLyA71KkDNSgwITuFqgM1qTAhOyqrAzUwMSI72asDNb8xIztMrAM1VTIjO7CsAzXyMiQ7G60DNZUzJjuK' +
+    'rQM1HjQnO/atAzV0NCk7b64DNcs0KzvlrgM1KDUtO02vATWLNTA7ra//NPA1NDsJsP00WTY3Oziw+TTDNjw7ZbD1NC43QTuTsPE0' +
+    'mjdJO7+w7DQEOFE76LDkNDw4WjsDsdo0djhjOxyxzTSxOG87MLG9NOw4ejtBsaw0JTmFO02xljRfOY87S7F8NJo5mDtDsV001Dmj' +
+    'OzexPTQNOqs7J7EYNEU6sjsIsdwzfDq8O+SwhjOyOsI7vrAnM+c6xzuNsMIyGjvOO1awWjJMO9M7HLDuMXs71zu0r38xqDvZOyWv' +
+    'EDHTO9o7mK6eMPs73Dv0rSowETzeO1itay8jPOE7sKx7LjM85DsFrIwtQzzoO72qnCxRPO07UqlPK1488zsGqHQpajz5OzalJCd1' +
+    'PP07P6EYI388ADwDD1+JiTwBO2+ASjUmAQA7dYlKNToPADt1kUo1OhcAOySWSjUQHAA7dZlKNTofADtEnEo1pSEAOySeSjUQJAA7' +
+    'LqBKNYglADt1oUo1OicAO+iiSjWTKAE7Q6RKNaUpATsppUo11SoBOyOmSjURLAE7NKdKNcYsATstqEo1ii0BO8uoSjVcLgI7dKlL' +
+    'NT0vAjsnqks1FjADO+CqSzWVMAM7jatLNRoxBDslrEs1pzEFO4usSzU7MgY79axLNdYyBztlrUs1dzMIO9etSzUONAo7R65LNWM0' +
+    'DDvGrks1uTQOO0avSzUTNRE7s69KNXU1FDsOsEg12TUYO0KwRTVBNh07c7BCNao2IzuksD41FTcpO9OwOTWCNzI7ALE0Ne83PTst' +
+    'sS41LzhIO06xJDVpOFM7ZrEWNaM4Xjt6sQY13jhsO4ux9DQYOXY7mLHdNFI5gjuascI0jDmNO5GxojTHOZg7g7GANAA6ojtwsVg0' +
+    'OTqrO1WxLzRxOrI7LbH8M6c6vDsDsZgz3TrBO9OwLjMQO8c7mbC9MkM7zztYsEsyczvSOxiw1zGiO9Y7k69aMc472Dv8ruMw9zva' +
+    'O1muazAPPNs7qK3ZLyE83jv/rOQuMjziO0Os4y1CPOY7I6vnLFE86zurqcUrXjzxOz+oyilqPPg7n6WkJ3Y8/DuCoYMjgDwAPBkM' +
+    'UYiJPOE6dYCPNSAB4Tq8iY81GQ/hOryRjzUZF+E6dJaPNfwb4Tq8mY81GR/hOnucjzWMIeE6dJ6PNfwj4TpkoI81byXhOryhjzUZ' +
+    'J+E6QqOPNX4o4Tp7pI81jCnhOmyljzW2KuE6c6aPNf0r4TqSp481sCziOmOojzVxLeI6CamPNT8u4jq6qZA1HC/jOnaqkDUEMOM6' +
+    'N6uQNYEw5Druq5A1BDHlOlyskDWOMeY6x6yQNSAy5zo4rZA1uDLoOq2tkDVXM+o6Ia6QNfsz7DqWrpA1UTTuOhmvkTWnNPA6oa+R' +
+    'Nf409DoKsJA1XjX3OkOwjjXBNfw6erCMNSg2AjutsIk1kDYIO+CwhTX7NhE7ELGBNWc3HDtAsXw11TcpO22xdjUiODU7lbFtNVo4' +
+    'QTuusV81lThNO8OxTjXQOFs71LE8NQs5aDvfsSQ1RDl0O+WxCTV+OYE73LHnNLk5jDvMscM08zmXO7ixmTQsOqE7nbFsNGQ6qjt0' +
+    'sTk0mzqzO0ixAzTSOro7FLGWMwc7wTvbsB4zOjvIO5WwpjJsO847ULAqMps70jsDsKoxyDvVO1yvJjHzO9g7t66pMA482Tv9rSYw' +
+    'IDzcO0WtRS8yPN87i6w7LkI85DuHqystUDzpOw2qISxePPA7eKgfKms89jvzpQsodjz8O8Wh8yOAPAA8lw3diYo8vzp6gNE1GwG/' +
+    'OgCK0TX3Dr86AJLRNfcWvzrAltE11Ru/OgCa0TX3Hr86sJzRNXEhvzrAntE11SO/Opig0TVVJb86AKLRNfcmvzqYo9E1aCi/OrCk' +
+    '0TVxKcA6rKXRNZYqwDrAptE11yvAOuun0TWaLMA6l6jRNVYtwTpFqdE1IS7BOv6p0jX6LsI6wqrSNeEvwjqHq9I1azDDOiWs0jXs' +
+    'MMQ6kKzSNXQxxToBrdM1AzLGOnet0zWZMsg68a3TNTUzyjpnrtM11jPMOuOu0zU+NM46aq/TNZM00Tr1r9Q16TTWOjmw1DVGNdk6' +
+    'dbDSNag13zqvsNA1DjbmOuWwzjV2Nu46GrHLNd82+TpNscc1TDcFO36xwjW5NxI7q7G8NRQ4IDvWsbQ1TDgtO/SxpzWGODs7CbKW' +
+    'NcE4STsbsoI1/DhYOyWyazU2OWY7K7JNNXE5cjsnsiw1qzmAOxWyBTXmOYw7/bHaNB86ljvisak0VzqgO7qxdDSOOqo7i7E8NMY6' +
+    'sztUsQA0/Dq7OxqxgzMxO8E707D/MmM7yTuIsHwylDvOOzqw9DHCO9I7w69sMe471TsNr+UwCzzXO1auYDAfPNk7i62jLzA83DvH' +
+    'rI4uQTzhO/WrdS1QPOc7WKpZLF487jvEqHsqazz1O0GmRSh3PPs7OKI3JIE8ADw8DV+KizydOn+AEDYVAZw6QYoQNtMOnDpBkhA2' +
+    '0xacOgmXEDatG5w6QZoQNtMenDrjnBA2VSGcOgmfEDatI5w6yqAQNjklnDpBohA20yacOuqjEDZRKJ0646QQNlUpnTrppRA2dCqd' +
+    'OginEDauK506IKgQNoIsnTrJqBA2Oy2eOn6pEDYCLp46PqoRNtYunzoKqxE2uS+gOtKrETZUMKA6UqwRNtMwoTrCrBI2WDGjOjit' +
+    'EjblMaQ6s60SNngypjoxrhM2EjOoOqquEzaxM6o6La8TNio0rTq3rxM2fjSwOiKwFDbUNLY6Z7AVNi01ujqmsBQ2jjXCOuGwEzbz' +
+    'Nco6HLERNlo21DpSsQ82wzbfOoexCzYuN+w6ubEHNpw3+jrosQI2BTgLOxSy+zU+OBk7OLLvNXc4KDtOst01sjg4O1+yyTXtOEg7' +
+    'arKwNSg5VztvspM1YzlkO2yycDWcOXM7XbJHNdg5gDtBshk1EjqMOyWy5jRLOpc7/rGwNIM6oTvMsXM0ujqrO5KxNTTxOrM7VLHm' +
+    'MyY7ujsPsVkzWjvDO76wzTKMO8o7bLA/Mrw7zzsVsLMx6jvSO2WvIDEKPNQ7oq6UMB081jvYrQMwLzzZOwKt4i5APN47M6y+LVA8' +
+    '5TupqpEsXjzsO/2ozyprPPQ7m6Z/KHc8+zt0omwkgjwAPIsMc4iMPHg6hIBLNg8BeDp/iks2rQ54On+SSzatFng6T5dLNoMbeDp/' +
+    'mks2rR54OhOdSzY3IXg6T59LNoMjeDr5oEs2HSV4On+iSzatJng6HKRLNjooeDoTpUs2OCl4OiOmTDZQKnk6TqdMNoQreTpJqEw2' +
+    'aSx5OvioTDYeLXo6s6lMNuEtejp7qk02sS57Ok6rTTaPL3s6DqxNNjwwfDp8rE42uTB9OvGsTjY8MX86ba1ONsYxgDrtrU82VjKC' +
+    'Om2uTzbtMoQ6665PNokzhzp0r1A2FTSKOgCwUDZoNI86R7BSNr00lDqRsFM2FDWaOtOwUzZzNaM6ErFTNtY1rDpOsVI2PDa4Ooex' +
+    'UTalNsQ6vrFONhE30zrysUs2fjfgOiKyRDbsN/E6T7I+Ni44ATt1sjI2ZzgQO5CyHzaiOCE7obIKNt04NDussvI1GTlEO7Gy0zVU' +
+    'OVQ7rrKwNY85Yzuisoc1yTl0O4ayWDUEOoA7ZLIiNT06jDs+suk0dzqXOw2yqzSuOqM70LFpNOY6rDuOsSQ0HDu0O0axtjNQO7w7' +
+    '97AkM4M7xDuesIsytTvKO0Ow9THjO887wa9cMQg80TvvrsYwHDzUOx+uMjAuPNc7Qa02L0A83DthrP8tUDziOwmrzCxePOo7Oakl' +
+    'K2w88zv2prgoeDz6O8uioySDPAA8Gw/Jio08UjqJgIQ2CQFSOrmKhDaGDlI6uZKENoYWUjqRl4Q2VxtSOrmahDaGHlI6QZ2ENhkh' +
+    'UjqQn4Q2VyNSOiahhDb/JFI6uaKENoYmUjpBpIQ2IShSOkClhDYZKVI6WqaENisqUzqPp4Q2WCtTOm+ohTZQLFM6JKmFNgAtVDrm' +
+    'qYU2vy1UOrWqhjaKLlU6jquGNmMvVjoxrIY2JDBXOqSshzaeMFg6Hq2HNh4xWTqerYg2pTFbOiKuiDYzMl06pa6JNscyYDoqr4k2' +
+    'YDNiOreviTYANGY6I7CKNlI0azprsIw2pTRxOrewjjb7NHo6/bCQNlc1gzo/sZA2uTWOOn6xkTYeNps6urGRNoc2pzrysY028Ta2' +
+    'OiiyijZeN8U6WLKENs031jqHsn02HjjoOq+yczZXOPo6z7JjNpE4DDvhsk02zTgeO+uyMzYJOTA78LITNkU5Qjvtsu81gDlSO+Ky' +
+    'xDW6OWQ7yLKVNfY5dDuksl41MDqBO3qyIjVqOo07SrLhNKI6mTsNspw02jqmO8ixVTQSO607fbEGNEY7tTstsXIzezu9O9Cw0zKt' +
+    'O8Y7cLA3Mt07yjsNsJcxBTzPOz+v+jAaPNA7YK5iMC081TuCrYYvPzzaO5KsRC5QPOA7VKsDLV886Dt9qXorbDzyOzun7ih4PPo7' +
+    'LaPfJIQ8ADwWDveKjjwrOo2AuTYDASs68Iq5Nl0OKzrwkrk2XRYrOs6XuTYpGys68Jq5Nl4eKzpsnbk2+SArOs6fuTYpIys6UKG5' +
+    'NuAkKzrwork2XiYrOmSkuTYHKCs6a6W5NvooKzqOprk2BSorOs2nuTYrKyw6k6i6NjUsLDpOqbo24iwtOhaqujabLS0666q7NmIu' +
+    'LjrIq7s2NS8vOlOsvDYLMDA6yqy8NoIwMTpJrb02/zAzOs2tvTaEMTU6VK6+Ng4yNzrZrr82nzI5OmWvvzY2Mz069a/ANtMzQTpD' +
+    'sME2OjRGOo2wwzaNNE062rDGNuE0Vzolsco2OTVhOmqxzDaaNW46q7HPNv81ejrpsc02ZjaHOiOyyjbQNpc6W7LHNj03qTqNssM2' +
+    'qze9OryyvjYOOM065bKxNkY44ToIs6Q2gDj0Oh2zjTa7OAk7KbNyNvg4HTsts1M2NTkxOyqzLTZwOUI7HbMBNqw5UzsIs8815jlk' +
+    'O+OyljUjOnQ7tbJZNVw6gzuEshg1ljqPO0iyzjTOOpw7ALKDNAY7pjuxsTQ0PTuvO12xxDNyO7k7A7EgM6Y7wDudsHcy2DvHOzSw' +
+    '0zEDPMw7k68uMRk8zjujro0wLDzRO7mt1S8+PNc7y6yLLk883juiqzktXzzmO7upzytsPPA7j6cnKXk8+TteoxElhTwAPEsNZYqQ' +
+    'PAI6kYDqNvwAAjoji+s2NA4COiOT6zY0FgI6BJjrNvoaAjojm+s2NB4COpSd6zbYIAI6BKDrNvoiAjp3oes2wCQDOiOj6zY0JgM6' +
+    'hKTrNtonAzqTpes22SgDOr6m6zbeKQM6A6jrNvwqAzq1qOs2GSwEOnWp7DbCLAQ6QqrsNnctBTodq+02OC4GOvyr7TYGLwY6cazt' +
+    'NuEvCDrurO42ZTAJOnCt7zbgMAs6+K3wNmExDTqCrvA26DEPOguv8TZ2MhI6nK/yNgozFToYsPM2pDMbOmCw9TYiNCA6rbD3NnM0' +
+    'KDr7sPs2xjQzOkmxATcdNT06krEDN3s1STrVsQU33jVXOhWyBTdENmg6UrIGN642eDqKsgQ3GzeLOr6y/zaJN5867rL6Nvo3tDoZ' +
+    's/E2NjjIOj6z4TZvON06VrPNNqo48zpks7I25zgJO2azkTYkORw7ZLNpNmE5MDtXszw2nTlEO0KzCDbYOVY7ILPQNRQ6Zjvxso81' +
+    'UDp3O7uySTWKOoU7f7IBNcI6kjs5srM0+zqgO+WxYTQyO6g7jrEJNGg7sjsxsWUznju5O8uwtzLQO8I7XbAMMgA8yjvXr2ExFjzM' +
+    'O+2uuTArPM878K0QMD480zv7rM0uTzzbO/Srby1fPOU78KkPLG087zvrp18pejz5O7qjSCWGPAA8Rw86ipE82TmVgBk39QDZOVOL' +
+    'GTcJDtk5U5MZNwkW2TkfmBk3yhrZOVObGTcJHtk5uZ0ZN7cg2TkfoBk3yiLZOZuhGTefJNk5UqMZNwkm2TmipBk3oyfZObilGTe3' +
+    'KNk566YZN7Up2TkdqBk3yyraOdSoGTf6K9o5makaN6Es2zlsqho3US3bOUyrGzcOLtw5F6wbN9Yu3TmPrBw3rC/eOQ6tHDdHMOA5' +
+    'la0dN78w4Tkgrh43PTHkOayuHzfBMeY5Oa8gN0wy6TnPryE33TLtOTKwIzd0M/M5fbAlNwg0+TnLsCg3WDQDOhmxLjerNA06abEz' +
+    'NwA1GDq2sTc3WjUmOvuxOze8NTY6PrI+NyM2Rjp9sj03izZZOreyPjf3Nm067bI6N2Y3gzofszY31zeaOkmzLTckOLA6cLMfN144' +
+    'xjqLsww3mDjdOp2z8DbVOPQ6n7PPNhM5CTubs6Q2UDkeO4+zdzaNOTI7ebNBNsk5RTtaswY2BTpZOyqzxTVCOmk78rJ8NX06eTuy' +
+    'si81tzqIO2yy3jTvOpU7GrKKNCg7oTu8sTA0XzurO12xrzOWO7U797D4Mso7uzuGsEQy/DvEOw+wlDEVPMk7MK/jMCo8zDsurjgw' +
+    'PTzROyatCy9OPNg7JqymLV884jsrqjcsbjzuOxaokil7PPg7DKSAJYc8ADwiDjeKkjyuOZiAQzfuAK45fotDN9wNrjl+k0M33BWu' +
+    'OTeYQzeYGq45fptDN9wdrjnbnUM3lCCuOTegQzeYIq45vaFDN30krjl+o0M33SWuOb2kQzdrJ6452qVDN5UorjkUp0M3iymuOTao' +
+    'QzeaKq858KhEN8Arrzm6qUQ3fyywOZGqRDcqLbA5dqtFN+ItsTkurEY3pS6yOamsRjd1L7Q5LK1HNykwtTm2rUg3nTC3OUSuSTcY' +
+    'Mbo50a5KN5kxvDlkr0w3ITLAOf2vTTevMsQ5SrBPN0MzyjmXsFI33DPSOeawVjc9NN05NbFdN4805TmGsWA34jTzOdexajc6NQA6' +
+    'H7JtN5o1EjpksnE3/zUkOqWydTdnNjk64rJ2N9M2UDoZs3U3QjdnOkyzcTezN306eLNnNxM4ljqfs1o3TTiuOryzRzeHOMY60rMt' +
+    'N8M43zrVswo3Ajn3OtGz4TZAOQ07xLOxNn05IDuts3k2ujk2O4+zPDb3OUk7YrP4NTM6XTsos641cDpuO+ayXjWsOn87nLILNeU6' +
+    'jDtMsrQ0HjuZO+yxVzRVO6U7h7H3M407rjsfsTkzwzu3O6+wfTL1O747M7DCMRM8xTtorw0xKDzKO2yuXTA8PM87Va1ML0481jtI' +
+    'rNgtXzzgO2mqYCxuPOw7QajJKXw8+DsipLEliDwAPLoLvIeUPII5m4BpN+cAgTmli2k3rw2COaaTaTevFYI5TZhpN2Uagjmmm2k3' +
+    'rx2COfmdaTdxIII5TaBpN2UigjnboWk3WiSCOaWjaTevJYI51qRpNzIngjn5pWk3cSiCOTmnaTdhKYI5TKhqN2cqgzkKqWo3hCuD' +
+    'OdepajddLIQ5s6prNwMthDmbq2s3tS2GOUOsbDdyLoc5wqxtNz0viDlHrW43CjCKOdStbzd7MIw5ZK5wN/Mwjjn0rnI3cDGROYuv' +
+    'czf1MZU5E7B1N38ymjlgsHg3EDOhOa+wezemM6o5/7CBNyE0sTlPsYQ3cjS9OaCxjTfENMo587GUNxo12zlAsp03dzXuOYeyozfb' +
+    'NQM6yrKpN0M2GDoJs6s3rzYsOkGzpzccN0Y6dbOkN443Xzqjs5w3ADh4OsmzkDc6OJE66bN7N3U4rDoAtGM3sTjFOgS0QTfvOOE6' +
+    'A7QZNy85+jr2s+g2bTkQO96zrjaqOSU7wLNwNug5OTuWsyk2JTpPO1yz3zVjOmE7F7ONNZ86czvLsjY12jqEO3iy3jQUO5A7HbJ+' +
+    'NEw7nDuysR00gzupO0SxeTO7O7I71LCzMvA7vDtYsPQxETzCO6evNTEnPMU7mq6CMDw8zDuLrY0vTjzUO2ysCy5fPN47naqFLG88' +
+    '6ztsqAAqfTz3O0yk4yWJPAA8JA62i5U8VTmegIs34ABVOcmLizeADVU5yZOLN4AVVTlhmIs3MBpVOcmbizeAHVU5FZ6LN0wgVTlh' +
+    'oIs3MSJVOfahizc3JFU5yKOLN4ElVTntpIs39yZVORSmjDdNKFU5WqeMNzUpVTlgqIw3MypWOSGpjDdHK1Y58qmNNzksVznRqo03' +
+    '2ixYOburjjeHLVk5VqyPNz8uWjnXrJA3Ay9bOV+tkTfTL1057q2SN1gwXzmBrpM3zDBiORSvlTdHMWU5rq+XN8cxaTkmsJk3TzJv' +
+    'OXSwnTfcMnc5xbCiN3AzfzkUsac3BTSIOWaxrDdUNJU5uLG0N6U0ozkMsr83+jS1OV2yyzdUNck5p7LTN7c13DnqstY3HTb0OSuz' +
+    '2zeJNgo6ZrPZN/Y2JDqZs9U3Zzc/OsuzzzfbN1o68bPDNyg4dToJtK83YziQOha0ljefOK06HLR3N904yjoatE43HTnjOhS0Gjdc' +
+    'Of46CLTjNps5FTvus6M22jkrO8SzWjYXOj87jrMNNlQ6VjtIs7w1kjpnO/myYDXPOno7pLIGNQk7iDtFsqM0QzuUO+CxPzR7O6E7' +
+    'a7G1M7Q7rjv1sOsy6ju3O32wJjIPPL475q9fMSY8wjvRrqYwOzzIO7StxC9OPNE7mKw/LmA83DvWqqssbzzpO42oLip+PPY7hKQi' +
+    'Jos8ADwSDtOKlzwnOaGAqTfYACc56IupN1ENJznok6k3URUnOXOYqTf7GSc56JupN1EdJzktnqk3JyAnOXKgqTf7ISc5DaKpNxIk' +
+    'Jznno6k3USUnOQClqTe7Jic5LKaqNygoJzl3p6o3CCkoOXGoqjf+KSg5NamqNwkrKDkJqqs3FSwpOeyqqzexLCo51ausN1gtKzlm' +
+    'rK03Ci4sOeqsrjfJLi45da2vN5IvMDkFrrE3NDAyOZiuszelMDU5L6+1NxwxODnMr7c3mTE9OTWwujcdMkM5hbC+N6cySznXsMM3' +
+    'ODNTOSixyDfOM105e7HONzU0aznNsdk3hjR8OSKy5zfaNI85dbL0NzI1oTnCsvw3kTW2OQizADj3Nc85SrMDOGE26DmHswQ4zzYE' +
+    'Or2zBDhANyA677MAOLQ3PToMtPU3FThaOhy04zdROHg6KbTKN444lDowtKk3yziwOjK0gTcKOcw6KrRNN0o56ToetBM3izkEOw60' +
+    '1DbKORw78LOLNgk6MTu6szo2RzpHO3qz5zWGOl07JrOMNcM6bzvOsiw1/zqAO26yyDQ5O4w7B7JeNHM7mjuUsfAzrDumOxexHjPk' +
+    'O7I7mbBVMg08uzsUsIkxJTzAOwevxTA6PMU73q3/L048zTu7rG4uYDzaOxWr0ixwPOg7sqhlKn889TuepFEmjDwAPJkLw4aZPPg4' +
+    'o4DDN9AA+DgBjMM3IQ34OAGUwzchFfg4gZjDN8UZ+DgBnMM3IR34OEKewzcCIPg4gaDDN8Uh+DgiosM32yP4OAGkwzchJfg4EaXD' +
+    'N34m+DhBpsM3Aij5OJCnxDfbKPk4gKjEN8gp+ThHqcQ3yir6OB2qxTfhK/o4AqvFN4cs/Djuq8Y3KC39OHWsyDfVLf44+6zJN40u' +
+    'ADmHrco3UC8CORmuzDcQMAQ5ra7ON30wBzlHr9A38TALOeav0jdrMRA5Q7DWN+sxFjmUsNs3cjIdOeaw3zf/MiY5OLHlN5IzMzmM' +
+    'sfA3FjRCOeCx/DdmNFQ5NbIGOLo0ZTmJsgs4DzV5OdqyEDhrNZE5IrMVONA1qzlnsxk4OTbFOaWzGjinNuI53bMaOBk3ADoItBc4' +
+    'jTceOhy0EjgBOD06LrQJOD44XDo7tPo3ezh8OkO03De5OJo6RrSyN/g4uDpBtH83OTnUOjS0Qzd6OfA6I7QBN7s5CzsNtLc2+zki' +
+    'O+OzaDY5Ojo7pLMRNng6UDtTs7Q1tjpjO/eyUDX0Ong7k7LsNDA7hTsqsoE0ajuTO7qxFjSlO547PLFRM907qzu2sIAyCjy1Oy6w' +
+    'sjEjPL87Pa/lMDo8wjsNrh4wTjzMO9asnC5gPNg7Uqv4LHE85jvXqJcqgDz1O8akhCaOPAA8dhD5i5s8yTilgNg3yQDIOAyM2Dfw' +
+    'DMk4DJTYN/AUyTiOmNg3jhnJOAyc2DfwHMk4U57YN7cfyTiOoNg3jiHJODOi2DeQI8k4DKTZN/AkyTgfpdk3QCbJOFKm2Te5J8k4' +
+    'pafZN6woyTiMqNk3kSnKOFWp2jeJKso4LqraN5YryzgUq9s3XCzMOAGs3Df4LM44gazeN58tzzgIrd83UC7ROJat4DcNL9M4Ka7i' +
+    'N9Uv1Ti/ruQ3VTDYOFqv5zfFMNw4+q/qNzsx4zhOsO83uDHoOKCw8jc7MvE487D6N8Uy+jhHsQA4VjMIOZuxBzjuMxg58LEOOEY0' +
+    'KTlFshQ4mDQ7OZmyGjjtNFI57bIiOEY1aTk3syc4qDWFOYCzLTgSNqM5v7MvOH82wTn5szA48DbhORe0LzhlNwE6LLQpONw3Ijo+' +
+    'tCI4KzhCOky0FThpOGE6VLQEOKc4gDpXtN835jiiOlW0sTcnOb86SbRzN2k52zo3tC03qjn5OiG04zbsORU7BbSTNi06KjvJszY2' +
+    'azpCO36z2jWrOlc7ILN1Neg6bTu7sg01Jzt+O02yoTRjO4072rEzNJ47mTtgsYgz1zulO9awrDIIPLE7SLDVMSI8uTtsrwgxOTzA' +
+    'Oz2uPDBOPMk7+6zNLmE81jt9qxotcjzlO/+ozSqBPPQ7+KS4Jo88ADxwEB2MnTyYOKaA6TfBAJk4FYzqN74MmTgVlOo3vhSYOJiY' +
+    '6TdWGZg4FZzpN74cmDhhnuk3aR+YOJeg6TdWIZg4QKLpN0MjmDgVpOk3vySZOCql6jcCJpk4X6bqN2snmTi1p+o3fSiZOJWo6jdZ' +
+    'KZo4YKnrN0gqmjg7qus3SyubOCKr7DcxLJw4CazuN8csnjiKrO83aC2fOBOt8DcTLqE4oq3yN8kuozg0rvQ3iy+mOMyu9jcsMKk4' +
+    'aq/5N5gwrjgFsP03CzGzOFewATiEMbo4qrAEOAQywjj9sAc4izLOOFKxDDgYM904p7ETOK4z7Dj8sRo4JTT9OFKyITh2NBM5prIq' +
+    'OMo0KTn8sjI4IjVEOUqzOjiBNV05k7M9OOg1fDnVs0E4VTacOQi0QzjHNr45JLRCODw33zk6tD04tDcBOky0NTgXOCM6WrQpOFY4' +
+    'STpktBs4ljhpOmi0BjjVOIk6ZrTbNxU5qzpdtKI3VznJOku0WzebOeU6NbQMN945BDsYtLg2HjoeO+2zXzZfOjQ7orP+NZ86TDtJ' +
+    's5k13TpfO+CyLDUcO3U7cLLBNFk7hTv4sU40lTuUO36xujPSO6E7+LDZMgU8qztjsPsxIDy1O5ivJTE4PLw7ZK5UME48xTsnrf0u' +
+    'YTzUO6yrPS1zPOM7Hqn5KoM88zsWpegmkTwAPHkM/IifPGc4p4D1N7kAaDgcjPc3jAxoOBuU9jeMFGg4n5j2Nx0ZaDgbnPY3jBxo' +
+    'OGue9jcaH2g4n6D2Nx0haDhKovY39iJoOBuk9jeMJGg4MqX2N8IlaDhppvY3HSdoOMGn9jdOKGk4nKj3NyEpaThoqfc3BipqOESq' +
+    '+Df/Kms4Kqv5NwYsbDgPrPs3lixtOJCs/DcwLW84Gq39N9UtcDiqrf83hS5zODyuATg/L3Y4164COAMweTh1rwQ4bDB+OAuwBjjb' +
+    'MIQ4XbAIOFAxizixsAw4zDGVOAWxEDhQMqI4W7EXONsyrziwsR04bTO/OAayJDgDNNQ4XLIuOFQ06Tiysjc4pzQCOQezQTj/NBo5' +
+    'WLNHOFo1OTmks084wDVWOeezUjgrNnc5E7RTOJw2mjkvtFQ4Eje9OUa0TziLN+E5WLRIOAM4BzpntD04QzgpOnG0LDiCOE06drQa' +
+    'OMM4czp1tAM4BDmUOm60yzdGObY6XrSIN4o51DpHtDY3zznyOiq04TYROg87CLSFNlI6JzvCsyI2kzo+O2yzuTXTOlQ7BrNMNRI7' +
+    'azuSst00UDt7OxeyaDSOO447mLHtM8s7mzsUsQQzBDyoO4OwITIfPLI7x69GMTg8uDuIrm8wTjzDO0StKC9iPNA78KtkLXQ84js/' +
+    'qSkrhDzyOyilECeTPAA8ggzChKE8NjiogP03sQA2OB+M/TdZDDY4H5T9N1kUNjijmP035Bg2OB+c/TdZHDY4cZ79N8seNjijoP03' +
+    '5CA2OE+i/TepIjc4H6T9N1okNzg3pf43giU3OG+m/jfNJjc4yKf+Nx4oNzihqP436Cg4OG2p/zfDKTk4SaoAOLIqOjgvqwE4sys7' +
+    'OBKsAThkLDw4lawCOPgsPjgerQM4ly1AOK+tBDg/LkI4Qq4FOPMuRTjcrgc4si9JOHuvCTg+ME44DrALOKowVDhhsA44HDFcOLWw' +
+    'EjiUMWc4CrEYOBUyczhgsR44nDKBOLWxJDgrM5M4DbItOMMzqThjsjg4MTS+OLmyQTiENNk4DrNMONs08jhis1Q4NTUPObCzWziV' +
+    'NTE597NiOAI2VDkbtGU4czZ4OTi0ZjjpNp05UbRiOGI3wTljtFo43jfoOXS0UDgwOA06fbRAOHA4NTqDtC04sjhYOoK0FDjzOH46' +
+    'fLTyNzY5oTpwtLE3ejnBOli0XTe+Od86O7QENwI6/joZtKg2RjoZO+KzQzaIOjI7ibPaNcg6STsns2s1CDtgO7ey+DRIO3Q7OLKC' +
+    'NIc7hDuzsQw0xDuWOyuxLjMBPKQ7m7BHMh08sDv/r2QxNzy2O62uiTBOPMA7Xq1RL2M8zjsRrIYtdTzgO2qpVyuGPPI7WqVGJ5U8' +
+    'ADwbEjqNozwFOKiAADipAAU4IYwAOCYMBTghlAA4JhQFOKWYADiqGAU4IZwAOCYcBThzngA4ex4FOKWgADirIAU4UqIAOFoiBTgg' +
+    'pAA4JiQFODmlADhBJQU4caYAOH4mBjjLpwA43CcGOKKoATivKAY4b6kBOIApBzhLqgE4ZCoIODCrAjhbKwo4E6wDODIsCziWrAQ4' +
+    'wCwNOCCtBThYLQ84sK0GOPotEThDrgc4py4VON6uCTheLxk4fK8LOBEwHjgPsA44eDAkOGKwETjnMC04t7AWOFwxNzgLsRw42TFD' +
+    'OGKxIjhdMlQ4uLErOOoyaDgQsjY4fzN8OGayQDgONJI4vbJJOGA0rTgSs1Q4tjTKOGezXzgQNeo4ubNqOHA1DTkCtHE42TUvOSK0' +
+    'dDhJNlU5QLR1OL82fTlZtHQ4OTekOW20bDi2N8w5frRjOBw48jmJtFI4XTgZOo20PjifOEA6jbQmOOI4ZTqJtAg4JjmMOn200Tdq' +
+    'Oaw6abSCN605zzpMtCw39DnuOim0yzY4Og07/7NkNnw6JTuns/g1vjo/O0KziTX/OlU717IUNUA7aztaspw0fzt+O9CxIjS/O447' +
+    'Q7FSM/47nTuwsGcyHDyrOxawgzE3PLM73K6jME48vjt9rX0vYzzNOyGspC13PN47h6mFK4g88TuXpYInlzwAPPkQS4mmPKY3qID+' +
+    'N6AApjcgjP435AumNyCU/jflE6Y3pJj+N3EYpjcgnP435RumN3Ge/jcrHqY3pKD+N3EgpjdQov43DCKmNx+k/jfmI6c3N6X/NwAl' +
+    'pzdwpv83LSaoN8mn/zd7J6g3oagAOHUoqTdtqQA4PSmrN0iqATgWKq03LasCOAIrsDcSrAI4/yuyN5WsAziHLLY3H60EOBgtuzet' +
+    'rQY4tC3AN0KuBzhZLsc33K4JOAovzzd5rws4xi/ZNw6wDjhHMOg3YLATOLIw+je1sBc4JDEHOAqxHTicMRY4YbEmOB4yJzi4sTA4' +
+    'qDI6OBCyOjg7M1A4aLJFONUzaji/slI4PTSFOBWzXjiSNKM4arNpOOw0xDi8s3U4SjXjOAS0ejiuNQk5J7SAOB42LzlGtII4lDZY' +
+    'OWC0gDgON4Q5drR9OI43rDmGtHI4CDjWOZK0YzhKOP45mLRPOI44JjqYtDc40ThOOpO0GTgVOXY6iLTyN1o5mTp3tKQ3nzm8Olu0' +
+    'TTfkOd06ObTqNis6/zoQtIU2cDoaO8GzFza0OjE7XbOhNfU6Szvtsi41ODtjO3eytjR4O3Y78LE5NLk7hztdsXkz+TuYO8WwhzIb' +
+    'PKU7JbCdMTc8rzsJr7wwTjy5O6Otqi9kPMo7OqzGLXg83TufqbArijzwO5+lqSeaPAA89wfygak8QjengPc3mABCNx2M+Dd+C0I3' +
+    'HJT4N34TQjegmPg3NxhCNxyc9zd9G0I3bJ73N9odQjegoPc3NyBCN0ui9ze9IUI3HKT3N38jQzczpfg3vyRDN2qm+DfdJUQ3wqf4' +
+    'NxonRDedqPk3OyhGN2mp+jf5KEc3QKr7N8gpSjcnq/03qCpMNw6s/zeaK083kawAOE4sUjcarQE42SxXN6etAzhuLV03PK4FOAwu' +
+    'ZTfVrgc4ti5tN3KvCThrL3g3CrANOBYwiTddsBI4fTCZN7GwFjjrMLI3BrEeOGEx0DddsSg43zHyN7WxMjhmMgw4C7I8OPUyJThm' +
+    'sks4kDNAOL2yWTgZNF04FLNmOG80ejhps3E4xzSbOLyzfDglNb04BbSEOIg14jgqtIo48zULOUq0jThpNjc5ZbSPOOU2YTl8tIk4' +
+    'ZDeLOY20fzjnN7k5mrRyODc45DmhtF84ezgMOqK0RjjAODU6nLQoOAU5XTqRtAY4SjmGOoG0xDeQOag6abRpN9U5yzpItAo3HTrw' +
+    'Oh+0pTZlOg0737M1Nqk6KTt3s7817jpBOwazRzUvO1s7irLNNHA7bjsMsk80sjuCO3qxoDP0O5M73bCqMho8oDs5sLoxNjyrOx6v' +
+    '0TBPPLY7x63RL2U8xztbrOgtejzaO76p2CuMPO87rqXIJ5w8ADx6DsaJrDzeNqaA7DeQAN02FozqNxUL3jYWlOs3FhPeNpmY6zf5' +
+    'F942FpzrNxYb3jZinus3iR3eNpmg6zf5H942QaLsN24h3jYWpOw3GCPfNiul7Dd+JN82YabsN40l4Da2p+03uSbgNpao7TcCKOI2' +
+    'YKnuN7Yo5DY2qvA3einmNhur8jdPKug2CKzzNzUr6zaKrPU3FSzvNhGt+DeaLPQ2na37Nygt+zYyrgA4vy0BN8muAjhiLgs3Z68F' +
+    'OA8vGDcDsAk4yS8nN1awDjhIMDo3qrAUOLIwVDf/sB04JTFyN1exJzigMZY3rrEyOCQywjcGskA4sjL1N2GyTzhKMxQ4uLJbOOoz' +
+    'MjgPs2o4SjRQOGWzdTiiNHQ4ubODOAE1mjgFtI84YzW/OCq0lTjLNeg4TLSZOD42EzlptJk4ujY/OYG0lTg6N205k7SNOL43mTmh' +
+    'tH84IzjIOam0bThpOPM5qbRUOK44HTqltDc49ThGOpq0FDg7OW86irTcN4I5ljpztIY3yTm6OlS0JTcOOtw6LrS9Nlc6ADv7s1A2' +
+    'nzocO5Gz2TXjOjg7HLNgNSc7UTujsuQ0aztoOx6yZDStO3s7k7HLM+87jTv4sM4yGDydO02w1DE2PKk7O6/lME88szvbrfMvZjzE' +
+    'O3GsBi57PNk7+KkJLI487jvQpfgnnzwAPDMRBIyvPHo2pYDaN4gAejYNjNs3rwp6Ng2U2zevEno2j5jaN4UXejYNnNs3rxp6NlWe' +
+    '2zc5HXo2j6DbN4UfejY0ots3HyF6Ng2k2zexIns2IKXbNz0kezZTpts3PCV8Nqan3DdYJn02jKjdN5AnfjZUqd43ciiANieq4Dct' +
+    'KYI2DKvhN/YphTb/q+M3zyqINoCs5Te5K4w2Bq3oN1sskTaSrew34iyXNiSu8DdyLZ82ua71Nw4uqDZWr/s3tC61NvavAjhmL8Y2' +
+    'TbAIOBMw2zahsA84ejD1NvawGTjpMBU3TbEjOGExPTelsTI44zFrN/+xQDhuMps3WLJOOAMz0jewsl04ojMIOAezbTglNCo4X7N8' +
+    'OH80Tzi0s4o43DR1OAK0ljg/NZ04KbSfOKc1xzhNtKU4FjbxOGq0pDiPNh85hLShOBE3TDmXtJc4lTd7Oae0izgQOKk5rrR4OFU4' +
+    '2TmxtGI4nTgFOqy0RDjkODA6orQhOCw5WjqRtPU3czmEOnu0oDe8Oak6XrRANwM6zDo5tNY2SjrwOgu0aTaSOg87qrPvNdk6Kzs2' +
+    's3U1IDtHO7Wy9jRkO2A7MbJ5NKc7djujse4z6juIOw2x6zIXPJk7Z7DxMTU8pzthr/0wUDyyO/GtDDBoPMI7fKwdLn081zsTqh4s' +
+    'kDztOxmmGiiiPAA8Sg4EibI8FjajgMQ3gAAWNgKMxTdIChY2ApTFN0gSFjaCmMU3ERcWNgKcxTdIGhY2Q57FN+kcFjaCoMU3Eh8X' +
+    'NiOixTfQIBc2AqTFN0oiFzYSpcU39yMYNkGmxjfsJBg2kKfGN/clGTZ/qMc3HScaNkSpyDcvKB02FqrKN98oHzb4qsw3nSkhNumr' +
+    'zjdrKiU2c6zQN0krKTb3rNM3HCwuNoKt1zecLDU2Eq7cNyYtPTamruE3ui1INkGv6jdZLlQ236/yNwQvZjZAsAA4vS98NpSwCDhC' +
+    'MJc26bASOK4wujZAsR84IzHlNpmxMDijMRE38rE9OCsyRDdLsk04vTKBN6WyXzhcM8M3/rJxOAI0BThXs4E4WzQlOKqzizi4NEw4' +
+    '+7OXOBo1dTgltKE4gjWfOEq0qDjwNcs4arSpOGU2ADmGtK046DYuOZq0pDhtN105qrSWOPg3jTm0tIQ4Qzi9Obe0bDiLOOw5srRQ' +
+    'ONM4GjqptC44HTlEOpm0BjhmOXI6g7S5N7A5ljpltFU39zm7OkG07zY+OuE6F7SANoc6ATvGswg20DofO0+ziTUYOzs7zrIHNV87' +
+    'VTtDsoc0oztsO7SxBDToO4A7G7EDMxY8lDt7sAsyNTyjO5CvEjFQPK47D64eMGk8wDuOrD0ufzzWOxWqKiyTPO07KaYsKKU8ADw3' +
+    'gwcHtjy0NaGAqzd4ALM16IuqN+IJszXok6o34hGzNXOYqjeeFrM16JuqN+IZszUtnqo3mRyzNXKgqjefHrQ1DaKqN4IgtDXno6o3' +
+    '5CG0NQClqjd3I7U1K6arN50ktTV2p6s3lyW2NW+orDerJrg1MamuN9onujUAqq83kii8Nd+qsTdFKb81zauzNwcqwjVjrLY32CrG' +
+    'NeWsuTe6K8w1bq29N1cs0jX8rcI32izbNY+uyTdnLeY1J6/SN/8t9DXEr903oy4INjKw7TdVLx02hbD9NwswPDbbsAs4dDBeNjCx' +
+    'GDjlMIY2iLEmOGExuTbjsTk45zHyNj2yTDh5Mig3lrJbOBQzazfvsm04uzOzN0ezfjg2NPo3nbOLOJQ0JTjws5k49zRPOB+0pDhf' +
+    'NXs4RbSsOMw1qjhntLA4PzbaOIW0sDi9Ng85m7StOEU3QDmstKA40DdxObe0jjgwOKM5u7R2OHk41Tm5tFs4wzgEOq+0OjgOOTA6' +
+    'n7QSOFg5XDqJtMw3ojmFOmq0azfrOa06SbQDNzU60joftJQ2fTr1OtyzHzbFOhM7abOfNQ87MTvmsh01VztOO1iymDSeO2M7xbER' +
+    'NOU7eTsrsR8zFjyNO4WwIDI2PJ47sK8nMVE8qTs+rjMwajy8O6esWC6BPNM7Mao+LJY87DsfpjYoqDwAPJwPy4i6PFM1noCLN3AA' +
+    'UTXHi4o3fQlRNceTijd9EVE1YJiJNywWUTXHm4k3fRlRNROeiTdKHFE1YKCKNy0eUTX0oYo3NSBSNcajijd/IVI166SKN/ciUzUR' +
+    'pos3TiRTNVanizc4JVQ1XaiMNzomVjUaqY43VidYNeapkDdGKFo1wqqSN+4oXTWsq5Q3pClgNVCslzdqKmU10KyaNz8rajVXrZ83' +
+    'EixxNeKtpDePLHo1c66sNxUthjUJr7U3pi2WNaSvwzdELqk1IbDUN+8uwTVzsOg3qS/fNciwADg5MAQ2HrEPOKkwMjZ2sSI4IjFn' +
+    'NtKxNjinMZk2K7JFODQy1DaEslc4zjIZN9+yazh0M2M3ObN+OBM0sjePs444cTQCOOOznDjUNCw4GbSnODw1Wjg/tLA4qjWHOGK0' +
+    'szgdNrg4grS0OJc26ziatLA4GzciOa20qDioN1Q5ubSWOBw4hjm+tH84Zzi5Ob20ZDiyOOw5tLRDOP44GzqltBw4SjlJOo604TeW' +
+    'OXU6cbSCN+A5nTpOtBc3KzrCOiW0pTZ0Ouk66LMzNr06CTt+s7Q1BjspOwGzMTVRO0U7cLKqNJk7XTvYsSI04jt0OzqxNjMWPIg7' +
+    'krA0MjY8mDu+rzkxUzynO0+uQjBsPLk7z6x8LoM80jtgqlMsmTzrOy+mRCisPAA8vRDkh7488zSbgGg3aADxNKGLZTcZCfA0oZNk' +
+    'NxkR8DRKmGQ3vBXwNKGbZDcZGfA09Z1kN/cb8DRKoGQ3vR3xNNahZDfQH/E0n6NlNxsh8TTSpGU3eCLyNPOlZTcAJPI0MqdmN9ok' +
+    '8zRHqGc3yiX1NACpaTfTJvc0yalrN/Qn+TShqm03lyj8NIWrbzdCKQA1OqxyN/wpBDW4rHY3xCoKNTytezeeKxI1xa2CN0UsGzVS' +
+    'rok3xCwnNeaulDdPLTc1f6+jN+UtTDUNsLU3iS5pNWCw0Tc+L4U1s7DoNwEwrjUJsQc4bTDYNWCxFzjjMA42vLEsOGUxRTYWsj84' +
+    '8TGHNnGyVTiKMs02y7JpOC8zGjcns3444DNqN3+zjzhONMA31LOfOLI0CzgRtKk4GjU5ODi0sziJNWg4XLS4OPw1mDh8tLg4djbK' +
+    'OJi0tDj1Nv84rLSqOIA3OTm5tJ84CThrOcC0hjhUOKA5wLRrOKA40zm4tEs47TgFOqm0JDg7OTQ6lLTxN4k5ZTp3tJU31jmOOlO0' +
+    'KTchOrQ6KrS3Nmw63Dr0s0Q2tjr9OoezxTX/Oh47E7NENUk7PTuKsr40kztWO+6xNDTdO287TbFTMxQ8hDufsEcyNjyWO9KvSTFV' +
+    'PKU7WK5PMG88uDvWrJAuhjzQO5OqayycPOo7nqZuKK88ADwUEQOLwjyRNJiAOjdgAJE0dYs6N7YIkTR1kzo3thCRNDKYOjdNFZE0' +
+    'dZs6N7YYkTTTnTo3XRuRNDGgOjdOHZE0taE6NzkfkTR0ozo3uSCSNLekOjf8IZI00aU7N2cjkzQIpzw3fSSUNC2oPTdcJZY046g/' +
+    'N1MmmDSoqUE3XyeaNHuqQzdCKJ00WKtGN+IooTQirEk3kCmlNJysTTdMKqs0Ha1SNxkrszSkrVo39yu9NC6uYzd1LMs0v65xN/gs' +
+    '2jRVr383iC3yNO6vljcmLgs1SLCuN9MuMDWcsNE3ky9VNfGw8jcyMII1SLEMOKYwuTWjsSI4JTH4NQCyOzixMTY2W7JOOEcyeza0' +
+    'smE46TLINhCzdjiZMxo3arOJOCs0cje/s5k4jzTJNwi0pDj4NBU4L7SwOGg1SDhTtLg43DV6OHW0ujhWNq04krS3ONY24DiptK44' +
+    'WzcVObi0nzjrN1A5wbSOOEE4hDnCtHA4jji5Obu0UTjcOO05rbQqOCs5HjqXtP03ejlOOnu0nzfJOXs6WLQ3NxY6pjoutMg2ZDrO' +
+    'Ov2zUTaxOvI6kbPTNfo6FTsXs1M1RDs0O5myzzSNO1E7CrJENNk7aztjsXIzEzyBO7OwYjI3PJQ77a9cMVY8oztmrl0wcTy2O9ys' +
+    'oi6JPM87jKp2LKA86TvYpoYoszwAPECQLg3HPDM0lIAKN1gAMzREiwo3VQgzNESTCjdVEDM0FpgKN+AUMzREmwo3VRgzNK2dCjfG' +
+    'GjM0FqAKN+EcMzSPoQo3pR4zNEKjCzdYIDQ0mKQLN4EhNDSrpQs30CI1NNqmDDciJDY0EagON/EkODTCqBA31CU6NIKpETfNJjw0' +
+    'UKoTN90nPzQnqxc3hChDNAasGjclKUc0faweN9YpTjT7rCU3lipWNH6tLTdnK2E0Ba44NyYsbjSTrkU3oyyCNCevWjctLZg0vq9x' +
+    'N8UttjQvsI83bC7XNIGwrzclLwA11rDVN/EvMzUvsQI4azBoNYmxFzjnMKQ15LEuOG8x4zVAskM4BDIrNpqyWTilMns2+LJvOFUz' +
+    'zjZSs4I4CTQlN6izkjhsNIE3+7OgONc05jcltK04RzUkOEm0szi8NVk4a7S3ODg2jziKtLg4uDbDOKK0rzg8N/o4tbSjOMc3NjnA' +
+    'tJQ4LzhrOcO0dzh9OKI5vrRYOMw41zmwtDE4HDkHOpu0BDhsOTo6f7SpN7w5azpctEQ3DTqVOjO00jZbOr46ArRaNqg65zqYs981' +
+    '9joJOyCzXzVBOys7nrLZNIw7SjsSslI01ztkO3qxjjMRPHw7yrB5MjY8jzsLsHAxVzyeO3+uazBzPLI76Ky6Lo08zTuNqoEsozzo' +
+    'O4SmfSi4PAA8BwIfAcw8rDOPgNQ2UACtMw2L1TbsB60zDZPVNuwPrTPvl9U2dRStMw2b1TbtF60zgp3VNjEarjPun9U2dhyuM2Wh' +
+    '1TYUHq4zDKPWNvIfrzN1pNY2CiGwM4Cl1zY8IrIzpqbXNpIjtTPjp9k2hyS4M5+o2zZYJbszWandNj4mwDMfqt82OifGM/Gq4zYn' +
+    'KM4zz6vmNr0o2DNcrOw2YinlM9as8jYWKvYzVa37NtsqBzTZrQg3sysWNGSuGTdRLCk0864uN9QsQjSJr0o3Zi1fNBOwaDcHLoQ0' +
+    'ZbCNN7susjS6sL03hC/fNBGx5DcvMBU1arEJOKkwVDXHsSM4MDGaNSWyPDjEMeM1gbJTOGQyNDbdsmk4EzOJNjmzfjjPM+I2kLOO' +
+    'OEw0Pzfks5w4tjSgNxq0pzgnNQI4P7StOJ41ODhhtLI4GTZzOIC0tzicNqY4mbSsOCA33TiutKI4qzcVOby0kTgeOFI5wrR9OGs4' +
+    'hzm/tFs4uzi/ObS0NjgMOfQ5oLQLOF45JTqDtLY3rzlXOmG0TzcAOoU6N7TdNlE6sDoGtGQ2oTrXOqGz6DXwOvs6J7NiNT47Hjuk' +
+    'st00jTs+OxeyVTTZO1s7gbGYMxQ8cjvesIwyODyIOyWwgjFZPJo7ra56MHc8rzsBrdEukDzLO52qjyyoPOg7gKaIKL08ADycEmiO' +
+    '0Tz5MouAmzZJAPoy0YqbNjMH+jLRkps2Mw/6MquXmzYNFPoy0ZqbNjMX+jJTnZs2oBn6MqufmzYOHPoyOKGcNoYd+zLQopw2OR/8' +
+    'Mk+knDaVIP0yUaWdNqwh/jJtpp425CIBM6CnoDYgJAQzd6ihNt8kCDMsqaM2siUNM+qppjaaJhMztqqpNpgnGzOMq642WCglMzas' +
+    'szbxKDMzray7NpkpRTMnrcU2UipeM6it0zYeK30zMK7mNgAspzO8rv82fizaM1CvHDcJLQ006q9BN6YtMzRGsGk3VC5fNJuwmDcX' +
+    'L5A08bDFN+0vzDRMsf03cDAHNaexFTjzME01BbIvOIUxmTVjskg4JTLoNb+yXTjRMj42G7NzOI0zmjZ2s4Y4LDT5NsuzlDiXNGE3' +
+    'DrSjOAg1xzcztKk4gDUXOFW0qjj8NVE4dLSuOH42iziPtKo4BzfCOKW0nziSN/s4tLSQOBE4ODm+tH44XDhuOb+0XjiqOKY5tbQ6' +
+    'OPs44TmjtBM4TzkSOom0wjeiOUc6ZrRcN/U5dTo8tOk2RzqeOgu0bjaYOsw6p7PyNek68Dows2w1OjsVO6uy5jSLOzY7GrJbNNo7' +
+    'UzuBsaUzFTxtO9+wlzI7PIU7K7COMVw8mDvVro0wejytOy2t8C6UPMk756qoLKw85zu7pqAowjwAPHMVVpHXPEwyhYBdNkIASzKQ' +
+    'ilw2fgZLMpCSXDZ/DksyYpdcNk4TSzKQmlw2fxZLMiCdXDYUGUsyYp9cNlEbTDIGoVw2/BxMMo+iXTaFHk0yJqRdNiMgTjIepV42' +
+    'HyFQMi6mXzY7IlIyV6dhNnYjVTJNqGI2aiRZMvqoZDYqJV4ysaloNv8lZDJ1qms26CZtMkOrcDbrJ3cyDqx2NoMohjKArH82ICmZ' +
+    'MvesizbNKbMydK2aNo0q1jL3rbE2ZCsBM4GuyzYqLDkzE6/uNrAsezOrrxY3Ry3GMyWwPzfwLRM0erB1N64uRDTQsKM3gC98NCmx' +
+    '1zc1MLs0hbEFOLcwATXjsR84SDFNNUKyOTjmMZ01n7JQOJIy9TX7smY4TDNQNlazdzgLNLc2r7OLOHc0HTcAtJg46jSMNyi0pThk' +
+    'NfI3SbSkOOA1MzhptKc4ZTZsOIO0ojjtNqg4mrSaOHs33ziqtIo4BjgaObW0dzhQOFg5ubRgOJ04kDm1tD447DjJOaW0FTg/Of85' +
+    'jbTPN5U5MjprtGQ36DljOkG08zY7OpE6EbR7NpA6vzqyswA24jrmOjizeTU1Oww7srLwNIg7Lzsismg02jtNO4OxtTMWPGo73LCi' +
+    'Mj08gzspsJoxXzyVO9GukzB+PKs7Rq0JL5k8yDs9q8IssjzmO0enySjIPAA8sQKwhN48ojGAgBg2OwCiMUqKGDbQBaIxSpIYNtAN' +
+    'ojETlxg2ihKiMUqaGDbQFaIx6ZwYNosYojETnxg2jBqiMdCgGDZ2HKMxSaIZNtcdpDHzoxk2aR+lMeekGjaYIKcx66UbNpchqTEI' +
+    'px02tCKsMR6oHzbvI7AxxKghNqcktTF0qSQ2aCW8MTCqKDY/JsQx9aouNiwnzzHGqzQ2GSjfMVCsPjaqKPUxw6xNNk0pEDI8rWA2' +
+    'Aio0MruteDbOKmMyQ66XNrIrnjLSrr42WyzhMmev6DbsLC8zA7AVN5AtjTNWsEo3SS70M6ywfjcXLzU0B7G3N/8vdzRisfA3gDC4' +
+    'NL+xDzgNMQU1HrIpOKkxVzV9skI4VTK0NdyyWzgQMw42NrNtONgzcTaPs304WDTbNuSzjTjMNEU3GLSVOEU1uDc8tJ04xjUUOFu0' +
+    'nThLNk84drSaONU2jDiNtJM4ZDfGOJ+0hDj3NwM5qrRxOEc4QDmvtFw4kzh4Oa20OzjiOLM5pbQZODI56zmQtNg3hTkhOnC0czfb' +
+    'OVU6SLQENzE6hToZtIs2hzqzOsGzDDbbOto6RLOENS87Azu8sv00hTsqOyqycTTZO0o7i7HGMxY8ZTvgsLIyPzx+OyWwoTFjPJQ7' +
+    'yK6ZMII8qjs0rQwvnjzHOx6rxiy3POU7oKfoKM48ADwJmIMS5Tz/MHqAzzU0AP8w/onPNSgF/zD+kc81Jw3/ML6WzzXNEf8w/pnP' +
+    'NSgV/zCunM81CBj/ML6ezzXPGf8wlqDPNesbADH9oc81Lx0BMZOj0DWVHgIxrKTRNRUgBDGkpdI1+SAGMbSm1DX4IQkx2qfVNRMj' +
+    'DTGKqNg1KCQSMTOp3DXXJBkx5angNZolIjGiquY1cyYuMWmr7zVlJz8xHaz7NTooVDGMrAo20ShyMQCtIDZ8KZwxfa0+Nj4qyzEB' +
+    'rmA2GCsIMo2uijYJLE8yIK+4NpYsnjK8r+g2NC0AMzGwITfpLWQzh7BVN7Iu3DPhsJA3lS8wND2xyjdJMHE0mbH5N9UwvjT5sRc4' +
+    'cDEWNVqyNDgbMm41ubJKONUyyzUVs144nTMyNm6zcTg7NJo2xLN+OK80CTcKtIo4KTV4Ny60jziqNe83TrSTODI2MzhotJA4vjZy' +
+    'OIC0izhPN604krR9OOU36jidtGo4PjgrOaO0VjiMOGQ5o7Q3ONs4njmbtBU4KznaOY603Td9OQ86dbR6N885RjpQtBE3Jjp3OiG0' +
+    'lzZ8OqQ61LMWNtQ60jpYs5Q1Kjv7Os6yCjWBOyE7NrJ7NNc7QzuYsdszGDxgO+mwwDJBPHw7LLCwMWY8kjvCrp8whzyoOx+tEi+j' +
+    'PMY76arCLL485TsYp9Ao1jwAPDWQUwvtPGIwc4CANS4AYjCtiYE1hgRiMK2RgDWGDGIwY5aANRcRYjCtmYA1hxRiMG+cgDUTF2Mw' +
+    'Y56BNRoZYzBYoIE19BpjMKyhgTWOHGQwLaOCNckdZjBspIM1MB9oMFelhDViIGowWaaGNUQhbTBvp4g1QSJxME2oizVcI3Yw7KiO' +
+    'NUwkfTCVqZM1/SSHMEmqmzXDJZQwBqulNaEmpjDPq7M1nCfBMFGsyTVcKN8ww6zhNf0oCTE7rQE2tCk+Mb2tKTaGKnwxRa5WNnUr' +
+    'wjHWroU2QiwUMnCvuTbdLHYyC7D0No0t2jJfsCc3US5UM7mwZTcxL9YzFbGgNxUwMTRysdc3nzB/NNKxBzg5MdE0MrIfOOExKTWT' +
+    'sjY4mzKONfOyUDhlM/A1TLNgOB40XTais3E4kzTINvKzejgONT43HrSCOJA1uTdAtIc4GTYWOFu0gzinNlU4cbR8ODo3lDiEtHI4' +
+    '0jfTOJC0Yjg3OBQ5lrRNOIY4TjmWtC841jiLOY+0DTgnOcU5gbTQN3g5/jlttHk3yzk2OlG0GTcdOmk6K7SnNnM6mzrrsyo2zTrJ' +
+    'OnCzozUlO/Q66bIZNX87HDtQsoo01zs+O6ux7zMZPFk7+rDQMkU8czs5sLoxazyJO9SuqDCMPKM7Jq0cL6o8wzvWqsgsxTzkO5em' +
+    'tyjePAA80hc0lPY8mi9tgC01KACaL1iJLTXsA5ovWJEtNdkLmi8Dli01ahCbL1iZLjXaE5svLJwtNSMWmy8Cni41bRicLxegLjUJ' +
+    'Gp0vV6EuNegbny/Boi81Bx2iLymkMDVBHqUvB6UxNaMfqS/5pTM1mSCwL/6mNjV5IbgvDKg4NXUiwy+iqD01jyPRL0GpQjVnJOYv' +
+    '66lLNRslATCeqlc15yUXMF6rajXPJjAwFKx/NdgnVDCCrJ41hCiBMPeswzUyKbMwdK3qNfkp+DD8rSE24ipAMYyuUzbqK5ExIq+I' +
+    'Noss6zHDr7w2NC1XMjaw9zb2LdEykLA3N9IuUjPssHE3xi/gM0uxqzdtMD00qrHiNwUxjzQJsgo4qzHuNG2yJzhmMkw1y7I6OC0z' +
+    'rjUns0s4AjQcNn+zXTh3NI42z7NqOPI0/zYNtHA4djV5Ny+0dDgANvM3S7RzOI82OjhitG84JTd5OHO0ZDi9N7c4gLRTOC44+jiH' +
+    'tEA4fjg5OYe0JTjROHU5gbQFOCM5sjlztMA3djnqOV60aDfJOSY6RbQNNx06XDojtKY2czqNOvazMDbHOr86j7OyNSE75zoJsyM1' +
+    'fjsQO3WykTTcOzQ70bH+Mx48UjsZseEySTxuO1CwyDFxPIY7/K61MJM8oDtBrTAvsjzBO/Kq0izNPOM7oqbEKOc8ADwdGrWVAD2A' +
+    'LmWA1TQiAIAu/YjVNFsDgS79kNY0tgqALp2V1TSND4Au/ZjVNLcSgS7Lm9Y0QBWBLpyd1jSSF4Iuo5/WNCoZgy78oNY0xhqFLk2i' +
+    '1zRQHIcuxKPYNF8diy6xpNo0kh6PLpOl3DTtH5YuiKbeNLsgni6Op+I0mSGqLlOo5jSVIrou6ajuNLMj0i6Iqfk0fSTzLjOqCTU3' +
+    'JRwv56obNQ0mVy+rqzc1BSefLz+sWDUSKP0vsayCNbgoNTArrbA1eCl2MLCt4jVWKr4wO64WNlQrFTHSrlI2PSxvMXGvhzbjLNwx' +
+    'DbDHNqEtVDJmsAU3eC7WMsKwQjdqL2MzILF7Nzww+TN/sa430TBSNOCx6Td5Ma00QrIOODAyDDWjsiQ4+DJ1NQGzOTjRM+I1WrNL' +
+    'OF00UDats1Y42TTENvizXjhcNUU3H7RnOOk1wDc8tGY4eTYfOFS0YDgQN2A4ZLRWOKo3nzhxtEU4JjjjOHe0NTh3OCA5drQXOMo4' +
+    'XzlwtPA3HzmbOWK0ojdyOdg5T7RVN8k5EToytPY2HTpGOhK0jDZzOno617MeNso6rjp7s6g1IzvbOhWzJTV+OwU7l7KcNNw7Ljv5' +
+    'sQ00HjxRO0Wx+zJNPG07e7DcMXY8hTtAr8YwmTyfO3etUS+5PMA7R6vpLNY84jsUp+Qo8TwAPOcYAJUKPXgtXoB5NB0AeC2diHk0' +
+    '0gJ4LZ6QeTSkCXctMZV4NFkOeC2dmHk0pRF4LTabeTRqFHgtMZ15NF8WeS0Qn3k0WRh6LZ2gejS1GXwt1KF7NEgbfy0vo3w0ihyC' +
+    'LVikfTSRHYctKKWANL0ejS0LpoI0CSCVLf6mhjTLIKItAaiMNKkhtC2MqJY0qSLNLSKpojTOI/Atwam0NJEkIS5uqs40WSVfLimr' +
+    '7TRBJrAu96sWNVEnEi9qrEQ1RyiDL+KsdjX/KAAwYq2nNdQpSjDsrd41yyqdMIGuFzbqK/0wHq9UNpcsZzHGr5I2Ui3eMTuw0TYl' +
+    'Ll0ylbAJNxEv6zL1sEY3DzCDM1WxfTejMBc0trG4N0gxbjQWsuU3/jHSNHiyDTjGMjg12LIjOJ4zpjUzszQ4QzQZNomzQzjANJA2' +
+    '1rNNOEQ1CTcNtFI40DWMNyu0VzhjNgI4QrROOPk2SDhWtEk4mDeHOGK0NzgdOMc4aLQiOHA4DDlntAw4xjhJOV+01jcbOYg5UrSP' +
+    'N3E5xTk+tD03yjkBOiK04zYgOjg6/7N9Nng6bTqusw420TqhOlGzmjUpO8867rIYNYY7/jp9spk05jsoO/yxETQiPEw7ZrEUM088' +
+    'azuwsPoxejyGO66v4TCgPKA73617L8E8vzvwqxkt3zziOwioIin7PAA8sZCAChY9gSxWgBg0GACBLDmIGDRTAoQsO5AaNKgIgyzB' +
+    'lBk0PA2BLDmYGDSnEIIsmZoYNEgTgizAnBg0QRWDLHeeGDQuF4QsOKAZNLgYhixVoRo0CBqILJOiGzSJG4ws8qMdNKMckCy4pB80' +
+    'oR2XLIilIzTGHqEsZqYnNAwgryxWpy80zyDCLCyoOjSyId4st6hKNLsiBS1OqWE08yM9LfOpgTSzJHwtpqqjNIsl0C1rq9A0jSYy' +
+    'LiGs/zS7J6IulqwyNY4oIy8TrWg1XCm+L52tpTVOKi8wLK7bNWErjTDIrhc2UCz3MG+vVzYHLWwxD7CTNtYt6jFpsM82wC51Msew' +
+    'CjfHLxQzKbFIN3gwuzOLsYI3GzE7NO6xvTfRMZY0TLLjN5Uy+zSqsgY4ajNrNQizGzgqNNc1XLMlOKU0Vjavszc4LDXONvSzPDi3' +
+    'NVA3GbQ/OEs20TcztDw45TYtOEa0NziFN244U7QnOBU4sThatBU4aTj0OFm0+DfAODU5UbS+Nxc5djlDtHs3cTm1OS20KzfKOfE5' +
+    'ELTPNiM6Kjrcs2o2fzpiOoqz/jXaOpY6KrOLNTU7yDq/sg41kjv3OkuyjjT0OyE7ybEINCo8Rjs6sQIzWDxpO5aw9TGCPIU7xK/q' +
+    'MKg8nzs8rq8vyjy+O3msWi3qPOE7/qijKQc9ADwsn+8aIz0+K06AZDMTAD0roYdjM94BPiuhj2UzeQc+K0qUZDM0DD4roZdlM3sP' +
+    'Piv2mWUz2xE/K0qcZTM6FEAr151mM8kVQyuen2gznxdHK9CgajPhGEwr8KFsMx4aUysso3AzjhtdK0OkdjOcHGor/qR9M5QdgCvJ' +
+    'pYoztx6eK6OmnDMFIMwrkae7M88gBixKqOUzvyE0LNmoETTfIm0sdqk0NBsktiwkqmA06SQDLd+qiDTbJWgtsKu8NPwm2C1KrPE0' +
+    'KChdLsWsKzXwKOwuSq1iNdkpli/arZ816CopMHWu3jURLJIwGa8dNsQsAjHCr1Y2jS2CMT2wlTZ2LgoymrDPNnovqDL7sA43TzBJ' +
+    'M1yxRDfwMPszvrF3N6IxYDQgsq83aDK/NH2y0Dc7MzM13LICOBM0ozUzsxA4jjQdNoWzHjgTNaA20LMtOKE1HjcItC44NTahNyO0' +
+    'LDjRNhM4OLQlOHI3VzhEtBo4DDiZOEq0BjhhOOA4TLTiN7o4ITlFtKg3EzlmOTe0ajdvOaU5ILQZN8s54TkDtL02JjobOryzWTaD' +
+    'OlU6ZbPuNeE6izoEs3g1QTu+OpWy/zSiO/A6GrJ/NAI8GzuRsfIzNDxCO/qw6TJjPGU7ULDbMY48gzszr88wtDyeO7Otei/WPME7' +
+    'I6w7Lfc84jvxqKIpFT0BPFai1R0yPaMpRYCRMg8AoynHhpEydAGjKceOkTLSBaMpoJORMo0KpCnHlpIy1A2kKUuZkTKQEKUpn5uS' +
+    'MpkSpikwnZMyhRSpKcOelTL5FawpR6CWMqwXsilGoZoy1Ri5KV+injIAGsMpk6OlMmAb0ylxpLAygBzsKSalwTJ4HREq7qXdMqAe' +
+    'RirIpgUzAyCQKrqnPDPdIO0qY6h9M+UhaSv5qNEzJyPxK56pEjRUJE8sV6pEND0lrywfq3U0UCYlLf6rsTSaJ6Etd6zlNI4oNS77' +
+    'rCI1cinQLoatVzV4KoYvHa6UNakrKDC+rs81hCygMGyvFjZOLRsxD7BRNjEuojFrsIo2MC88MsywyjYpMNgyLLH8NscwijOPsTU3' +
+    'eTErNPOxdjc9MpE0U7KlNxIz+jSvssk39jNsNQaz6zd3NOk1WrMHOPw0ZzansxA4ijXkNuizFTgdNm83ELQZOLk29TcmtBM4XTc+' +
+    'ODa0CDgDOIc4QLT6N1o4yjhAtMs3szgMOTi0jDcNOVE5K7RQN2w5lDkVtAg3yTnROfGzrjYpOg06p7NJNoo6SDpNs+A16jqBOuey' +
+    'bjVNO7Y6c7LyNLI76DrvsXI0CzwVO2Gx2zNAPD07vrDMMm88YTsMsL8xmzx+O5ausDDBPJ47B604L+U8vTvJqt8sBz3gO8im4ygm' +
+    'PQA8whFwjUQ9Nyg8gLYxCwA2KOSFtTEWATYo5I21MVkEOSihkrgx5Qg3KOSVtjFbDDcompi2MdMOOCihmrYx8RA6KIGcuDHLEjwo' +
+    '4Z25MYEUPyhvn7wx0BVEKJWgvzFfF0woiqHFMZ0YWCiXos4xuxlsKL2j3zEVG4kogaT5MV0ctyg2pSEyYB3wKP6lUTKgHkAp4KaT' +
+    'MhYgqyngp+YyDSEeKn2oNjM3IrAqHamVM6YjWivPqfszsSQKLJCqLjS5JX0saqtoNPkm+SwqrJ80OCiHLaqs2DQVKSouNq0VNRgq' +
+    '2S7KrVA1QiueL2euijVMLEEwEK/MNRItuTDArwc28S08MTuwPzbsLtcxnLCENgUwdzL9sLw2ozAxM2KxAzdVMfAzw7E4NxQyVTQh' +
+    'sls34zLANH+yhjfIMzY12bKyN180rDUts8834zQlNniz4DdvNa42vbP6NwU2Nzf6swE4oza0NxO07zdENyc4JrTxN/A3ajgxtNA3' +
+    'UDizODa0rTesOPk4MbR8Nwg5PTkktDw3Zzl+ORC08DbIOcI55rOeNis6ATqbsz02jzo+OkCz1jXzOng62rJlNVs7sTplsus0xzvl' +
+    'OtyxajQZPBU7SbHKM1A8PTuesLgygzxVO8OvpDGwPHM7KK6VMNc8lzt6rO8u+zy8O3mpiywcPeA7h6MoKDw9/ztIIzafWz3zJTOA' +
+    '0jAIAPMl+oTSMMQA8yX6jNIwEgP0JZuR0zDsBvQl+pTTMCgK9CXGl9Mw1Qz2JZmZ0zADD/klm5vVMNgQ/iX3nNcwdBIFJkee2jAz' +
+    'FBAmvp/eMGEVIiavoOYw0xZBJpWh9zBOGG8mlaIOMWoZuia3ozYx0hodJ36kaDFMHKMnOaWoMW0dKSgNpvgx2h6PKP6mSjJRIAgp' +
+    'B6ijMmwhmSmgqAczyiI4KkqpZDM4JO8qBarHMzclzCvYqhw0ayZiLL6rVjTaJ+ssXKyNNMQohy3krMg0wCk1LnWtAjXkKvQuEK4+' +
+    'NRss1y+4roM13ixiMGWvvzW6LecwDrD9NbMucjFqsDQ2yC8eMs6wgDaCMMgyL7G2Ni4xfTOOsec26jEfNO2xEze3MpE0TrJQN5wz' +
+    '/DSnsnA3RzRyNf2yjjfKNPY1TbO2N1c1dDaVs8E37DX1NtGzxDeINoU3ArTNNy03CjgWtMU32TdSOCK0sjdGOJs4KLSQN6I44Dgo' +
+    'tGI3AzkrOSC0LzdkOXE5ELTrNso5tznqs5k2Lzr3OaezOzaYOjo6U7PYNQM7dTrssmY1cDuvOnWy6jTiO+I67rFnNCw8BjtPsa0z' +
+    'ZTwvO5uwozKXPFQ7pq+aMcM8dTv5rYgw7DyZOzSsxi4RPb07vahYLDM94Dt5n0UnVD0APAImVaJ1Pb0jKYDPLwUAvSMIhM8vgAC8' +
+    'IweMzi//Ab0jiJDOL4AEvyMIlNAvAwjAI0yW0C9QCsQjh5jTL5wMyiMpmtYvZw7UIwWc2y9QEOQjFp3jL7AR/yNHnvMvaxMXJJ+f' +
+    'CDDOFD4kkqAiMDkWeiRxoUgwCRjSJHSigDBAGUMlnqPBMNUazyV8pAoxcRx0JkKlVzHBHUEnJqavMW0fFCgopwYywiCfKCaoZjIP' +
+    'IjYpyajBMqUj7imAqSozyiS9KkqqkzPzJaorKqsBNFcnWywPrDo0fijxLJOsdDR0KaItJK23NJUqYC69rfU04Ss5L2KuNzWwLAww' +
+    'CK9tNYUtjjC6r641ei4bMTqw7DWNL6oxlbAcNlwwZTL5sGk2CTERM1ixljbBMc8zt7HGNowyWjQYsgc3bjPENHKyKDcuNDM1xrJC' +
+    'N640tjUZs243OjUzNmOzfjfNNcQ2p7OdN2w2RTfcs5U3DzfnNwe0pzfBNzY4F7SLNzo4fDggtGo3mTjLOCG0TDf5OBM5G7QYN145' +
+    'WTkNtNU2xzmnOe6zlTYwOuo5tLM5Np06LTpqs9U1DztsOgqzZTWBO586nLLiNPo71joasmQ0OjwHO3yxvjNzPDE7x7C3Mqk8Vzv1' +
+    'r6kx1zx3OzmukDACPZw7YKzULik9vzvZqFksTz3hOzOeBSdyPf87viYdo5Q9bSAfgO0tAwBtIA+D7S1JAG0gHYrtLSQBeSDpjvwt' +
+    'lwJoIBqS5S2YBGkgwZTmLUMHdCDelvEtXgl6IKyY9S2SC4UgGpr9LTMNmiC7mw4uDA/CIM6cMS7BEAMh5Z1pLmsSaiEvn8AuWxT8' +
+    'IVygMi/tFawiQqGqLwUYmSNXoiEwdRlSJJajaTBXG/UkhaS5MOUctCVbpQ0xeB6UJlGmZDE7IIgnZKe1MXchXChPqBgy/yILKQCp' +
+    'fzJwJM4pwqnlMpAlrSqZqlAz6SauK4WrwjNBKG8sRqwjNDUpFi3SrGI0TirFLWStmjSPK4cu/q3RNH4say+mrhE1Ui05MFWvWjVC' +
+    'Lr8wBLCUNUsvUTFgsMs1OzDnMbmw+TXbMKQyG7FANpUxWzN5sW42WzIbNNmxrTY4M4A0M7LONhE0AjWRsg43lDR0NeKyJDccNe01' +
+    'MLMzN681gjZ3s1w3TDYGN7WzYDfxNqM367NwN6E3GDgKtGM3LDhoOBe0WzeLOK84HLQzN+049zgetAA3VzlHORS00ja/OZA5BbSK' +
+    'Ni462znVsz42njoYOpWzzjUXO1s6O7NkNY07mjrZsvA0CTzYOlSydjRFPAY7vLHhM4M8MzsKsdgyuzxZO0OwyTHtPHs70a60MBo9' +
+    'njv/rCAvRj3BOx+qqixvPeI7GKQpKJc9ATxvJLagvD3/GxWA/CsBAP8bD4L8KyEA/RseiPorhAD8G6KM+CsrAfQbGJDuKxgCAhxr' +
+    'kvkrYAMOHKCUBSwaBR0cTZYNLHYHPxwjmCIsYwmEHFOZTyzKC/Ycx5qWLKsNnh1KnPUsJRCDHmadZy0OEqIfwp7kLWUUfiAyoGIu' +
+    'TBZKISqh4y5zGFEiVKJ/LzYafyOvow0wQxxqJKCkWDDBHTwlh6WuMKgfMCaRpgsxByFJJ7ynajGCIkooh6jRMSokAilCqTgyQiXT' +
+    'KQ+qoTKQJtAq9aobMxAo3yvqq4wz+Ch/LHWs7jMBKi0tBK01NDor5S2ZrWs0Tiy7LjeuqjQYLaYv3q7nNP4tTTCHrxo1/C7pMCGw' +
+    'aDUSMHsxebCWNa4wHjLZsMk1YjHhMjexDDYlMp8zlbE6NvsyRDTzsXw25TOuNE2ynjZwNDE1pbLVNvk0qjX3su82jDU8NkWzGjcq' +
+    'Nr82ibMiN882VzfDszY3fTftN/azNjcbOEc4DrQ4N3w4lDgatCA34DjmOB20AjdHOSg5HLTANrY5fjkRtJQ2JDrCOf6zPTaaOgo6' +
+    '0bPhNRs7VjqGs4Q1ljuWOjWzEDUSPNM6wrKYNFM8CTs4shc0lDw3O5KxITPPPFw71LAQMgc9gjv+r/8wOT2hOzKuvi9qPcM7RaxR' +
+    'LZc94ztyqGwpxT0CPC2UTBHxPRAUC4AHKAAAExQKgQooCAARFCiECCgiANAThoi/J0sAGhQmjAwokQA3FIuOHyj7AGsUu5A+KKIB' +
+    '+hSwkpkoxQLuFaqUICnBBFQXbpbFKRAIoBhjmIIq1graGeSZSCuaDVwbyJsILHQQqhwWnX0s5xLUHYme8iwxFVUfKqCCLaQXiCA4' +
+    'oQwueBmaIXmiqC6qG9gi7qNGL0EdJCTMpOkvDx/2JL+lSDCoIOsl0aaeMA0iCScDqPowwiMlKK2oVDHnJNwoa6mzMSEmuSk9qiAy' +
+    'mCekKh6rgjKkKKsrCazlMqIpgCyTrHAzziorLSCt2TMQLOstua0mNNMs2C5brm00sC3CLwKvozSoLm8ws6/pNMAvADE0sCI1fDC3' +
+    'MZWwcjUtMVgy8bCcNekxLjNSseg1vjIKNLOxMTamM240DLJPNkw09zRsspg21zRtNcGytDZmNfg1ErPgNgE2fDZbs/E2pjYTN52z' +
+    'CzdTN6Y32rMQNwg4IDgCtA43ZzhpOBe0+TbPOL44ILTpNjc5BzkotLs2qzlhOSS0mDYdOqw5GrRTNpc69jkTtP41KTtFOu+zqTWt' +
+    'O4s6sLM+NSA8yTpcs8g0bjwKO9OyUDSpPDo7QLKSM+o8YzuVsYAyKT2OO86wbjFdPa078q9YMJU9xzsmrlkuzj3lOzWsoysEPv87' +
+    'RKiuJDY+iQACgEAhAAAAAAKA6wEAABMAHYCqDAAAPgBugIAOAQCMACaBRRAFAIoB6oIOFBYAoALFhWwVPgCQCGyKDxy9ADoQF5H3' +
+    'JREDnxCykm8lHAXZEXKU6yUvCAcVMJfbJxYMhhbsmE0oow6fGOiaOSlvEa0at5xtKkcUXRwinkUrVxYsHbafoyt/GCAf+qCVLH0a' +
+    'ciAxohMteRx5IZmjky0LHi0jsqR/LhcgUCSfpQcvUyEnJa6mmC/bIoQm/qdTMGwkpieoqJ4wiSV9KGap8TDfJnspRKp+MUMoWSol' +
+    'q9UxLimcKxWsYzJLKl4smqy/MokrJy0urVEzfywGLsyt5TNWLdUuaq4iND8u/S8dr3k0Uy9wMMOvnDQ6MBwxP7DtNOMw2TGesDk1' +
+    'nTF0MvmwXTVlMlszWrGvNUUzAzS2scY1GjSBNBCyCjabNAA1brJCNiw1djXEsl82xDUNNhmzlDZqNrE2YLPGNhQ3Hjeqs7I20jfU' +
+    'N+Cz2TZIOCg4ELS9Nrc4jDgbtNQ2GjnNODm0pDahOSQ5TrSPNi46fDlPtGU2rzrdOUW0ODYwOyk6SLTpNd47dDo3tI41QDzAOhO0' +
+    'JTWKPPs6xLOvNNM8RDtFszA0GT1+O6WyUDNUPZw7BLI+Mp89uDtKsTMx5T3XO3awFTAlPtw7H6/NLWU++jstrUMqoz4=';
+
+export const LTC_AMPLITUDE =
+    'ADwAAAA8AAAAPAAAADwAAAA8AAAAPAAAADwAAAA8AAAAPAAAADwAAAA8AAAAPAAAADwAAAA8AAAAPAEAADwDAAA8CAAAPBcA/zs4' +
+    'AP47fgD8OwAB9ju/Adk7jQG+OyMAvDtEALo7fAC2O9YArztUAaE71gGHO9QBajsNAV47iwFMOwsCMjtIAgw7tQH3OjgC2TqTArM6' +
+    'cgKROpMCbjrZAkI6owIdOvAC8jkAA8Y5/AKaOSEDazkGAz85LQMOOQsD4jgsA7E4CwOEOCADVTgDAyg4CwP1N/ECnTfsAkc31wLy' +
+    'NsYCoDa2Ak82mwIDNpACtzVtAnE1ZQIqNT8C6TQ6AgA8AAAAPAAAADwAAAA8AAAAPAAAADwAAAA8AAAAPAAAADwAAAA8AAAAPAAA' +
+    'ADwAAAA8AAAAPAAAADwBAAA8AwAAPAkAADwYAP87OgD+O4IA/DsFAfY7wgHXO2cBvjskALw7RgC6O4AAtjvcAK87WgGhO9kBhzvI' +
+    'AWo7EwFeO5IBTDsRAjE7RgIPO+cB9jo/Atk6lQKzOnECkTqaAm062gJDOsACHTr1AvE5/QLGOQIDmjkhA2w5FgM/OS0DDzkgA+E4' +
+    'LAOyOB4DhDggA1U4EQMoOAoD9Tf6Ap036wJGN9sC8jbJAqA2twJQNqICAzaQArg1eQJxNWUCKzVNAuk0OQIAPAAAADwAAAA8AAAA' +
+    'PAAAADwAAAA8AAAAPAAAADwAAAA8AAAAPAAAADwAAAA8AAAAPAAAADwAAAA8AQAAPAQAADwKAAA8GwD/O0AA/juMAPw7FQH1O8wB' +
+    '1jsZAb07KQC8O00AujuLALY77ACuO20BoDvhAYY7oAFsO0kBXjuoAUs7IAIwOzwCETsYAvY6VALYOpoCtDqRApA6sgJsOt0CRDrp' +
+    'Ahw6AgPyORADxjkjA5k5JwNsOTkDPjkzAxA5QAPgODMDsjg7A4M4KgNWOCoDKDgXA/Y3DwOdN/wCRzfsAvM22gKgNsQCUTazAgM2' +
+    'mQK5NYgCcTVtAiw1XALpNEACADwAAAA8AAAAPAAAADwAAAA8AAAAPAAAADwAAAA8AAAAPAAAADwAAAA8AAAAPAAAADwAAAA8AAAA' +
+    'PAIAADwFAAA8DQAAPCAA/ztKAP47ngD8OzAB9DvXAdc7+wC/Oz8AvDtaALo7nwC1OwcBrjuLAZ876QGGO5MBbzuEAV07zAFKOzcC' +
+    'LzswAhM7TgL1OnoC1jqeArU6vwKROuQCazrsAkU6GQMbOiAD8Tk5A8Y5SwOZOUwDbDleAz45WQMQOWID4ThbA7I4WAOEOFADVjhD' +
+    'Ayg4OwP2NykDnjcbA0g3BwPzNvQCoTbfAlE2yAIFNrQCujWZAnI1hgItNWoC6zRWAgA8AAAAPAAAADwAAAA8AAAAPAAAADwAAAA8' +
+    'AAAAPAAAADwAAAA8AAAAPAAAADwAAAA8AAAAPAEAADwCAAA8BgAAPBAAADwnAP87WQD+O7cA/DtWAfI71QHYO+oAwztsALw7bQC5' +
+    'O7wAtTsuAa07swGdO+oBhjujAXE7wgFcO/0BSDtRAi47TQITO4sC9Tq1AtU6ugK1OvoCkToXA2o6HQNFOlADGzpTA/E5bgPGOXcD' +
+    'mTmIA2w5iQM+OZUDDzmMA+E4kgOyOIQDhDiCA1Y4cQMoOGUD9zdUA583QQNINy8D9DYYA6I2AwNTNuoCBTbTArs1ugJzNaECLjWJ' +
+    'Auw0bgIAPAAAADwAAAA8AAAAPAAAADwAAAA8AAAAPAAAADwAAAA8AAAAPAAAADwAAAA8AAAAPAAAADwBAAA8AwAAPAkAADwWAP87' +
+    'MgD/O20A/jvaAPs7hgHvO68B2TvcAMc7kgC8O4gAuTvjALQ7YQGrO+IBmjvYAYc7xwFzOwcCXDtIAkY7ZgIuO4UCFDvTAvU67wLU' +
+    'OvgCtTpAA5A6SwNqOm0DRDqMAxs6oQPwObQDxTnBA5k5zwNrOc8DPjnXAw850wPhOM0DsjjIA4Q4ugNWOLEDKTidA/g3jQOgN3cD' +
+    'STdgA/U2SwOjNi8DVDYYAwc2+wK9NeQCdTXGAjA1rQLuNJACADwAAAA8AAAAPAAAADwAAAA8AAAAPAAAADwAAAA8AAAAPAAAADwA' +
+    'AAA8AAAAPAAAADwBAAA8AgAAPAUAADwMAAA8HQD/O0EA/zuIAP47BwH7O70B6ztaAds72wDKO7MAuzurALk7FgG0O6IBqjsVApg7' +
+    '2AGHO/0BdDtXAlw7mgJEO4YCLjvSAhQ7JQP0OikD1DpXA7M6jwOQOqIDajrPA0I61gMbOgEE8DkGBMU5HASZOSAEazksBD45JwQP' +
+    'OSwE4TgfBLM4GQSEOAkEVjj3Ayk46AP5N9ADoTe7A0s3oQP3NoYDpTZsA1Y2TQMJNjMDvzUSA3c1+AIyNdYC8DS9AgA8AAAAPAAA' +
+    'ADwAAAA8AAAAPAAAADwAAAA8AAAAPAAAADwAAAA8AAAAPAAAADwAAAA8AQAAPAMAADwHAAA8EQAAPCcA/ztUAP87qwD+O0AB+Tv4' +
+    'Aek7NwHcO+IAzTvTAL074wC4O1gBszvwAag7QQKXOwAChztFAnQ7swJdO+oCQjvUAi07NwMTO38D9DqMA9Q6ywOyOuIDjzoVBGo6' +
+    'OwRCOkgEGjprBPA5egTEOYkEmDmRBGs5lgQ9OZQEDzmMBOE4iASzOHcEhThrBFc4VgQqOD8E+jcnBKI3CQRMN/AD+TbQA6c2swNY' +
+    'NpIDCzZxA8E1UgN6NS8DNTURA/I07QIAPAAAADwAAAA8AAAAPAAAADwAAAA8AAAAPAAAADwAAAA8AAAAPAAAADwAAAA8AQAAPAIA' +
+    'ADwEAAA8CgAAPBgAADw1AP87bgD/O9cA/TuGAfg7KQLoOy0B3DvxAM87+AC/OywBuDuqAbE7SQKlO1gCljtAAoc7qQJ1Ox4DXDst' +
+    'A0I7SgMrO64DETvaA/Q6DQTUOk8EsDpYBI86ngRpOq4EQjraBBk65QTwOQYFxDkGBZg5GQVrORQFPTkWBQ85DAXhOAAFszjxBIU4' +
+    '2gRXOMYEKjipBPs3jASkN20ETjdIBPs2KwSpNgUEWzblAw42vgPENZsDfTV1Azg1UgP2NC0DADwAAAA8AAAAPAAAADwAAAA8AAAA' +
+    'PAAAADwAAAA8AAAAPAAAADwAAAA8AQAAPAEAADwDAAA8BwAAPA8AADwhAAA8RwD/O48A/zsQAf072gH2OzQC5zsrAd07CwHROysB' +
+    'wzuDAbc7DwKwO6kCojtxApY7pAKHOyUDdDuTA1w7iwNDO94DKjs2BBA7UwTzOqcE0zrdBLA6/gSNOjkFaDpTBUE6fgUYOooF7zmj' +
+    'BcQ5rQWXObEFazm2BT05qQUPOaMF4TiRBbM4fgWFOGUFWDhEBSs4KAX9NwQFpjfhBFE3uwT9NpIErDZtBF02PwQRNhoExzXsA4A1' +
+    'xgM7NZsD+TR1AwA8AAAAPAAAADwAAAA8AAAAPAAAADwAAAA8AAAAPAAAADwAAAA8AQAAPAEAADwCAAA8BQAAPAoAADwWAAA8LgAA' +
+    'PF8A/zu5AP87VwH9OzwC8jvvAec7QwHeOzIB0ztvAcU76AG2O4gCrjsIA6E7wgKVOyIDhju5A3M7DQRcOxwEQzuOBCg70QQOOwEF' +
+    '8jpjBdI6fQWwOscFizrgBWc6GgZAOjIGFzpRBu05WAbDOW8GlzlrBmo5bgY9OWIGDzlPBuE4PwazOB4GhjgDBlk44AUsOLkF/zeX' +
+    'Bag3ZgVTNz0FADcOBa823wRhNrIEFDaABMs1VASDNSIEPzX4A/00xwMAPAAAADwAAAA8AAAAPAAAADwAAAA8AAAAPAEAADwBAAA8' +
+    'AQAAPAEAADwCAAA8BAAAPAcAADwPAAA8HwAAPEAA/zt/AP878AD+O68B/DupAvA70AHnO14B3jtpAdQ7xgHHO2UCtzscA6s7VgOf' +
+    'OzUDlDu+A4U7ZwRxO4IEXDvWBEM7VAUnO3gFDTvZBfE6MQbROlsGrzqmBoo6xAZmOgIHPzoVBxc6NwfsOT0HwjlKB5Y5TgdpOTwH' +
+    'PTk2Bw85HQfhOAMHtDjmBoY4ugZZOJcGLThmBgA4NQarNwcGVjfPBQM3nwWyNmcFZDYxBRg2+gTPNcUEiDWPBEM1XAQBNSgEADwB' +
+    'AAA8AQAAPAEAADwBAAA8AQAAPAEAADwBAAA8AQAAPAIAADwCAAA8BAAAPAYAADwMAAA8FwAAPC0AADxYAP87qAD/OzYB/jscAvs7' +
+    'FQPvO+IB5juKAd47tAHVOzcCyTv7Ark7wwOoO5EDnjvZA5M7iQSEOyoFcDsxBVs7vAVDOzsGJztgBgs72wbvOg8H0DppB646pQeK' +
+    'Ot4HZDr9Bz46FggWOhsI7DknCME5JAiWOScIaTkfCDw5FAgPOQoI4jjsB7Q4wweHOJUHWjhgBy44MQcCOPYGrTe5Blk3fwYGNz4G' +
+    'tjYGBmg2wwUdNokF0zVJBYw1DwVINdIEBjWaBAA8AgAAPAIAADwCAAA8AgAAPAIAADwCAAA8AwAAPAMAADwDAAA8BAAAPAYAADwK' +
+    'AAA8EgAAPCIAADxAAAA8eQD/O98A/zuQAf47oQL5O2QD7jv/AeY72QHfOxkC1jvHAso7sAO6O3EEpzsVBJ07nQSRO3wFgjv6BW87' +
+    'JgZbO80GQjs0Byc7jgcKOwII7TofCM86VgitOmsIiTqQCGM6nwg9OrYIFTq9COs5wgjAOcQIlTm8CGk5twg8OaYIDzmRCOI4fgi0' +
+    'OGIIiDhJCFs4KgguOAgIAzjUB7A3igddN0cHCjf9Bro2sgZtNm8GITYjBtg14wWRNZcFTTVbBQs1EgUAPAUAADwFAAA8BQAAPAUA' +
+    'ADwFAAA8BQAAPAUAADwGAAA8BwAAPAgAADwMAAA8EQAAPB0AADwyAAA8WwD/O6UA/zsoAf87AQL9O0ED9jtZA+07RALmOz8C3zue' +
+    'Atc7fwPMO5EEuzsXBaY75gScO6sFkDuWBoA7zAZuO1EHWjsMCEE7KggmO3cICTurCOs62gjNOggJrDooCYg6RwliOmEJOzpsCRQ6' +
+    'fQnqOXgJvzl5CZQ5bglpOV4JPDlPCQ85NAniOBgJtTj8CIg41whcOLYIMDiNCAQ4Zgi0Nz0IYDcVCA831ge/NoQHcjYwByY23Abd' +
+    'NY0GljU6BlM18gURNaIFADwKAAA8CgAAPAoAADwKAAA8CgAAPAoAADwLAAA8CwAAPA0AADwPAAA8FAAAPB0AADwtAAA8SwAAPIEA' +
+    '/zvhAP87hgH/O5EC/Tv9A/Q7NgPsO4UC5jvEAt87TwPYO2YEzTuXBbo7mwWnO+cFmjvvBo471Ad+OwEIbTtsCFg7xQhAO+8IJjtM' +
+    'CQg7cAnpOrQJyjrUCao6CAqGOhkKYTo+Cjo6SQoSOk8K6TlQCr85RwqTOT4KaDkoCjw5CwoPOfIJ4jjOCbY4qAmJOH0JXThTCTE4' +
+    'IwkGOPoItzfFCGQ3mAgTN2UIwzY1CHY2CAgrNqgH4zVXB5w18QZZNaQGFzVHBgA8EwAAPBMAADwTAAA8EwAAPBMAADwTAAA8FAAA' +
+    'PBUAADwYAAA8HAAAPCMAADwvAAA8RgAAPG8AADy2AP87MgH/OwEC/jtHA/w7zgTyO10D7DsRA+Y7bgPfOzYE2DuGBc07vQa7O4cG' +
+    'qTtIB5g7NwiLO5cIfDvMCGs7TglWO4sJPzvmCSU7OAoHO2sK6Dq1Csg63QqoOgoLhToiC2A6OAs5OlALEDpKC+g5Tgu+OUALkzkl' +
+    'C2c5EQs8OfAKDznICuI4nAq2OHIKijg3Cl44DgozOM8JCDieCbs3ZgloNyYJGDf2CMk2tgh8NoYIMTZICOk1GwijNcIHXzVqBx41' +
+    '/gYAPCIAADwiAAA8IgAAPCIAADwjAAA8IwAAPCQAADwmAAA8KgAAPDAAADw6AAA8TAAAPGwAADyjAP87AQH/O6AB/zuiAv47KwT7' +
+    'O54F8TvmA+w7ywPmO0kE4DtfBdg76gbMO/cHvDvPB6o7dgiXOxgJiTtRCXo7ywlpO1IKVDuOCj07AAsjO0ULBjufC+Y60gvGOgwM' +
+    'pjocDIM6MAxeOjgMNzo9DA86PAznOTUMvTkuDJI5IAxnOQ0MOznwCw85xwvjOIQLtzhaC4s4FQtfONoKNDibCgo4Uwq/NxkKbTfS' +
+    'CR03kgnONlIJgjYPCTg21QjvNZIIqjVeCGY1HQglNdsHADw9AAA8PQAAPD0AADw9AAA8PQAAPD4AADxAAAA8QwAAPEgAADxRAAA8' +
+    'YAAAPHoAADylAAA87wD/O2oB/zs0Av87dQP+O0gF+TsuBvA7YgTrO7IE5TtiBeA72gbYO00IyzuTCLw7yAisO3oJmDsqCoY7YQp4' +
+    'OwELZzuGC1I72gs8Oy0MITtSDAU7gQzlOpkMxDq+DKM60wyBOt0MXTrrDDY66gwOOukM5TnhDLw50QySOb4MZzmsDDo5iAwQOXQM' +
+    '4zhODLc4LgyMOAoMYTjFCzY4ewsMOC8LxDfeCnI3lgoiN0MK1Tb+CYg2sAk/NmwJ9jUjCbE14whuNZ4ILTVlCAA8aAAAPGgAADxo' +
+    'AAA8aQAAPGkAADxrAAA8bQAAPHIAADx6AAA8hwAAPJwAADzAAAA8+wAAPFwB/zv7Af87+wL/O4cE/TupBvc7SQbwO3UF6zvRBeU7' +
+    '7AbgO10I1ztNCco7TQm9O9oJrTvGCpg7XQuEO7oLdjs+DGQ7cgxQO70MOTvvDCA7JA0DO1EN5DpzDcI6jA2hOqsNfzqzDVs6vQ01' +
+    'OrwNDTqxDeQ5pA27OZYNkTlyDWY5Xw06OTgNEDkWDeQ47Qy4OMIMjTiYDGI4bAw4OD4MDjgSDMk3xQt4N28LKDcUC9s2vQqPNmoK' +
+    'RjYUCv41yAm5NXUJdjUxCTU15AgAPK4AADyuAAA8rwAAPK8AADywAAA8sgAAPLYAADy9AAA8yAAAPNoAADz5AAA8KQEAPHkBADz5' +
+    'Af87xgL/OwgE/jvsBf07Kgj1OxAH7zvABuo7TwflO3cI4DuLCdc7cgrJO3IKvTtQC607KQyZO1wMgzu6DHM7GA1hO1UNTjuqDTc7' +
+    '0w0eOyEOAjtIDuM6dA7BOo8OnzqjDnw6rQ5ZOq0OMzqpDgw6og7iOYMOuTlzDpA5Tg5mOSoOOzn/DQ850Q3kOKENujhwDY44Og1k' +
+    'OAgNOjjPDBA4ngzON2cMfjcxDC83/wviNpcLlzY4C0021woHNn0KwTUkCn810Ak+NX0JADwcAQA8HAEAPBwBADwdAQA8HgEAPCEB' +
+    'ADwnAQA8MQEAPEEBADxbAQA8hQEAPMcBADwxAv872AL/O94D/ztwBf47vAf8OyMJ9DsZCO47IgjqO8AI5TvCCd87AgvVO68LyTv9' +
+    'C707iwyuOw8NmTtIDYM7vA1wOxAOXztqDks7xw40O/8OGzs6DwA7dA/gOpEPwDq6D506xg95OtEPVjrTDzE6vg8KOrIP4jmTD7g5' +
+    'bw+POUYPZTkUDzs54w4QOaoO5ThtDrs4Nw6QOPMNZji4DTw4eg0SODgN1Df9DIQ3vAw2N4QM6TZJDJ82EAxWNrQLDzZIC8s15gqI' +
+    'NYEKSDUqCgA8xAEAPMQBADzFAQA8xQEAPMcBADzMAQA81AEAPOIBADz4AQA8HAIAPFYCADyvAgA8OwP/OxME/ztfBf87Ugf+OwsJ' +
+    '+zsmCvM7GgnuO0oJ6jsrCuU7agvfO2cM1DuKDMk7+Qy9O5oNrTsUDpo7bw6EOwIPbTtGD1w7wA9IOwcQMjszEBg7ShD9Om0Q3jp8' +
+    'EL46jBCbOpMQdzqSEFM6jxAvOocQCDp0EOE5ZBC3OUoQjjkyEGU5ExA7OeIPEDmnD+U4Wg+8OBMPkjjODmc4fg4+ODgOFTjsDdo3' +
+    'og2KN18NPTcXDfE21wynNpMMXzZWDBg2GAzUNb4LkjVOC1E15goAPMICADzCAgA8wgIAPMMCADzGAgA8zAIAPNcCADzqAgA8CgMA' +
+    'PDsDADyIAwA8/wMAPLYE/zvMBf87bwf/O+sI/juOCvg76gryOzcK7jvkCuo7AQzlO8IM3jt6DdM7kw3JOzEOvTvyDqw7Rg+aO+oP' +
+    'hDs+EGw7axBZO6gQRTvSEC87BBEWOyAR+jo7Edw6TRG8OlgRmTpcEXU6XxFQOkwRLTpGEQY6KRHfORgRtjn1EI050xBkObIQOzmH' +
+    'EBE5XxDnODcQvTgKEJM4uw9qOGcPQTgMDxg4ug7hN2QOkjcQDkU3wQ36NnENsDYpDWg23wwiNpwM3jVZDJw1GwxcNbsLADw4BAA8' +
+    'OAQAPDgEADw6BAA8PgQAPEYEADxWBAA8cAQAPJsEADzeBAA8RQUAPOEF/zvOBv87GAj/Ox4J/juWCv07Pwz2OwUM8TsEDO07egzp' +
+    'Oy8N5DsXDtw7uQ7SO+kOyTvLD7w7SBCrO3cQmTvUEIM7FBFsO1wRVTuXEUE7xRErO/IREjsYEvc6MBLaOkMSujpREpc6RhJ0OkoS' +
+    'TjouEio6JBIEOv4R3jnhEbY5vRGMOY8RYzliETs5NhESOQMR6DjNEL44nRCVOGgQbDgzEEQ4AxAbOJsP5zc/D5o33A5NN4EOAzcn' +
+    'Dro20Q1yNn4NLTYvDek14wynNZwMaDVYDAA8WAYAPFkGADxZBgA8WwYAPGAGADxsBgA8gQYAPKQGADzeBgA8NwcAPL8HADxGCP87' +
+    '3gj/O74J/zsDC/47Zgz9O3UN9Tv+DPE7Ng3tO8wN6Tu0DuQ7wA/bOw4Q0TteEMg73xC7OzgRqjt9EZk75RGEOyYSbDt/ElI7uBI9' +
+    'O/ISJzseEw87PhP0OlsT1zpiE7c6bhOVOmMTcjpaE0w6ORMnOiETAjr6Etw5zhK1OZsSjDlrEmM5MhI6OfQREjm9Eek4fxHAOD8R' +
+    'lzgHEW44xxBGOIsQHzhTEO43FxCiN8UPVjdWDww38w7ENowOfTYzDjc20g30NYINszUqDXQ14gwAPLIIADyyCAA8swgAPLQIADy4' +
+    'CAA8vwgAPM0IADzlCAA8CwkAPEYJADyfCQA8Iwr/O+UK/zv+C/87yAz+O9sN/DvrDvQ7Tw7wO7cO7Dt6D+g7URDjO+UQ2TsGEdA7' +
+    'ehHHOwoSuTtXEqo7zhKYOy0TgzuDE2s7zRNROw8UOTsmFCQ7QRQLO00U8TpbFNM6YBS0OlwUkzpXFG86ShRLOjoUJTokFP85CRTa' +
+    'OeMTtDmjE4w5XRNjOSATOjnYEhI5jRLqOEgSwjgAEpk4tRFxOHARSjgpESI44xD3N6UQqjdhEGA3JxAWN9IPzjZkD4g29g5DNo0O' +
+    'ATYwDr81zw2BNXwNADzaCgA82goAPNoKADzcCgA84QoAPOsKADz9CgA8HQsAPE8LADycCwA8BwwAPFwM/zvWDP87hQ3/O3sO/jvD' +
+    'D/o7QxDzOxMQ7ztKEOs70BDoO4oR4jsgEtg7TBLPO+QSxTt3E7c7zxOpOzAUlztZFII7lRRqO7MUUDvgFDU79xQfOxQVBzsiFew6' +
+    'JBXQOisVsTocFZA6GRVtOgAVSTrrFCM60xT9Oa4U2DmLFLM5aRSLOT8UZDkVFDs51hMTOYMT7DgqE8Q41BKcOIISdDgpEk043hEm' +
+    'OIsRADhAEbQ39xBqN6wQITdtENk2KBCUNtsPUDZjDw029A7MNYoOjjUmDgA87QwAPO0MADzuDAA87wwAPPIMADz5DAA8BQ0APBkN' +
+    'ADw6DQA8aw0APLUN/zsgDv87uQ7/O5IP/jteEP07HxH4Oy0R8jstEe87pRHrO0gS5zsTE+A7jhPXO/QTzztYFMQ7mRS2O80UqDsh' +
+    'FZU7TRWBO5EVaju1FVA73hUzO/kVGzsKFgI7GBboOhcWzDoZFq06ABaNOvkVazrcFUc6uRUiOpUV/DluFdY5QhWxORIViznhFGQ5' +
+    'sRQ8OX0UFDlIFO04GBTGOMUTnjhkE3c4BBNQOKQSKjhMEgU47hG/N54RdDdIES03/hDmNrAQoDZtEF02JhAbNtMP2zVZD5w16A4A' +
+    'PAAPADwADwA8AA8APAEPADwFDwA8Dg8APB4PADw4DwA8Yg8APKIPADz/D/87QxD/O6IQ/zsnEf472xH9O7YS9juWEvI7zRLuO2UT' +
+    '6zsVFOY7fhTeO68U1jsHFc07bxXCO6gVtDv6FaY7QxaUO3sWgDuyFmk75hZOOwgXMTsjFxY7Nxf+OjoX5Do3F8g6LxeqOhMXijr5' +
+    'Fmg60xZFOqwWIDp7Fvo5RRbUORAWrznZFYo5nBVkOV4VPTklFRU55RTuOKoUyDhuFKE4NRR7OPQTVTiJEy44HRMJOLsSyTdVEoA3' +
+    '/BE4N5wR8zZOEa429xBrNq8QKTZkEOk1IRCrNcEPADzpEAA86RAAPOoQADzqEAA87RAAPPMQADz9EAA8DhEAPCgRADxQEQA8ixH/' +
+    'O98R/ztUEv879hL+O84T/DtcFPU7MBTxO3MU7jvRFOo7SBXkO7IV3TvsFdU7ThbLO7wWwDsGF7M7YhekO6IXkjvwF347DxhnOykY' +
+    'TTs7GDA7QhgTO00Y+DpGGN86RhjDOjYYpTooGIc6FhhlOvQXQjq8Fx46hhf5OUQX0zn9Fq45uBaJOXIWZDkoFj454BUXOZYV8DhS' +
+    'Fco4ChWkOMYUfziGFFk4RBQzOAgUDjiXE9Q3KhONN7sSRTdZEgA39RG8NpsRejZGETg28BD5NaYQuzVcEAA80RIAPNESADzREgA8' +
+    '0xIAPNYSADzdEgA86hIAPP8SADwhEwA8UxMAPJwT/zsCFP87ShT+O6wU/jsrFfs7kRX0O3kV8TvFFe07PRbqO8sW4zsiF9s7dhfU' +
+    'O/cXyTsnGL47WBixO4kYoTutGJA71Bh8O+0YZDsBGUs7EhkvOxYZETseGfM6DRnaOgwZvjr3GKE63BiDOsMYYjqlGEA6gBgdOloY' +
+    '+DkyGNI5BxitObsXiDllF2Q5Chc/ObkWGTliFvM4DBbNOL0VpzhtFYI4HxVdONgUODiOFBQ4TRTfNwoUmjebE1M3KBMON7cSyzZU' +
+    'Eok26xFJNpIRCTY3Ecw15xAAPK8UADyvFAA8rxQAPLAUADyyFAA8thQAPL4UADzLFAA84BQAPAAV/zstFf87bBX/O8MV/js5Fv07' +
+    'zhb4O/kW8zsUF+87axftOwQY6TtYGOE7dRjaO7kY0jv/GMc7Jhm8O2IZrzuPGZ87tBmOO9gZeTv2GWM7CBpJOxEaLDsUGg87Exrw' +
+    'OgEa1DrtGbk61BmcOrUZfjqQGV46ZBk8OjcZGzoKGfc52BjSOaQYrTluGIg5PhhkOQkYQDmpFxs5Rhf2OOcW0DiCFqs4KxaGOM8V' +
+    'Yjh6FT44KhUaONsU7DeRFKY3TBRiNwgUHjeWE9s2GROaNqwSWjZDEhs23RHeNYIRADxfFgA8XxYAPF8WADxgFgA8YhYAPGgWADxy' +
+    'FgA8ghYAPJwWADzDFv87+hb/O0cX/zuwF/47Hhj9O3MY9zt0GPI7jhjvO9AY6zsiGec7gRnfO6IZ2DvvGdA7NhrFO2oauTuhGqw7' +
+    '1BqcO/kaizseG3Y7LRthO0MbRjs/Gys7QhsNOysb7jodG886/hq0OtQalzqnGno6expbOkYaOjoLGhk60Rn2OZMZ0TlXGa05GRmJ' +
+    'OdkYZDmdGEA5YRgdOSQY+TjXF9Q4ahevOPsWiziXFmc4MxZEONYVITh9Ffs3KRW1N9cUcTeOFC83QxTsNgAUqzaGE2w2BxMuNp0S' +
+    '8TUvEgA8SxgAPEsYADxLGAA8TBgAPE0YADxRGAA8VxgAPGEYADxxGAA8iBj/O6oY/zvYGP87Fxn+O2kZ/DvFGfU7tBnyO+oZ7zs5' +
+    'Gus7lhrlO+ka3jsXG9c7cxvNO6cbwzv0G7c7ERypOy4cmTs8HIg7ThxzO1QcXTtaHEQ7VBwpO1IcCjtAHOs6MBzLOhscrjoBHJI6' +
+    'yRt1OokbVzpGGzc6/BoWOrga9TluGtE5IBqtOdYZiTmOGWU5RBlBOfwYHzm4GPw4dhjYODMYtDjwF5A4dBdtOAYXSjiZFic4MxYF' +
+    'ONIVxTd4FYE3HhU/N84U/zaDFL42ORR/NusTQjZwEwU28xIAPLwZADy8GQA8vRkAPL0ZADy/GQA8wxkAPMsZADzXGQA86hkAPAca' +
+    '/zsvGv87Zxr+O7Ea/jsRG/s7ZRv1O1ob8TugG+47ABzqOzQc4ztQHN07exzVO6kcyzvCHME77By0O/8cpjsaHZU7KB2EOzIdcDs4' +
+    'HVo7NR1BOy0dJjscHQg7CB3pOvEcyTrSHKg6rhyNOokccDphHFI6OBw0OgscEzq6G/M5ZRvROQobrTmvGos5WBpnOQMaQzmwGSA5' +
+    'XBn/OBEZ3DjGGLk4fBiWODsYczjtF1A4eRcuOP4WDTiUFtY3KhaTN8YVUTduFRE3EhXSNsMUkzZ2FFY2LRQaNtQTADyaGwA8mhsA' +
+    'PJobADybGwA8nhsAPKMbADysGwA8uxsAPNIb/zv0G/87Ehz/OzMc/jteHP07lRz5O6oc9Du5HPA74RzuOxwd6TtSHeE7aR3bO58d' +
+    '0jvIHck76B2+OwkesTskHqM7NR6SO0MegDtEHmw7RR5VOzEePjstHiI7EB4FO+0d5jrNHcY6ph2lOncdhzpHHWs6Fh1NOt4cMDqr' +
+    'HBE6dBzxOT4c0DkIHK45pxuMOT8bajnZGkc5eRojORkaAjm/GeA4aRm+OBcZnDjHGHo4fxhYODUYNjjsFxQ4ZxfoN/UWpjeFFmU3' +
+    'GhYlN7cV5jZdFak2AxVsNrQUMTZoFAA8AB0APAAdADwAHQA8AB0APAIdADwFHQA8Ch0APBMdADwhHf87NR3/O1Id/zt4Hf47qx39' +
+    'O+kd9zvsHfI7AR7vOzUe7Tt8Huc7rR7fO8Qe2TsFH887IB/GO1AfujtjH607fx+fO4kfjjuQH3w7jx9oO4MfUTtoHzo7UB8fOysf' +
+    'Ajv+HuQ60R7EOpoeojpeHoI6Hx5mOuUdSTqhHSw6YB0OOh4d8DneHNA5nhyvOV8cjTkiHGw5zBtKOVwbJznuGgU5hBrlOCMaxDjB' +
+    'GaM4aRmBOBIZYDjEGD84dhgdOC8Y+TfXF7o3Vxd6N94WOzd0Fvw2BxbANqcVhDZLFUk29RQAPIceADyHHgA8hx4APIgeADyJHgA8' +
+    'jR4APJMeADyeHgA8rh7/O8Ye/zvnHv87FB/+O08f/DuQH/U7hR/yO64f7zvpH+s7FSDlOyog3jtAINc7XyDNO2kgwzuAILc7iiCp' +
+    'O48gmzuTIIo7jyB4O4ogYzt4IE07ayA1O1cgGzs6IP46GyDhOvofwTq1H6E6ah+AOhsfYTrPHkU6gB4oOjAeCzrgHe45kx3POUcd' +
+    'sDn9HI85tRxuOXAcTjktHCw53xsKOWQb6TjxGsk4hhqpOBwaiTi8GWg4XxlIOAkZJzi5GAY4ahjONyMYkDfCF1I3QRcVN8sW2DZe' +
+    'Fpw28xVjNpcVADw7IAA8OyAAPDsgADw8IAA8PSAAPD8gADxDIAA8SSAAPFIg/ztgIP87cyD+O40g/juvIPs7yyD1O8cg8TvhIO47' +
+    'AyHqOyIh4zs1Idw7TiHUO2QhyjtxIb87fiG0O4shpTuJIZY7hiGFO30hcjtxIV07VCFIOz0hMDsfIRc7+iD6OtEg3jqqIL86fSCf' +
+    'Ok0gfjodIF463B9AOnwfJDobHwg6vB7sOWAezzkGHrA5sB2ROVsdcjkLHVI5vxwyOXUcEDkwHPA43hvPOF0bsDjqGpE4eRpxOBAa' +
+    'UTivGTE4URkSOPsY5DerGKY3XRhqNxYYLjeoF/I2KBe3NrYWfTZIFgA8cyEAPHMhADx0IQA8dCEAPHUhADx3IQA8fCEAPIMhADyO' +
+    'If87niH/O7Qh/jvSIf079yH4OwEi9DsLIvE7KCLuO1Ai5ztmIuE7eyLaO5Ui0TukIsc7tCK8O7cirzu9IqA7tiKRO6cigDuYImw7' +
+    'eiJYO1giQzs2Iis7CyIRO9gh9jqjIdo6biG9OjghnTr8IH06wSBcOoYgPjpNICA6FCAFOrUf6jlJH8453R6xOXoekzkYHnU5uh1W' +
+    'OWEdNzkOHRc5vRz3OHIc1zgrHLc4zRuZOFAbejjaGls4Zho9OAEaHTieGf03Qhm/N+oYgjecGEg3ThgONwoY0zaNF5o2ERcAPPoi' +
+    'ADz6IgA8+iIAPPsiADz8IgA8/yIAPAQjADwMI/87GSP/Oysj/ztEI/47ZSP9O40j9zuLI/I7mCPvO7kj7DvnI+U78CPfOwck1zsQ' +
+    'JM47FiTDOxckuDsZJKs7FSSbOwskizv7I3s75iNmO7gjUjuEIz07VCMlOxojDDvZIvI6liLWOlEiujoMIps6wyF7OnwhXDo0IT06' +
+    '8CAeOqsgAjpnIOg5KCDNOdQfsjldH5Y57B55OYEeWzkZHj05uR0eOV0dADkHHeA4tBzAOGgcojggHIQ4uRtmODwbSDjDGio4VBoM' +
+    'OO0Z2zeMGZ83MRljN9sYKjeMGPI2QBi5NvwXADxwJAA8cCQAPHEkADxxJAA8ciQAPHMkADx2JAA8eyT/O4Ik/zuMJP47miT+O60k' +
+    '/DvAJPU7uCTyO8Uk7zvXJOo76CTjO+4k3Dv4JNQ7/STLOwQlvzv8JLM7+SSmO/EklTvcJIU7yiR0O7IkYDuUJEs7ciQ2O1AkHzsq' +
+    'JAY7/yPsOqgj0zpWI7Y6/yKZOqciezpPIlw6+CE9OqYhHzpWIQE6ByHmObwgzDlzILM5LiCYOdsffDlfH2A55x5DOXkeJjkRHgg5' +
+    'rB3qOFEdyzj6HKw4pxyOOFwccTgTHFQ4oBs2OCQbGTiuGvg3QBq9N9kZgzd6GUg3HhkQN88Y2jaBGAA8niUAPJ4lADyeJQA8niUA' +
+    'PJ8lADyhJQA8pCUAPKkl/zuxJf87vSX+O8wl/TvgJfo76yX0O+gl8Tv2Je47CSbnOwwm4TsYJtk7GybROxwmxzscJro7DyauOwIm' +
+    'oDvyJY47zyV/O7klbTuWJVk7aiVEOz0lLzsPJRk73SQAO6kk5zpyJM46PiSzOggklzqnI3o6PiNcOtYiPzp2IiE6FyIDOroh5jli' +
+    'Icw5DiGzOb4gmjlzIIA5LCBlOdAfSjlRHy452B4ROWse9Dj/Hdc4nR25OEIdmzjoHH04mRxgOE4cRDgGHCc4hhsLOAwb3TeYGqM3' +
+    'LBprN8oZMjdtGfo2DxkAPBInADwSJwA8EicAPBInADwTJwA8FScAPBknADweJ/87Jyf/OzMn/jtEJ/07WSf3O1Qn8ztXJ/A7Zift' +
+    'O3sn5Tt1J987gSfWO3knzTt3J8I7aie1O1QnqTtAJ5o7ISeIO/UmdzvLJmU7mSZRO2EmPDsmJig76yUSO6wl+jppJeE6JiXJOuUk' +
+    'sDqkJJU6ZSR5OickXTrQI0A6XiMkOu4iBjqEIuo5HiLOOb0htDlfIZ05CiGFObggazlqIFA5IiA2Ob4fGzk6H/84xR7jOFUexjjr' +
+    'Hak4ih2LOC8dbzjZHFI4iRw2OD4cGzjzG/43bxvHN/sajzeGGlc3GBogN7kZADxtKAA8bSgAPG0oADxtKAA8bigAPG8oADxxKAA8' +
+    'dCj/O3go/zt/KP47iCj8O5Io9juKKPI7jSjvO5Qo6juZKOM7lSjcO5Yo0zuPKMk7iSi9O3wosDtqKKM7WiiSOz4ogTskKG87Bihd' +
+    'O8knSTt/JzQ7NCcfO+QmCjuWJvQ6QybcOvIlxDqjJa06VSWUOgkleTq+JF46dSRDOjEkJzrhIws6ZiPvOe4i0zmAIrg5FSKfObEh' +
+    'iTlVIXE5/SBYOasgPjlcICU5FSAKOaEf7zgjH9Q4rh64OEAenDjYHX44dh1jOB8dRzjKHCs4fBwQODQc6jfbG7U3WRt/N+gaSTd6' +
+    'GgA8gykAPIMpADyDKQA8hCkAPIQpADyFKQA8hyn/O4sp/zuPKf47lin+O58p+zulKfU7nCnxO6Ap7julKeY7nSnhO54p2DuUKc87' +
+    'iSnEO3sptztlKak7TSmbOzIpijsOKXk76ShmO74oVDuSKEA7YigsOzMoFzsBKAI7oCftOjon1zrZJsA6dyapOhkmkjrAJXk6aSVf' +
+    'OhQlRjrEJCw6eCQROjIk9jnZI9s5WyPAOeEipTluIo05BCJ3OaIhYDlDIUg57SAvOZkgFjlOIPw4ByDiOIcfxzgLH6w4lx6ROCse' +
+    'dTjFHVk4aR0+OA8dIzi8HAg4bxzcNyscqDfQG3Q3VRsAPNYqADzWKgA81ioAPNYqADzXKgA82CoAPNoq/zvdKv874ir+O+kq/Tvy' +
+    'Kvg76yrzO+Yq8DvoKuw76yrkO90q3jvXKtQ7xCrKO7MqvzubKrA7eCqiO1cqkjsqKoI7/ClwO8opXDuSKUo7WCk2Ox0pIzvgKA47' +
+    'oyj6OmUo5jooKNE62ie8OmcnpTr3JpA6jiZ6OicmYjrFJUk6aCUxOhElGDq+JP45cCTkOSgkyjnFI685QiOWOcoifTlYImg58CFS' +
+    'OYwhOjkwISI52iAKOYkg8Tg+INg48B++OG8fozj2Hok4hB5uOBgeUji0HTg4Wx0dOAYdAzi3HNM3ahygNyUcADw4LAA8OCwAPDgs' +
+    'ADw4LAA8OCwAPDksADw6LP87PCz/Oz4s/jtBLPw7RSz2Oz0s8js6LO47OizoOzQs4jsuLNk7JCzPOxYsxTsILLc76SupO7ormjuH' +
+    'K4k7TSt4OxArZTvNKlI7hCo/OzoqLDvuKRk7pCkGO1kp8ToNKd46xCjLOn4otzo5KKQ68CePOnMnejr7JmU6iyZOOh8mNzq7JR86' +
+    'XCUIOgMl7zmvJNY5YiS9ORgkozmnI4o5JyNxOa8iWzlCIkY52SEvOXchGDkdIQA5ySDoOHsg0DgxILc42h+dOFgfgzjjHmk4dh5P' +
+    'OBAeNTivHRs4VB0BOAAdzzeuHAA8Ly0APC8tADwvLQA8Ly0APDAtADwwLQA8MS3/OzMt/zs1Lf47Ny37Ozgt9DstLfE7Ki3tOyYt' +
+    '5TsYLd47EC3VO/8syjvrLL471SywO7gsoDuYLJA7dCx/O04sbTslLFo78ytGO5MrMzs4KyE72ioPO38q/DokKuo6yinXOnIpxjof' +
+    'KbQ6ziiiOoIojzo5KHs66CdoOmcnVDrrJj86eCYoOgwmEjqmJfs5SCXkOfAkyzmeJLM5TySaOQgkgTmHI2k5CiNSOZYiPTkqIic5' +
+    'xCEROWYh+jgNIeM4uiDLOG0gszgoIJs4zB+BOFAfaDjYHk84bh41OAYeHDipHQM4Uh0APFguADxYLgA8WC4APFkuADxZLgA8WS7/' +
+    'O1ou/ztbLv47XC79O14u9ztTLvI7Si7vO0Qu6js7LuI7Ky7aOxguzjv+LcQ75C22O8EtpzubLZY7bS2FOz0tczsMLWE71yxOO54s' +
+    'OjtkLCc7KiwWO+MrBDt1K/M6ByviOpsq0To0KsA60SmwOnMpoDobKZA6xyh+OngobDouKFo6zidHOksnMzrQJh46XSYIOvEl8zmO' +
+    'Jdw5MSXFOdskrTmJJJU5PSR8Oe0jZDlrI0058SI3OYAiIjkVIg05siH3OFgh4DgDIck4siCyOGcgmzghIIM4wR9qOEcfUjjYHjk4' +
+    'bh4gOAweADy8LwA8vC8APLwvADy8LwA8vC8APL0v/zu9L/87vS/+O74v/Du9L/U7qi/yO6Iv7juYL+U7gS/eO20v1DtQL8g7Ki+8' +
+    'OwMvrTvTLpw7ni6KO2EueDsjLmY74i1TO58tQDtYLS07EC0aO8csCjuELPo6QizqOgEs2jqDK8s6Ciu8OpcqrjopKp86wymROmMp' +
+    'gjoKKXI6tShhOmUoUDoaKD86qycsOionGDqvJgI6PybuOdcl2Tl2JcI5GiWrOccklDl3JHw5LSRkOdIjTTlSIzU53iIgOXEiCzkK' +
+    'IvY4qSHhOE8hyjj7ILQ4rCCeOGYghzgiIHA4xx9YOFIfQTjlHgA8sjAAPLIwADyyMAA8sjAAPLIwADyyMP87sjD/O7Iw/juxMPo7' +
+    'rTD0O6Mw8DucMOo7kTDiO4Iw2TtxMM07WzDBO0MwsTsmMKI7BzCPO8QvfDt1L2o7JS9YO9MuRDt8LjI7JS4fO80tDTt3Lf46Ji3v' +
+    'Otcs4TqKLNQ6QSzHOvYruTpxK6w68yqgOn0qlDoQKoc6qyl6OkspazrxKFs6nChLOk4oOzoGKCk6hCcWOgQnAjqPJu45IybZOb0l' +
+    'xDlgJa45ByWWObUkgDlpJGk5IiRROcAjOjlEIyM50SINOWYi+TgDIuU4piHQOFAhujj/IKQ4syCPOG0geTgtIGM43R8APK8xADyv' +
+    'MQA8rzEAPK8xADyuMQA8rjH/O60x/jusMf07qjH3O58x8juUMe47ijHlO3gx3TtkMdI7SzHFOywxtjsKMac75DCUO7gwgDuHMG07' +
+    'VTBaOyMwRzvbLzQ7cS8iOwcvETudLgA7Ny7yOtYt5Tp5Ldk6IC3OOswswzp8LLg6MCytOtIrojpLK5g6ziqNOlsqgjrwKXY6jClo' +
+    'Oi0pWjrVKEo6gyg7OjgoKjrjJxk6XycGOuUm8jlzJt45CibKOakltTlPJZ85+iSIOakkcjlfJFs5GyREObcjLTk/Ixc50iIBOWoi' +
+    '7DgKItg4sSHEOF0hsDgNIZo4wyCGOH0gADzaMgA82jIAPNoyADzZMgA82TL/O9gy/zvXMv471TL8O9Ay9Du/MvA7sjLpO58y4TuH' +
+    'Mtc7ajLIO0QyujsbMqo77DGYO7gxhDt9MW87PjFbOwAxSDu/MDU7fjAjOz4wEjv8LwI7fi/0Oggv6DqVLt06Ki7TOsQtyjpkLcE6' +
+    'CS25OrMssDpjLKc6FyyeOqErlTofK4w6piqCOjYqdzrNKWs6ayleOhApTzq8KEA6bSgwOiMoIDrAJw86Qif8Ocwm6TlfJtQ5+SXB' +
+    'OZwlrDlEJZc58iSBOaYkajlfJFQ5HSQ+Ob8jJzlNIxE54SL7OHoi5jgcItI4wyG/OHAhqzgiIQA8HTQAPB00ADwdNAA8HTQAPB00' +
+    '/zscNP87GzT9Oxk09zsRNPI7CTTtO/8z4zvgM9o7vzPNO5QzvjtiM6w7KDOaO+kyhTuiMm87VTJbOwgyRzu4MTM7aTEiOxoxETvN' +
+    'MAI7gjD1Ojkw6TrnL946Yy/WOuguzzp1Lsg6CC7COqItvDpCLbU66CyvOpQsqDpFLKA69yuYOm4rkDryKoc6fip9OhEqcjqsKWY6' +
+    'TilZOvgoSzqnKDs6WygsOhQoGzqnJwo6LSf4Obsm5jlVJtI59CW+OZolqzlGJZY59ySBOa0kazloJFU5JiRAOdQjKjlkIxQ5+SL+' +
+    'OJYi6Tg4ItQ44iEAPO00ADztNAA87TQAPO00ADztNP876zT+O+k0/DvlNPQ72TTvO8805zu/NN07qjTQO5I0wDtzNK47UDSbOyo0' +
+    'hTv+M247oDNYOz8zQzvfMjA7fjIeOx4yDjvAMf86ZTHzOg4x6Tq7MOA6bDDYOiEw0jq1L806My/JOrkuxTpHLsE63S29OnktuToc' +
+    'LbQ6xSyvOnMsqDonLKE6wyuZOkArkTrJKog6Wip+OvMpczqSKWc6OSlaOuYoTDqYKD06UCgtOg0oHjqdJw06KCf8Ob0m6jlYJtg5' +
+    '+iXEOaIlsTlQJZ05AyWKObwkdTl4JGA5OSRLOfwjNjmOIyI5JyMNOcciADziNQA84jUAPOE1ADzhNQA84DX/O941/TvbNfc70DXx' +
+    'O8M16juyNeA7mzXTO341wjtZNa47LzWaOwA1gzvLNGo7kjRTO1c0PTsbNCk7wDMXO0szCDvbMvs6bTLwOgQy5zqiMeA6RDHaOusw' +
+    '1jqYMNM6STDQOgAwzjp5L806+y7LOoUuyToXLsY6sC3DOlAtwDr3LLs6pCy2OlYssDoPLKk6lyuhOhsrmDqpKo86PyqFOtwpezqC' +
+    'KW86LSliOt4oVTqTKEc6Tyg4Og4oKDqiJxg6MicIOskm9zlnJuY5CybUObclwjloJa85HyWcOdokiTmaJHc5XSRjOSQkUDnbIwA8' +
+    'ADcAPAA3ADz/NgA8/zb/O/02/jv6Nvw79DbzO+I27TvRNuE7tjbUO5Q2wjtoNqw7NDaWO/o1fTu5NWM7cjVKOyo1MzvgNB87mTQO' +
+    'O1M0ADsPNPQ6nDPrOiAz5DqrMuA6PDLdOtQx2zpyMdk6FjHZOsAw2DpvMNg6JDDYOrwv2To7L9g6wi7YOlIu1jrpLdQ6iC3ROiwt' +
+    'zTrYLMk6iSzDOkAsvTr4K7Y6eiuuOgUrpjqXKpw6MCqSOtIpiDp7KX06KylyOt4oZTqYKFg6VihLOhkoPDq+Jy06UiceOu4mDjqQ' +
+    'Jv85OSbvOecl3jmaJc45UiW9ORAlrDnRJJo5liQAPCc4ADwnOAA8JzgAPCY4/zslOP07Ijj1Oxk47jsQOOI7ADjUO9k3vzujN6g7' +
+    'YzeNOxo3cTvINlU7cTY7Oxg2Izu/NRA7aTUBOxU19TrFNOw6eTTmOjA04zrYM+E6VzPgOt4y4TpsMuI6ATLkOp0x5jo/Meg65zDp' +
+    'OpUw6zpIMOw6ADDsOnwv7ToCL+06kC7sOiYu6jrDLeg6Zy3lOhIt4TrCLNw6eCzXOjIs0DrjK8o6bCvCOvwqujqVKrI6NCqoOtkp' +
+    'njqFKZQ6OCmKOvEofzquKHQ6cChoOjUoXDr9J086lydCOjcnNDrcJiY6hyYYOjcmCTrrJfo5pCXrOWIlADzpOAA86TgAPOk4/zvo' +
+    'OP475jj3O9447zvTOOI7wDjQO6c4tzuFOJs7XTh7Oy04WzvzNz07hzciOxs3DTuxNv06TDbyOus16jqONeY6NjXkOuM05TqVNOc6' +
+    'SzTqOgU07TqIM/E6DTP0Opky+DosMvw6xzH/OmcxATsPMQQ7uzAFO24wBzsmMAc7xS8HO0gvBzvTLgY7aC4FOwQuAzunLQA7US39' +
+    'OgEt+jq3LPU6cSzwOjEs6zrpK+U6eCvfOg8r2DquKtA6VCrJOv8pwDqwKbg6ZSmuOh8ppTrdKJs6oSiROmcohzoyKHw6AShyOqUn' +
+    'ZzpOJ1w6/SZROq8mRTpmJgA8yzkAPMs5ADzLOf87yTn4O8E57juzOdw7mznEO3k5ojtKOXw7EjlVO9M4MjuSOBU7UDgAOxI48jqs' +
+    'N+o6OzfnOs425zpoNuo6BjbuOqo18zpSNfg6/jT+Oq80BDtkNAk7HjQOO7czEzs7Mxc7xjIbO1kyHjvyMSE7kjEjOzgxJTvlMCc7' +
+    'lzAnO08wKDsMMCg7mi8oOyYvJzu5LiY7VS4kO/ctIjufLR87Ti0dOwQtGju+LBY7fiwSO0EsDjsJLAo7qSsFO0cr/zrrKvo6lir0' +
+    'OkUq7jr5Kec6sinhOnAp2joyKdM6+CjMOsIoxDqOKLw6Xii0OjAorDoEKKQ6ticAPNE6ADzROv870Dr1O8Q65DuvOsI7hDqRO0U6' +
+    'Wjv4OSo7qDkHO1s58joVOek60zjoOpU47DpYOPM6Hjj7Oso3BDtbNww78DYUO4o2HDsnNiM7yTUpO281LjsaNTM7yjQ3O340Ozs3' +
+    'ND876TNCO2wzRDv3Mkc7iTJJOyMySjvDMUw7ajFNOxcxTTvKME47gjBOOz8wTjsBME47ji9NOyEvTTu9Lkw7Xy5KOwguSTu3LUc7' +
+    'bC1GOyUtQzvkLEE7pyw/O20sPDs4LDk7Biw3O68rMztYKzA7BistO7kqKTtxKiY7LioiO+8pHju1KRo7fykWO0wpEjscKQ477ygK' +
+    'O8QoADz4O4I7eDvrOtU6HDvsOj876TpSO846XTuiOmQ7bDppOy06bDvqOW47pDlwO1w5cTsUOXI7zjhzO4k4dDtHOHQ7Bzh1O5U3' +
+    'dTshN3U7tDZ1O002djvrNXY7jzV2Ozk1djvnNHY7mzR2O1M0djsQNHc7ozN3Oy0zdzvAMnc7WjJ3O/oxdzuiMXc7TzF3OwIxdzu6' +
+    'MHc7dzB3Ozkwdzv/L3c7lC93OzAvdzvULnc7fS53Oy0udzviLXc7nS12O1wtdjsgLXY76Cx2O7QsdjuELHY7Vix2OywsdjsFLHY7' +
+    'wCt2O3wrdjs8K3Y7ACt2O8gqdTuUKnU7Yyp1OzUqdTsKKg==';
@@ -0,0 +1,79 @@
+/**
+ * Linearly Transformed Cosines Module
+ *
+ * Lookup tables for shading area lights with linearly transformed cosines (Heitz,
+ * Dupuy, Hill and Neubelt, "Real-Time Polygonal-Light Shading with Linearly
+ * Transformed Cosines", 2016): a 3x3 matrix per roughness and view angle turns the
+ * GGX lobe into a clamped cosine, whose integral over a polygon or line is analytic.
+ * The tables (ltc-data.js) are fitted offline by tools/fit-ltc.mjs and uploaded
+ * here as filterable half-float textures.
+ */
+
+import { LTC_SIZE, LTC_MATRIX, LTC_AMPLITUDE } from './ltc-data.js';
+
+// Texture units of the tables (after the material maps, 5-9)
+export const LTC_MATRIX_UNIT = 10;
+export const LTC_AMPLITUDE_UNIT = 11;
+
+/**
+ * Decode base64 half floats
+ * @param {string} base64 - Encoded little-endian half floats
+ * @returns {Uint16Array} Half-float bit patterns
+ */
+function decodeHalfFloats(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Uint16Array(bytes.buffer);
+}
+
+/**
+ * Upload one table as a linearly filtered half-float texture
+ * @param {WebGL2RenderingContext} gl - WebGL context
+ * @param {number} internalFormat - gl.RGBA16F or gl.RG16F
+ * @param {number} format - gl.RGBA or gl.RG
+ * @param {string} data - Encoded table
+ * @returns {WebGLTexture} Texture
+ */
+function createTable(gl, internalFormat, format, data) {
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+    gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, LTC_SIZE, LTC_SIZE, 0, format, gl.HALF_FLOAT,
+        decodeHalfFloats(data));
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 4);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    return texture;
+}
+
+/**
+ * LTC tables for the area lights, shared by every lighting program
+ */
+export class LtcTables {
+    /**
+     * @param {WebGL2RenderingContext} gl - WebGL context
+     */
+    constructor(gl) {
+        this.gl = gl;
+        this.matrix = createTable(gl, gl.RGBA16F, gl.RGBA, LTC_MATRIX);       // Inverse matrix entries
+        this.amplitude = createTable(gl, gl.RG16F, gl.RG, LTC_AMPLITUDE);     // GGX albedo, Fresnel part
+    }
+
+    /**
+     * Bind the tables to their texture units
+     */
+    bindTextures() {
+        const { gl } = this;
+        gl.activeTexture(gl.TEXTURE0 + LTC_MATRIX_UNIT);
+        gl.bindTexture(gl.TEXTURE_2D, this.matrix);
+        gl.activeTexture(gl.TEXTURE0 + LTC_AMPLITUDE_UNIT);
+        gl.bindTexture(gl.TEXTURE_2D, this.amplitude);
+        gl.activeTexture(gl.TEXTURE0);
+    }
+}
@@ -4,20 +4,54 @@
  * Cook-Torrance WebGL Lighting Demo
  * Demonstrates physically-based rendering with:
  * - Cook-Torrance BRDF (GGX/Smith/Fresnel-Schlick)
- * - Multiple light types (point, directional, spot, area)
- * - Real-time material editing (roughness, metallic, albedo)
- * - Planar shadow projection
+ * - Switchable D, G, F and diffuse term variants (recompiled with preprocessor defines)
+ * - Scene graph of nodes with parent/child transforms and per-node materials
+ * - Viewport gizmos to move/rotate/scale nodes and move lights, with snapping and undo
+ * - Split-screen A/B comparison of two material/BRDF configurations
+ * - Multiple simultaneous lights (point, directional, spot, area)
+ * - Physical light units (lm, cd, lx, nt), color temperature and a physical camera exposure
+ * - Real-time material editing (roughness, metallic, albedo, IOR)
+ * - Material presets from measured data, plus user presets saved locally and as JSON
+ * - Texture-driven materials (base color, normal, metallic-roughness, AO, emissive)
+ * - glTF 2.0 / GLB and OBJ/MTL model loading (file picker or drag-and-drop)
+ * - Image-based lighting from HDR environment maps
+ * - HDR rendering with tone mapping and exposure
+ * - Depth-map shadows with PCF filtering
  * - Interactive orbit camera
+ * - Scene save/load as versioned JSON, with autosave in localStorage and shareable links
+ * - Turntable, camera orbit and parameter sweep animation, recorded at a fixed timestep
+ * - High-resolution image export (tiled, supersampled) as PNG, with EXR/PFM radiance
+ * - Rectangle, disk and tube area lights shaded with linearly transformed cosines
+ * - Multiple-scattering energy compensation and a white furnace test
+ * - Anisotropic GGX with strength, rotation and a direction map
+ * - Layered materials: clear coat, sheen and thin transmission
+ * - Subsurface scattering: pre-integrated diffuse or wrap lighting
+ * - BRDF lobe visualiser: polar plot of D, G, F and f_r, and a 3D lobe at the hovered point
  */
 
 import { Camera } from './camera.js';
-import { UIManager, TooltipManager } from './ui.js';
-import { Renderer } from './renderer.js';
-import { createCube, createSphere, createPlane, createLightSphere, createVAO } from './geometry.js';
-import { vertexShader, fragmentShader, shadowFragmentShader, emissiveFragmentShader, createProgram } from './shaders.js';
-import { vec3, mat4 } from './math.js';
-import { intersectObject } from './intersection.js';
+import { UIManager, TooltipManager, LobePlot } from './ui.js';
+import { Renderer, settingsMaterial } from './renderer.js';
+import { createCube, createSphere, createPlane, createLightSphere, createLightQuad, createLightDisk, createLightTube, createVAO, LIGHT_SPHERE_RADIUS } from './geometry.js';
+import { vertexShader, fragmentShader, depthVertexShader, depthFragmentShader, emissiveFragmentShader, createProgram, brdfDefines, CONDUCTOR_IOR } from './shaders.js';
+import { vec3, mat4, quat, degToRad, radToDeg } from './math.js';
+import { intersectSphere, intersectMesh, getMeshBVH } from './intersection.js';
+import { areaLightMatrix } from './scene.js';
 import { DebugVectorRenderer, debugVertexShader, debugFragmentShader } from './debug.js';
+import { LOBE_TERMS, createLobe, sampleIncidencePlane, lobeMesh, LobeRenderer } from './lobe.js';
+import { parseHDR } from './hdr.js';
+import { MaterialTextures } from './textures.js';
+import { loadGLTF } from './gltf.js';
+import { loadOBJ } from './obj.js';
+import { disposeModel } from './model.js';
+import { GIZMO_MODES, GizmoDrag, GizmoRenderer, gizmoSize, pickHandle, snapValue } from './gizmo.js';
+import { UndoHistory } from './history.js';
+import { serializeScene, parseScene, encodeSceneHash, decodeSceneHash, isSceneHash, serializePresets, parsePresets } from './serialize.js';
+import { mergePresets } from './presets.js';
+import { Animation } from './animation.js';
+import { createZip } from './zip.js';
+import { createWebM } from './webm.js';
+import { renderImage, encodePNG, encodeEXR, encodePFM, RADIANCE_FORMATS } from './export.js';
 
 // ====================================
 // Initialize WebGL
@@ -34,7 +68,8 @@ if (!gl) {
 // Create Shader Programs
 // ====================================
 const mainProgram = createProgram(gl, vertexShader, fragmentShader);
-const shadowProgram = createProgram(gl, vertexShader, shadowFragmentShader);
+const compareProgram = createProgram(gl, vertexShader, fragmentShader); // Material B in compare mode
+const depthProgram = createProgram(gl, depthVertexShader, depthFragmentShader);
 const lightProgram = createProgram(gl, vertexShader, emissiveFragmentShader);
 const debugProgram = createProgram(gl, debugVertexShader, debugFragmentShader);
 
@@ -44,12 +79,17 @@ const debugProgram = createProgram(gl, debugVertexShader, debugFragmentShader);
 const camera = new Camera(canvas);
 const uiManager = new UIManager();
 const tooltipManager = new TooltipManager();
+const lobePlot = new LobePlot();
 const renderer = new Renderer(gl, {
     main: mainProgram,
-    shadow: shadowProgram,
+    compare: compareProgram,
+    depth: depthProgram,
     light: lightProgram
 });
 const debugRenderer = new DebugVectorRenderer(gl, debugProgram);
+const lobeRenderer = new LobeRenderer(gl, debugProgram);
+const gizmoRenderer = new GizmoRenderer(gl, debugProgram);
+const history = new UndoHistory();
 
 // Initialize UI controls
 uiManager.initialize();
@@ -57,55 +97,1076 @@ uiManager.initialize();
 // ====================================
 // Create Geometry
 // ====================================
-let geoSphere = createVAO(gl, createSphere());
-let geoCube = createVAO(gl, createCube());
-let geoPlane = createVAO(gl, createPlane());
-let geoLightSphere = createVAO(gl, createLightSphere());
+const geoLightSphere = createVAO(gl, createLightSphere());
 
-// Add model matrices to objects (identity = no transform, at origin)
-geoSphere.modelMatrix = mat4.identity();
-geoCube.modelMatrix = mat4.identity();
-geoPlane.modelMatrix = mat4.identity();
+// Area light emitters, indexed by AREA_SHAPES
+const geoAreaLights = [createLightQuad(), createLightDisk(), createLightTube()].map((geometry) => createVAO(gl, geometry));
 
-// Track active object
-let activeObject = geoSphere;
+/**
+ * Create a built-in mesh with an identity model matrix (node transforms are applied on top)
+ * @param {Object} geometry - Geometry from geometry.js
+ * @returns {Object} Drawable {vao, count, indexType, modelMatrix}
+ */
+function createBuiltinMesh(geometry) {
+    const drawable = createVAO(gl, geometry);
+    drawable.modelMatrix = mat4.identity();
+    return drawable;
+}
+
+// Mesh library: node mesh key → drawables ('model:<n>' keys hold all drawables of a model)
+const meshes = new Map([
+    ['sphere', [createBuiltinMesh(createSphere())]],
+    ['cube', [createBuiltinMesh(createCube())]],
+    ['plane', [createBuiltinMesh(createPlane())]],
+]);
+
+// Loaded models by mesh key (released once no node uses them)
+const models = new Map();
+let modelCount = 0;
+
+// Material texture maps per node id (created when a node gets its first map)
+const nodeTextures = new Map();
 
 // Track hover state for debug vectors
 let hoverInfo = null;
 
-// Handle object type changes
-uiManager.onObjectTypeChange = (type) => {
-    activeObject = type === 'sphere' ? geoSphere : geoCube;
+// Last hovered surface of the lobe visualiser (kept while the cursor is away)
+let lobeTarget = null;
+
+/**
+ * Release the loaded models that are no longer used by any node
+ */
+function releaseUnusedModels() {
+    const used = new Set(uiManager.getState().scene.nodes.map((node) => node.mesh));
+    for (const [key, model] of models) {
+        if (used.has(key)) continue;
+        disposeModel(gl, model);
+        models.delete(key);
+        meshes.delete(key);
+        uiManager.removeMeshOption(key);
+    }
+}
+
+uiManager.onNodeMeshChange = releaseUnusedModels;
+
+uiManager.onNodesRemoved = (nodes) => {
+    for (const node of nodes) {
+        const textures = nodeTextures.get(node.id);
+        if (textures) {
+            textures.dispose();
+            nodeTextures.delete(node.id);
+        }
+    }
+    releaseUnusedModels();
 };
 
+/**
+ * Load a glTF/GLB or OBJ model and add it to the scene as a new node
+ * @param {Array<File>} files - Model file plus any companion files
+ */
+async function loadModelFiles(files) {
+    uiManager.setModelStatus('Loading model…');
+    try {
+        const isOBJ = files.some((file) => /\.obj$/i.test(file.name));
+        const model = isOBJ
+            ? await loadOBJ(gl, files, { smoothNormals: uiManager.getState().smoothNormals })
+            : await loadGLTF(gl, files);
+        // Build the picking hierarchies now rather than on the first hover
+        for (const geometry of model.geometries) {
+            getMeshBVH(geometry);
+        }
+        const key = `model:${++modelCount}`;
+        models.set(key, model);
+        meshes.set(key, model.drawables);
+        uiManager.addMeshOption(key, model.name);
+        uiManager.addNode({ name: model.name, mesh: key });
+        
+        const warnings = model.warnings.length > 0
+            ? ` (${model.warnings.length} warning(s), see console)`
+            : '';
+        uiManager.setModelStatus(
+            `${model.name}: ${model.drawables.length} primitive(s), ` +
+            `${model.triangleCount} triangles, ${model.materials.length} material(s)${warnings}`,
+            model.warnings.length > 0
+        );
+    } catch (err) {
+        console.error('Failed to load model:', err);
+        uiManager.setModelStatus(err.message, true);
+    }
+}
+
+uiManager.onModelFiles = loadModelFiles;
+
+/**
+ * Recompile a side's program for its BRDF terms (keeps the old one on failure)
+ * @param {string} side - Comparison side ('A' or 'B')
+ * @param {Object} brdf - Variant ids {D, G, F, Fd}
+ */
+function compileBrdfProgram(side, brdf) {
+    try {
+        const program = createProgram(gl, vertexShader, fragmentShader, brdfDefines(brdf));
+        renderer.setProgram(side === 'A' ? 'main' : 'compare', program);
+        uiManager.setBrdfStatus('');
+    } catch (err) {
+        console.error('Failed to compile BRDF variant:', err);
+        uiManager.setBrdfStatus(err.message, true);
+    }
+}
+
+uiManager.onBrdfChange = compileBrdfProgram;
+
+// Load an HDR environment chosen in the control panel
+uiManager.onEnvironmentFile = async (file) => {
+    try {
+        const hdr = parseHDR(await file.arrayBuffer());
+        renderer.environment.load(hdr);
+        uiManager.setEnvironmentStatus(`${file.name} (${hdr.width}×${hdr.height})`);
+    } catch (err) {
+        console.error('Failed to load environment:', err);
+        uiManager.setEnvironmentStatus(err.message, true);
+    }
+};
+
+// Load a material texture chosen in the control panel into a node
+uiManager.onTextureFile = async (node, slot, file) => {
+    if (!nodeTextures.has(node.id)) {
+        nodeTextures.set(node.id, new MaterialTextures(gl));
+    }
+    const textures = nodeTextures.get(node.id);
+    try {
+        const { width, height } = await textures.loadFile(slot, file);
+        uiManager.setNodeMapStatus(node, slot, `${file.name} (${width}×${height})`);
+    } catch (err) {
+        console.error(`Failed to load ${slot} map:`, err);
+        textures.setImage(slot, null);
+        uiManager.setNodeMapStatus(node, slot, err.message || 'Could not decode image', true);
+    }
+};
+
+uiManager.onTextureClear = (node, slot) => {
+    const textures = nodeTextures.get(node.id);
+    if (textures) {
+        textures.setImage(slot, null);
+    }
+};
+
+/**
+ * Flatten the scene graph into the renderer's draw list
+ * Hidden nodes (or nodes below a hidden parent) and empty groups draw nothing.
+ * 
+ * @param {SceneGraph} scene - Scene graph from the UI state
+ * @returns {Array<Object>} Objects {vao, count, indexType, modelMatrix, material, settings, textures}
+ */
+function buildDrawList(scene) {
+    const transforms = scene.computeWorldTransforms();
+    const objects = [];
+    for (const node of scene.nodes) {
+        const { world, visible } = transforms.get(node.id);
+        const drawables = meshes.get(node.mesh);
+        if (!visible || !drawables) continue;
+        
+        for (const drawable of drawables) {
+            objects.push({
+                ...drawable,
+                modelMatrix: mat4.multiply(world, drawable.modelMatrix),
+                material: drawable.material || null,
+                settings: node.materials,
+                textures: nodeTextures.get(node.id) || null,
+            });
+        }
+    }
+    return objects;
+}
+
+/**
+ * Offer a file for download
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
 // ====================================
-// Mouse Hover Handler (for vector tooltip)
+// Animation
 // ====================================
-canvas.addEventListener('mousemove', (e) => {
-    const state = uiManager.getState();
+
+// Recording formats (see the Record As control)
+const WEBM_CODECS = ['vp09.00.10.08', 'vp8'];
+const WEBM_BITRATE = 16e6;
+const WEBM_KEYFRAME_INTERVAL = 2; // Seconds
+const WEBM_QUEUE_SIZE = 2; // Frames waiting in the encoder before drawing pauses
+
+// Preview playback {animation, startTime} (null when stopped); startTime is set
+// by the first frame drawn
+let playback = null;
+
+// Recording in progress {cancelled} (null otherwise); the animation loop pauses
+// while the recording draws its frames at a fixed timestep, and both formats
+// store them at that timestep however long each frame took to draw
+let recording = null;
+
+/**
+ * Whether animated values are currently applied (they are not autosaved or linked)
+ * @returns {boolean} True during playback or a recording
+ */
+function isAnimating() {
+    return playback !== null || recording !== null;
+}
+
+/**
+ * Stop the preview and restore the animated values
+ */
+function stopPlayback() {
+    if (!playback) return;
+    playback.animation.stop();
+    playback = null;
+    uiManager.setAnimationPlaying(false);
+    scheduleLinkUpdate();
+}
+
+/**
+ * Start an animation on the current setup and report what it leaves out
+ * @param {Object} settings - Animation settings (see createAnimationSettings)
+ * @param {string} action - Status text for the animation ('Playing', 'Recording')
+ * @returns {Animation} Started animation
+ */
+function startAnimation(settings, action) {
+    const animation = new Animation(settings);
+    const skipped = animation.start(uiManager.getState(), camera);
+    uiManager.setAnimationStatus(
+        skipped.length > 0 ? `${action} without ${skipped.join(', ')}` : `${action}…`,
+        skipped.length > 0
+    );
+    return animation;
+}
+
+/**
+ * First WebM codec the browser's VideoEncoder supports at the canvas size
+ * @param {number} fps - Frame rate
+ * @returns {Promise<Object|null>} VideoEncoder configuration, or null without WebCodecs
+ */
+async function webmEncoderConfig(fps) {
+    if (!window.VideoEncoder) return null;
+    for (const codec of WEBM_CODECS) {
+        const config = { codec, width: canvas.width, height: canvas.height, bitrate: WEBM_BITRATE, framerate: fps };
+        const { supported } = await VideoEncoder.isConfigSupported(config).catch(() => ({ supported: false }));
+        if (supported) return config;
+    }
+    return null;
+}
+
+/**
+ * Encode the canvas as PNG (call right after drawing, before the frame is presented)
+ * @returns {Promise<Uint8Array>} PNG file
+ */
+function canvasToPNG() {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+            if (blob) {
+                blob.arrayBuffer().then((buffer) => resolve(new Uint8Array(buffer)), reject);
+            } else {
+                reject(new Error('The browser could not encode the frame as PNG'));
+            }
+        }, 'image/png');
+    });
+}
+
+// Loop the animation in the viewport
+uiManager.onAnimationPlay = (settings) => {
+    if (playback || recording || exporting) return;
+    playback = { animation: startAnimation(settings, 'Playing'), startTime: null };
+    uiManager.setAnimationPlaying(true);
+};
+
+uiManager.onAnimationStop = () => {
+    stopPlayback();
+    uiManager.setAnimationStatus('Stopped');
+};
+
+// Draw every frame of the clip at its exact time and save them as WebM or a ZIP of PNGs
+uiManager.onAnimationRecord = async ({ settings, fps, format }) => {
+    if (recording || exporting) return;
+    stopPlayback();
+    
+    // Video frames are encoded with the clip's timestamps, not the time they were drawn
+    let encoder = null;
+    let encoderConfig = null;
+    let encoderError = null;
+    const chunks = [];
+    if (format === 'webm') {
+        encoderConfig = await webmEncoderConfig(fps);
+        if (!encoderConfig) {
+            uiManager.setAnimationStatus('This browser cannot encode WebM video; record PNG frames instead', true);
+            return;
+        }
+        encoder = new VideoEncoder({
+            output: (chunk) => {
+                const data = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(data);
+                chunks.push({ data, timestamp: chunk.timestamp, keyframe: chunk.type === 'key' });
+            },
+            error: (err) => { encoderError = err; },
+        });
+        encoder.configure(encoderConfig);
+    }
+    
+    recording = { cancelled: false };
+    uiManager.setAnimationRecording(true);
+    const animation = startAnimation(settings, 'Recording');
+    const frameCount = animation.frameCount(fps);
+    const keyframeInterval = Math.max(1, Math.round(WEBM_KEYFRAME_INTERVAL * fps));
+    const frames = [];
+    
+    try {
+        for (let i = 0; i < frameCount && !recording.cancelled; i++) {
+            animation.apply(i / fps);
+            drawFrame(false);
+            
+            if (encoder) {
+                if (encoderError) throw encoderError;
+                const frame = new VideoFrame(canvas, {
+                    timestamp: Math.round(i * 1e6 / fps),
+                    duration: Math.round(1e6 / fps),
+                });
+                encoder.encode(frame, { keyFrame: i % keyframeInterval === 0 });
+                frame.close();
+                
+                // Let the encoder catch up rather than queue the whole clip
+                while (encoder.encodeQueueSize > WEBM_QUEUE_SIZE) {
+                    await new Promise((resolve) => setTimeout(resolve, 0));
+                }
+            } else {
+                frames.push({ name: `frame-${String(i).padStart(4, '0')}.png`, data: await canvasToPNG() });
+            }
+            uiManager.setAnimationStatus(`Recording frame ${i + 1}/${frameCount}…`);
+        }
+        
+        if (recording.cancelled) {
+            uiManager.setAnimationStatus('Recording cancelled');
+        } else if (encoder) {
+            await encoder.flush();
+            if (encoderError) throw encoderError;
+            downloadBlob(createWebM({
+                codec: encoderConfig.codec,
+                width: encoderConfig.width,
+                height: encoderConfig.height,
+                fps,
+                frames: chunks,
+            }), 'animation.webm');
+            uiManager.setAnimationStatus(`Saved animation.webm (${frameCount} frames)`);
+        } else {
+            downloadBlob(createZip(frames), 'animation-frames.zip');
+            uiManager.setAnimationStatus(`Saved animation-frames.zip (${frameCount} frames)`);
+        }
+    } catch (err) {
+        console.error('Recording failed:', err);
+        uiManager.setAnimationStatus(err.message, true);
+    } finally {
+        if (encoder && encoder.state !== 'closed') encoder.close();
+        animation.stop();
+        recording = null;
+        uiManager.setAnimationRecording(false);
+    }
+};
+
+uiManager.onAnimationCancel = () => {
+    if (recording) recording.cancelled = true;
+};
+
+// ====================================
+// Scene Files, Links and Autosave
+// ====================================
+
+// localStorage keys (the autosave is a scene document, see serialize.js)
+const AUTOSAVE_KEY = 'cook-torrance-demo.autosave';
+const AUTOSAVE_DISABLED_KEY = 'cook-torrance-demo.autosave-disabled';
+
+// Seconds between checks for changes to autosave
+const AUTOSAVE_INTERVAL = 2;
+
+// Milliseconds without input before the URL hash is rewritten
+const LINK_UPDATE_DELAY = 300;
+
+// Camera view at startup (restored by Reset)
+const defaultView = camera.getView();
+
+// Browser storage, or null where it is blocked (e.g. some file:// pages)
+const storage = (() => {
+    try {
+        return window.localStorage;
+    } catch {
+        return null;
+    }
+})();
+
+let autosaveEnabled = storage !== null && storage.getItem(AUTOSAVE_DISABLED_KEY) === null;
+
+// JSON of the last autosave (nothing is written while the setup is unchanged)
+let lastAutosave = null;
+
+// Pending URL hash update (see scheduleLinkUpdate)
+let linkTimer = null;
+
+/**
+ * Replace the whole setup with a parsed scene document
+ * Material maps belong to the replaced nodes, so they are released together
+ * with the models no node uses any more; undo history does not carry over.
+ * 
+ * @param {{state: Object, camera: Object}} scene - Result of parseScene
+ */
+function applyScene({ state, camera: view }) {
+    stopPlayback();
+    for (const textures of nodeTextures.values()) {
+        textures.dispose();
+    }
+    nodeTextures.clear();
+    
+    uiManager.applyState(state);
+    camera.setView(view);
+    releaseUnusedModels();
+    
+    const { brdf } = uiManager.getState();
+    compileBrdfProgram('A', brdf.A);
+    compileBrdfProgram('B', brdf.B);
+    history.clear();
+    scheduleLinkUpdate();
+}
+
+/**
+ * Show the result of reading a scene document (warnings are listed in the console)
+ * @param {string} name - What was loaded
+ * @param {Array<string>} warnings - Problems reported by parseScene
+ */
+function showSceneLoaded(name, warnings) {
+    if (warnings.length > 0) {
+        console.warn(`${name}:\n${warnings.join('\n')}`);
+    }
+    uiManager.setSceneStatus(
+        warnings.length > 0 ? `${name} (${warnings.length} warning(s), see console)` : name,
+        warnings.length > 0
+    );
+}
+
+/**
+ * Write the setup to localStorage if it changed since the last autosave
+ */
+function autosave() {
+    if (!autosaveEnabled || isAnimating()) return;
+    const json = JSON.stringify(serializeScene(uiManager.getState(), camera));
+    if (json === lastAutosave) return;
+    
+    // Not retried until the setup changes again
+    lastAutosave = json;
+    try {
+        storage.setItem(AUTOSAVE_KEY, json);
+    } catch (err) {
+        console.error('Autosave failed:', err);
+        uiManager.setSceneStatus(`Autosave failed: ${err.message}`, true);
+    }
+}
+
+/**
+ * Write the setup into the URL hash once the input has settled
+ * The history entry is replaced, so editing does not fill the back button.
+ */
+function scheduleLinkUpdate() {
+    clearTimeout(linkTimer);
+    linkTimer = setTimeout(async () => {
+        if (isAnimating()) return; // Updated again when the animation stops
+        try {
+            const hash = await encodeSceneHash(serializeScene(uiManager.getState(), camera));
+            if (hash !== window.location.hash) {
+                window.history.replaceState(null, '', hash);
+            }
+        } catch (err) {
+            console.error('Failed to update the scene link:', err);
+        }
+    }, LINK_UPDATE_DELAY);
+}
+
+/**
+ * Load the setup encoded in a scene link
+ * @param {string} hash - URL hash ('#scene=...')
+ */
+async function loadSceneLink(hash) {
+    try {
+        const scene = parseScene(await decodeSceneHash(hash), { meshKeys: new Set(meshes.keys()) });
+        applyScene(scene);
+        showSceneLoaded('Loaded the scene link', scene.warnings);
+    } catch (err) {
+        console.error('Failed to load the scene link:', err);
+        uiManager.setSceneStatus(err.message, true);
+    }
+}
+
+// Download the setup as a JSON file
+uiManager.onSceneSave = () => {
+    const json = JSON.stringify(serializeScene(uiManager.getState(), camera), null, 2);
+    downloadBlob(new Blob([json], { type: 'application/json' }), 'scene.json');
+    uiManager.setSceneStatus('Saved scene.json');
+};
+
+// Load a scene file chosen in the control panel (nodes may use models loaded in this session)
+uiManager.onSceneFile = async (file) => {
+    try {
+        const scene = parseScene(await file.text(), { meshKeys: new Set(meshes.keys()) });
+        applyScene(scene);
+        showSceneLoaded(file.name, scene.warnings);
+    } catch (err) {
+        console.error('Failed to load scene:', err);
+        uiManager.setSceneStatus(err.message, true);
+    }
+};
+
+uiManager.onSceneReset = () => {
+    applyScene({ state: {}, camera: defaultView });
+    uiManager.setSceneStatus('Defaults restored');
+};
+
+// Turning autosave off also forgets the saved setup, so the next visit starts fresh
+uiManager.onAutosaveChange = (enabled) => {
+    if (!storage) {
+        uiManager.setAutosaveEnabled(false);
+        uiManager.setSceneStatus('Browser storage is not available', true);
+        return;
+    }
+    autosaveEnabled = enabled;
+    if (enabled) {
+        storage.removeItem(AUTOSAVE_DISABLED_KEY);
+        lastAutosave = null;
+        autosave();
+    } else {
+        storage.setItem(AUTOSAVE_DISABLED_KEY, '1');
+        storage.removeItem(AUTOSAVE_KEY);
+    }
+};
+
+// Restore the previous session; a scene link takes precedence over the autosave
+// (awaited, so the first frame already shows the restored setup)
+uiManager.setAutosaveEnabled(autosaveEnabled);
+const autosaved = autosaveEnabled ? storage.getItem(AUTOSAVE_KEY) : null;
+if (isSceneHash(window.location.hash)) {
+    await loadSceneLink(window.location.hash);
+} else if (autosaved) {
+    try {
+        const scene = parseScene(autosaved);
+        applyScene(scene);
+        lastAutosave = autosaved;
+        showSceneLoaded('Restored the autosaved scene', scene.warnings);
+    } catch (err) {
+        console.error('Failed to restore the autosaved scene:', err);
+        uiManager.setSceneStatus(`Autosave not restored: ${err.message}`, true);
+    }
+}
+
+setInterval(autosave, AUTOSAVE_INTERVAL * 1000);
+window.addEventListener('pagehide', autosave);
+
+// Any edit (controls, camera, gizmo drags, shortcuts) refreshes the link
+for (const type of ['input', 'change', 'mouseup', 'wheel', 'keyup']) {
+    window.addEventListener(type, scheduleLinkUpdate, { passive: true });
+}
+
+// A scene link pasted into the address bar of an open page
+window.addEventListener('hashchange', () => {
+    if (isSceneHash(window.location.hash)) {
+        loadSceneLink(window.location.hash);
+    }
+});
+
+// ====================================
+// Material Presets
+// ====================================
+
+// localStorage key of the user's presets (a presets document, see serialize.js)
+const PRESETS_KEY = 'cook-torrance-demo.material-presets';
+
+/**
+ * Keep the user's presets in localStorage
+ * @param {Array<Object>} presets - User presets
+ */
+function storePresets(presets) {
+    if (!storage) {
+        uiManager.setPresetStatus('Browser storage is not available; export your presets to keep them', true);
+        return;
+    }
+    try {
+        storage.setItem(PRESETS_KEY, JSON.stringify(serializePresets(presets)));
+    } catch (err) {
+        console.error('Failed to store the material presets:', err);
+        uiManager.setPresetStatus(`Presets not stored: ${err.message}`, true);
+    }
+}
+
+uiManager.onPresetsChange = storePresets;
+
+uiManager.onPresetsExport = (presets) => {
+    const json = JSON.stringify(serializePresets(presets), null, 2);
+    downloadBlob(new Blob([json], { type: 'application/json' }), 'material-presets.json');
+    uiManager.setPresetStatus('Saved material-presets.json');
+};
+
+// Imported presets replace the user's presets of the same name
+uiManager.onPresetsFile = async (file) => {
+    try {
+        const { presets, warnings } = parsePresets(await file.text());
+        if (warnings.length > 0) {
+            console.warn(`${file.name}:\n${warnings.join('\n')}`);
+        }
+        uiManager.setUserPresets(mergePresets(uiManager.userPresets, presets));
+        storePresets(uiManager.userPresets);
+        uiManager.setPresetStatus(
+            `Imported ${presets.length} preset(s)${warnings.length > 0 ? ` (${warnings.length} warning(s), see console)` : ''}`,
+            warnings.length > 0
+        );
+    } catch (err) {
+        console.error('Failed to import presets:', err);
+        uiManager.setPresetStatus(err.message, true);
+    }
+};
+
+// Restore the user's presets
+const storedPresets = storage ? storage.getItem(PRESETS_KEY) : null;
+if (storedPresets) {
+    try {
+        const { presets, warnings } = parsePresets(storedPresets);
+        if (warnings.length > 0) {
+            console.warn(`Stored material presets:\n${warnings.join('\n')}`);
+        }
+        uiManager.setUserPresets(presets);
+    } catch (err) {
+        console.error('Failed to restore the material presets:', err);
+        uiManager.setPresetStatus(`Presets not restored: ${err.message}`, true);
+    }
+}
+
+// ====================================
+// Image Export
+// ====================================
+
+// The renderer's targets are resized to the export tiles until the export finishes,
+// so the animation loop pauses meanwhile
+let exporting = false;
+
+// Render the current view at the requested size and download the image(s)
+uiManager.onExport = async ({ width, height, supersampling, radianceFormat }) => {
+    if (exporting || recording) return;
+    exporting = true;
+    uiManager.setExportBusy(true);
+    
+    try {
+        // Same view as the canvas, with the projection for the export's aspect ratio
+        camera.updateMatrices(width / height);
+        const shot = {
+            viewMatrix: [...camera.viewMatrix],
+            projectionMatrix: [...camera.projectionMatrix],
+            position: [...camera.position],
+        };
+        const state = uiManager.getState();
+        
+        const image = await renderImage(renderer, {
+            camera: shot,
+            objects: buildDrawList(state.scene),
+            lightSphere: geoLightSphere,
+            areaLights: geoAreaLights
+        }, state, {
+            width,
+            height,
+            supersampling,
+            radiance: radianceFormat !== RADIANCE_FORMATS.NONE,
+            onProgress: (done, count) => uiManager.setExportStatus(`Rendering tile ${done}/${count}…`),
+        });
+        
+        uiManager.setExportStatus('Encoding…');
+        const name = `render-${width}x${height}`;
+        downloadBlob(await encodePNG(image), `${name}.png`);
+        if (radianceFormat === RADIANCE_FORMATS.EXR) {
+            downloadBlob(encodeEXR(image), `${name}.exr`);
+        } else if (radianceFormat === RADIANCE_FORMATS.PFM) {
+            downloadBlob(encodePFM(image), `${name}.pfm`);
+        }
+        uiManager.setExportStatus(`Saved ${name}.png${radianceFormat !== RADIANCE_FORMATS.NONE ? ` and .${radianceFormat}` : ''}`);
+    } catch (err) {
+        console.error('Image export failed:', err);
+        uiManager.setExportStatus(err.message, true);
+    } finally {
+        renderer.resize(canvas.width, canvas.height);
+        exporting = false;
+        uiManager.setExportBusy(false);
+    }
+};
+
+// ====================================
+// Transform Gizmo
+// ====================================
+
+// World axes (lights are moved along them)
+const WORLD_AXES = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+// Undo labels per gizmo mode
+const GIZMO_ACTIONS = {
+    [GIZMO_MODES.TRANSLATE]: 'Move',
+    [GIZMO_MODES.ROTATE]: 'Rotate',
+    [GIZMO_MODES.SCALE]: 'Scale',
+};
+
+// Gizmo drag in progress {drag, target, start, toParent} (null when idle)
+let activeDrag = null;
+
+// Gizmo handle under the mouse (highlighted while idle)
+let hoverHandle = null;
+
+history.onChange = () => uiManager.setHistoryState(history.undoLabel, history.redoLabel);
+uiManager.onUndo = () => history.undo();
+uiManager.onRedo = () => history.redo();
+
+/**
+ * Mouse ray through the cursor position of a mouse event
+ * @param {MouseEvent} e - Mouse event
+ * @returns {{origin: Array<number>, direction: Array<number>, x: number, y: number}} Ray and canvas position
+ */
+function mouseRay(e) {
     const rect = canvas.getBoundingClientRect();
     const x = e.clientX - rect.left;
     const y = e.clientY - rect.top;
+    return { ...camera.screenToWorldRay(x, y, canvas.clientWidth, canvas.clientHeight), x, y };
+}
+
+/**
+ * Object edited by the gizmo: the selected node or the selected light
+ * @param {Object} state - Application state
+ * @returns {Object|null} {kind: 'node', node} or {kind: 'light', light};
+ *          null for directional lights (they have no position)
+ */
+function gizmoTarget(state) {
+    if (state.gizmoTarget === 'light') {
+        const light = uiManager.getSelectedLight();
+        return light.type === 1 ? null : { kind: 'light', light };
+    }
+    return { kind: 'node', node: uiManager.getSelectedNode() };
+}
+
+/**
+ * Gizmo frame for a target
+ * Lights only move, along the world axes. Node handles follow the values they edit:
+ * translation along the parent's axes, rotation around the Euler angle axes,
+ * scale along the node's own axes.
+ * 
+ * @param {Object} target - Gizmo target (see gizmoTarget)
+ * @param {string} mode - Value of GIZMO_MODES
+ * @returns {Object} Frame {mode, origin, axes, size}
+ */
+function gizmoFrame(target, mode) {
+    if (target.kind === 'light') {
+        const origin = [...target.light.position];
+        return { mode: GIZMO_MODES.TRANSLATE, origin, axes: WORLD_AXES, size: gizmoSize(origin, camera.position) };
+    }
+    
+    const { node } = target;
+    const transforms = uiManager.getState().scene.computeWorldTransforms();
+    const world = transforms.get(node.id).world;
+    const parentWorld = node.parent !== null ? transforms.get(node.parent).world : mat4.identity();
+    const toWorld = (matrix, v) => vec3.normalize(mat4.multiplyVec4(matrix, [...v, 0]).slice(0, 3));
+    
+    let axes;
+    if (mode === GIZMO_MODES.ROTATE) {
+        // Angles apply around X, then Y, then Z, so each angle turns around
+        // its axis as rotated by the angles applied after it
+        const [, ry, rz] = node.rotation;
+        axes = [
+            quat.rotate(quat.fromEuler([0, ry, rz]), [1, 0, 0]),
+            quat.rotate(quat.fromEuler([0, 0, rz]), [0, 1, 0]),
+            [0, 0, 1],
+        ].map((axis) => toWorld(parentWorld, axis));
+    } else if (mode === GIZMO_MODES.SCALE) {
+        axes = WORLD_AXES.map((axis) => toWorld(world, axis));
+    } else {
+        axes = WORLD_AXES.map((axis) => toWorld(parentWorld, axis));
+    }
+    
+    const origin = [world[12], world[13], world[14]];
+    return { mode, origin, axes, size: gizmoSize(origin, camera.position) };
+}
+
+/**
+ * Copy the values a gizmo edits
+ * @param {Object} target - Gizmo target
+ * @returns {Object} {position} for lights, {translation, rotation, scale} for nodes
+ */
+function snapshotTarget(target) {
+    if (target.kind === 'light') {
+        return { position: [...target.light.position] };
+    }
+    const { translation, rotation, scale } = target.node;
+    return { translation: [...translation], rotation: [...rotation], scale: [...scale] };
+}
+
+/**
+ * Write values into a gizmo target and refresh its controls if it is selected
+ * @param {Object} target - Gizmo target
+ * @param {Object} values - Values from snapshotTarget (fields may be omitted)
+ */
+function applyToTarget(target, values) {
+    const object = target.kind === 'light' ? target.light : target.node;
+    for (const [key, value] of Object.entries(values)) {
+        object[key] = [...value];
+    }
+    if (target.kind === 'light' && uiManager.getSelectedLight() === target.light) {
+        uiManager.syncLightControls();
+    } else if (target.kind === 'node' && uiManager.getSelectedNode() === target.node) {
+        uiManager.syncTransformControls();
+    }
+}
+
+/**
+ * Start dragging a gizmo handle (or a light marker)
+ * @param {Object} target - Gizmo target
+ * @param {Object} frame - Gizmo frame at the start of the drag
+ * @param {Object} handle - Dragged handle
+ * @param {Object} ray - Mouse ray
+ */
+function beginGizmoDrag(target, frame, handle, ray) {
+    // Node translations are stored in the parent's space
+    let toParent = mat4.identity();
+    if (target.kind === 'node' && target.node.parent !== null) {
+        const transforms = uiManager.getState().scene.computeWorldTransforms();
+        toParent = mat4.invert(transforms.get(target.node.parent).world);
+    }
+    activeDrag = { drag: new GizmoDrag(frame, handle, ray), target, start: snapshotTarget(target), toParent };
+    tooltipManager.hide();
+    hoverInfo = null;
+}
+
+/**
+ * Apply the active drag for a new mouse ray
+ * Snapped values are rounded to whole grid steps (absolute, not relative to the start).
+ * 
+ * @param {Object} ray - Mouse ray
+ * @param {boolean} snapping - Whether to snap to the grid steps
+ */
+function updateGizmoDrag(ray, snapping) {
+    const { drag, target, start, toParent } = activeDrag;
+    const result = drag.update(ray);
+    if (!result) return;
+    
+    const state = uiManager.getState();
+    const snap = (value, step) => (snapping ? snapValue(value, step) : value);
+    const { axes } = drag.handle;
+    
+    if (result.delta) {
+        const key = target.kind === 'light' ? 'position' : 'translation';
+        const local = mat4.multiplyVec4(toParent, [...result.delta, 0]);
+        const value = [...start[key]];
+        for (const k of axes) {
+            value[k] = snap(start[key][k] + local[k], state.snapTranslate);
+        }
+        applyToTarget(target, { [key]: value });
+    } else if (result.angle !== undefined) {
+        const rotation = [...start.rotation];
+        for (const k of axes) {
+            const degrees = snap(start.rotation[k] + radToDeg(result.angle), state.snapRotate);
+            rotation[k] = ((degrees + 180) % 360 + 360) % 360 - 180; // Wrap to [-180, 180)
+        }
+        applyToTarget(target, { rotation });
+    } else {
+        const scale = [...start.scale];
+        const minimum = snapping ? state.snapScale : 0.01;
+        for (const k of axes) {
+            scale[k] = Math.max(snap(start.scale[k] * result.factor, state.snapScale), minimum);
+        }
+        applyToTarget(target, { scale });
+    }
+}
+
+/**
+ * Finish the active drag and record it for undo
+ */
+function endGizmoDrag() {
+    const { drag, target, start } = activeDrag;
+    activeDrag = null;
+    
+    const end = snapshotTarget(target);
+    if (JSON.stringify(end) === JSON.stringify(start)) return; // Clicked without moving
+    
+    const label = target.kind === 'light'
+        ? 'light move'
+        : `${GIZMO_ACTIONS[drag.frame.mode].toLowerCase()} ${target.node.name}`;
+    history.push({
+        label,
+        undo: () => applyToTarget(target, start),
+        redo: () => applyToTarget(target, end),
+    });
+}
+
+/**
+ * Nearest light marker or area light surface under a ray (directional lights have none)
+ * @param {Object} ray - Mouse ray
+ * @returns {number} Light index, or -1
+ */
+function pickLight(ray) {
+    const { lights } = uiManager.getState();
+    let nearest = -1;
+    let nearestDistance = Infinity;
+    lights.forEach((light, i) => {
+        if (light.type === 1) return;
+        // Area lights by their surface, others by a sphere slightly larger than the marker
+        const hit = light.type === 3
+            ? intersectMesh(ray.origin, ray.direction, geoAreaLights[light.areaShape], areaLightMatrix(light))
+            : intersectSphere(ray.origin, ray.direction, light.position, LIGHT_SPHERE_RADIUS * 1.5);
+        if (!hit) return;
+        const distance = vec3.length(vec3.sub(hit.point, ray.origin));
+        if (distance < nearestDistance) {
+            nearest = i;
+            nearestDistance = distance;
+        }
+    });
+    return nearest;
+}
+
+// Left-button drags on a gizmo handle or light marker do not orbit the camera
+camera.onDragStart = (e) => {
+    const state = uiManager.getState();
+    const ray = mouseRay(e);
+    
+    const target = gizmoTarget(state);
+    if (target && state.gizmoMode !== GIZMO_MODES.HIDDEN) {
+        const frame = gizmoFrame(target, state.gizmoMode);
+        const handle = pickHandle(frame, ray);
+        if (handle) {
+            beginGizmoDrag(target, frame, handle, ray);
+            return true;
+        }
+    }
+    
+    // Light markers can be dragged directly, in the plane facing the camera
+    const index = pickLight(ray);
+    if (index >= 0) {
+        uiManager.selectLight(index);
+        const light = { kind: 'light', light: state.lights[index] };
+        beginGizmoDrag(light, gizmoFrame(light), { type: 'free', axis: -1, axes: [0, 1, 2] }, ray);
+        return true;
+    }
+    return false;
+};
+
+// Drags continue outside the canvas
+window.addEventListener('mousemove', (e) => {
+    if (activeDrag) {
+        const state = uiManager.getState();
+        updateGizmoDrag(mouseRay(e), state.snapEnabled !== (e.ctrlKey || e.metaKey));
+    }
+});
+
+window.addEventListener('mouseup', () => {
+    if (activeDrag) {
+        endGizmoDrag();
+    }
+});
+
+// Click (press and release without moving) on an object selects its node
+let clickStart = null;
+
+canvas.addEventListener('mousedown', (e) => {
+    clickStart = e.button === 0 ? [e.clientX, e.clientY] : null;
+});
+
+canvas.addEventListener('mouseup', (e) => {
+    if (!clickStart || activeDrag) return;
+    const moved = Math.hypot(e.clientX - clickStart[0], e.clientY - clickStart[1]);
+    clickStart = null;
+    if (moved > 3) return; // Camera orbit
+    
+    const ray = mouseRay(e);
+    const hit = uiManager.getState().scene.pick(ray.origin, ray.direction, meshes);
+    if (hit) {
+        uiManager.selectNode(hit.node.id);
+    }
+});
+
+// Keyboard shortcuts: W/E/R/Q gizmo mode, Ctrl+Z undo, Ctrl+Y / Ctrl+Shift+Z redo
+window.addEventListener('keydown', (e) => {
+    const field = e.target;
+    if (field.tagName === 'TEXTAREA' || field.tagName === 'SELECT' ||
+        (field.tagName === 'INPUT' && field.type === 'text')) {
+        return; // Typing in a form field
+    }
+    if (activeDrag) return;
+    
+    const key = e.key.toLowerCase();
+    if (e.ctrlKey || e.metaKey) {
+        if (key === 'z' || key === 'y') {
+            e.preventDefault();
+            if (key === 'y' || e.shiftKey) {
+                history.redo();
+            } else {
+                history.undo();
+            }
+        }
+        return;
+    }
+    
+    const modes = { w: GIZMO_MODES.TRANSLATE, e: GIZMO_MODES.ROTATE, r: GIZMO_MODES.SCALE, q: GIZMO_MODES.HIDDEN };
+    if (modes[key] && !e.altKey) {
+        uiManager.setGizmoMode(modes[key]);
+    }
+});
+
+/**
+ * Direction from a surface point to a light
+ * @param {Object} light - Light from UI state
+ * @param {Array<number>} point - Surface point (world space)
+ * @returns {Array<number>} Light direction (normalized)
+ */
+function lightDirection(light, point) {
+    if (light.type === 1) {
+        // Directional light
+        return vec3.normalize(vec3.scale(light.direction, -1));
+    }
+    // Point/spot/area light
+    return vec3.normalize(vec3.sub(light.position, point));
+}
+
+// ====================================
+// Mouse Hover Handler (for vector tooltip)
+// ====================================
+canvas.addEventListener('mousemove', (e) => {
+    const state = uiManager.getState();
     
     // Cast ray from mouse position
-    const ray = camera.screenToWorldRay(x, y, canvas.clientWidth, canvas.clientHeight);
+    const ray = mouseRay(e);
+    const { x, y } = ray;
     
-    // Test for intersection with current object
-    const hit = intersectObject(ray.origin, ray.direction, state.objectType);
+    // No surface vectors while dragging or pointing at a gizmo handle
+    const target = gizmoTarget(state);
+    hoverHandle = !activeDrag && target && state.gizmoMode !== GIZMO_MODES.HIDDEN
+        ? pickHandle(gizmoFrame(target, state.gizmoMode), ray)
+        : null;
+    if (activeDrag || hoverHandle) {
+        tooltipManager.hide();
+        hoverInfo = null;
+        return;
+    }
+    
+    // Nearest surface under the cursor (any mesh, including loaded models)
+    const hit = state.scene.pick(ray.origin, ray.direction, meshes);
     
     if (hit) {
         // Calculate BRDF vectors
         const N = hit.normal;
         
-        // Light direction depends on light type
-        let L;
-        if (state.lightType === 1) {
-            // Directional light
-            L = vec3.normalize(vec3.scale(state.lightDir, -1));
-        } else {
-            // Point/spot/area light
-            L = vec3.normalize(vec3.sub(state.lightPos, hit.point));
-        }
+        // Tangent frame, re-orthogonalized against N as in the lighting shader
+        const tangent = hit.tangent.slice(0, 3);
+        const T = vec3.normalize(vec3.sub(tangent, vec3.scale(N, vec3.dot(N, tangent))));
+        const B = vec3.scale(vec3.cross(N, T), hit.tangent[3]);
+        
+        // Light direction for the selected light depends on its type
+        const L = lightDirection(uiManager.getSelectedLight(), hit.point);
         
         // View direction (from hit point to camera)
         const V = vec3.normalize(vec3.sub(camera.position, hit.point));
@@ -119,7 +1180,7 @@ canvas.addEventListener('mousemove', (e) => {
         
         // Show tooltip with vector information
         tooltipManager.show({
-            N, L, V, H,
+            N, L, V, H, T, B,
             NdotL,
             NdotH
         }, x, y);
@@ -128,18 +1189,47 @@ canvas.addEventListener('mousemove', (e) => {
         hoverInfo = {
             point: hit.point,
             normal: hit.normal,
-            vectors: { N, L, V, H }
+            vectors: { N, L, V, H, T, B }
         };
+        
+        // Material of the comparison side under the cursor
+        const side = state.compareEnabled && x >= canvas.clientWidth * state.compareSplit ? 'B' : 'A';
+        lobeTarget = { point: hit.point, N, T, B, node: hit.node, drawable: hit.drawable, side };
     } else {
         tooltipManager.hide();
         hoverInfo = null;
     }
 });
 
+// ====================================
+// Drag-and-Drop Model Loading
+// ====================================
+const canvasContainer = canvas.parentElement;
+
+canvas.addEventListener('dragover', (e) => {
+    e.preventDefault(); // Required to allow dropping
+    e.dataTransfer.dropEffect = 'copy';
+    canvasContainer.classList.add('drag-over');
+});
+
+canvas.addEventListener('dragleave', () => {
+    canvasContainer.classList.remove('drag-over');
+});
+
+canvas.addEventListener('drop', (e) => {
+    e.preventDefault();
+    canvasContainer.classList.remove('drag-over');
+    const files = Array.from(e.dataTransfer.files);
+    if (files.length > 0) {
+        loadModelFiles(files);
+    }
+});
+
 // Hide tooltip when mouse leaves canvas
 canvas.addEventListener('mouseleave', () => {
     tooltipManager.hide();
     hoverInfo = null;
+    hoverHandle = null;
 });
 
 // ====================================
@@ -149,7 +1239,8 @@ function handleResize() {
     const displayWidth = canvas.clientWidth;
     const displayHeight = canvas.clientHeight;
     
-    // Update canvas resolution if needed
+    // Update canvas resolution if needed (not while an export or recording uses the renderer)
+    if (exporting || recording) return;
     if (canvas.width !== displayWidth || canvas.height !== displayHeight) {
         canvas.width = displayWidth;
         canvas.height = displayHeight;
@@ -158,11 +1249,101 @@ function handleResize() {
 }
 
 // ====================================
-// Animation Loop
+// BRDF Lobe Visualiser
 // ====================================
-function render() {
-    handleResize();
+// Length of the 3D lobe's longest direction (as the debug vectors)
+const LOBE_SIZE = 0.4;
+
+// Surface frame of the lobe at a chosen incident angle (light in the T/N plane)
+const LOBE_FRAME = { N: [0, 1, 0], T: [1, 0, 0], B: [0, 0, -1] };
+
+// Inputs of the lobe last drawn {key, target} and its 3D lines; the plot and the
+// lines are only rebuilt when the key or the hovered point changes
+let lobeCache = { key: null, target: null, lines: null };
+
+/**
+ * Whether the lobe inputs differ from the cached ones (and remember them if so)
+ * @param {string} key - Serialized inputs
+ * @param {Object|null} target - Hovered point (compared by identity)
+ * @returns {boolean} True if the plot must be redrawn
+ */
+function lobeInputsChanged(key, target) {
+    if (lobeCache.key === key && lobeCache.target === target) return false;
+    lobeCache = { key, target, lines: null };
+    return true;
+}
+
+/**
+ * Update the lobe visualiser for the materials, light and camera of this frame:
+ * the polar plot in the control panel and, for the hovered point, the 3D lobe
+ * @param {Object} state - Application state
+ */
+function drawLobe(state) {
+    if (!state.lobeEnabled) return;
+    
+    // Chosen angle: the edited material, lit from the left
+    if (state.lobeSource === 'angle') {
+        const side = state.editedMaterial;
+        const settings = uiManager.getEditedMaterial();
+        const brdf = state.brdf[side];
+        const key = JSON.stringify(['angle', side, settings, brdfDefines(brdf), state.lobeAngle]);
+        if (!lobeInputsChanged(key, null)) return;
+        
+        const theta = degToRad(state.lobeAngle);
+        const lobe = createLobe(settingsMaterial(settings), brdf, CONDUCTOR_IOR[settings.conductor],
+            LOBE_FRAME, [-Math.sin(theta), Math.cos(theta), 0]);
+        lobePlot.draw(sampleIncidencePlane(lobe), theta, null, `Material ${side}, light at ${state.lobeAngle}°`);
+        return;
+    }
     
+    // Hovered point (forgotten with its node)
+    if (lobeTarget && !state.scene.nodes.includes(lobeTarget.node)) {
+        lobeTarget = null;
+    }
+    if (!lobeTarget) {
+        if (lobeInputsChanged('none', null)) lobePlot.clear('Hover over a surface');
+        return;
+    }
+    
+    const { point, N, T, B, node, drawable } = lobeTarget;
+    const side = state.compareEnabled ? lobeTarget.side : 'A';
+    const L = lightDirection(uiManager.getSelectedLight(), point);
+    const NdotL = vec3.dot(N, L);
+    if (NdotL <= 0) {
+        if (lobeInputsChanged('below', lobeTarget)) lobePlot.clear('The selected light is below the horizon');
+        return;
+    }
+    
+    const settings = node.materials[side];
+    const brdf = state.brdf[side];
+    const V = vec3.normalize(vec3.sub(camera.position, point));
+    const key = JSON.stringify(['hover', node.name, side, settings, brdfDefines(brdf), L, V, state.lobeTerm]);
+    if (lobeInputsChanged(key, lobeTarget)) {
+        const lobe = createLobe(drawable.material || settingsMaterial(settings), brdf,
+            CONDUCTOR_IOR[settings.conductor], { N, T, B }, L);
+        
+        // View direction projected into the plane of incidence
+        const viewAngle = vec3.dot(V, N) > 0 ? Math.atan2(vec3.dot(V, lobe.P), vec3.dot(V, N)) : null;
+        const theta = Math.acos(Math.min(NdotL, 1));
+        lobePlot.draw(sampleIncidencePlane(lobe), theta, viewAngle,
+            `${node.name}, material ${side}, light at ${radToDeg(theta).toFixed(0)}°`);
+        lobeCache.lines = lobeMesh(lobe, state.lobeTerm, point, LOBE_SIZE);
+    }
+    
+    // The 3D lobe is drawn into every frame
+    if (lobeCache.lines) {
+        lobeRenderer.render(lobeCache.lines, LOBE_TERMS[state.lobeTerm].color, camera.viewMatrix, camera.projectionMatrix);
+    }
+}
+
+// ====================================
+// Animation Loop
+// ====================================
+/**
+ * Draw the scene to the canvas
+ * @param {boolean} overlays - Also draw the hover vectors and the gizmo
+ */
+function drawFrame(overlays = true) {
     // Update camera matrices
     const aspectRatio = canvas.width / canvas.height;
     camera.updateMatrices(aspectRatio);
@@ -173,11 +1354,13 @@ function render() {
     // Render scene
     renderer.render({
         camera,
-        floor: geoPlane,
-        object: activeObject,
-        lightSphere: geoLightSphere
+        objects: buildDrawList(state.scene),
+        lightSphere: geoLightSphere,
+        areaLights: geoAreaLights
     }, state);
     
+    if (!overlays) return;
+    
     // Render debug vectors if hovering
     if (hoverInfo) {
         debugRenderer.render(
@@ -188,6 +1371,39 @@ function render() {
         );
     }
     
+    // BRDF lobe (plot and 3D lobe at the hovered point)
+    drawLobe(state);
+    
+    // Gizmo on top of everything
+    const target = gizmoTarget(state);
+    if (target && state.gizmoMode !== GIZMO_MODES.HIDDEN) {
+        gizmoRenderer.render(
+            gizmoFrame(target, state.gizmoMode),
+            camera.viewMatrix,
+            camera.projectionMatrix,
+            activeDrag ? activeDrag.drag.handle : hoverHandle
+        );
+    }
+}
+
+/**
+ * Animation loop: advance the preview and draw
+ * @param {number} time - Frame timestamp (milliseconds)
+ */
+function render(time) {
+    // The export and recordings draw their own frames
+    if (!exporting && !recording) {
+        handleResize();
+        
+        if (playback) {
+            if (playback.startTime === null) playback.startTime = time;
+            const { animation } = playback;
+            animation.apply(((time - playback.startTime) / 1000) % animation.duration);
+        }
+        
+        drawFrame();
+    }
+    
     // Continue animation loop
     requestAnimationFrame(render);
 }
@@ -198,10 +1414,3 @@ requestAnimationFrame(render);
 // Handle window resize
 window.addEventListener('resize', handleResize);
 handleResize();
-
-// ====================================
-// Debug Helper (Auto-enabled)
-// ====================================
-window.__debugShadow = true;
-console.log('%c[SHADOW DEBUG ENABLED]', 'color: green; font-weight: bold', 'Shadow calculations will be logged automatically');
-console.log('To disable: window.__debugShadow = false');
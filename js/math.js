@@ -15,6 +15,13 @@ const RAD = Math.PI / 180;
  */
 export const degToRad = (degrees) => degrees * RAD;
 
+/**
+ * Convert radians to degrees
+ * @param {number} radians - Angle in radians
+ * @returns {number} Angle in degrees
+ */
+export const radToDeg = (radians) => radians / RAD;
+
 /**
  * Clamp a value between min and max
  * @param {number} value - Value to clamp
@@ -24,6 +31,20 @@ export const degToRad = (degrees) => degrees * RAD;
  */
 export const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
 
+/**
+ * Cube map face orientations (OpenGL convention)
+ * Index i corresponds to TEXTURE_CUBE_MAP_POSITIVE_X + i.
+ * Used to build the six 90° views when rendering into a cube map.
+ */
+export const CUBE_FACES = [
+    { dir: [1, 0, 0], up: [0, -1, 0] },   // +X
+    { dir: [-1, 0, 0], up: [0, -1, 0] },  // -X
+    { dir: [0, 1, 0], up: [0, 0, 1] },    // +Y
+    { dir: [0, -1, 0], up: [0, 0, -1] },  // -Y
+    { dir: [0, 0, 1], up: [0, -1, 0] },   // +Z
+    { dir: [0, 0, -1], up: [0, -1, 0] },  // -Z
+];
+
 /**
  * 3D Vector Operations
  * Vectors are represented as [x, y, z] arrays
@@ -185,6 +206,29 @@ export const mat4 = {
         ];
     },
 
+    /**
+     * Create an orthographic projection matrix
+     * Used for directional light shadow maps (parallel projection, no foreshortening)
+     * @param {number} left - Left clipping plane
+     * @param {number} right - Right clipping plane
+     * @param {number} bottom - Bottom clipping plane
+     * @param {number} top - Top clipping plane
+     * @param {number} near - Near clipping plane distance
+     * @param {number} far - Far clipping plane distance
+     * @returns {Array<number>} Orthographic projection matrix
+     */
+    ortho: (left, right, bottom, top, near, far) => {
+        const lr = 1 / (left - right);
+        const bt = 1 / (bottom - top);
+        const nf = 1 / (near - far);
+        return [
+            -2 * lr, 0, 0, 0,
+            0, -2 * bt, 0, 0,
+            0, 0, 2 * nf, 0,
+            (left + right) * lr, (top + bottom) * bt, (far + near) * nf, 1,
+        ];
+    },
+
     /**
      * Create a view matrix (camera transformation)
      * Transforms world coordinates to camera/view space
@@ -208,6 +252,27 @@ export const mat4 = {
         ];
     },
 
+    /**
+     * Compose a transform from translation, rotation and scale (T * R * S)
+     * @param {Array<number>} t - Translation [x, y, z]
+     * @param {Array<number>} q - Rotation quaternion [x, y, z, w] (unit length)
+     * @param {Array<number>} s - Scale [x, y, z]
+     * @returns {Array<number>} Transformation matrix
+     */
+    fromTRS: (t, q, s) => {
+        const [x, y, z, w] = q;
+        const x2 = x + x, y2 = y + y, z2 = z + z;
+        const xx = x * x2, xy = x * y2, xz = x * z2;
+        const yy = y * y2, yz = y * z2, zz = z * z2;
+        const wx = w * x2, wy = w * y2, wz = w * z2;
+        return [
+            (1 - (yy + zz)) * s[0], (xy + wz) * s[0], (xz - wy) * s[0], 0,
+            (xy - wz) * s[1], (1 - (xx + zz)) * s[1], (yz + wx) * s[1], 0,
+            (xz + wy) * s[2], (yz - wx) * s[2], (1 - (xx + yy)) * s[2], 0,
+            t[0], t[1], t[2], 1,
+        ];
+    },
+
     /**
      * Invert a 4x4 matrix
      * Used for transformations like world-to-local space conversion
@@ -275,6 +340,67 @@ export const mat4 = {
     ],
 };
 
+/**
+ * Quaternion Operations
+ * Quaternions are represented as [x, y, z, w] arrays
+ */
+export const quat = {
+    /**
+     * Create identity quaternion
+     * @returns {Array<number>} Identity rotation [0, 0, 0, 1]
+     */
+    identity: () => [0, 0, 0, 1],
+
+    /**
+     * Multiply two quaternions (the result applies b first, then a)
+     * @param {Array<number>} a - First quaternion
+     * @param {Array<number>} b - Second quaternion
+     * @returns {Array<number>} Result a * b
+     */
+    multiply: (a, b) => [
+        a[3] * b[0] + a[0] * b[3] + a[1] * b[2] - a[2] * b[1],
+        a[3] * b[1] - a[0] * b[2] + a[1] * b[3] + a[2] * b[0],
+        a[3] * b[2] + a[0] * b[1] - a[1] * b[0] + a[2] * b[3],
+        a[3] * b[3] - a[0] * b[0] - a[1] * b[1] - a[2] * b[2],
+    ],
+
+    /**
+     * Rotation of an angle around a unit axis
+     * @param {Array<number>} axis - Rotation axis [x, y, z] (normalized)
+     * @param {number} angle - Angle in radians
+     * @returns {Array<number>} Unit quaternion
+     */
+    fromAxisAngle: (axis, angle) => {
+        const s = Math.sin(angle / 2);
+        return [axis[0] * s, axis[1] * s, axis[2] * s, Math.cos(angle / 2)];
+    },
+
+    /**
+     * Rotate a vector by a unit quaternion
+     * @param {Array<number>} q - Rotation quaternion
+     * @param {Array<number>} v - Vector [x, y, z]
+     * @returns {Array<number>} Rotated vector
+     */
+    rotate: (q, v) => {
+        // v' = v + 2w(q × v) + 2q × (q × v)
+        const u = [q[0], q[1], q[2]];
+        const t = vec3.scale(vec3.cross(u, v), 2);
+        return vec3.add(vec3.add(v, vec3.scale(t, q[3])), vec3.cross(u, t));
+    },
+
+    /**
+     * Rotation from Euler angles, applied around X, then Y, then Z (fixed axes)
+     * @param {Array<number>} degrees - Angles [x, y, z] in degrees
+     * @returns {Array<number>} Unit quaternion
+     */
+    fromEuler: (degrees) => {
+        const qx = quat.fromAxisAngle([1, 0, 0], degToRad(degrees[0]));
+        const qy = quat.fromAxisAngle([0, 1, 0], degToRad(degrees[1]));
+        const qz = quat.fromAxisAngle([0, 0, 1], degToRad(degrees[2]));
+        return quat.multiply(qz, quat.multiply(qy, qx));
+    },
+};
+
 /**
  * 3x3 Matrix Operations
  * Used primarily for normal transformations
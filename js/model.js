@@ -0,0 +1,125 @@
+/**
+ * Imported Model Module
+ *
+ * Shared representation for meshes loaded from files:
+ * model = { name, drawables, geometries, materials, triangleCount, warnings }
+ * - drawables: one entry per rendered primitive instance,
+ *   {vao, count, indexType, modelMatrix, material} (VAO fields from createVAO)
+ * - geometries: unique VAOs (instanced meshes share one VAO between drawables)
+ * - materials: material descriptions created with createMaterial
+ * - warnings: non-fatal problems found while loading (also logged to the console)
+ */
+
+import { mat4 } from './math.js';
+import { deleteVAO } from './geometry.js';
+
+// Largest half-extent of a model after fitting (matches the built-in sphere and cube)
+export const FIT_HALF_SIZE = 0.6;
+
+/**
+ * Create a material description
+ * Field meanings match the material uniforms in fragmentShader
+ *
+ * @param {Object} overrides - Fields to replace in the default material
+ * @returns {Object} Material {name, albedo, metallic, roughness, ior, emissive,
+ *          normalScale, occlusionStrength, anisotropy, anisotropyRotation, clearcoat,
+ *          clearcoatRoughness, sheenColor, sheenRoughness, transmission, subsurface,
+ *          scatterRadius, scatterColor, textures}
+ */
+export function createMaterial(overrides = {}) {
+    return {
+        name: '',
+        albedo: [1, 1, 1],
+        metallic: 1.0,
+        roughness: 1.0,
+        ior: 1.5,
+        emissive: [0, 0, 0],       // Already scaled by strength
+        normalScale: 1.0,
+        occlusionStrength: 1.0,
+        anisotropy: 0.0,           // Strength [0, 1]
+        anisotropyRotation: 0.0,   // Radians, counter-clockwise from the tangent
+        clearcoat: 0.0,            // Layers over the base (0 / black = no layer)
+        clearcoatRoughness: 0.0,
+        sheenColor: [0, 0, 0],
+        sheenRoughness: 0.0,
+        transmission: 0.0,         // Thin-walled: the base's dielectric part lets light through
+        subsurface: 0,             // SUBSURFACE_MODES (0 = Lambertian diffuse)
+        scatterRadius: 0.0,        // Scatter distance of the widest channel (world units)
+        scatterColor: [1, 1, 1],   // Scatter distance per channel, relative to the radius
+        textures: null,            // MaterialTextures, or null for untextured
+        ...overrides,
+    };
+}
+
+/**
+ * Create an empty axis-aligned bounding box
+ * @returns {{min: Array<number>, max: Array<number>}} Bounds that contain nothing
+ */
+export function createBounds() {
+    return { min: [Infinity, Infinity, Infinity], max: [-Infinity, -Infinity, -Infinity] };
+}
+
+/**
+ * Grow bounds to contain a point
+ * @param {{min: Array<number>, max: Array<number>}} bounds - Bounds to update in place
+ * @param {Array<number>} point - Point [x, y, z]
+ */
+export function expandBounds(bounds, point) {
+    for (let i = 0; i < 3; i++) {
+        bounds.min[i] = Math.min(bounds.min[i], point[i]);
+        bounds.max[i] = Math.max(bounds.max[i], point[i]);
+    }
+}
+
+/**
+ * Grow bounds to contain a box transformed by a matrix (all 8 corners)
+ * @param {{min: Array<number>, max: Array<number>}} bounds - Bounds to update in place
+ * @param {Array<number>} min - Box minimum corner (local space)
+ * @param {Array<number>} max - Box maximum corner (local space)
+ * @param {Array<number>} matrix - Local → world transform
+ */
+export function expandBoundsTransformed(bounds, min, max, matrix) {
+    for (let corner = 0; corner < 8; corner++) {
+        const p = [
+            corner & 1 ? max[0] : min[0],
+            corner & 2 ? max[1] : min[1],
+            corner & 4 ? max[2] : min[2],
+            1,
+        ];
+        expandBounds(bounds, mat4.multiplyVec4(matrix, p));
+    }
+}
+
+/**
+ * Scale and center a model so it occupies the same space as the built-in objects
+ * The fit transform is applied on top of each drawable's own model matrix.
+ *
+ * @param {Object} model - Model to update in place
+ * @param {{min: Array<number>, max: Array<number>}} bounds - World-space bounds of the model
+ */
+export function fitModel(model, bounds) {
+    if (!Number.isFinite(bounds.min[0])) return; // Empty model
+
+    const center = bounds.min.map((v, i) => (v + bounds.max[i]) / 2);
+    const halfExtent = Math.max(...bounds.max.map((v, i) => (v - bounds.min[i]) / 2));
+    const scale = halfExtent > 0 ? FIT_HALF_SIZE / halfExtent : 1;
+
+    const fit = mat4.fromTRS(center.map((c) => -c * scale), [0, 0, 0, 1], [scale, scale, scale]);
+    for (const drawable of model.drawables) {
+        drawable.modelMatrix = mat4.multiply(fit, drawable.modelMatrix);
+    }
+}
+
+/**
+ * Release all GPU resources of a model
+ * @param {WebGL2RenderingContext} gl - WebGL context
+ * @param {Object} model - Model returned by a loader
+ */
+export function disposeModel(gl, model) {
+    for (const geometry of model.geometries) {
+        deleteVAO(gl, geometry);
+    }
+    for (const material of model.materials) {
+        if (material.textures) material.textures.dispose();
+    }
+}
@@ -0,0 +1,186 @@
+/**
+ * Multiple-Scattering Compensation Module
+ *
+ * Directional albedo tables for the energy compensation of the lighting shader
+ * (energyCompensation, compiled in with MULTI_SCATTER). A single-scattering
+ * microfacet lobe with F = 1 reflects E(n·v, roughness) ≤ 1 of the incoming light;
+ * the shader scales the lobe to give back the rest. E depends on the D and G terms,
+ * so it is integrated on the GPU from the shader's own term code, once per D/G
+ * combination, the first time a side uses it.
+ *
+ * The second channel holds the albedo of the sheen lobe, which sets how much
+ * light the sheen layer takes from the base below it (see sampleLayers). The
+ * third holds the part of E weighted by Schlick's (1 - v·h)⁵, which gives the
+ * specular albedo for any F0 (see specularAlbedo, used by the coupled diffuse).
+ *
+ * Rendering into the half-float table requires EXT_color_buffer_float; without it
+ * every table is a single texel of (1, 0, 0): no compensation, a sheen that only
+ * adds light, and a specular albedo of F0.
+ */
+
+import { createProgram, fullscreenVertexShader, brdfDefines, MICROFACET_GLSL, SAMPLING_GLSL } from './shaders.js';
+
+// Texture unit of the table (after the LTC tables, 10-11)
+export const ALBEDO_TABLE_UNIT = 12;
+
+const TABLE_SIZE = 32;   // Entries per axis (n·v and roughness)
+
+/**
+ * Directional albedo integration
+ *
+ * Texel (i, j) holds E for n·v = i / (size - 1) and roughness = j / (size - 1),
+ * matching the texel-center lookup of directionalAlbedo. The integrand of the red
+ * channel is the specular term of evaluateBRDF with F = 1 (same clamps), importance
+ * sampled with GGX, and the blue channel the same times (1 - v·h)⁵; the green
+ * channel integrates the sheen term of evaluateSheen over uniformly sampled
+ * directions (the Charlie lobe is not GGX-shaped).
+ */
+const albedoFragmentShader = `#version 300 es
+precision highp float;
+
+out vec4 fragColor;
+
+const float PI = 3.14159265;
+${MICROFACET_GLSL}
+${SAMPLING_GLSL}
+const uint SAMPLE_COUNT = 1024u;
+const float TABLE_SIZE = ${TABLE_SIZE}.0;
+
+vec2 directionalAlbedo(float NdotV, float roughness) {
+    vec3 V = vec3(sqrt(1.0 - NdotV * NdotV), 0.0, NdotV);
+    vec3 N = vec3(0.0, 0.0, 1.0);
+    float alpha = max(0.001, roughness * roughness);
+
+    vec2 sum = vec2(0.0);
+    for (uint i = 0u; i < SAMPLE_COUNT; ++i) {
+        vec3 H = importanceSampleGGX(hammersley(i, SAMPLE_COUNT), N, alpha);
+        vec3 L = reflect(-V, H);
+        float NdotL = L.z;
+        if (NdotL <= 0.0) continue;
+
+        float NdotH = max(H.z, 0.0);
+        float VdotH = max(dot(V, H), 0.0001);
+        float D = distributionTerm(NdotH, alpha);
+        float G = geometryTerm(NdotV, NdotL, NdotH, VdotH, alpha);
+        float specular = D * G / max(0.001, 4.0 * NdotV * NdotL);
+
+        // Divided by the GGX density of L: D(h)·(n·h) / (4·(v·h))
+        float weight = specular * NdotL * 4.0 * VdotH / max(D_GGX(NdotH, alpha) * NdotH, 1e-6);
+        sum += weight * vec2(1.0, pow(1.0 - VdotH, 5.0));
+    }
+    return sum / float(SAMPLE_COUNT);
+}
+
+float sheenAlbedo(float NdotV, float roughness) {
+    vec3 V = vec3(sqrt(1.0 - NdotV * NdotV), 0.0, NdotV);
+    float alpha = max(0.0049, roughness * roughness);   // Same lower bound as sampleMaterial
+    
+    float sum = 0.0;
+    for (uint i = 0u; i < SAMPLE_COUNT; ++i) {
+        vec2 Xi = hammersley(i, SAMPLE_COUNT);
+        float sinTheta = sqrt(1.0 - Xi.x * Xi.x);
+        float phi = 2.0 * PI * Xi.y;
+        vec3 L = vec3(sinTheta * cos(phi), sinTheta * sin(phi), Xi.x);
+        float NdotH = max(normalize(V + L).z, 0.0);
+        
+        // Divided by the uniform density 1 / (2π)
+        sum += D_Charlie(NdotH, alpha) * V_Neubelt(NdotV, L.z) * L.z * 2.0 * PI;
+    }
+    return sum / float(SAMPLE_COUNT);
+}
+
+void main() {
+    vec2 p = (gl_FragCoord.xy - 0.5) / (TABLE_SIZE - 1.0);
+    float NdotV = max(p.x, 0.001);
+    vec2 specular = directionalAlbedo(NdotV, p.y);
+    fragColor = vec4(specular.x, sheenAlbedo(NdotV, p.y), specular.y, 1.0);
+}
+`;
+
+/**
+ * Create an empty, linearly filtered RGBA16F table
+ * @param {WebGL2RenderingContext} gl - WebGL context
+ * @param {number} size - Width and height
+ * @returns {WebGLTexture} Texture
+ */
+function createTable(gl, size) {
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texStorage2D(gl.TEXTURE_2D, 1, gl.RGBA16F, size, size);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    return texture;
+}
+
+/**
+ * Directional albedo tables, one per D/G combination
+ */
+export class AlbedoTables {
+    /**
+     * @param {WebGL2RenderingContext} gl - WebGL context
+     */
+    constructor(gl) {
+        this.gl = gl;
+        this.supported = !!gl.getExtension('EXT_color_buffer_float');
+        this.framebuffer = gl.createFramebuffer();
+        this.emptyVAO = gl.createVertexArray();
+        this.tables = new Map(); // 'D,G' → texture
+        this.fallback = null;    // 1×1 table of (1, 0, 0)
+    }
+
+    /**
+     * Table for a side's BRDF terms, integrated on first use
+     * Integration draws into the tables' own framebuffer and leaves the default
+     * framebuffer bound; the caller restores its target and viewport.
+     *
+     * @param {{D: number, G: number}} brdf - Variant ids (see BRDF_VARIANTS)
+     * @returns {WebGLTexture} Table
+     */
+    prepare(brdf) {
+        const { gl } = this;
+        if (!this.supported) {
+            if (!this.fallback) {
+                this.fallback = createTable(gl, 1);
+                gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, 1, 1, gl.RGBA, gl.HALF_FLOAT, new Uint16Array([0x3c00, 0, 0, 0x3c00]));
+            }
+            return this.fallback;
+        }
+
+        const key = `${brdf.D},${brdf.G}`;
+        let table = this.tables.get(key);
+        if (table) return table;
+
+        table = createTable(gl, TABLE_SIZE);
+        const program = createProgram(gl, fullscreenVertexShader, albedoFragmentShader, brdfDefines(brdf));
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, table, 0);
+        gl.viewport(0, 0, TABLE_SIZE, TABLE_SIZE);
+        gl.disable(gl.DEPTH_TEST);
+        gl.useProgram(program);
+        gl.bindVertexArray(this.emptyVAO);
+        gl.drawArrays(gl.TRIANGLES, 0, 3);
+
+        // Restore state
+        gl.bindVertexArray(null);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.enable(gl.DEPTH_TEST);
+        gl.deleteProgram(program);
+
+        this.tables.set(key, table);
+        return table;
+    }
+
+    /**
+     * Bind the table of a side's BRDF terms to its texture unit
+     * @param {{D: number, G: number}} brdf - Variant ids (prepared beforehand)
+     */
+    bindTexture(brdf) {
+        const { gl } = this;
+        const table = this.prepare(brdf);
+        gl.activeTexture(gl.TEXTURE0 + ALBEDO_TABLE_UNIT);
+        gl.bindTexture(gl.TEXTURE_2D, table);
+        gl.activeTexture(gl.TEXTURE0);
+    }
+}
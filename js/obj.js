@@ -0,0 +1,383 @@
+/**
+ * Wavefront OBJ / MTL Loader
+ *
+ * Loads .obj meshes (with optional .mtl materials and texture images) into a
+ * model (see model.js):
+ * - Faces with more than three corners are triangulated by ear clipping
+ * - Faces are grouped into one drawable per material (usemtl)
+ * - Missing normals are generated, smooth or faceted
+ * - Meshes with more than 65536 vertices switch to 32-bit indices
+ *
+ * MTL values are converted to the metallic-roughness model:
+ * Kd → albedo, Ke → emissive, Pm/Pr (PBR extension) → metallic/roughness,
+ * otherwise roughness is derived from the Phong exponent Ns; aniso/anisor
+ * (PBR extension) → anisotropy strength and rotation (a fraction of a turn);
+ * Pc/Pcr/Ps (PBR extension) → clear coat, clear coat roughness and sheen color.
+ */
+
+import { vec3, mat4, clamp } from './math.js';
+import { computeTangents, computeFlatNormals, computeSmoothNormals, createIndexArray, createVAO } from './geometry.js';
+import { MaterialTextures } from './textures.js';
+import { createMaterial, createBounds, expandBounds, fitModel, disposeModel } from './model.js';
+
+// MTL texture statements and the material slot they load into
+// (Blender writes tangent-space normal maps as map_Bump)
+const MTL_TEXTURE_SLOTS = {
+    map_kd: 'baseColor',
+    map_ke: 'emissive',
+    norm: 'normal',
+    map_bump: 'normal',
+    bump: 'normal',
+};
+
+/**
+ * File name without directories
+ * @param {string} path - Path as written in the OBJ/MTL file
+ * @returns {string} Base name
+ */
+function baseName(path) {
+    return path.split(/[\\/]/).pop();
+}
+
+/**
+ * Split a line into keyword and arguments, or null for blank/comment lines
+ * @param {string} line - Raw line
+ * @returns {{keyword: string, args: Array<string>, rest: string}|null} Parsed statement
+ */
+function parseStatement(line) {
+    const trimmed = line.trim();
+    if (trimmed === '' || trimmed.startsWith('#')) return null;
+    const match = trimmed.match(/^(\S+)\s*(.*)$/);
+    return { keyword: match[1].toLowerCase(), args: match[2].split(/\s+/).filter(Boolean), rest: match[2] };
+}
+
+/**
+ * Triangulate a planar polygon by ear clipping
+ * Handles concave polygons; falls back to a fan if the outline is degenerate.
+ *
+ * @param {Array<Array<number>>} points - Polygon corners [x, y, z] in order
+ * @returns {Array<number>} Corner indices, three per triangle
+ */
+export function triangulatePolygon(points) {
+    const n = points.length;
+    if (n === 3) return [0, 1, 2];
+
+    // Newell's method: polygon normal, robust for non-planar input
+    const normal = [0, 0, 0];
+    for (let i = 0; i < n; i++) {
+        const a = points[i];
+        const b = points[(i + 1) % n];
+        normal[0] += (a[1] - b[1]) * (a[2] + b[2]);
+        normal[1] += (a[2] - b[2]) * (a[0] + b[0]);
+        normal[2] += (a[0] - b[0]) * (a[1] + b[1]);
+    }
+
+    // Project onto the plane most aligned with the polygon (drop the dominant axis)
+    const abs = normal.map(Math.abs);
+    const drop = abs[0] > abs[1] && abs[0] > abs[2] ? 0 : abs[1] > abs[2] ? 1 : 2;
+    // Cyclic axis order keeps the projection right-handed; flipping keeps it counter-clockwise
+    const axes = [(drop + 1) % 3, (drop + 2) % 3];
+    const flip = normal[drop] < 0 ? -1 : 1;
+    const pts = points.map((p) => [p[axes[0]], p[axes[1]] * flip]);
+
+    const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+    const inside = (p, a, b, c) => cross(a, b, p) >= 0 && cross(b, c, p) >= 0 && cross(c, a, p) >= 0;
+
+    const remaining = Array.from({ length: n }, (_, i) => i);
+    const triangles = [];
+    let guard = n * n;
+
+    while (remaining.length > 3 && guard-- > 0) {
+        let clipped = false;
+        for (let i = 0; i < remaining.length; i++) {
+            const ia = remaining[(i + remaining.length - 1) % remaining.length];
+            const ib = remaining[i];
+            const ic = remaining[(i + 1) % remaining.length];
+            const a = pts[ia], b = pts[ib], c = pts[ic];
+
+            // Ear: convex corner with no other corner inside the triangle
+            if (cross(a, b, c) <= 0) continue;
+            const blocked = remaining.some((j) =>
+                j !== ia && j !== ib && j !== ic && inside(pts[j], a, b, c));
+            if (blocked) continue;
+
+            triangles.push(ia, ib, ic);
+            remaining.splice(i, 1);
+            clipped = true;
+            break;
+        }
+        if (!clipped) break;
+    }
+
+    // Whatever is left (a final triangle, or a degenerate outline) is fanned
+    for (let i = 1; i + 1 < remaining.length; i++) {
+        triangles.push(remaining[0], remaining[i], remaining[i + 1]);
+    }
+    return triangles;
+}
+
+/**
+ * Parse MTL text into material definitions
+ *
+ * @param {string} text - .mtl file contents
+ * @returns {Map<string, Object>} Raw definitions by name
+ *          {Kd, Ke, Ns, Pm, Pr, aniso, anisor, Pc, Pcr, Ps, textures: {slot: fileName}}
+ */
+export function parseMTL(text) {
+    const definitions = new Map();
+    let current = null;
+
+    for (const line of text.split(/\r?\n/)) {
+        const statement = parseStatement(line);
+        if (!statement) continue;
+        const { keyword, args } = statement;
+        const numbers = args.map(parseFloat);
+
+        if (keyword === 'newmtl') {
+            current = { textures: {} };
+            definitions.set(statement.rest.trim(), current);
+        } else if (!current) {
+            continue;
+        } else if (keyword === 'kd' || keyword === 'ke') {
+            current[keyword === 'kd' ? 'Kd' : 'Ke'] = numbers.slice(0, 3);
+        } else if (keyword === 'ns') {
+            current.Ns = numbers[0];
+        } else if (keyword === 'pm') {
+            current.Pm = numbers[0];
+        } else if (keyword === 'pr') {
+            current.Pr = numbers[0];
+        } else if (keyword === 'aniso' || keyword === 'anisor') {
+            current[keyword] = numbers[0];
+        } else if (keyword === 'pc' || keyword === 'pcr') {
+            current[keyword === 'pc' ? 'Pc' : 'Pcr'] = numbers[0];
+        } else if (keyword === 'ps') {
+            // A single value is a grey sheen
+            current.Ps = numbers.length >= 3 ? numbers.slice(0, 3) : [numbers[0], numbers[0], numbers[0]];
+        } else if (MTL_TEXTURE_SLOTS[keyword]) {
+            // The file name is the last argument; options such as "-bm 1.0" come first
+            const file = args[args.length - 1];
+            if (file) current.textures[MTL_TEXTURE_SLOTS[keyword]] = baseName(file);
+        }
+    }
+    return definitions;
+}
+
+/**
+ * Parse OBJ text into per-material triangle lists
+ *
+ * @param {string} text - .obj file contents
+ * @returns {{positions: Array<Array<number>>, uvs: Array<Array<number>>, normals: Array<Array<number>>,
+ *           groups: Array<{material: string, corners: Array<Array<number>>}>, mtllibs: Array<string>,
+ *           warnings: Array<string>}}
+ *          Vertex pools and triangle corners as [position, uv, normal] pool indices (-1 = absent),
+ *          and the malformed faces that were skipped
+ */
+export function parseOBJ(text) {
+    const positions = [];
+    const uvs = [];
+    const normals = [];
+    const groups = [];
+    const mtllibs = [];
+    const warnings = [];
+    let group = null;
+
+    const useMaterial = (name) => {
+        group = groups.find((g) => g.material === name);
+        if (!group) {
+            group = { material: name, corners: [] };
+            groups.push(group);
+        }
+    };
+
+    // Resolve a 1-based (or negative, relative) OBJ index into a 0-based pool index
+    const resolve = (value, poolSize) => {
+        if (value === undefined || value === '') return -1;
+        const index = parseInt(value, 10);
+        return index < 0 ? poolSize + index : index - 1;
+    };
+
+    for (const [lineIndex, line] of text.split(/\r?\n/).entries()) {
+        const statement = parseStatement(line);
+        if (!statement) continue;
+        const { keyword, args } = statement;
+
+        if (keyword === 'v') {
+            positions.push(args.slice(0, 3).map(parseFloat));
+        } else if (keyword === 'vt') {
+            // OBJ puts v = 0 at the bottom of the image; textures are uploaded top row first
+            uvs.push([parseFloat(args[0]) || 0, 1 - (parseFloat(args[1]) || 0)]);
+        } else if (keyword === 'vn') {
+            normals.push(args.slice(0, 3).map(parseFloat));
+        } else if (keyword === 'f') {
+            if (!group) useMaterial('');
+            const face = args.map((corner) => {
+                const [v, vt, vn] = corner.split('/');
+                return [resolve(v, positions.length), resolve(vt, uvs.length), resolve(vn, normals.length)];
+            });
+            // Non-numeric indices are NaN, which no range test rejects
+            if (face.length < 3 || face.some((c) => c.some(Number.isNaN) || c[0] < 0 || c[0] >= positions.length)) {
+                warnings.push(`Line ${lineIndex + 1}: skipped malformed face "${line.trim()}"`);
+                continue;
+            }
+            for (const i of triangulatePolygon(face.map((c) => positions[c[0]]))) {
+                group.corners.push(face[i]);
+            }
+        } else if (keyword === 'usemtl') {
+            useMaterial(statement.rest.trim());
+        } else if (keyword === 'mtllib') {
+            mtllibs.push(...args.map(baseName));
+        }
+    }
+
+    return { positions, uvs, normals, groups: groups.filter((g) => g.corners.length > 0), mtllibs, warnings };
+}
+
+/**
+ * Build geometry for one material group
+ * Corners sharing position/uv/normal indices are welded into one vertex.
+ *
+ * @param {Object} obj - Result of parseOBJ
+ * @param {Array<Array<number>>} corners - Triangle corners of the group
+ * @param {boolean} smoothNormals - Generate smooth (true) or faceted (false) normals if missing
+ * @returns {{data: Float32Array, indices: Uint16Array|Uint32Array}} Geometry for createVAO
+ */
+function buildGeometry(obj, corners, smoothNormals) {
+    const vertexOf = new Map();
+    const data = [];
+    const indices = new Array(corners.length);
+    let hasNormals = true;
+
+    corners.forEach((corner, i) => {
+        const key = corner.join('/');
+        let vertex = vertexOf.get(key);
+        if (vertex === undefined) {
+            const [p, t, n] = corner;
+            const normal = n >= 0 && n < obj.normals.length ? obj.normals[n] : null;
+            if (!normal) hasNormals = false;
+            vertex = vertexOf.size;
+            vertexOf.set(key, vertex);
+            data.push(
+                ...obj.positions[p],
+                ...(normal || [0, 0, 0]),
+                ...(t >= 0 && t < obj.uvs.length ? obj.uvs[t] : [0, 0])
+            );
+        }
+        indices[i] = vertex;
+    });
+
+    if (!hasNormals) {
+        if (!smoothNormals) {
+            const flat = computeFlatNormals(data, indices);
+            return { data: computeTangents(flat.data, flat.indices), indices: flat.indices };
+        }
+        const smooth = computeSmoothNormals(data, indices);
+        return { data: computeTangents(smooth, indices), indices: createIndexArray(indices, vertexOf.size) };
+    }
+    return { data: computeTangents(data, indices), indices: createIndexArray(indices, vertexOf.size) };
+}
+
+/**
+ * Load an OBJ model (plus optional MTL and textures) from user-selected files
+ *
+ * @param {WebGL2RenderingContext} gl - WebGL context
+ * @param {Array<File>} fileList - An .obj, optionally with its .mtl and texture images
+ * @param {Object} options - Import options
+ * @param {boolean} options.smoothNormals - Generated normals are smooth (true) or faceted (false)
+ * @returns {Promise<Object>} Model (see model.js), fitted to the size of the built-in objects
+ * @throws {Error} If no OBJ file was given or it contains no faces
+ */
+export async function loadOBJ(gl, fileList, { smoothNormals = true } = {}) {
+    const files = new Map(Array.from(fileList, (file) => [file.name, file]));
+    const main = Array.from(fileList).find((file) => /\.obj$/i.test(file.name));
+    if (!main) {
+        throw new Error('No .obj file selected');
+    }
+
+    const obj = parseOBJ(await main.text());
+    if (obj.groups.length === 0) {
+        throw new Error('The OBJ file contains no faces');
+    }
+
+    const model = {
+        name: main.name,
+        drawables: [],
+        geometries: [],
+        materials: [],
+        triangleCount: 0,
+        warnings: [...obj.warnings],
+    };
+
+    try {
+        // Material libraries (missing ones fall back to the default material)
+        const definitions = new Map();
+        for (const name of obj.mtllibs) {
+            const file = files.get(name);
+            if (!file) {
+                model.warnings.push(`Material library "${name}" was not provided`);
+                continue;
+            }
+            for (const [key, def] of parseMTL(await file.text())) {
+                definitions.set(key, def);
+            }
+        }
+
+        const bounds = createBounds();
+        for (const p of obj.positions) {
+            expandBounds(bounds, p);
+        }
+
+        for (const group of obj.groups) {
+            const def = definitions.get(group.material);
+            if (group.material && !def) {
+                model.warnings.push(`Material "${group.material}" is not defined`);
+            }
+            const material = createMaterial({
+                name: group.material || 'Default',
+                albedo: (def && def.Kd) || [0.8, 0.8, 0.8],
+                metallic: def && def.Pm !== undefined ? def.Pm : 0,
+                // Blender's exporter convention: Ns = (1 - roughness)² × 1000
+                roughness: def && def.Pr !== undefined
+                    ? def.Pr
+                    : 1 - Math.sqrt(clamp(def && def.Ns !== undefined ? def.Ns : 250, 0, 1000) / 1000),
+                emissive: (def && def.Ke) || [0, 0, 0],
+                anisotropy: clamp((def && def.aniso) || 0, 0, 1),
+                anisotropyRotation: ((def && def.anisor) || 0) * 2 * Math.PI,
+                clearcoat: clamp((def && def.Pc) || 0, 0, 1),
+                clearcoatRoughness: clamp((def && def.Pcr) || 0, 0, 1),
+                sheenColor: (def && def.Ps) || [0, 0, 0],
+            });
+
+            for (const [slot, fileName] of Object.entries(def ? def.textures : {})) {
+                const file = files.get(fileName);
+                if (!file) {
+                    model.warnings.push(`Texture "${fileName}" was not provided`);
+                    continue;
+                }
+                if (!material.textures) material.textures = new MaterialTextures(gl);
+                try {
+                    await material.textures.loadFile(slot, file);
+                } catch {
+                    model.warnings.push(`Could not decode texture "${fileName}"`);
+                }
+            }
+            // An emissive map multiplies Ke, which exporters often leave black
+            if (material.textures && material.textures.maps.emissive && vec3.length(material.emissive) === 0) {
+                material.emissive = [1, 1, 1];
+            }
+            model.materials.push(material);
+
+            const geometry = createVAO(gl, buildGeometry(obj, group.corners, smoothNormals));
+            model.geometries.push(geometry);
+            model.drawables.push({ ...geometry, modelMatrix: mat4.identity(), material });
+            model.triangleCount += geometry.count / 3;
+        }
+
+        fitModel(model, bounds);
+    } catch (err) {
+        disposeModel(gl, model);
+        throw err;
+    }
+
+    model.warnings.forEach((warning) => console.warn(`OBJ: ${warning}`));
+    return model;
+}
@@ -0,0 +1,208 @@
+/**
+ * Photometry Module
+ *
+ * Physical light units, color temperature and the camera exposure model.
+ * Light intensities are photometric, in a unit that depends on the light type:
+ * - Point and spot: luminous power in lumens (lm) or luminous intensity in candela (cd)
+ * - Directional: illuminance in lux (lx)
+ * - Area: luminance in nits (cd/m²) of the emitting surface
+ * Each light is reduced to one photometric scale (see lightScale): its intensity in
+ * candela, or for directional lights the illuminance in lux (the same number a point
+ * light of that many candela gives at 1 m). The camera's exposure turns this scale
+ * into the relative radiance the lighting shader works with.
+ */
+
+import { clamp } from './math.js';
+import { AREA_SHAPES } from './shaders.js';
+
+// Light intensity units: display name and slider range (the slider is logarithmic)
+export const LIGHT_UNITS = {
+    lm: { name: 'Lumens (lm)', symbol: 'lm', range: [1, 1e5] },
+    cd: { name: 'Candela (cd)', symbol: 'cd', range: [0.1, 1e4] },
+    lx: { name: 'Lux (lx)', symbol: 'lx', range: [0.1, 1.2e5] },
+    nt: { name: 'Nits (cd/m²)', symbol: 'nt', range: [1, 1e6] },
+};
+
+// Units available per light type (0=point, 1=directional, 2=spot, 3=area), default first
+export const LIGHT_TYPE_UNITS = [['lm', 'cd'], ['lx'], ['lm', 'cd'], ['nt']];
+
+// Camera settings offered in the control panel (the select options of index.html)
+export const APERTURES = [1.4, 2, 2.8, 4, 5.6, 8, 11, 16, 22];
+export const SHUTTER_SPEEDS = [1 / 4000, 1 / 1000, 1 / 250, 1 / 125, 1 / 60, 1 / 30, 1 / 15, 1 / 4, 1];
+export const ISO_SPEEDS = [100, 200, 400, 800, 1600, 3200, 6400];
+
+// Default camera: a dim interior (EV100 ≈ 3.9), which suits lights of a few thousand lumens
+export const DEFAULT_CAMERA = { aperture: 2.8, shutter: 1 / 30, iso: 1600 };
+
+/**
+ * Exposure value at ISO 100 of a camera setting
+ * @param {number} aperture - f-number N
+ * @param {number} shutter - Exposure time t in seconds
+ * @param {number} iso - Sensor sensitivity S
+ * @returns {number} EV100 = log2(N²/t × 100/S)
+ */
+export function computeEV100(aperture, shutter, iso) {
+    return Math.log2((aperture * aperture) / shutter * 100 / iso);
+}
+
+/**
+ * Scale from scene luminance (cd/m²) to relative radiance for an exposure
+ * Saturation-based sensitivity: the sensor clips at a luminance of 1.2 × 2^EV100
+ * (Lagarde and de Rousiers, "Moving Frostbite to PBR", 2014).
+ *
+ * @param {number} ev100 - Exposure value at ISO 100
+ * @returns {number} Multiplier for photometric values
+ */
+export function exposureFactor(ev100) {
+    return 1 / (1.2 * Math.pow(2, ev100));
+}
+
+/**
+ * Exposure factor of the camera in the application state
+ * @param {Object} state - Application state (cameraAperture, cameraShutter, cameraIso)
+ * @returns {number} Multiplier for photometric values (see exposureFactor)
+ */
+export function cameraExposure(state) {
+    return exposureFactor(computeEV100(state.cameraAperture, state.cameraShutter, state.cameraIso));
+}
+
+// Exposure factor of the default camera. The environment, emission, ambient and light
+// marker strengths are relative radiance as seen through it, and are scaled by the
+// camera's exposure over this one, so the camera settings rescale the whole image alike.
+export const DEFAULT_EXPOSURE = exposureFactor(computeEV100(DEFAULT_CAMERA.aperture, DEFAULT_CAMERA.shutter, DEFAULT_CAMERA.iso));
+
+/**
+ * Solid angle of a spot light's cone
+ * @param {number} cosEdge - Cosine of the cone's half-angle (spotAngle)
+ * @returns {number} Steradians
+ */
+function coneSolidAngle(cosEdge) {
+    return 2 * Math.PI * (1 - clamp(cosEdge, -1, 0.999));
+}
+
+/**
+ * Emitting area of an area light seen face-on (for a tube: length × diameter)
+ * @param {Object} light - Light {areaShape, areaSize}
+ * @returns {number} Square meters
+ */
+export function emitterArea(light) {
+    const [width, height] = light.areaSize;
+    return light.areaShape === AREA_SHAPES.DISK ? Math.PI / 4 * width * height : width * height;
+}
+
+/**
+ * Photometric scale of a light: candela (point, spot, area) or lux (directional)
+ * Area lights sum cos/d² over their surface, so their scale is luminance × area.
+ *
+ * @param {Object} light - Light {type, intensity, unit, spotAngle, areaShape, areaSize}
+ * @returns {number} Scale
+ */
+export function lightScale(light) {
+    switch (light.unit) {
+        case 'lm':
+            return light.intensity / (light.type === 2 ? coneSolidAngle(light.spotAngle) : 4 * Math.PI);
+        case 'nt':
+            return light.intensity * emitterArea(light);
+        default:
+            return light.intensity; // cd, lx
+    }
+}
+
+/**
+ * Intensity that gives a light a photometric scale in a unit (inverse of lightScale)
+ * @param {Object} light - Light {type, spotAngle, areaShape, areaSize}
+ * @param {string} unit - Key of LIGHT_UNITS
+ * @param {number} scale - Photometric scale
+ * @returns {number} Intensity in the unit
+ */
+export function intensityForScale(light, unit, scale) {
+    switch (unit) {
+        case 'lm':
+            return scale * (light.type === 2 ? coneSolidAngle(light.spotAngle) : 4 * Math.PI);
+        case 'nt':
+            return scale / emitterArea(light);
+        default:
+            return scale;
+    }
+}
+
+/**
+ * Express a light's intensity in another unit (the brightness stays the same)
+ * @param {Object} light - Light, modified in place
+ * @param {string} unit - Key of LIGHT_UNITS valid for the light's type
+ */
+export function setLightUnit(light, unit) {
+    light.intensity = intensityForScale(light, unit, lightScale(light));
+    light.unit = unit;
+}
+
+/**
+ * Change a light's type, keeping its photometric scale (a point light of I candela
+ * becomes a directional light of I lux, as bright as the point light at 1 m)
+ * @param {Object} light - Light, modified in place
+ * @param {number} type - New light type
+ */
+export function setLightType(light, type) {
+    const scale = lightScale(light);
+    light.type = type;
+    if (!LIGHT_TYPE_UNITS[type].includes(light.unit)) {
+        light.unit = LIGHT_TYPE_UNITS[type][0];
+    }
+    light.intensity = intensityForScale(light, light.unit, scale);
+}
+
+/**
+ * Linear sRGB color of a black body, normalized to unit luminance
+ * The chromaticity follows Krystek's rational approximation of the Planckian
+ * locus (CIE 1960 u, v; valid from 1000 K to 15000 K). Colors outside the sRGB
+ * gamut (below about 1900 K) are clipped.
+ *
+ * @param {number} kelvin - Color temperature
+ * @returns {Array<number>} RGB with luminance 1
+ */
+export function kelvinToRGB(kelvin) {
+    const t = clamp(kelvin, 1000, 15000);
+    const u = (0.860117757 + 1.54118254e-4 * t + 1.28641212e-7 * t * t)
+        / (1 + 8.42420235e-4 * t + 7.08145163e-7 * t * t);
+    const v = (0.317398726 + 4.22806245e-5 * t + 4.20481691e-8 * t * t)
+        / (1 - 2.89741816e-5 * t + 1.61456053e-7 * t * t);
+
+    // CIE 1960 uv → xy → XYZ (Y = 1)
+    const d = 2 * u - 8 * v + 4;
+    const x = 3 * u / d;
+    const y = 2 * v / d;
+    const X = x / y;
+    const Z = (1 - x - y) / y;
+
+    const rgb = [
+        3.2404542 * X - 1.5371385 - 0.4985314 * Z,
+        -0.9692660 * X + 1.8760108 + 0.0415560 * Z,
+        0.0556434 * X - 0.2040259 + 1.0572252 * Z,
+    ].map((c) => Math.max(c, 0));
+    const luminance = 0.2126 * rgb[0] + 0.7152 * rgb[1] + 0.0722 * rgb[2];
+    return rgb.map((c) => c / luminance);
+}
+
+/**
+ * Emitted color of a light: its color, filtered by its black-body temperature if enabled
+ * @param {Object} light - Light {color, useTemperature, temperature}
+ * @returns {Array<number>} Linear RGB (white at 6500 K has a luminance near 1)
+ */
+export function lightColor(light) {
+    if (!light.useTemperature) return light.color;
+    const blackBody = kelvinToRGB(light.temperature);
+    return light.color.map((c, i) => c * blackBody[i]);
+}
+
+/**
+ * Format an intensity for display
+ * @param {number} value - Intensity
+ * @param {string} unit - Key of LIGHT_UNITS
+ * @returns {string} e.g. '2200 lm', '12.5k lx', '3.20 cd'
+ */
+export function formatIntensity(value, unit) {
+    const { symbol } = LIGHT_UNITS[unit];
+    if (value >= 1e4) return `${(value / 1000).toFixed(value >= 1e5 ? 0 : 1)}k ${symbol}`;
+    if (value >= 100) return `${value.toFixed(0)} ${symbol}`;
+    return `${value.toFixed(value >= 10 ? 1 : 2)} ${symbol}`;
+}
@@ -0,0 +1,357 @@
+/**
+ * Post-Processing Module
+ *
+ * The scene is rendered into an offscreen half-float framebuffer so radiance
+ * above 1.0 survives until display. A fullscreen pass then writes the canvas:
+ * - Exposure: scales radiance by 2^EV
+ * - Tone mapping: compresses HDR radiance into the displayable [0, 1] range
+ * - sRGB encoding: applies the sRGB transfer function for the 8-bit canvas
+ *
+ * The scene target is multisampled (the canvas's own antialiasing no longer
+ * applies) and resolved before tone mapping. Scene depth is copied into the
+ * canvas as well, so overlays drawn afterwards are still depth-tested.
+ *
+ * Half-float color attachments require EXT_color_buffer_float; without it the
+ * scene falls back to an 8-bit target and highlights clip before tone mapping.
+ */
+
+import { createProgram, fullscreenVertexShader } from './shaders.js';
+
+// Tone mapping operators, must match the constants in toneMapFragmentShader
+export const TONE_MAPPING = {
+    NONE: 0,
+    REINHARD: 1,
+    ACES: 2,
+    AGX: 3,
+    UNCHARTED2: 4,
+};
+
+// Upper limit for the scene target's sample count
+const MAX_SCENE_SAMPLES = 4;
+
+// ====================================
+// Shaders
+// ====================================
+
+/**
+ * Tone mapping and display encoding
+ *
+ * Every operator returns linear display values in [0, 1];
+ * sRGB encoding is applied afterwards for all of them.
+ */
+const toneMapFragmentShader = `#version 300 es
+precision highp float;
+
+in vec2 vUV;
+out vec4 fragColor;
+
+uniform sampler2D uSceneColor;   // Resolved HDR scene radiance
+uniform sampler2D uSceneDepth;   // Resolved scene depth
+uniform int uToneMapping;        // Operator (see TONE_MAPPING)
+uniform float uExposure;         // Linear exposure multiplier (2^EV)
+
+// Reinhard: c / (1 + c), per channel
+vec3 toneMapReinhard(vec3 c) {
+    return c / (1.0 + c);
+}
+
+// ACES filmic (Stephen Hill's fit of the RRT + ODT, sRGB primaries)
+const mat3 ACES_INPUT = mat3(
+    0.59719, 0.07600, 0.02840,
+    0.35458, 0.90834, 0.13383,
+    0.04823, 0.01566, 0.83777
+);
+const mat3 ACES_OUTPUT = mat3(
+     1.60475, -0.10208, -0.00327,
+    -0.53108,  1.10813, -0.07276,
+    -0.07367, -0.00605,  1.07602
+);
+
+vec3 rrtAndOdtFit(vec3 v) {
+    vec3 a = v * (v + 0.0245786) - 0.000090537;
+    vec3 b = v * (0.983729 * v + 0.4329510) + 0.238081;
+    return a / b;
+}
+
+vec3 toneMapACES(vec3 c) {
+    // The fit expects scene values pre-scaled so middle grey keeps its brightness
+    c = ACES_INPUT * (c / 0.6);
+    c = rrtAndOdtFit(c);
+    return ACES_OUTPUT * c;
+}
+
+// AgX (Troy Sobotka's base look, polynomial fit of the sigmoid by Benjamin Wrensch)
+const mat3 AGX_INSET = mat3(
+    0.842479062253094, 0.0423282422610123, 0.0423756549057051,
+    0.0784335999999992, 0.878468636469772, 0.0784336,
+    0.0792237451477643, 0.0791661274605434, 0.879142973793104
+);
+const mat3 AGX_OUTSET = mat3(
+    1.19687900512017, -0.0528968517574562, -0.0529716355144438,
+    -0.0980208811401368, 1.15190312990417, -0.0980434501171241,
+    -0.0990297440797205, -0.0989611768448433, 1.15107367264116
+);
+const float AGX_MIN_EV = -12.47393;
+const float AGX_MAX_EV = 4.026069;
+
+vec3 agxContrastApprox(vec3 x) {
+    vec3 x2 = x * x;
+    vec3 x4 = x2 * x2;
+    return 15.5 * x4 * x2 - 40.14 * x4 * x + 31.96 * x4
+         - 6.868 * x2 * x + 0.4298 * x2 + 0.1191 * x - 0.00232;
+}
+
+vec3 toneMapAgX(vec3 c) {
+    // Log2 encoding over a fixed EV range, then the sigmoid
+    c = AGX_INSET * max(c, vec3(1e-10));
+    c = clamp(log2(c), AGX_MIN_EV, AGX_MAX_EV);
+    c = (c - AGX_MIN_EV) / (AGX_MAX_EV - AGX_MIN_EV);
+    c = agxContrastApprox(c);
+
+    // The curve outputs display-encoded values; undo the 2.2 gamma to return linear
+    c = AGX_OUTSET * c;
+    return pow(clamp(c, 0.0, 1.0), vec3(2.2));
+}
+
+// Uncharted 2 filmic curve (John Hable)
+vec3 hableCurve(vec3 x) {
+    const float A = 0.15; // Shoulder strength
+    const float B = 0.50; // Linear strength
+    const float C = 0.10; // Linear angle
+    const float D = 0.20; // Toe strength
+    const float E = 0.02; // Toe numerator
+    const float F = 0.30; // Toe denominator
+    return (x * (A * x + C * B) + D * E) / (x * (A * x + B) + D * F) - E / F;
+}
+
+vec3 toneMapUncharted2(vec3 c) {
+    const float exposureBias = 2.0;
+    const float whitePoint = 11.2;
+    return hableCurve(c * exposureBias) / hableCurve(vec3(whitePoint));
+}
+
+// sRGB transfer function (IEC 61966-2-1), linear → display encoded
+vec3 linearToSRGB(vec3 c) {
+    vec3 low = c * 12.92;
+    vec3 high = 1.055 * pow(c, vec3(1.0 / 2.4)) - 0.055;
+    return mix(low, high, step(vec3(0.0031308), c));
+}
+
+void main() {
+    ivec2 texel = ivec2(gl_FragCoord.xy);
+    vec3 color = texelFetch(uSceneColor, texel, 0).rgb * uExposure;
+
+    if (uToneMapping == 1) {
+        color = toneMapReinhard(color);
+    } else if (uToneMapping == 2) {
+        color = toneMapACES(color);
+    } else if (uToneMapping == 3) {
+        color = toneMapAgX(color);
+    } else if (uToneMapping == 4) {
+        color = toneMapUncharted2(color);
+    }
+
+    fragColor = vec4(linearToSRGB(clamp(color, 0.0, 1.0)), 1.0);
+    gl_FragDepth = texelFetch(uSceneDepth, texel, 0).r;
+}
+`;
+
+// ====================================
+// Helpers
+// ====================================
+
+/**
+ * Allocate an immutable single-level 2D texture for a framebuffer attachment
+ * @param {WebGL2RenderingContext} gl - WebGL context
+ * @param {number} internalFormat - Sized internal format
+ * @param {number} width - Width in texels
+ * @param {number} height - Height in texels
+ * @returns {WebGLTexture} Texture (read with texelFetch, so NEAREST filtering)
+ */
+function createTargetTexture(gl, internalFormat, width, height) {
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texStorage2D(gl.TEXTURE_2D, 1, internalFormat, width, height);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    return texture;
+}
+
+/**
+ * Allocate a multisampled renderbuffer
+ * @param {WebGL2RenderingContext} gl - WebGL context
+ * @param {number} samples - Sample count
+ * @param {number} internalFormat - Sized internal format
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {WebGLRenderbuffer} Renderbuffer
+ */
+function createMultisampleBuffer(gl, samples, internalFormat, width, height) {
+    const renderbuffer = gl.createRenderbuffer();
+    gl.bindRenderbuffer(gl.RENDERBUFFER, renderbuffer);
+    gl.renderbufferStorageMultisample(gl.RENDERBUFFER, samples, internalFormat, width, height);
+    gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+    return renderbuffer;
+}
+
+/**
+ * HDR scene target and tone mapping pass
+ */
+export class PostProcessor {
+    /**
+     * @param {WebGL2RenderingContext} gl - WebGL context
+     */
+    constructor(gl) {
+        this.gl = gl;
+
+        this.hdrSupported = !!gl.getExtension('EXT_color_buffer_float');
+        this.colorFormat = this.hdrSupported ? gl.RGBA16F : gl.RGBA8;
+        if (!this.hdrSupported) {
+            console.warn('EXT_color_buffer_float not supported, rendering the scene without HDR');
+        }
+
+        // Largest supported sample count up to the limit (listed in descending order)
+        const sampleCounts = gl.getInternalformatParameter(gl.RENDERBUFFER, this.colorFormat, gl.SAMPLES);
+        this.samples = Array.from(sampleCounts || []).find((n) => n <= MAX_SCENE_SAMPLES) || 0;
+
+        // Without multisampling the scene is rendered straight into the resolve target
+        this.resolveFramebuffer = gl.createFramebuffer();
+        this.sceneFramebuffer = this.samples > 0 ? gl.createFramebuffer() : this.resolveFramebuffer;
+
+        this.program = createProgram(gl, fullscreenVertexShader, toneMapFragmentShader);
+        this.emptyVAO = gl.createVertexArray();
+
+        this.colorTexture = null;
+        this.depthTexture = null;
+        this.colorBuffer = null;   // Multisampled attachments (samples > 0 only)
+        this.depthBuffer = null;
+        this.width = 0;
+        this.height = 0;
+    }
+
+    /**
+     * (Re)allocate the offscreen targets for a new canvas size
+     * Immutable textures cannot be resized, so all attachments are recreated
+     *
+     * @param {number} width - Canvas width in pixels
+     * @param {number} height - Canvas height in pixels
+     */
+    resize(width, height) {
+        width = Math.max(1, width);
+        height = Math.max(1, height);
+        if (width === this.width && height === this.height) return;
+        const { gl } = this;
+
+        for (const texture of [this.colorTexture, this.depthTexture]) {
+            if (texture) gl.deleteTexture(texture);
+        }
+        for (const renderbuffer of [this.colorBuffer, this.depthBuffer]) {
+            if (renderbuffer) gl.deleteRenderbuffer(renderbuffer);
+        }
+
+        this.colorTexture = createTargetTexture(gl, this.colorFormat, width, height);
+        this.depthTexture = createTargetTexture(gl, gl.DEPTH_COMPONENT24, width, height);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.resolveFramebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.colorTexture, 0);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.TEXTURE_2D, this.depthTexture, 0);
+
+        if (this.samples > 0) {
+            this.colorBuffer = createMultisampleBuffer(gl, this.samples, this.colorFormat, width, height);
+            this.depthBuffer = createMultisampleBuffer(gl, this.samples, gl.DEPTH_COMPONENT24, width, height);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, this.sceneFramebuffer);
+            gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.RENDERBUFFER, this.colorBuffer);
+            gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, this.depthBuffer);
+        }
+
+        const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        if (status !== gl.FRAMEBUFFER_COMPLETE) {
+            throw new Error(`Scene framebuffer incomplete (status 0x${status.toString(16)})`);
+        }
+
+        this.width = width;
+        this.height = height;
+    }
+
+    /**
+     * Bind the scene target for rendering (viewport covers the whole target)
+     */
+    bindSceneTarget() {
+        const { gl } = this;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.sceneFramebuffer);
+        gl.viewport(0, 0, this.width, this.height);
+    }
+
+    /**
+     * Resolve the scene target and tone map it into the canvas (or another framebuffer)
+     * Leaves the output framebuffer bound with the scene's depth in it.
+     *
+     * @param {number} toneMapping - Operator (see TONE_MAPPING)
+     * @param {number} exposure - Exposure compensation in EV (stops)
+     * @param {WebGLFramebuffer|null} framebuffer - Output (null = canvas), at least the target's size
+     */
+    present(toneMapping, exposure, framebuffer = null) {
+        const { gl, program, width, height } = this;
+
+        // Multisample resolve (depth too, for overlays drawn after this pass)
+        if (this.samples > 0) {
+            gl.bindFramebuffer(gl.READ_FRAMEBUFFER, this.sceneFramebuffer);
+            gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, this.resolveFramebuffer);
+            gl.blitFramebuffer(
+                0, 0, width, height, 0, 0, width, height,
+                gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT, gl.NEAREST
+            );
+        }
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.viewport(0, 0, width, height);
+
+        gl.useProgram(program);
+        gl.uniform1i(gl.getUniformLocation(program, 'uSceneColor'), 0);
+        gl.uniform1i(gl.getUniformLocation(program, 'uSceneDepth'), 1);
+        gl.uniform1i(gl.getUniformLocation(program, 'uToneMapping'), toneMapping);
+        gl.uniform1f(gl.getUniformLocation(program, 'uExposure'), Math.pow(2, exposure));
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.colorTexture);
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, this.depthTexture);
+
+        // Depth writes need the depth test enabled; ALWAYS lets every pixel through
+        gl.depthFunc(gl.ALWAYS);
+        gl.bindVertexArray(this.emptyVAO);
+        gl.drawArrays(gl.TRIANGLES, 0, 3);
+        gl.bindVertexArray(null);
+        gl.depthFunc(gl.LESS);
+
+        // Unbind so the next frame can render into these textures
+        gl.bindTexture(gl.TEXTURE_2D, null);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+    }
+
+    /**
+     * Read back the resolved scene radiance (after present)
+     * Without float targets the values are the clipped 8-bit radiance.
+     *
+     * @returns {Float32Array} Linear RGBA, rows bottom-up
+     */
+    readRadiance() {
+        const { gl, width, height } = this;
+        gl.bindFramebuffer(gl.READ_FRAMEBUFFER, this.resolveFramebuffer);
+        let data;
+        if (this.hdrSupported) {
+            data = new Float32Array(width * height * 4);
+            gl.readPixels(0, 0, width, height, gl.RGBA, gl.FLOAT, data);
+        } else {
+            const bytes = new Uint8Array(width * height * 4);
+            gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, bytes);
+            data = Float32Array.from(bytes, (v) => v / 255);
+        }
+        gl.bindFramebuffer(gl.READ_FRAMEBUFFER, null);
+        return data;
+    }
+}
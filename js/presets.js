@@ -0,0 +1,71 @@
+/**
+ * Material Presets Module
+ *
+ * Reference materials for the material controls, and presets made from the
+ * user's own materials.
+ * preset = { name, albedo, metallic, roughness, ior?, conductor? }
+ * - albedo: linear RGB; for metals this is the specular color F0
+ * - ior: index of refraction of a dielectric (F0 = ((η-1)/(η+1))²)
+ * - conductor: key of CONDUCTOR_IOR (complex IOR used by the conductor Fresnel term)
+ * Fields a preset leaves out keep their current values when it is applied.
+ *
+ * Metal F0 values are linear sRGB computed from measured spectral optical constants
+ * (S. Lagarde, "Feeding a physically based shading model", 2011). Dielectric IORs
+ * are refractometer values at 589 nm; their base colors are typical measured albedos
+ * and their roughness a common finish (both vary from sample to sample).
+ */
+
+// Built-in presets, listed by group in the material section
+export const MATERIAL_PRESETS = [
+    // Metals (metallic = 1; conductor sets the complex IOR where one is tabulated)
+    { group: 'Metals', name: 'Gold', albedo: [1.000, 0.766, 0.336], metallic: 1, roughness: 0.2, conductor: 'gold' },
+    { group: 'Metals', name: 'Silver', albedo: [0.972, 0.960, 0.915], metallic: 1, roughness: 0.15, conductor: 'silver' },
+    { group: 'Metals', name: 'Copper', albedo: [0.955, 0.638, 0.538], metallic: 1, roughness: 0.25, conductor: 'copper' },
+    { group: 'Metals', name: 'Aluminium', albedo: [0.913, 0.922, 0.924], metallic: 1, roughness: 0.3, conductor: 'aluminium' },
+    { group: 'Metals', name: 'Iron', albedo: [0.562, 0.565, 0.578], metallic: 1, roughness: 0.45, conductor: 'iron' },
+    { group: 'Metals', name: 'Chromium', albedo: [0.549, 0.556, 0.554], metallic: 1, roughness: 0.1, conductor: 'chromium' },
+    { group: 'Metals', name: 'Titanium', albedo: [0.542, 0.497, 0.449], metallic: 1, roughness: 0.35 },
+    { group: 'Metals', name: 'Nickel', albedo: [0.660, 0.609, 0.526], metallic: 1, roughness: 0.3 },
+    { group: 'Metals', name: 'Platinum', albedo: [0.673, 0.637, 0.585], metallic: 1, roughness: 0.2 },
+
+    // Dielectrics (metallic = 0)
+    { group: 'Dielectrics', name: 'Plastic (glossy)', albedo: [0.55, 0.05, 0.04], metallic: 0, roughness: 0.15, ior: 1.49 },
+    { group: 'Dielectrics', name: 'Plastic (matte)', albedo: [0.8, 0.8, 0.8], metallic: 0, roughness: 0.6, ior: 1.46 },
+    { group: 'Dielectrics', name: 'Rubber', albedo: [0.03, 0.03, 0.03], metallic: 0, roughness: 0.85, ior: 1.52 },
+    { group: 'Dielectrics', name: 'Ceramic (glazed)', albedo: [0.8, 0.78, 0.73], metallic: 0, roughness: 0.08, ior: 1.54 },
+    { group: 'Dielectrics', name: 'Wood (oak)', albedo: [0.33, 0.2, 0.11], metallic: 0, roughness: 0.65, ior: 1.53 },
+    { group: 'Dielectrics', name: 'Concrete', albedo: [0.51, 0.51, 0.51], metallic: 0, roughness: 0.9, ior: 1.5 },
+    { group: 'Dielectrics', name: 'Marble (polished)', albedo: [0.83, 0.79, 0.75], metallic: 0, roughness: 0.05, ior: 1.57 },
+    { group: 'Dielectrics', name: 'Water', albedo: [0.02, 0.02, 0.02], metallic: 0, roughness: 0.02, ior: 1.333 },
+];
+
+/**
+ * Create a user preset from the material settings edited in the control panel
+ * @param {string} name - Preset name
+ * @param {Object} settings - Material settings (see createMaterialSettings)
+ * @returns {Object} Preset
+ */
+export function createPreset(name, settings) {
+    return {
+        name,
+        albedo: [...settings.albedo],
+        metallic: settings.metallic,
+        roughness: settings.roughness,
+        ior: settings.ior,
+        conductor: settings.conductor,
+    };
+}
+
+/**
+ * Merge presets into a list, replacing those with the same name
+ * @param {Array<Object>} presets - Existing presets (not modified)
+ * @param {Array<Object>} added - Presets to add
+ * @returns {Array<Object>} New list, sorted by name
+ */
+export function mergePresets(presets, added) {
+    const byName = new Map(presets.map((preset) => [preset.name, preset]));
+    for (const preset of added) {
+        byName.set(preset.name, preset);
+    }
+    return [...byName.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
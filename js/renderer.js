@@ -3,12 +3,141 @@
  * 
  * Handles all WebGL rendering operations including:
  * - Scene rendering with Cook-Torrance BRDF
- * - Planar shadow projection onto floor
+ * - Depth-map shadows (see shadows.js)
+ * - Image-based lighting and skybox (see environment.js)
+ * - Area lights with linearly transformed cosines (see ltc.js)
+ * - Multiple-scattering compensation and sheen albedo tables (see multiscatter.js)
+ * - Layered materials: clear coat, sheen, and thin transmission of the scene
+ *   behind (see transmission.js)
+ * - Pre-integrated subsurface scattering (see subsurface.js)
+ * - White furnace test (uniform white light, no lights or environment)
+ * - Material texture maps (see textures.js)
+ * - HDR scene target with tone mapping (see postprocess.js)
  * - Uniform management and shader setup
  */
 
 import { vec3, mat4, mat3 } from './math.js';
-import { FLOOR_Y } from './geometry.js';
+import { ShadowMapper, SHADOW_MAP_UNIT, SHADOW_CUBE_UNIT } from './shadows.js';
+import { MAX_LIGHTS, CONDUCTOR_IOR, AREA_SHAPES } from './shaders.js';
+import { cameraExposure, DEFAULT_EXPOSURE, lightColor, lightScale, emitterArea } from './photometry.js';
+import { LtcTables, LTC_MATRIX_UNIT, LTC_AMPLITUDE_UNIT } from './ltc.js';
+import { AlbedoTables, ALBEDO_TABLE_UNIT } from './multiscatter.js';
+import { TransmissionBackground, TRANSMISSION_UNIT } from './transmission.js';
+import { SubsurfaceTable, SUBSURFACE_LUT_UNIT } from './subsurface.js';
+import { areaLightMatrix } from './scene.js';
+import { EnvironmentMap, IRRADIANCE_UNIT, PREFILTER_UNIT, BRDF_LUT_UNIT } from './environment.js';
+import { MaterialTextures } from './textures.js';
+import { createMaterial } from './model.js';
+import { PostProcessor, TONE_MAPPING } from './postprocess.js';
+
+// Uniform buffer binding point for the LightBlock
+export const LIGHT_BLOCK_BINDING = 0;
+
+// std140 size of one Light struct (4 × vec4) in floats
+const LIGHT_STRIDE = 16;
+
+// Background radiance (dark blue, hidden by the skybox once an environment is loaded)
+const BACKGROUND = [0.0015, 0.0015, 0.006, 1];
+
+// White furnace test: the background is the incoming radiance (1), shown without a
+// tone curve one stop down, so it is mid grey and energy gains stay visible
+const FURNACE_BACKGROUND = [1, 1, 1, 1];
+const FURNACE_EXPOSURE = -1;
+
+// Ambient radiance of the lighting shader without image-based lighting (relative)
+const AMBIENT_INTENSITY = 0.03;
+
+/**
+ * Scale of the relative radiance values (environment, emission, ambient, light
+ * markers): the camera's exposure over the default camera's (see DEFAULT_EXPOSURE)
+ * @param {Object} state - Application state
+ * @returns {number} Multiplier (1 with the default camera)
+ */
+function relativeExposure(state) {
+    return cameraExposure(state) / DEFAULT_EXPOSURE;
+}
+
+/**
+ * Material edited in the control panel (used by objects without their own material)
+ * @param {Object} settings - Material settings of one comparison side (node.materials.A/B)
+ * @returns {Object} Material description (see createMaterial)
+ */
+export function settingsMaterial(settings) {
+    return createMaterial({
+        albedo: settings.albedo,
+        metallic: settings.metallic,
+        roughness: settings.roughness,
+        ior: settings.ior,
+        emissive: vec3.scale(settings.emissive, settings.emissiveStrength),
+        normalScale: settings.normalScale,
+        occlusionStrength: settings.occlusionStrength,
+        anisotropy: settings.anisotropy,
+        anisotropyRotation: settings.anisotropyRotation * Math.PI / 180,
+        clearcoat: settings.clearcoatEnabled ? settings.clearcoat : 0,
+        clearcoatRoughness: settings.clearcoatRoughness,
+        sheenColor: settings.sheenEnabled ? settings.sheenColor : [0, 0, 0],
+        sheenRoughness: settings.sheenRoughness,
+        transmission: settings.transmissionEnabled ? settings.transmission : 0,
+        subsurface: settings.subsurface,
+        scatterRadius: settings.scatterRadius,
+        scatterColor: settings.scatterColor,
+    });
+}
+
+/**
+ * Normal matrix for a model matrix (inverse-transpose of the upper 3x3)
+ * @param {Array<number>} modelMatrix - Model → world transform
+ * @returns {Array<number>} 3x3 normal matrix
+ */
+function normalMatrixFor(modelMatrix) {
+    return mat3.transpose(mat3.invert(mat3.fromMat4(modelMatrix)));
+}
+
+/**
+ * Relative radiance of a light: its photometric scale (candela, or lux for
+ * directional lights) times its color and the camera exposure, i.e. the value the
+ * lighting shader multiplies by its falloff. Area lights give their luminance
+ * instead (scale per emitting area), which is also the radiance of their emitter.
+ * 
+ * @param {Object} light - Light from UI state
+ * @param {number} exposure - Camera exposure factor (see exposureFactor)
+ * @returns {Array<number>} Linear RGB
+ */
+function lightRadiance(light, exposure) {
+    const scale = light.type === 3 ? lightScale(light) / emitterArea(light) : lightScale(light);
+    return vec3.scale(lightColor(light), scale * exposure);
+}
+
+/**
+ * Pack lights into std140 layout matching the LightBlock uniform block
+ * 
+ * Layout per light: position.xyz + type, direction.xyz + spot cosine,
+ * radiance (see lightRadiance) + spot softness, area size + shape + padding.
+ * The light count follows the array as a single int.
+ * 
+ * @param {Array<Object>} lights - Light list from UI state
+ * @param {number} exposure - Camera exposure factor (see exposureFactor)
+ * @returns {ArrayBuffer} Buffer ready for upload
+ */
+function packLights(lights, exposure) {
+    const buffer = new ArrayBuffer((MAX_LIGHTS * LIGHT_STRIDE + 4) * 4);
+    const floats = new Float32Array(buffer);
+    const ints = new Int32Array(buffer);
+    const count = Math.min(lights.length, MAX_LIGHTS);
+    
+    for (let i = 0; i < count; i++) {
+        const light = lights[i];
+        const dir = vec3.normalize(light.direction);
+        const o = i * LIGHT_STRIDE;
+        floats.set([...light.position, light.type], o);
+        floats.set([...dir, light.spotAngle], o + 4);
+        floats.set([...lightRadiance(light, exposure), light.spotSoftness], o + 8);
+        floats.set([light.areaSize[0], light.areaSize[1], light.areaShape, 0], o + 12);
+    }
+    ints[MAX_LIGHTS * LIGHT_STRIDE] = count;
+    
+    return buffer;
+}
 
 /**
  * WebGL Renderer for Cook-Torrance lighting
@@ -16,71 +145,46 @@ import { FLOOR_Y } from './geometry.js';
 export class Renderer {
     constructor(gl, programs) {
         this.gl = gl;
-        this.programs = programs; // { main, shadow }
+        this.programs = programs; // { main, compare, depth, light } (compare = material B's BRDF terms)
         
-        // Enable depth testing for proper 3D rendering
-        gl.enable(gl.DEPTH_TEST);
+        // Canvas size, needed to restore the viewport after offscreen passes
+        this.width = gl.drawingBufferWidth;
+        this.height = gl.drawingBufferHeight;
         
-        // Set clear color (dark blue background)
-        gl.clearColor(0.02, 0.02, 0.07, 1);
-    }
-    
-    /**
-     * Build shadow projection matrix
-     * Projects vertices onto a plane (the floor at y = FLOOR_Y)
-     * 
-     * Formula: M_shadow = M - (L * P^T) / (P · L)
-     * Where:
-     * - L: Light position in homogeneous coordinates [x, y, z, w]
-     *      w=1 for point lights, w=0 for directional lights
-     * - P: Plane equation [a, b, c, d] where ax + by + cz + d = 0
-     *      For plane y = FLOOR_Y: 0*x + 1*y + 0*z - FLOOR_Y = 0
-     * 
-     * @param {Array<number>} lightHomogeneous - Light position [x, y, z, w]
-     * @param {Array<number>} planeEq - Plane equation [a, b, c, d]
-     * @returns {Array<number>} 4x4 shadow projection matrix
-     */
-    buildShadowMatrix(lightHomogeneous, planeEq = [0, 1, 0, -(FLOOR_Y + 0.01)]) {
-        const [lx, ly, lz, lw] = lightHomogeneous;
-        const [a, b, c, d] = planeEq;
+        // Depth-map shadow renderer
+        this.shadowMapper = new ShadowMapper(gl, programs.depth);
         
-        // Compute dot product: plane · light
-        const dot = a * lx + b * ly + c * lz + d * lw;
+        // Environment map for image-based lighting (empty until an HDR is loaded)
+        this.environment = new EnvironmentMap(gl);
         
-        // DEBUG: Check if light is on the plane (dot should not be zero)
-        if (window.__debugShadow && Math.abs(dot) < 0.001) {
-            console.warn('[SHADOW WARNING] Light is nearly parallel to floor plane!', { dot, lightHomogeneous });
-        }
+        // LTC lookup tables for the area lights
+        this.ltcTables = new LtcTables(gl);
         
-        // Column-major layout for WebGL
-        // Formula: M = dot(P·L)*I - L⊗P (outer product)
-        const m = new Float32Array(16);
-
-        // Column 0
-        m[0]  = dot - lx * a;
-        m[1]  = -ly * a;
-        m[2]  = -lz * a;
-        m[3]  = -lw * a;
-
-        // Column 1
-        m[4]  = -lx * b;
-        m[5]  = dot - ly * b;
-        m[6]  = -lz * b;
-        m[7]  = -lw * b;
-
-        // Column 2
-        m[8]  = -lx * c;
-        m[9]  = -ly * c;
-        m[10] = dot - lz * c;
-        m[11] = -lw * c;
-
-        // Column 3
-        m[12] = -lx * d;
-        m[13] = -ly * d;
-        m[14] = -lz * d;
-        m[15] = dot - lw * d;
-
-        return m;
+        // Directional albedo of each D/G combination and of the sheen lobe
+        this.albedoTables = new AlbedoTables(gl);
+        
+        // Copy of the opaque scene, seen through transmissive surfaces
+        this.transmission = new TransmissionBackground(gl);
+        
+        // Pre-integrated scattering table for subsurface materials
+        this.subsurfaceTable = new SubsurfaceTable(gl);
+        
+        // Empty texture set for surfaces without material maps
+        this.noTextures = new MaterialTextures(gl);
+        
+        // Offscreen HDR scene target, tone mapped into the canvas at the end of each frame
+        this.postProcessor = new PostProcessor(gl);
+        this.postProcessor.resize(this.width, this.height);
+        
+        // Uniform buffer holding all lights (uploaded once per frame)
+        this.lightBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.UNIFORM_BUFFER, this.lightBuffer);
+        gl.bufferData(gl.UNIFORM_BUFFER, (MAX_LIGHTS * LIGHT_STRIDE + 4) * 4, gl.DYNAMIC_DRAW);
+        gl.bindBuffer(gl.UNIFORM_BUFFER, null);
+        gl.bindBufferBase(gl.UNIFORM_BUFFER, LIGHT_BLOCK_BINDING, this.lightBuffer);
+        
+        // Enable depth testing for proper 3D rendering
+        gl.enable(gl.DEPTH_TEST);
     }
     
     /**
@@ -88,7 +192,8 @@ export class Renderer {
      * Uploads matrices, material properties, and light parameters to shader
      * 
      * @param {WebGLProgram} program - Shader program to configure
-     * @param {Object} params - Rendering parameters
+     * @param {Object} params - Rendering parameters (`settings` = UI material
+     *        settings of the node being drawn, used when `material` is null)
      */
     setUniforms(program, params) {
         const { gl } = this;
@@ -97,15 +202,14 @@ export class Renderer {
             viewMatrix,
             projMatrix,
             normalMatrix = mat3.identity(),
-            shadowMatrix = mat4.identity(),
-            useShadowMatrix = false,
             cameraPos,
             state,
-            shadowBlend = 0.0,
-            overrideAlbedo = null,
-            overrideMetallic = null,
-            overrideRoughness = null,
+            settings = null,
+            shadow = null,
+            material = null,
+            textures = null,
             overrideColor = null,
+            oneSided = false,
         } = params;
         
         gl.useProgram(program);
@@ -117,8 +221,6 @@ export class Renderer {
         gl.uniformMatrix4fv(loc('uModel'), false, modelMatrix);
         gl.uniformMatrix4fv(loc('uView'), false, viewMatrix);
         gl.uniformMatrix4fv(loc('uProj'), false, projMatrix);
-        gl.uniformMatrix4fv(loc('uShadowMat'), false, shadowMatrix);
-        gl.uniform1i(loc('uUseShadowMat'), useShadowMatrix ? 1 : 0);
         gl.uniformMatrix3fv(loc('uNormalMat'), false, normalMatrix);
         
         // Camera position (for view direction)
@@ -126,207 +228,366 @@ export class Renderer {
             gl.uniform3fv(loc('uCameraPos'), cameraPos);
         }
         
-        // Material properties
+        // Material properties (an explicit material, or the one edited in the UI)
         if (loc('uAlbedo')) {
-            const albedo = overrideAlbedo || state.albedo;
-            gl.uniform3fv(loc('uAlbedo'), albedo);
-        }
-        if (loc('uMetallic')) {
-            const metallic = overrideMetallic !== null ? overrideMetallic : state.metallic;
-            gl.uniform1f(loc('uMetallic'), metallic);
-        }
-        if (loc('uRoughness')) {
-            const roughness = overrideRoughness !== null ? overrideRoughness : state.roughness;
-            gl.uniform1f(loc('uRoughness'), roughness);
+            const surface = material || settingsMaterial(settings);
+            gl.uniform3fv(loc('uAlbedo'), surface.albedo);
+            gl.uniform1f(loc('uMetallic'), surface.metallic);
+            gl.uniform1f(loc('uRoughness'), surface.roughness);
+            gl.uniform1f(loc('uIor'), surface.ior);
+            gl.uniform3fv(loc('uEmissive'), vec3.scale(surface.emissive, relativeExposure(state)));
+            
+            // Material texture maps (empty slots still get their own sampler units)
+            (textures || this.noTextures).bind(program);
+            gl.uniform1f(loc('uNormalScale'), surface.normalScale);
+            gl.uniform1f(loc('uOcclusionStrength'), surface.occlusionStrength);
+            gl.uniform1f(loc('uAnisotropy'), surface.anisotropy);
+            gl.uniform2f(loc('uAnisotropyDirection'),
+                Math.cos(surface.anisotropyRotation), Math.sin(surface.anisotropyRotation));
+            
+            // Layers over the base
+            gl.uniform1f(loc('uClearcoat'), surface.clearcoat);
+            gl.uniform1f(loc('uClearcoatRoughness'), surface.clearcoatRoughness);
+            gl.uniform3fv(loc('uSheenColor'), surface.sheenColor);
+            gl.uniform1f(loc('uSheenRoughness'), surface.sheenRoughness);
+            gl.uniform1f(loc('uTransmission'), surface.transmission);
+            gl.uniform1i(loc('uTransmissionMap'), TRANSMISSION_UNIT);
+            
+            // Subsurface scattering of the diffuse lobe
+            gl.uniform1i(loc('uSubsurface'), surface.subsurface);
+            gl.uniform1f(loc('uScatterRadius'), surface.scatterRadius);
+            gl.uniform3fv(loc('uScatterColor'), surface.scatterColor);
+            gl.uniform1i(loc('uSubsurfaceLut'), SUBSURFACE_LUT_UNIT);
+            
+            // Complex IOR (only compiled in with the conductor Fresnel variant)
+            if (loc('uConductorEta')) {
+                const conductor = CONDUCTOR_IOR[settings.conductor];
+                gl.uniform3fv(loc('uConductorEta'), conductor.eta);
+                gl.uniform3fv(loc('uConductorK'), conductor.k);
+            }
         }
         
-        // Light properties
-        if (loc('uLightType')) {
-            gl.uniform1i(loc('uLightType'), state.lightType);
+        // Light properties (uniform buffer shared by all programs)
+        const lightBlock = gl.getUniformBlockIndex(program, 'LightBlock');
+        if (lightBlock !== gl.INVALID_INDEX) {
+            gl.uniformBlockBinding(program, lightBlock, LIGHT_BLOCK_BINDING);
         }
-        if (loc('uLightPos')) {
-            gl.uniform3fv(loc('uLightPos'), state.lightPos);
-        }
-        if (loc('uLightDir')) {
-            gl.uniform3fv(loc('uLightDir'), vec3.normalize(state.lightDir));
-        }
-        if (loc('uLightColor')) {
-            gl.uniform3fv(loc('uLightColor'), state.lightColor);
-        }
-        if (loc('uLightIntensity')) {
-            gl.uniform1f(loc('uLightIntensity'), state.lightIntensity);
+        
+        // Shadow map parameters (sampler units are always assigned so the
+        // 2D and cube shadow samplers never share a texture unit)
+        if (loc('uShadowLight')) {
+            gl.uniform1i(loc('uShadowMap'), SHADOW_MAP_UNIT);
+            gl.uniform1i(loc('uShadowCubeMap'), SHADOW_CUBE_UNIT);
+            gl.uniform1i(loc('uShadowLight'), shadow ? shadow.lightIndex : -1);
+            if (shadow) {
+                gl.uniform1i(loc('uShadowMode'), shadow.mode);
+                gl.uniformMatrix4fv(loc('uLightViewProj'), false, shadow.viewProj);
+                gl.uniform1f(loc('uShadowDepthRange'), shadow.depthRange);
+                gl.uniform1f(loc('uShadowBias'), state.shadowBias);
+                gl.uniform1f(loc('uShadowMapSize'), shadow.resolution);
+                gl.uniform1i(loc('uShadowPcfRadius'), Math.floor(state.shadowPcfSize / 2));
+            }
         }
-        if (loc('uSpotAngle')) {
-            gl.uniform1f(loc('uSpotAngle'), state.spotAngle);
+        
+        // Image-based lighting (samplers always get their own units, see above)
+        if (loc('uIBLEnabled')) {
+            const iblActive = this.environment.ready && state.iblEnabled;
+            gl.uniform1i(loc('uIrradianceMap'), IRRADIANCE_UNIT);
+            gl.uniform1i(loc('uPrefilterMap'), PREFILTER_UNIT);
+            gl.uniform1i(loc('uBrdfLut'), BRDF_LUT_UNIT);
+            gl.uniform1i(loc('uIBLEnabled'), iblActive ? 1 : 0);
+            gl.uniform1f(loc('uPrefilterMaxLod'), this.environment.prefilterMaxLod);
+            gl.uniform1f(loc('uEnvIntensity'), state.envIntensity * relativeExposure(state));
+            gl.uniform1f(loc('uAmbientIntensity'), AMBIENT_INTENSITY * relativeExposure(state));
         }
-        if (loc('uSpotSoftness')) {
-            gl.uniform1f(loc('uSpotSoftness'), state.spotSoftness);
+        
+        // Area light tables (units always assigned, like the IBL samplers)
+        if (loc('uLtcMatrix')) {
+            gl.uniform1i(loc('uLtcMatrix'), LTC_MATRIX_UNIT);
+            gl.uniform1i(loc('uLtcAmplitude'), LTC_AMPLITUDE_UNIT);
         }
-        if (loc('uAreaSize')) {
-            gl.uniform2fv(loc('uAreaSize'), state.areaSize);
+        if (loc('uAlbedoTable')) {
+            gl.uniform1i(loc('uAlbedoTable'), ALBEDO_TABLE_UNIT);
         }
-        if (loc('uShadowBlend')) {
-            gl.uniform1f(loc('uShadowBlend'), shadowBlend);
+        if (loc('uFurnace')) {
+            gl.uniform1i(loc('uFurnace'), state.furnaceTest ? 1 : 0);
         }
         if (loc('uColor') && overrideColor) {
             gl.uniform3fv(loc('uColor'), overrideColor);
         }
+        if (loc('uOneSided')) {
+            gl.uniform1i(loc('uOneSided'), oneSided ? 1 : 0);
+        }
+    }
+    
+    /**
+     * Replace one of the renderer's programs (e.g. after recompiling with new defines)
+     * The previous program is deleted.
+     * 
+     * @param {string} name - Program key ('main', 'compare', 'depth' or 'light')
+     * @param {WebGLProgram} program - Linked replacement program
+     */
+    setProgram(name, program) {
+        const previous = this.programs[name];
+        this.programs[name] = program;
+        if (previous && previous !== program) {
+            this.gl.deleteProgram(previous);
+        }
+    }
+    
+    /**
+     * Upload all lights to the LightBlock uniform buffer, converted from physical
+     * units to radiance with the camera exposure
+     * 
+     * @param {Array<Object>} lights - Light list from UI state
+     * @param {Object} state - Application state (camera aperture, shutter and ISO)
+     */
+    updateLights(lights, state) {
+        const { gl } = this;
+        gl.bindBuffer(gl.UNIFORM_BUFFER, this.lightBuffer);
+        gl.bufferSubData(gl.UNIFORM_BUFFER, 0, packLights(lights, cameraExposure(state)));
+        gl.bindBuffer(gl.UNIFORM_BUFFER, null);
     }
     
     /**
      * Render complete scene
      * 
-     * @param {Object} scene - Scene data containing geometry and camera
-     * @param {Object} state - Application state (materials, lights, etc.)
+     * `scene.objects` is the flattened scene graph, one entry per drawable:
+     * {vao, count, indexType, modelMatrix, material, settings, textures}.
+     * Objects with a `material` use it (imported models); the others use their
+     * node's material settings (`settings.A` / `settings.B`) and `textures`.
+     * In compare mode the scene is drawn twice from the same camera: side A
+     * (main program) left of the divider, side B (compare program) right of it.
+     * The white furnace test replaces the lights, shadows and environment by
+     * uniform white light and fixes the display (see FURNACE_EXPOSURE).
+     * 
+     * @param {Object} scene - Scene data {camera, objects, lightSphere, areaLights}
+     *        (areaLights = emitter meshes indexed by AREA_SHAPES)
+     * @param {Object} state - Application state (lights, BRDF terms, etc.)
+     * @param {Object} output - Where the frame goes (defaults: the whole canvas):
+     *        framebuffer - tone-mapped result (null = canvas);
+     *        imageX, imageWidth - horizontal placement of this render within a larger
+     *        image (export tiles), so the compare divider lands in the right place
      */
-    render(scene, state) {
+    render(scene, state, output = {}) {
         const { gl, programs } = this;
-        const { camera, floor, object } = scene;
+        const { objects } = scene;
+        const { framebuffer = null, imageX = 0, imageWidth = this.width } = output;
+        const furnace = state.furnaceTest;
         
-        // Clear buffers
-        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+        // ====================================
+        // 1. Shadow pass (depth from the light's point of view)
+        // ====================================
+        this.updateLights(furnace ? [] : state.lights, state);
         
-        // Get camera matrices
-        const viewMatrix = camera.viewMatrix;
-        const projMatrix = camera.projectionMatrix;
-        const cameraPos = camera.position;
+        let shadow = null;
+        const shadowLight = state.lights[state.shadowLight];
+        if (!furnace && state.shadowEnabled && shadowLight && state.shadowLight < MAX_LIGHTS) {
+            shadow = this.shadowMapper.render(shadowLight, objects, state.shadowResolution);
+            shadow.lightIndex = state.shadowLight;
+        }
+        
+        // Albedo tables of the sides (integrated on first use, before the
+        // scene target is bound)
+        for (const side of state.compareEnabled ? ['A', 'B'] : ['A']) {
+            this.albedoTables.prepare(state.brdf[side]);
+        }
         
-        // Calculate normal matrix (inverse-transpose of model matrix)
-        const normalMatrix = mat3.transpose(mat3.invert(mat3.fromMat4(mat4.identity())));
+        this.shadowMapper.bindTextures();
+        this.ltcTables.bindTextures();
+        this.subsurfaceTable.bindTexture();
+        if (this.environment.ready) {
+            this.environment.bindTextures();
+        }
         
-        // ====================================
-        // 1. Render floor plane
-        // ====================================
-        gl.bindVertexArray(floor.vao);
-        this.setUniforms(programs.main, {
-            viewMatrix,
-            projMatrix,
-            normalMatrix,
-            cameraPos,
-            state,
-            // Floor-specific material (dark, non-metallic, rough)
-            overrideAlbedo: [0.2, 0.24, 0.27],
-            overrideMetallic: 0.0,
-            overrideRoughness: 0.85,
-        });
-        gl.drawElements(gl.TRIANGLES, floor.count, gl.UNSIGNED_SHORT, 0);
+        // Everything below renders linear radiance into the HDR target
+        // (this also restores the viewport changed by the shadow pass)
+        this.postProcessor.bindSceneTarget();
+        
+        // Clear buffers (linear radiance, sRGB-encoded by the tone mapping pass)
+        gl.clearColor(...(furnace ? FURNACE_BACKGROUND : BACKGROUND));
+        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
         
         // ====================================
-        // 2. Render shadow (if enabled)
+        // 2. Scene, once per comparison side (scissored to its half)
         // ====================================
-        if (state.shadowEnabled) {
-            // Determine light position for shadow calculation
-            // Directional lights use direction as homogeneous coords with w=0
-            // Point/spot/area lights use position with w=1
-            const lightHomogeneous = state.lightType === 1
-                ? [...vec3.normalize(vec3.scale(state.lightDir, -1)), 0]  // Directional: invert direction, w=0
-                : [...state.lightPos, 1];                  // Point/spot/area: w=1
+        if (state.compareEnabled) {
+            const splitX = Math.min(Math.max(Math.round(imageWidth * state.compareSplit) - imageX, 0), this.width);
+            gl.enable(gl.SCISSOR_TEST);
             
-            const shadowMatrix = this.buildShadowMatrix(lightHomogeneous);
+            gl.scissor(0, 0, splitX, this.height);
+            this.drawScene(scene, state, shadow, programs.main, 'A');
             
-            // DEBUG: Log shadow calculation details
-            if (window.__debugShadow) {
-                console.log('[SHADOW DEBUG]', {
-                    lightType: state.lightType,
-                    lightPos: state.lightPos,
-                    lightHomogeneous,
-                    floorY: FLOOR_Y,
-                    shadowMatrix: Array.from(shadowMatrix)
-                });
-            }
-            
-            // Render shadow using shadow program
-            gl.useProgram(programs.shadow);
-            gl.bindVertexArray(object.vao);
-            
-            // Get object's model matrix (use identity if not set)
-            const objectModelMatrix = object.modelMatrix || mat4.identity();
-            
-            // Calculate shadow center (object position projected onto floor)
-            const objPos = [objectModelMatrix[12], objectModelMatrix[13], objectModelMatrix[14]];
-            const shadowCenter = [objPos[0], FLOOR_Y, objPos[2]];
-            
-            // Estimate shadow radius based on object bounds and light distance
-            const objectRadius = 1.0; // Approximate radius of sphere/cube
-            const lightHeight = state.lightType === 1 ? 10.0 : Math.abs(state.lightPos[1] - FLOOR_Y);
-            const shadowRadius = objectRadius * (1.0 + (objectRadius / Math.max(0.1, lightHeight)));
-            
-            // Setup shadow rendering
-            gl.uniformMatrix4fv(gl.getUniformLocation(programs.shadow, 'uModel'), false, objectModelMatrix);
-            gl.uniformMatrix4fv(gl.getUniformLocation(programs.shadow, 'uView'), false, viewMatrix);
-            gl.uniformMatrix4fv(gl.getUniformLocation(programs.shadow, 'uProj'), false, projMatrix);
-            gl.uniformMatrix4fv(gl.getUniformLocation(programs.shadow, 'uShadowMat'), false, shadowMatrix);
-            gl.uniform1i(gl.getUniformLocation(programs.shadow, 'uUseShadowMat'), 1);
-            gl.uniformMatrix3fv(gl.getUniformLocation(programs.shadow, 'uNormalMat'), false, normalMatrix);
-            gl.uniform1f(gl.getUniformLocation(programs.shadow, 'uAlpha'), 0.5); // Shadow opacity
-            gl.uniform3fv(gl.getUniformLocation(programs.shadow, 'uShadowCenter'), shadowCenter);
-            gl.uniform1f(gl.getUniformLocation(programs.shadow, 'uShadowRadius'), shadowRadius);
-            
-            // Enable blending for semi-transparent shadow
-            gl.enable(gl.BLEND);
-            gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+            gl.scissor(splitX, 0, this.width - splitX, this.height);
+            this.drawScene(scene, state, shadow, programs.compare, 'B');
             
-            // Use polygon offset to prevent z-fighting with floor
-            gl.enable(gl.POLYGON_OFFSET_FILL);
-            gl.polygonOffset(1, 1);
-            
-            gl.drawElements(gl.TRIANGLES, object.count, gl.UNSIGNED_SHORT, 0);
-            
-            // Disable blending and polygon offset
-            gl.disable(gl.POLYGON_OFFSET_FILL);
-            gl.disable(gl.BLEND);
+            gl.disable(gl.SCISSOR_TEST);
+        } else {
+            this.drawScene(scene, state, shadow, programs.main, 'A');
         }
         
         // ====================================
-        // 3. Render main object
+        // 3. Exposure, tone mapping and sRGB encoding into the canvas
         // ====================================
-        const objectModelMatrix = object.modelMatrix || mat4.identity();
+        if (furnace) {
+            this.postProcessor.present(TONE_MAPPING.NONE, FURNACE_EXPOSURE, framebuffer);
+        } else {
+            this.postProcessor.present(state.toneMapping, state.exposure, framebuffer);
+        }
+    }
+    
+    /**
+     * Draw objects, light markers and skybox into the bound target
+     * Transmissive objects are drawn last, over a copy of everything else
+     * (see transmission.js).
+     * 
+     * @param {Object} scene - Scene data {camera, objects, lightSphere, areaLights}
+     * @param {Object} state - Application state
+     * @param {Object|null} shadow - Shadow pass result (null = no shadows)
+     * @param {WebGLProgram} program - Lighting program (compiled with the side's BRDF terms)
+     * @param {string} side - Comparison side whose node materials are used ('A' or 'B')
+     */
+    drawScene(scene, state, shadow, program, side) {
+        const { gl } = this;
+        const { camera, objects } = scene;
         
-        gl.bindVertexArray(object.vao);
-        this.setUniforms(programs.main, {
-            modelMatrix: objectModelMatrix,
-            viewMatrix,
-            projMatrix,
-            normalMatrix,
-            cameraPos,
-            state,
-        });
-        gl.drawElements(gl.TRIANGLES, object.count, gl.UNSIGNED_SHORT, 0);
+        // Get camera matrices
+        const viewMatrix = camera.viewMatrix;
+        const projMatrix = camera.projectionMatrix;
+        const cameraPos = camera.position;
+        
+        this.albedoTables.bindTexture(state.brdf[side]);
         
         // ====================================
-        // 4. Render light source (if not directional)
+        // Objects (scene graph nodes, floor included)
         // ====================================
-        if (state.lightType !== 1 && scene.lightSphere && programs.light) {
-            // Create model matrix for light position
-            const lightModelMatrix = [
-                1, 0, 0, 0,
-                0, 1, 0, 0,
-                0, 0, 1, 0,
-                state.lightPos[0], state.lightPos[1], state.lightPos[2], 1
-            ];
+        const drawObject = (object, surface) => {
+            const objectModelMatrix = object.modelMatrix || mat4.identity();
             
-            gl.bindVertexArray(scene.lightSphere.vao);
-            this.setUniforms(programs.light, {
-                modelMatrix: lightModelMatrix,
+            gl.bindVertexArray(object.vao);
+            this.setUniforms(program, {
+                modelMatrix: objectModelMatrix,
                 viewMatrix,
                 projMatrix,
-                normalMatrix,
+                normalMatrix: normalMatrixFor(objectModelMatrix),
                 cameraPos,
                 state,
-                overrideColor: [1.0, 1.0, 1.0]
+                settings: object.settings[side],
+                shadow,
+                material: surface,
+                textures: object.material ? object.material.textures : object.textures,
             });
-            gl.drawElements(gl.TRIANGLES, scene.lightSphere.count, gl.UNSIGNED_SHORT, 0);
+            gl.drawElements(gl.TRIANGLES, object.count, object.indexType, 0);
+        };
+        
+        const transmissive = [];
+        for (const object of objects) {
+            const surface = object.material || settingsMaterial(object.settings[side]);
+            if (surface.transmission > 0) {
+                transmissive.push([object, surface]);
+            } else {
+                drawObject(object, surface);
+            }
+        }
+        
+        // Only the objects take part in the furnace test
+        if (!state.furnaceTest) {
+            this.drawBackdrop(scene, state);
+        }
+        
+        // ====================================
+        // Transmissive objects, over the scene drawn so far
+        // ====================================
+        if (transmissive.length > 0) {
+            this.transmission.capture(this.postProcessor);
+            for (const [object, surface] of transmissive) {
+                drawObject(object, surface);
+            }
+        }
+    }
+    
+    /**
+     * Draw the light markers and the skybox into the bound target
+     * 
+     * @param {Object} scene - Scene data {camera, lightSphere, areaLights}
+     * @param {Object} state - Application state
+     */
+    drawBackdrop(scene, state) {
+        const { gl, programs } = this;
+        const { camera } = scene;
+        const viewMatrix = camera.viewMatrix;
+        const projMatrix = camera.projectionMatrix;
+        const cameraPos = camera.position;
+        
+        // ====================================
+        // Light sources (skipping directional lights)
+        // ====================================
+        if (scene.lightSphere && programs.light) {
+            const exposure = cameraExposure(state);
+            
+            for (const light of state.lights) {
+                if (light.type === 1) continue;
+                
+                if (light.type === 3 && scene.areaLights) {
+                    // Area lights show their emitting surface at its actual radiance
+                    // (panels are black from behind, since they emit one way)
+                    const mesh = scene.areaLights[light.areaShape];
+                    const modelMatrix = areaLightMatrix(light);
+                    gl.bindVertexArray(mesh.vao);
+                    this.setUniforms(programs.light, {
+                        modelMatrix,
+                        viewMatrix,
+                        projMatrix,
+                        normalMatrix: normalMatrixFor(modelMatrix),
+                        cameraPos,
+                        state,
+                        overrideColor: lightRadiance(light, exposure),
+                        oneSided: light.areaShape !== AREA_SHAPES.TUBE,
+                    });
+                    gl.drawElements(gl.TRIANGLES, mesh.count, mesh.indexType, 0);
+                    continue;
+                }
+                
+                // Create model matrix for light position
+                const lightModelMatrix = [
+                    1, 0, 0, 0,
+                    0, 1, 0, 0,
+                    0, 0, 1, 0,
+                    light.position[0], light.position[1], light.position[2], 1
+                ];
+                
+                gl.bindVertexArray(scene.lightSphere.vao);
+                this.setUniforms(programs.light, {
+                    modelMatrix: lightModelMatrix,
+                    viewMatrix,
+                    projMatrix,
+                    cameraPos,
+                    state,
+                    overrideColor: vec3.scale(lightColor(light), relativeExposure(state))
+                });
+                gl.drawElements(gl.TRIANGLES, scene.lightSphere.count, scene.lightSphere.indexType, 0);
+            }
+        }
+        
+        // ====================================
+        // Skybox behind everything
+        // ====================================
+        if (this.environment.ready && state.skyboxEnabled) {
+            this.environment.drawSkybox(viewMatrix, projMatrix, state.envIntensity * relativeExposure(state));
         }
     }
     
     /**
-     * Resize viewport to match canvas size
+     * Resize viewport and offscreen targets to match canvas size
      * Call this when canvas dimensions change
      * 
      * @param {number} width - New width
      * @param {number} height - New height
      */
     resize(width, height) {
+        this.width = width;
+        this.height = height;
         this.gl.viewport(0, 0, width, height);
+        this.postProcessor.resize(width, height);
     }
 }
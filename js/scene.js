@@ -0,0 +1,375 @@
+/**
+ * Scene Graph Module
+ *
+ * The scene is a flat list of nodes; the hierarchy is expressed through parent
+ * ids, which keeps nodes plain data (easy to list in the outliner and to copy).
+ * node = { id, name, parent, mesh, translation, rotation, scale, visible, materials, maps }
+ * - parent: id of the parent node, or null for a root node
+ * - mesh: mesh library key ('sphere', 'cube', 'plane', 'model:<n>'), or null for an empty group
+ * - rotation: Euler angles in degrees, applied around X, then Y, then Z
+ * - materials: editable material settings per comparison side, {A, B}
+ * - maps: display name of the material map loaded into each texture slot
+ *
+ * Local transforms compose as parent world × T × R × S.
+ *
+ * Lights are kept outside the graph, as a plain list (see createLight), with
+ * intensities in physical units (see photometry.js).
+ */
+
+import { vec3, mat4, quat } from './math.js';
+import { FLOOR_Y } from './geometry.js';
+import { intersectMesh } from './intersection.js';
+
+// Display names of the built-in meshes (loaded models are named after their file)
+export const BUILTIN_MESHES = {
+    sphere: 'Sphere',
+    cube: 'Cube',
+    plane: 'Plane',
+};
+
+/**
+ * Create the material settings edited in the control panel
+ *
+ * @param {Object} overrides - Fields to replace in the default settings
+ * @returns {Object} Material settings (PBR parameters)
+ */
+export function createMaterialSettings(overrides = {}) {
+    return {
+        albedo: [1, 0.42, 0.42],
+        roughness: 0.72,
+        metallic: 1.0,
+        ior: 1.5,                // Index of refraction of the dielectric base (F0 = ((η-1)/(η+1))²)
+        emissive: [0, 0, 0],
+        emissiveStrength: 1.0,
+        normalScale: 1.0,        // Normal map XY scale
+        occlusionStrength: 1.0,  // AO map blend (0 = off)
+        anisotropy: 0.0,         // Anisotropy strength (0 = isotropic)
+        anisotropyRotation: 0,   // Anisotropy direction in degrees from the tangent
+        clearcoatEnabled: false, // Clear-coat layer (car paint, varnish)
+        clearcoat: 1.0,
+        clearcoatRoughness: 0.03,
+        sheenEnabled: false,     // Sheen layer (cloth, velvet)
+        sheenColor: [1, 1, 1],
+        sheenRoughness: 0.5,
+        transmissionEnabled: false,
+        transmission: 1.0,       // Thin transmission through the base (glass)
+        subsurface: 0,           // SUBSURFACE_MODES: diffuse scattering (skin, wax)
+        scatterRadius: 0.15,
+        scatterColor: [1, 0.35, 0.2],
+        conductor: 'gold',       // Key of CONDUCTOR_IOR (conductor Fresnel only)
+        ...overrides,
+    };
+}
+
+/**
+ * Deep copy of material settings
+ * @param {Object} settings - Material settings (see createMaterialSettings)
+ * @returns {Object} Independent copy
+ */
+export function cloneMaterialSettings(settings) {
+    return createMaterialSettings({
+        ...settings,
+        albedo: [...settings.albedo],
+        emissive: [...settings.emissive],
+        sheenColor: [...settings.sheenColor],
+        scatterColor: [...settings.scatterColor],
+    });
+}
+
+/**
+ * Create a scene node with default parameters
+ * Both comparison sides start with the same material.
+ *
+ * @param {Object} overrides - Fields to replace in the default node
+ *        (`material` sets the settings used for both sides)
+ * @returns {Object} Node description (id is assigned by SceneGraph.add)
+ */
+export function createNode(overrides = {}) {
+    const { material = {}, ...fields } = overrides;
+    const settings = createMaterialSettings(material);
+    return {
+        id: 0,
+        name: 'Node',
+        parent: null,
+        mesh: null,
+        translation: [0, 0, 0],
+        rotation: [0, 0, 0],
+        scale: [1, 1, 1],
+        visible: true,
+        materials: { A: settings, B: cloneMaterialSettings(settings) },
+        maps: {},
+        ...fields,
+    };
+}
+
+/**
+ * Create a light with default parameters
+ * @param {Object} overrides - Fields to replace in the default light
+ * @returns {Object} Light description
+ */
+export function createLight(overrides = {}) {
+    return {
+        type: 0,                  // 0=point, 1=directional, 2=spot, 3=area
+        color: [1, 1, 1],         // Linear RGB (a filter over the temperature when that is used)
+        intensity: 2200,          // In `unit` (see photometry.js)
+        unit: 'lm',               // Key of LIGHT_UNITS valid for the type
+        useTemperature: false,
+        temperature: 6500,        // Black-body color temperature (Kelvin)
+        position: [1.3, 1.0, 0.4],
+        direction: [0, -1, -1],
+        spotAngle: 0.5,           // Cone angle (cosine)
+        spotSoftness: 0.1,
+        areaShape: 0,             // 0=rectangle, 1=disk, 2=tube (see AREA_SHAPES)
+        areaSize: [1, 1],         // Width × height; for tubes length × diameter
+        ...overrides,
+    };
+}
+
+/**
+ * Transform of an area light's emitter mesh (unit shape from geometry.js → world)
+ * The frame around the light direction is the one the lighting shader uses
+ * (basisFromDir): local X and Y span the light's face, local Z is its direction.
+ * Tubes lie along local X, so their cross-section scales with the diameter.
+ *
+ * @param {Object} light - Area light {position, direction, areaShape, areaSize}
+ * @returns {Array<number>} Emitter → world transform
+ */
+export function areaLightMatrix(light) {
+    const [width, height] = light.areaSize;
+    const n = vec3.normalize(light.direction);
+    const up = Math.abs(n[1]) < 0.999 ? [0, 1, 0] : [1, 0, 0];
+    const t = vec3.normalize(vec3.cross(up, n));
+    const b = vec3.cross(n, t);
+    const depth = light.areaShape === 2 ? height : 1;
+    return [
+        ...vec3.scale(t, width), 0,
+        ...vec3.scale(b, height), 0,
+        ...vec3.scale(n, depth), 0,
+        ...light.position, 1,
+    ];
+}
+
+/**
+ * Local transform of a node (T × R × S)
+ * @param {Object} node - Scene node
+ * @returns {Array<number>} Node → parent transform
+ */
+export function localMatrix(node) {
+    return mat4.fromTRS(node.translation, quat.fromEuler(node.rotation), node.scale);
+}
+
+/**
+ * Ordered list of scene nodes with parent/child relationships
+ */
+export class SceneGraph {
+    constructor() {
+        this.nodes = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Create the default scene: a floor and a sphere above it
+     * @returns {SceneGraph} New scene
+     */
+    static createDefault() {
+        const scene = new SceneGraph();
+        scene.add(createNode({
+            name: 'Floor',
+            mesh: 'plane',
+            translation: [0, FLOOR_Y, 0],
+            // Dark, non-metallic, rough
+            material: { albedo: [0.2, 0.24, 0.27], metallic: 0.0, roughness: 0.85 },
+        }));
+        scene.add(createNode({ name: 'Sphere', mesh: 'sphere' }));
+        return scene;
+    }
+
+    /**
+     * Rebuild a scene from nodes that already have ids (e.g. read from a file)
+     * @param {Array<Object>} nodes - Nodes with unique ids and valid parent links
+     * @returns {SceneGraph} New scene
+     */
+    static fromNodes(nodes) {
+        const scene = new SceneGraph();
+        scene.nodes = nodes;
+        scene.nextId = Math.max(0, ...nodes.map((node) => node.id)) + 1;
+        return scene;
+    }
+
+    /**
+     * Add a node (appended after its siblings)
+     * @param {Object} node - Node from createNode (its id is replaced)
+     * @returns {Object} The added node
+     */
+    add(node) {
+        node.id = this.nextId++;
+        this.nodes.push(node);
+        return node;
+    }
+
+    /**
+     * Find a node by id
+     * @param {number} id - Node id
+     * @returns {Object|null} Node, or null if it does not exist
+     */
+    get(id) {
+        return this.nodes.find((node) => node.id === id) || null;
+    }
+
+    /**
+     * Direct children of a node, in insertion order
+     * @param {number|null} id - Parent id (null = root nodes)
+     * @returns {Array<Object>} Child nodes
+     */
+    children(id) {
+        return this.nodes.filter((node) => node.parent === id);
+    }
+
+    /**
+     * Depth-first traversal, parents before their children
+     * @returns {Array<{node: Object, depth: number}>} Nodes in outliner order
+     */
+    traverse() {
+        const result = [];
+        const visit = (parent, depth) => {
+            for (const node of this.children(parent)) {
+                result.push({ node, depth });
+                visit(node.id, depth + 1);
+            }
+        };
+        visit(null, 0);
+        return result;
+    }
+
+    /**
+     * A node and all of its descendants
+     * @param {number} id - Root of the subtree
+     * @returns {Array<Object>} Nodes, root first
+     */
+    subtree(id) {
+        const root = this.get(id);
+        if (!root) return [];
+        const result = [root];
+        for (let i = 0; i < result.length; i++) {
+            result.push(...this.children(result[i].id));
+        }
+        return result;
+    }
+
+    /**
+     * Remove a node together with its descendants
+     * @param {number} id - Node id
+     * @returns {Array<Object>} Removed nodes
+     */
+    remove(id) {
+        const removed = this.subtree(id);
+        const ids = new Set(removed.map((node) => node.id));
+        this.nodes = this.nodes.filter((node) => !ids.has(node.id));
+        return removed;
+    }
+
+    /**
+     * Copy a node and its descendants (material maps are not copied)
+     * The copy is placed under the same parent as the original.
+     *
+     * @param {number} id - Node id
+     * @returns {Object|null} Root of the copy
+     */
+    duplicate(id) {
+        const originals = this.subtree(id);
+        if (originals.length === 0) return null;
+
+        // Parents come before children in subtree order, so their new ids are known
+        const newIds = new Map();
+        for (const original of originals) {
+            const copy = this.add(createNode({
+                ...original,
+                translation: [...original.translation],
+                rotation: [...original.rotation],
+                scale: [...original.scale],
+                materials: {
+                    A: cloneMaterialSettings(original.materials.A),
+                    B: cloneMaterialSettings(original.materials.B),
+                },
+                maps: {},
+            }));
+            copy.parent = newIds.has(original.parent) ? newIds.get(original.parent) : original.parent;
+            newIds.set(original.id, copy.id);
+        }
+        const root = this.get(newIds.get(id));
+        root.name = `${root.name} Copy`;
+        return root;
+    }
+
+    /**
+     * Whether a node lies in the subtree of another
+     * @param {number} id - Node to test
+     * @param {number} ancestorId - Potential ancestor
+     * @returns {boolean} True if ancestorId is id itself or one of its ancestors
+     */
+    isInSubtree(id, ancestorId) {
+        for (let node = this.get(id); node; node = this.get(node.parent)) {
+            if (node.id === ancestorId) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Attach a node to a new parent (the local transform is kept)
+     * @param {number} id - Node id
+     * @param {number|null} parentId - New parent (null = root)
+     * @returns {boolean} False if the change would create a cycle
+     */
+    setParent(id, parentId) {
+        if (parentId !== null && this.isInSubtree(parentId, id)) return false;
+        this.get(id).parent = parentId;
+        return true;
+    }
+
+    /**
+     * World transforms and effective visibility of all nodes
+     * A node is hidden when it or any of its ancestors is hidden.
+     *
+     * @returns {Map<number, {world: Array<number>, visible: boolean}>} Per node id
+     */
+    computeWorldTransforms() {
+        const result = new Map();
+        for (const { node } of this.traverse()) {
+            const parent = result.get(node.parent);
+            const local = localMatrix(node);
+            result.set(node.id, {
+                world: parent ? mat4.multiply(parent.world, local) : local,
+                visible: node.visible && (!parent || parent.visible),
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Cast a ray against the triangles of every visible node's mesh
+     * @param {Array<number>} rayOrigin - Ray origin (world space)
+     * @param {Array<number>} rayDir - Ray direction (world space, normalized)
+     * @param {Map<string, Array<Object>>} meshes - Mesh library: mesh key → drawables
+     *        {data, indices, modelMatrix} (see createVAO)
+     * @returns {Object|null} Nearest hit {node, drawable, point, normal, uv, barycentric,
+     *          triangle, distance} (see intersectMesh), or null
+     */
+    pick(rayOrigin, rayDir, meshes) {
+        const transforms = this.computeWorldTransforms();
+        let nearest = null;
+
+        for (const node of this.nodes) {
+            const { world, visible } = transforms.get(node.id);
+            const drawables = meshes.get(node.mesh);
+            if (!visible || !drawables) continue;
+
+            for (const drawable of drawables) {
+                const hit = intersectMesh(rayOrigin, rayDir, drawable, mat4.multiply(world, drawable.modelMatrix));
+                if (hit && (!nearest || hit.distance < nearest.distance)) {
+                    nearest = { node, drawable, ...hit };
+                }
+            }
+        }
+        return nearest;
+    }
+}
@@ -0,0 +1,598 @@
+/**
+ * Scene Serialization Module
+ *
+ * Saves the user's setup as a versioned JSON document and reads it back:
+ * document = { format, version, state, camera }
+ * - state: the persisted fields of UIManager.state (scene graph, materials, BRDF
+ *   terms, lights, environment, display, shadow and gizmo settings)
+ * - camera: orbit camera view (see Camera.getView)
+ *
+ * Reading validates every field. Missing fields keep their defaults, numbers out
+ * of range are clamped and other invalid values dropped, each with a warning, so a
+ * damaged file still loads what it can. Documents from older versions are upgraded
+ * one version at a time (MIGRATIONS).
+ *
+ * The same document, deflated and base64url-encoded, forms scene links (URL hash).
+ *
+ * Files picked by the user (models, material maps, HDR environment) are not part
+ * of the document; nodes keep their mesh only if it is loaded when reading.
+ *
+ * User material presets are stored in a document of their own, validated the same way:
+ * presets document = { format, version, presets: [{name, albedo, metallic, roughness, ior, conductor}] }
+ */
+
+import { MAX_LIGHTS, BRDF_VARIANTS, CONDUCTOR_IOR, AREA_SHAPES, SUBSURFACE_MODES, createBrdfSettings } from './shaders.js';
+import { TONE_MAPPING } from './postprocess.js';
+import { GIZMO_MODES } from './gizmo.js';
+import { SceneGraph, BUILTIN_MESHES, createNode, createMaterialSettings, createLight } from './scene.js';
+import { clamp } from './math.js';
+import {
+    APERTURES, SHUTTER_SPEEDS, ISO_SPEEDS, DEFAULT_CAMERA, LIGHT_UNITS, LIGHT_TYPE_UNITS,
+    computeEV100, exposureFactor, intensityForScale,
+} from './photometry.js';
+
+// Identifies scene documents among other JSON files
+export const SCENE_FORMAT = 'cook-torrance-scene';
+
+// Version written by serializeScene (bump it and add a migration when the layout changes)
+export const SCENE_VERSION = 2;
+
+// Identifies material preset documents, and their version
+export const PRESETS_FORMAT = 'cook-torrance-material-presets';
+export const PRESETS_VERSION = 1;
+
+/**
+ * Upgrade steps for documents written by older versions
+ * MIGRATIONS[n] receives a version n document and returns it in the version n + 1 layout.
+ */
+const MIGRATIONS = {
+    // Version 2: light intensities in physical units and a camera exposure. Version 1
+    // intensities were radiance multipliers; they become the photometric values that
+    // give the same radiance with the default camera.
+    1: (doc) => {
+        const state = isObject(doc.state) ? doc.state : {};
+        if (!Array.isArray(state.lights)) return doc;
+        const { aperture, shutter, iso } = DEFAULT_CAMERA;
+        const exposure = exposureFactor(computeEV100(aperture, shutter, iso));
+        const lights = state.lights.map((light) => {
+            if (!isObject(light) || !isNumber(light.intensity) || !LIGHT_TYPE_UNITS[light.type]) return light;
+            const unit = LIGHT_TYPE_UNITS[light.type][0];
+            const geometry = { ...createLight(), ...light };
+            return { ...light, unit, intensity: intensityForScale(geometry, unit, light.intensity / exposure) };
+        });
+        return { ...doc, state: { ...state, lights } };
+    },
+};
+
+// ====================================
+// Field checks
+// ====================================
+// Each check returns {value} for a usable value (numbers out of range are clamped
+// and flagged with `clamped`), or {expected} describing what a valid value looks like.
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Describe a numeric range for warnings
+ * @param {number} min - Lower bound (may be -Infinity)
+ * @param {number} max - Upper bound (may be Infinity)
+ * @returns {string} e.g. ' in [0, 1]', or '' when unbounded
+ */
+function describeRange(min, max) {
+    if (min === -Infinity && max === Infinity) return '';
+    if (max === Infinity) return ` ≥ ${min}`;
+    if (min === -Infinity) return ` ≤ ${max}`;
+    return ` in [${min}, ${max}]`;
+}
+
+function number(min = -Infinity, max = Infinity) {
+    return (value) => {
+        if (!isNumber(value)) return { expected: `a number${describeRange(min, max)}` };
+        const clamped = clamp(value, min, max);
+        return { value: clamped, clamped: clamped !== value };
+    };
+}
+
+function vector(length, min = -Infinity, max = Infinity) {
+    return (value) => {
+        if (!Array.isArray(value) || value.length !== length || !value.every(isNumber)) {
+            return { expected: `${length} numbers${describeRange(min, max)}` };
+        }
+        const clamped = value.map((c) => clamp(c, min, max));
+        return { value: clamped, clamped: clamped.some((c, i) => c !== value[i]) };
+    };
+}
+
+function boolean() {
+    return (value) => (typeof value === 'boolean' ? { value } : { expected: 'true or false' });
+}
+
+function string() {
+    return (value) => (typeof value === 'string' ? { value } : { expected: 'a string' });
+}
+
+function oneOf(choices) {
+    return (value) => (choices.includes(value) ? { value } : { expected: `one of ${choices.join(', ')}` });
+}
+
+/**
+ * Copy the valid fields of a document object into a target object
+ * @param {*} source - Object read from the document
+ * @param {Object} checks - Field name → check
+ * @param {Object} target - Receives the valid (or clamped) fields
+ * @param {string} path - Location in the document, for warnings
+ * @param {Array<string>} warnings - Receives a message per invalid or clamped field
+ * @returns {Object} target
+ */
+function readFields(source, checks, target, path, warnings) {
+    for (const [key, check] of Object.entries(checks)) {
+        const value = source[key];
+        if (value === undefined) continue;
+        const result = check(value);
+        if (result.expected) {
+            warnings.push(`${path}.${key}: expected ${result.expected}`);
+            continue;
+        }
+        if (result.clamped) {
+            warnings.push(`${path}.${key}: ${JSON.stringify(value)} is out of range, clamped to ${JSON.stringify(result.value)}`);
+        }
+        target[key] = result.value;
+    }
+    return target;
+}
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// ====================================
+// Schema
+// ====================================
+
+// Scalar settings of UIManager.state (the select options of index.html)
+const SETTINGS = {
+    gizmoMode: oneOf(Object.values(GIZMO_MODES)),
+    snapEnabled: boolean(),
+    snapTranslate: oneOf([0.1, 0.25, 0.5, 1]),
+    snapRotate: oneOf([5, 15, 45, 90]),
+    snapScale: oneOf([0.05, 0.1, 0.25, 0.5]),
+    editedMaterial: oneOf(['A', 'B']),
+    compareEnabled: boolean(),
+    compareSplit: number(0.05, 0.95),
+    iblEnabled: boolean(),
+    skyboxEnabled: boolean(),
+    envIntensity: number(0, 4),
+    toneMapping: oneOf(Object.values(TONE_MAPPING)),
+    exposure: number(-6, 6),
+    cameraAperture: oneOf(APERTURES),
+    cameraShutter: oneOf(SHUTTER_SPEEDS),
+    cameraIso: oneOf(ISO_SPEEDS),
+    smoothNormals: boolean(),
+    shadowEnabled: boolean(),
+    shadowResolution: oneOf([512, 1024, 2048, 4096]),
+    shadowPcfSize: oneOf([1, 3, 5, 7, 9]),
+    shadowBias: number(0, 0.1),
+};
+
+const BRDF_FIELDS = {
+    D: oneOf(Object.values(BRDF_VARIANTS.D)),
+    G: oneOf(Object.values(BRDF_VARIANTS.G)),
+    F: oneOf(Object.values(BRDF_VARIANTS.F)),
+    Fd: oneOf(Object.values(BRDF_VARIANTS.Fd)),
+    multiScatter: boolean(),
+};
+
+const NODE_FIELDS = {
+    name: string(),
+    translation: vector(3),
+    rotation: vector(3),
+    scale: vector(3, 0.01),
+    visible: boolean(),
+};
+
+const MATERIAL_FIELDS = {
+    albedo: vector(3, 0, 1),
+    roughness: number(0, 1),
+    metallic: number(0, 1),
+    ior: number(1, 3),
+    emissive: vector(3, 0, 1),
+    emissiveStrength: number(0, 10),
+    normalScale: number(0, 2),
+    occlusionStrength: number(0, 1),
+    anisotropy: number(0, 1),
+    anisotropyRotation: number(-90, 90),
+    clearcoatEnabled: boolean(),
+    clearcoat: number(0, 1),
+    clearcoatRoughness: number(0, 1),
+    sheenEnabled: boolean(),
+    sheenColor: vector(3, 0, 1),
+    sheenRoughness: number(0, 1),
+    transmissionEnabled: boolean(),
+    transmission: number(0, 1),
+    subsurface: oneOf(Object.values(SUBSURFACE_MODES)),
+    scatterRadius: number(0, 0.5),
+    scatterColor: vector(3, 0, 1),
+    conductor: oneOf(Object.keys(CONDUCTOR_IOR)),
+};
+
+// Fields of a material preset (a preset may leave out any but its name)
+const PRESET_FIELDS = {
+    albedo: MATERIAL_FIELDS.albedo,
+    metallic: MATERIAL_FIELDS.metallic,
+    roughness: MATERIAL_FIELDS.roughness,
+    ior: MATERIAL_FIELDS.ior,
+    conductor: MATERIAL_FIELDS.conductor,
+};
+
+const LIGHT_FIELDS = {
+    type: oneOf([0, 1, 2, 3]),
+    color: vector(3, 0, 1),
+    intensity: number(0),
+    unit: oneOf(Object.keys(LIGHT_UNITS)),
+    useTemperature: boolean(),
+    temperature: number(1000, 12000),
+    position: vector(3),
+    direction: vector(3),
+    spotAngle: number(0.1, 1.5),
+    spotSoftness: number(0, 0.5),
+    areaShape: oneOf(Object.values(AREA_SHAPES)),
+    areaSize: vector(2, 0.02, 5),
+};
+
+const CAMERA_FIELDS = {
+    target: vector(3),
+    distance: number(1.2, 12),   // Limits of the orbit camera
+    yaw: number(),
+    pitch: number(-1.2, 1.2),
+    pan: vector(3),
+};
+
+// ====================================
+// Writing
+// ====================================
+
+/**
+ * Build the document for the current setup
+ * @param {Object} state - UIManager state
+ * @param {Camera} camera - Orbit camera
+ * @returns {Object} Scene document (ready for JSON.stringify)
+ */
+export function serializeScene(state, camera) {
+    const settings = {};
+    for (const key of Object.keys(SETTINGS)) {
+        settings[key] = state[key];
+    }
+
+    return {
+        format: SCENE_FORMAT,
+        version: SCENE_VERSION,
+        state: {
+            ...settings,
+            // Material maps are images picked by the user, so only the node data is kept
+            scene: { nodes: state.scene.nodes.map(({ maps, ...node }) => node) },
+            selectedNode: state.selectedNode,
+            brdf: state.brdf,
+            lights: state.lights,
+            selectedLight: state.selectedLight,
+            shadowLight: state.shadowLight,
+        },
+        camera: camera.getView(),
+    };
+}
+
+// ====================================
+// Reading
+// ====================================
+
+/**
+ * Bring a document of any supported version to SCENE_VERSION
+ * @param {Object} doc - Scene document with an integer version
+ * @returns {Object} Document in the current layout
+ */
+export function migrateScene(doc) {
+    let current = doc;
+    while (current.version < SCENE_VERSION) {
+        const migrate = MIGRATIONS[current.version];
+        if (!migrate) {
+            throw new Error(`Scene files of version ${current.version} can no longer be read`);
+        }
+        current = { ...migrate(current), version: current.version + 1 };
+    }
+    return current;
+}
+
+/**
+ * Read the scene nodes
+ * Nodes with a missing or duplicate id are skipped; broken parent links
+ * (unknown parent, cycle) make a node a root node.
+ *
+ * @param {*} source - document.state.scene
+ * @param {Set<string>} meshKeys - Mesh library keys available now
+ * @param {Array<string>} warnings - Receives problems
+ * @returns {Array<Object>|null} Nodes, or null if there are none
+ */
+function readNodes(source, meshKeys, warnings) {
+    if (!isObject(source) || !Array.isArray(source.nodes) || source.nodes.length === 0) {
+        warnings.push('state.scene: expected a non-empty node list (default scene kept)');
+        return null;
+    }
+
+    const nodes = [];
+    const ids = new Set();
+    source.nodes.forEach((item, i) => {
+        const path = `state.scene.nodes[${i}]`;
+        if (!isObject(item) || !Number.isInteger(item.id) || item.id < 1 || ids.has(item.id)) {
+            warnings.push(`${path}: expected a node with a unique positive integer id (skipped)`);
+            return;
+        }
+        ids.add(item.id);
+
+        const node = readFields(item, NODE_FIELDS, createNode({ id: item.id }), path, warnings);
+        node.parent = item.parent ?? null;
+
+        if (typeof item.mesh === 'string' && (item.mesh in BUILTIN_MESHES || meshKeys.has(item.mesh))) {
+            node.mesh = item.mesh;
+        } else if (item.mesh !== undefined && item.mesh !== null) {
+            warnings.push(`${path}.mesh: ${JSON.stringify(item.mesh)} is not loaded (node kept as a group)`);
+        }
+
+        const materials = isObject(item.materials) ? item.materials : {};
+        for (const side of ['A', 'B']) {
+            if (isObject(materials[side])) {
+                node.materials[side] = readFields(materials[side], MATERIAL_FIELDS,
+                    createMaterialSettings(), `${path}.materials.${side}`, warnings);
+            }
+        }
+        nodes.push(node);
+    });
+
+    if (nodes.length === 0) return null;
+
+    // Unknown parents first, then cycles (a node reaching itself through its parents)
+    const byId = new Map(nodes.map((node) => [node.id, node]));
+    for (const node of nodes) {
+        if (node.parent !== null && !byId.has(node.parent)) {
+            warnings.push(`Node ${node.id}: parent ${JSON.stringify(node.parent)} does not exist (moved to the root)`);
+            node.parent = null;
+        }
+    }
+    for (const node of nodes) {
+        const visited = new Set([node.id]);
+        for (let parent = byId.get(node.parent); parent; parent = byId.get(parent.parent)) {
+            if (visited.has(parent.id)) {
+                warnings.push(`Node ${node.id}: parent links form a cycle (moved to the root)`);
+                node.parent = null;
+                break;
+            }
+            visited.add(parent.id);
+        }
+    }
+    return nodes;
+}
+
+/**
+ * Read the lights (extra lights beyond MAX_LIGHTS are dropped)
+ * @param {*} source - document.state.lights
+ * @param {Array<string>} warnings - Receives problems
+ * @returns {Array<Object>|null} Lights, or null if there are none
+ */
+function readLights(source, warnings) {
+    if (!Array.isArray(source) || source.length === 0) {
+        warnings.push('state.lights: expected a non-empty light list (default light kept)');
+        return null;
+    }
+    if (source.length > MAX_LIGHTS) {
+        warnings.push(`state.lights: only the first ${MAX_LIGHTS} lights are used`);
+    }
+
+    const lights = [];
+    source.slice(0, MAX_LIGHTS).forEach((item, i) => {
+        if (!isObject(item)) {
+            warnings.push(`state.lights[${i}]: expected a light (skipped)`);
+            return;
+        }
+        const path = `state.lights[${i}]`;
+        const light = readFields(item, LIGHT_FIELDS, createLight(), path, warnings);
+
+        // The unit has to suit the type (a directional light has no lumens)
+        const units = LIGHT_TYPE_UNITS[light.type];
+        if (!units.includes(light.unit)) {
+            if (item.unit !== undefined) {
+                warnings.push(`${path}.unit: ${JSON.stringify(item.unit)} does not suit the light type, using ${units[0]}`);
+            }
+            light.unit = units[0];
+        }
+        lights.push(light);
+    });
+    return lights.length > 0 ? lights : null;
+}
+
+/**
+ * Parse, upgrade and validate a scene document
+ * Only the structure is fatal (not a scene file, unknown version); invalid
+ * fields are reported as warnings and left at their defaults.
+ *
+ * @param {string|Object} input - JSON text or parsed document
+ * @param {Object} options - {meshKeys: Set of mesh library keys that are loaded}
+ * @returns {{state: Object, camera: Object, warnings: Array<string>}} Valid state
+ *          fields (to merge into a default state), camera view and problems found
+ */
+export function parseScene(input, { meshKeys = new Set() } = {}) {
+    let doc = input;
+    if (typeof input === 'string') {
+        try {
+            doc = JSON.parse(input);
+        } catch (err) {
+            throw new Error(`Not a JSON file (${err.message})`);
+        }
+    }
+    if (!isObject(doc) || doc.format !== SCENE_FORMAT) {
+        throw new Error('Not a scene file (missing "format": "cook-torrance-scene")');
+    }
+    if (!Number.isInteger(doc.version) || doc.version < 1) {
+        throw new Error(`Invalid scene file version ${JSON.stringify(doc.version)}`);
+    }
+    if (doc.version > SCENE_VERSION) {
+        throw new Error(`Scene file version ${doc.version} is newer than supported (${SCENE_VERSION})`);
+    }
+    doc = migrateScene(doc);
+
+    const warnings = [];
+    const source = isObject(doc.state) ? doc.state : {};
+    const state = readFields(source, SETTINGS, {}, 'state', warnings);
+
+    const nodes = readNodes(source.scene, meshKeys, warnings);
+    if (nodes) {
+        state.scene = SceneGraph.fromNodes(nodes);
+        state.selectedNode = nodes[nodes.length - 1].id;
+        readFields(source, { selectedNode: oneOf(nodes.map((node) => node.id)) }, state, 'state', warnings);
+    }
+
+    if (isObject(source.brdf)) {
+        state.brdf = {};
+        for (const side of ['A', 'B']) {
+            state.brdf[side] = readFields(isObject(source.brdf[side]) ? source.brdf[side] : {},
+                BRDF_FIELDS, createBrdfSettings(), `state.brdf.${side}`, warnings);
+        }
+    }
+
+    const lights = readLights(source.lights, warnings);
+    if (lights) {
+        const indices = lights.map((light, i) => i);
+        state.lights = lights;
+        state.selectedLight = 0;
+        state.shadowLight = 0;
+        readFields(source, {
+            selectedLight: oneOf(indices),
+            shadowLight: oneOf([-1, ...indices]),
+        }, state, 'state', warnings);
+    }
+
+    const camera = readFields(isObject(doc.camera) ? doc.camera : {}, CAMERA_FIELDS, {}, 'camera', warnings);
+    return { state, camera, warnings };
+}
+
+// ====================================
+// Material presets
+// ====================================
+
+/**
+ * Build the document for a list of user presets
+ * @param {Array<Object>} presets - Presets (see createPreset)
+ * @returns {Object} Presets document (ready for JSON.stringify)
+ */
+export function serializePresets(presets) {
+    return {
+        format: PRESETS_FORMAT,
+        version: PRESETS_VERSION,
+        presets: presets.map((preset) => {
+            const fields = { name: preset.name };
+            for (const key of Object.keys(PRESET_FIELDS)) {
+                if (preset[key] !== undefined) fields[key] = preset[key];
+            }
+            return fields;
+        }),
+    };
+}
+
+/**
+ * Read a presets document
+ * Presets without a name are skipped; invalid fields are left out with a warning.
+ *
+ * @param {string|Object} input - JSON text or parsed document
+ * @returns {{presets: Array<Object>, warnings: Array<string>}} Valid presets and problems found
+ */
+export function parsePresets(input) {
+    let doc = input;
+    if (typeof input === 'string') {
+        try {
+            doc = JSON.parse(input);
+        } catch (err) {
+            throw new Error(`Not a JSON file (${err.message})`);
+        }
+    }
+    if (!isObject(doc) || doc.format !== PRESETS_FORMAT) {
+        throw new Error(`Not a material preset file (missing "format": "${PRESETS_FORMAT}")`);
+    }
+    if (!Number.isInteger(doc.version) || doc.version < 1 || doc.version > PRESETS_VERSION) {
+        throw new Error(`Unsupported material preset file version ${JSON.stringify(doc.version)}`);
+    }
+    if (!Array.isArray(doc.presets)) {
+        throw new Error('The material preset file has no preset list');
+    }
+
+    const warnings = [];
+    const presets = [];
+    doc.presets.forEach((item, i) => {
+        const path = `presets[${i}]`;
+        if (!isObject(item) || typeof item.name !== 'string' || item.name.trim() === '') {
+            warnings.push(`${path}: expected a preset with a name (skipped)`);
+            return;
+        }
+        presets.push(readFields(item, PRESET_FIELDS, { name: item.name.trim() }, path, warnings));
+    });
+    return { presets, warnings };
+}
+
+// ====================================
+// Scene links (URL hash)
+// ====================================
+
+// URL hash of a scene link: #scene=<base64url of the deflated document>
+const HASH_PREFIX = '#scene=';
+
+// JSON.stringify replacer: 4 decimals are finer than any slider step and keep links short.
+// Shutter speeds are read back as exact SHUTTER_SPEEDS entries (1/30 has no 4-decimal
+// form), so they keep their full precision.
+const EXACT_LINK_KEYS = new Set(['cameraShutter']);
+const roundForLink = (key, value) => (
+    typeof value === 'number' && !EXACT_LINK_KEYS.has(key) ? Math.round(value * 1e4) / 1e4 : value
+);
+
+/**
+ * Pass bytes through a compression stream
+ * @param {Uint8Array} bytes - Input
+ * @param {CompressionStream|DecompressionStream} stream - Transform
+ * @returns {Promise<Uint8Array>} Output
+ */
+async function pipeBytes(bytes, stream) {
+    const output = new Blob([bytes]).stream().pipeThrough(stream);
+    return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+/**
+ * Whether a URL hash holds a scene link
+ * @param {string} hash - location.hash
+ * @returns {boolean} True for '#scene=...'
+ */
+export function isSceneHash(hash) {
+    return hash.startsWith(HASH_PREFIX);
+}
+
+/**
+ * Encode a document as a URL hash
+ * @param {Object} doc - Scene document from serializeScene
+ * @returns {Promise<string>} Hash including the leading '#'
+ */
+export async function encodeSceneHash(doc) {
+    const json = JSON.stringify(doc, roundForLink);
+    const bytes = await pipeBytes(new TextEncoder().encode(json), new CompressionStream('deflate-raw'));
+    let binary = '';
+    for (const byte of bytes) {
+        binary += String.fromCharCode(byte);
+    }
+    return HASH_PREFIX + btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode a URL hash written by encodeSceneHash
+ * @param {string} hash - location.hash
+ * @returns {Promise<string>} Document JSON (for parseScene)
+ */
+export async function decodeSceneHash(hash) {
+    try {
+        const base64 = decodeURIComponent(hash.slice(HASH_PREFIX.length)).replace(/-/g, '+').replace(/_/g, '/');
+        const bytes = Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+        return new TextDecoder().decode(await pipeBytes(bytes, new DecompressionStream('deflate-raw')));
+    } catch {
+        throw new Error('The scene link is damaged (the URL hash could not be decoded)');
+    }
+}
@@ -8,21 +8,129 @@
  * - Fresnel-Schlick approximation (F term)
  */
 
+/**
+ * Maximum number of simultaneous lights
+ * Sizes the LightBlock uniform buffer (must match packLights in renderer.js)
+ */
+export const MAX_LIGHTS = 8;
+
+/**
+ * BRDF term variants
+ * Selected at compile time through the BRDF_D, BRDF_G, BRDF_F and BRDF_FD defines
+ * (see brdfDefines); the values must match the #if branches in fragmentShader.
+ */
+export const BRDF_VARIANTS = {
+    D: {
+        GGX: 0,                      // GGX / Trowbridge-Reitz
+        BECKMANN: 1,                 // Beckmann (Gaussian slopes)
+        BLINN_PHONG: 2,              // Normalized Blinn-Phong, n = 2/α² - 2
+    },
+    G: {
+        SMITH_SCHLICK_GGX: 0,        // Separable Smith with Schlick-GGX
+        SMITH_HEIGHT_CORRELATED: 1,  // Height-correlated Smith GGX (Heitz 2014)
+        KELEMEN: 2,                  // Kelemen-Szirmay-Kalos approximation
+        COOK_TORRANCE: 3,            // Original V-cavity term
+        IMPLICIT: 4,                 // G = (n·l)(n·v)
+    },
+    F: {
+        SCHLICK: 0,                  // Schlick's approximation
+        DIELECTRIC: 1,               // Exact dielectric Fresnel (IOR derived from F0)
+        CONDUCTOR: 2,                // Exact conductor Fresnel with complex IOR
+    },
+    Fd: {
+        LAMBERT: 0,                  // Constant albedo / π
+        BURLEY: 1,                   // Disney diffuse (Burley 2012)
+        OREN_NAYAR: 2,               // Qualitative Oren-Nayar (rough Lambertian facets)
+        LAMBERT_COUPLED: 3,          // Lambert given what the specular lobe leaves (Kelemen 2001)
+        BURLEY_RENORMALIZED: 4,      // Disney diffuse renormalized (Frostbite, Lagarde 2014)
+        OREN_NAYAR_ENERGY: 5,        // Energy-preserving Oren-Nayar (Portsmouth et al. 2024)
+    },
+};
+
+/**
+ * Area light shapes (light.areaShape); the values must match evaluateAreaLight
+ * - Rectangle and disk: one-sided, emitting along the light direction
+ * - Tube: cylinder along the light's tangent, emitting all around
+ */
+export const AREA_SHAPES = {
+    RECTANGLE: 0,
+    DISK: 1,
+    TUBE: 2,
+};
+
+/**
+ * Subsurface scattering modes (material.subsurface); the values must match subsurfaceFalloff
+ * - Pre-integrated: diffuse falloff blurred by a diffusion profile (see subsurface.js)
+ * - Wrap: diffuse falloff wrapped past the terminator, without the table
+ */
+export const SUBSURFACE_MODES = {
+    OFF: 0,
+    PREINTEGRATED: 1,
+    WRAP: 2,
+};
+
+/**
+ * Complex index of refraction (η + iκ) of common metals at RGB wavelengths
+ * Used by the conductor Fresnel variant instead of the base color
+ */
+export const CONDUCTOR_IOR = {
+    gold:      { eta: [0.18299, 0.42108, 1.37340], k: [3.42420, 2.34590, 1.77040] },
+    silver:    { eta: [0.15943, 0.14512, 0.13547], k: [3.92910, 3.19000, 2.38080] },
+    copper:    { eta: [0.27105, 0.67693, 1.31640], k: [3.60920, 2.62480, 2.29210] },
+    aluminium: { eta: [1.34560, 0.96521, 0.61722], k: [7.47460, 6.39950, 5.30310] },
+    iron:      { eta: [2.91140, 2.94970, 2.58450], k: [3.08930, 2.93180, 2.76700] },
+    chromium:  { eta: [3.10710, 3.18120, 2.32300], k: [3.33140, 3.32910, 3.13500] },
+};
+
+/**
+ * Create the BRDF term variants of one comparison side
+ * The terms are compiled into the side's program, so they apply to every node.
+ * 
+ * @returns {Object} Variant ids {D, G, F, Fd} (see BRDF_VARIANTS) and the
+ *          multiple-scattering switch {multiScatter}
+ */
+export function createBrdfSettings() {
+    return {
+        D: BRDF_VARIANTS.D.GGX,
+        G: BRDF_VARIANTS.G.SMITH_SCHLICK_GGX,
+        F: BRDF_VARIANTS.F.SCHLICK,
+        Fd: BRDF_VARIANTS.Fd.LAMBERT,
+        multiScatter: false,   // Multiple-scattering energy compensation
+    };
+}
+
+/**
+ * Preprocessor defines selecting the BRDF term variants
+ * @param {{D: number, G: number, F: number, Fd: number, multiScatter: boolean}} brdf -
+ *        Variant ids (see BRDF_VARIANTS) and the multiple-scattering switch
+ * @returns {Object} Defines for createProgram
+ */
+export function brdfDefines(brdf) {
+    return {
+        BRDF_D: brdf.D,
+        BRDF_G: brdf.G,
+        BRDF_F: brdf.F,
+        BRDF_FD: brdf.Fd,
+        MULTI_SCATTER: brdf.multiScatter ? 1 : 0,
+    };
+}
+
 /**
  * Vertex Shader (Shared)
  * 
  * Transforms vertices from model space to clip space and prepares data for fragment shader.
- * Supports both normal rendering and shadow projection onto a plane.
  * 
  * Inputs:
  * - aPos: Vertex position in model space
  * - aNormal: Surface normal in model space
  * - aUV: Texture coordinates
+ * - aTangent: Tangent in model space, w = bitangent handedness
  * 
  * Outputs:
  * - vWorldPos: Position in world space (for lighting calculations)
  * - vNormal: Normal in world space (transformed by normal matrix)
  * - vUV: Texture coordinates (pass-through)
+ * - vTangent: Tangent in world space (for normal mapping), w passed through
  */
 export const vertexShader = `#version 300 es
 precision highp float;
@@ -31,32 +139,29 @@ precision highp float;
 layout(location = 0) in vec3 aPos;      // Position
 layout(location = 1) in vec3 aNormal;   // Normal vector
 layout(location = 2) in vec2 aUV;       // Texture coordinates
+layout(location = 3) in vec4 aTangent;  // Tangent (xyz) and handedness (w)
 
 // Transformation matrices
 uniform mat4 uModel;       // Model matrix (model → world space)
 uniform mat4 uView;        // View matrix (world → camera space)
 uniform mat4 uProj;        // Projection matrix (camera → clip space)
-uniform mat4 uShadowMat;   // Shadow projection matrix (projects onto floor plane)
-uniform bool uUseShadowMat; // Whether to apply shadow projection
 uniform mat3 uNormalMat;   // Normal matrix (inverse-transpose of model matrix)
 
 // Output to fragment shader
 out vec3 vWorldPos;  // World-space position
 out vec3 vNormal;    // World-space normal
 out vec2 vUV;        // Texture coordinates
+out vec4 vTangent;   // World-space tangent + handedness
 
 void main() {
     // Transform vertex to world space first
     vec4 worldPos = uModel * vec4(aPos, 1.0);
     
-    // If rendering shadow, project onto floor plane
-    if (uUseShadowMat) {
-        worldPos = uShadowMat * worldPos;
-    }
-    
     vWorldPos = worldPos.xyz;
     vNormal = normalize(uNormalMat * aNormal); // Transform normal to world space
     vUV = aUV;
+    // Tangents lie in the surface, so they transform with the model matrix itself
+    vTangent = vec4(normalize(mat3(uModel) * aTangent.xyz), aTangent.w);
     
     // Final transformation to clip space
     gl_Position = uProj * uView * worldPos;
@@ -64,51 +169,12 @@ void main() {
 `;
 
 /**
- * Fragment Shader - Cook-Torrance BRDF
- * 
- * Implements physically-based rendering using the Cook-Torrance microfacet BRDF model.
- * 
- * BRDF Formula:
- * f(l,v) = kD * (albedo / π) + kS * (D * G * F) / (4 * (n·l) * (n·v))
- * 
- * Where:
- * - kD: Diffuse coefficient (energy not reflected specularly)
- * - kS: Specular coefficient (equals Fresnel term F)
- * - D: Normal Distribution Function (microfacet distribution)
- * - G: Geometry function (shadowing and masking)
- * - F: Fresnel term (reflection at different angles)
- * - n: Surface normal, l: Light direction, v: View direction
+ * Shared GLSL: normal distribution (D) and geometry (G) terms
+ * The variants are selected by the BRDF_D and BRDF_G defines; the including
+ * shader provides PI. Shared by the lighting shader and the directional albedo
+ * tables of the multiple-scattering compensation (see multiscatter.js).
  */
-export const fragmentShader = `#version 300 es
-precision highp float;
-
-// Input from vertex shader
-in vec3 vWorldPos;  // Fragment position in world space
-in vec3 vNormal;    // Interpolated normal
-in vec2 vUV;        // Texture coordinates
-
-// Output color
-out vec4 fragColor;
-
-// Camera
-uniform vec3 uCameraPos;  // Camera position for view direction calculation
-
-// Material properties (PBR parameters)
-uniform vec3 uAlbedo;       // Base color (diffuse reflectance)
-uniform float uMetallic;    // Metalness [0=dielectric, 1=metal]
-uniform float uRoughness;   // Surface roughness [0=smooth, 1=rough]
-
-// Light properties
-uniform int uLightType;         // 0=point, 1=directional, 2=spot, 3=area
-uniform vec3 uLightPos;         // Light position (world space)
-uniform vec3 uLightDir;         // Light direction (for directional/spot)
-uniform vec3 uLightColor;       // Light color (RGB)
-uniform float uLightIntensity;  // Light intensity multiplier
-uniform float uSpotAngle;       // Spotlight cone angle (cosine)
-uniform float uSpotSoftness;    // Spotlight edge softness
-uniform vec2 uAreaSize;         // Area light dimensions
-uniform float uShadowBlend;     // Shadow darkness [0=no shadow, 1=full shadow]
-
+export const MICROFACET_GLSL = `
 /**
  * Normal Distribution Function (D) - GGX / Trowbridge-Reitz
  * 
@@ -124,10 +190,56 @@ uniform float uShadowBlend;     // Shadow darkness [0=no shadow, 1=full shadow]
 float D_GGX(float NdotH, float alpha) {
     float a2 = alpha * alpha;
     float denom = (NdotH * NdotH) * (a2 - 1.0) + 1.0;
-    denom = 3.14159265 * denom * denom;
+    denom = PI * denom * denom;
     return a2 / max(0.0001, denom); // Avoid division by zero
 }
 
+/**
+ * Normal Distribution Function (D) - Beckmann
+ * 
+ * Gaussian distribution of microfacet slopes (the original Cook-Torrance choice).
+ * 
+ * Formula: D = exp(((n·h)² - 1) / (α² (n·h)²)) / (π α² (n·h)⁴)
+ * 
+ * @param NdotH - Dot product of normal and half vector
+ * @param alpha - Roughness squared (α = roughness²)
+ * @return Distribution value
+ */
+float D_Beckmann(float NdotH, float alpha) {
+    float a2 = alpha * alpha;
+    float cos2 = max(NdotH * NdotH, 0.0001);
+    return exp((cos2 - 1.0) / (a2 * cos2)) / (PI * a2 * cos2 * cos2);
+}
+
+/**
+ * Normal Distribution Function (D) - Normalized Blinn-Phong
+ * 
+ * Phong lobe around the half vector with the exponent matched to Beckmann.
+ * 
+ * Formula: D = (n + 2) / (2π) * (n·h)ⁿ, with n = 2/α² - 2
+ * 
+ * @param NdotH - Dot product of normal and half vector
+ * @param alpha - Roughness squared (α = roughness²)
+ * @return Distribution value
+ */
+float D_BlinnPhong(float NdotH, float alpha) {
+    float n = max(2.0 / (alpha * alpha) - 2.0, 0.0);
+    return (n + 2.0) / (2.0 * PI) * pow(NdotH, n);
+}
+
+/**
+ * Selected normal distribution function (BRDF_D)
+ */
+float distributionTerm(float NdotH, float alpha) {
+#if BRDF_D == 1
+    return D_Beckmann(NdotH, alpha);
+#elif BRDF_D == 2
+    return D_BlinnPhong(NdotH, alpha);
+#else
+    return D_GGX(NdotH, alpha);
+#endif
+}
+
 /**
  * Geometry Function (G) - Smith's method with Schlick-GGX
  * 
@@ -154,256 +266,1836 @@ float G_Smith(float NdotV, float NdotL, float roughness) {
 }
 
 /**
- * Fresnel Equation - Schlick's Approximation
+ * Geometry Function (G) - Height-correlated Smith GGX
  * 
- * Describes how light reflects at different angles.
- * At grazing angles, all surfaces become more reflective.
+ * Masking and shadowing are correlated through the microsurface height,
+ * which avoids the double counting of the separable form.
  * 
- * Formula: F = F₀ + (1 - F₀) * (1 - cos(θ))⁵
+ * Formula: G = 1 / (1 + Λ(v) + Λ(l)), Λ(x) = (√(1 + α² tan²θx) - 1) / 2
  * 
- * @param cosTheta - Dot product of view direction and half vector
- * @param F0 - Base reflectance (at normal incidence)
- * @return Fresnel reflectance
+ * @param NdotV - Dot product of normal and view direction
+ * @param NdotL - Dot product of normal and light direction
+ * @param alpha - Roughness squared (α = roughness²)
+ * @return Geometry occlusion factor
  */
-vec3 fresnelSchlick(float cosTheta, vec3 F0) {
-    return F0 + (1.0 - F0) * pow(1.0 - cosTheta, 5.0);
+float G_SmithHeightCorrelated(float NdotV, float NdotL, float alpha) {
+    // Multiplying through by (n·l)(n·v) avoids the tangents:
+    // G = 2(n·l)(n·v) / ((n·l)√(α² + (1 - α²)(n·v)²) + (n·v)√(α² + (1 - α²)(n·l)²))
+    float a2 = alpha * alpha;
+    float viewTerm = NdotL * sqrt(NdotV * NdotV * (1.0 - a2) + a2);
+    float lightTerm = NdotV * sqrt(NdotL * NdotL * (1.0 - a2) + a2);
+    return 2.0 * NdotL * NdotV / max(viewTerm + lightTerm, 0.0001);
 }
 
 /**
- * Evaluate Cook-Torrance BRDF for a single light sample
+ * Geometry Function (G) - Kelemen / Szirmay-Kalos
  * 
- * Combines diffuse (Lambert) and specular (Cook-Torrance) components.
+ * Cheap approximation that cancels the (n·l)(n·v) denominator of the BRDF.
  * 
- * @param N - Surface normal
- * @param V - View direction (to camera)
- * @param L - Light direction (to light)
- * @param radiance - Incoming light energy
- * @return Outgoing light energy (reflected color)
+ * Formula: G = (n·l)(n·v) / (v·h)²
+ * 
+ * @param NdotV - Dot product of normal and view direction
+ * @param NdotL - Dot product of normal and light direction
+ * @param VdotH - Dot product of view direction and half vector
+ * @return Geometry occlusion factor
  */
-vec3 evaluateBRDF(vec3 N, vec3 V, vec3 L, vec3 radiance) {
-    vec3 H = normalize(V + L); // Half vector between view and light
-    
-    // Calculate dot products (clamped to [0,1] for lighting)
-    float NdotL = clamp(dot(N, L), 0.0, 1.0);
-    float NdotV = clamp(dot(N, V), 0.0, 1.0);
-    float NdotH = clamp(dot(N, H), 0.0, 1.0);
-    float VdotH = clamp(dot(V, H), 0.0, 1.0);
-
-    // Calculate Cook-Torrance BRDF terms
-    float alpha = max(0.001, uRoughness * uRoughness); // Squared roughness
-    float D = D_GGX(NdotH, alpha);                     // Normal distribution
-    float G = G_Smith(NdotV, NdotL, alpha);            // Geometry term
-
-    // Fresnel reflectance at normal incidence (F0)
-    // Dielectrics: ~0.04 (4% reflectance)
-    // Metals: use albedo color as F0
-    vec3 F0 = mix(vec3(0.04), uAlbedo, uMetallic);
-    vec3 F = fresnelSchlick(VdotH, F0);                // Fresnel term
-
-    // Specular component: (D * G * F) / (4 * NdotL * NdotV)
-    vec3 numerator = D * G * F;
-    float denom = max(0.001, 4.0 * NdotV * NdotL);
-    vec3 specular = numerator / denom;
-
-    // Energy conservation: kS + kD = 1
-    vec3 kS = F;                          // Specular reflection coefficient
-    vec3 kD = (vec3(1.0) - kS) * (1.0 - uMetallic); // Diffuse (metals have no diffuse)
+float G_Kelemen(float NdotV, float NdotL, float VdotH) {
+    return NdotL * NdotV / max(VdotH * VdotH, 0.0001);
+}
 
-    // Lambertian diffuse: albedo / π
-    vec3 diffuse = kD * uAlbedo / 3.14159265;
+/**
+ * Geometry Function (G) - Cook-Torrance (V-cavities)
+ * 
+ * The original term from Cook and Torrance (1982), independent of roughness.
+ * 
+ * Formula: G = min(1, 2(n·h)(n·v)/(v·h), 2(n·h)(n·l)/(v·h))
+ * 
+ * @param NdotV - Dot product of normal and view direction
+ * @param NdotL - Dot product of normal and light direction
+ * @param NdotH - Dot product of normal and half vector
+ * @param VdotH - Dot product of view direction and half vector
+ * @return Geometry occlusion factor
+ */
+float G_CookTorrance(float NdotV, float NdotL, float NdotH, float VdotH) {
+    float scale = 2.0 * NdotH / max(VdotH, 0.0001);
+    return min(1.0, min(scale * NdotV, scale * NdotL));
+}
 
-    // Combine diffuse and specular, multiply by radiance and angle
-    return (diffuse + specular) * radiance * NdotL;
+/**
+ * Selected geometry function (BRDF_G)
+ * The implicit variant G = (n·l)(n·v) reduces the specular term to D·F / 4.
+ */
+float geometryTerm(float NdotV, float NdotL, float NdotH, float VdotH, float alpha) {
+#if BRDF_G == 1
+    return G_SmithHeightCorrelated(NdotV, NdotL, alpha);
+#elif BRDF_G == 2
+    return G_Kelemen(NdotV, NdotL, VdotH);
+#elif BRDF_G == 3
+    return G_CookTorrance(NdotV, NdotL, NdotH, VdotH);
+#elif BRDF_G == 4
+    return NdotL * NdotV;
+#else
+    return G_Smith(NdotV, NdotL, alpha);
+#endif
 }
 
 /**
- * Calculate spotlight attenuation with smooth falloff
+ * Normal Distribution Function (D) - Anisotropic GGX
  * 
- * @param L - Light direction
- * @param dir - Spotlight direction
- * @return Attenuation factor [0, 1]
+ * GGX with separate roughness along the tangent (αt) and bitangent (αb);
+ * equals D_GGX when αt = αb.
+ * 
+ * Formula: D = 1 / (π αt αb ((t·h)²/αt² + (b·h)²/αb² + (n·h)²)²)
+ * 
+ * @param NdotH - Dot product of normal and half vector
+ * @param TdotH - Dot product of tangent and half vector
+ * @param BdotH - Dot product of bitangent and half vector
+ * @param at - Roughness along the tangent
+ * @param ab - Roughness along the bitangent
+ * @return Distribution value
  */
-float spotAttenuation(vec3 L, vec3 dir) {
-    float cosTheta = dot(normalize(-dir), L);
-    float edge = uSpotAngle;
-    float softness = uSpotSoftness;
-    // Smooth transition from full intensity to zero
-    return smoothstep(edge, edge + softness, cosTheta);
+float D_GGXAnisotropic(float NdotH, float TdotH, float BdotH, float at, float ab) {
+    float a2 = at * ab;
+    vec3 d = vec3(ab * TdotH, at * BdotH, a2 * NdotH);
+    float w2 = a2 / max(dot(d, d), 1e-7);
+    return a2 * w2 * w2 / PI;
 }
 
 /**
- * Build orthonormal basis from a direction vector
- * Used for area light sampling
+ * Geometry Function (G) - Anisotropic height-correlated Smith GGX
  * 
- * @param n - Input direction (will be one basis vector)
- * @param t - Output tangent vector
- * @param b - Output bitangent vector
+ * G_SmithHeightCorrelated with the projected roughness of each direction:
+ * α²tan²θ becomes ((αt t·x)² + (αb b·x)²) / (n·x)².
+ * 
+ * @param NdotV - Dot product of normal and view direction
+ * @param NdotL - Dot product of normal and light direction
+ * @param TBdotV - Dot products of tangent and bitangent with the view direction
+ * @param TBdotL - Dot products of tangent and bitangent with the light direction
+ * @param at - Roughness along the tangent
+ * @param ab - Roughness along the bitangent
+ * @return Geometry occlusion factor
  */
-void basisFromDir(vec3 n, out vec3 t, out vec3 b) {
-    // Choose a vector not parallel to n
-    vec3 up = abs(n.y) < 0.999 ? vec3(0.0, 1.0, 0.0) : vec3(1.0, 0.0, 0.0);
-    t = normalize(cross(up, n));
-    b = cross(n, t);
+float G_SmithAnisotropic(float NdotV, float NdotL, vec2 TBdotV, vec2 TBdotL, float at, float ab) {
+    vec2 alpha = vec2(at, ab);
+    float viewTerm = NdotL * length(vec3(alpha * TBdotV, NdotV));
+    float lightTerm = NdotV * length(vec3(alpha * TBdotL, NdotL));
+    return 2.0 * NdotL * NdotV / max(viewTerm + lightTerm, 0.0001);
 }
 
 /**
- * Compute lighting for all light types
+ * Sheen distribution (D) - Charlie (Estevez and Kulla 2017)
  * 
- * Handles point, directional, spot, and area lights.
- * Calculates light direction, attenuation, and evaluates BRDF.
+ * Peaks where h lies in the surface, which gives cloth its grazing glow.
  * 
- * @param N - Surface normal
- * @param V - View direction
- * @return Lit color
+ * Formula: D = (2 + 1/α) sin(θh)^(1/α) / (2π)
+ * 
+ * @param NdotH - Dot product of normal and half vector
+ * @param alpha - Sheen roughness squared
+ * @return Distribution value
  */
-vec3 computeLighting(vec3 N, vec3 V) {
-    vec3 result = vec3(0.0);
-    vec3 L;
-    float attenuation = 1.0;
-
-    if (uLightType == 0) {
-        // Point light: inverse-square falloff
-        vec3 lightVec = uLightPos - vWorldPos;
-        float dist = max(0.001, length(lightVec));
-        L = lightVec / dist;
-        attenuation = 1.0 / (dist * dist);
-        result += evaluateBRDF(N, V, L, uLightColor * uLightIntensity * attenuation);
-        
-    } else if (uLightType == 1) {
-        // Directional light: no attenuation (sun-like)
-        L = normalize(-uLightDir);
-        result += evaluateBRDF(N, V, L, uLightColor * uLightIntensity);
-        
-    } else if (uLightType == 2) {
-        // Spot light: cone with smooth edges + inverse-square falloff
-        vec3 lightVec = uLightPos - vWorldPos;
-        float dist = max(0.001, length(lightVec));
-        L = lightVec / dist;
-        attenuation = spotAttenuation(L, uLightDir) * (1.0 / (dist * dist));
-        result += evaluateBRDF(N, V, L, uLightColor * uLightIntensity * attenuation);
-        
-    } else {
-        // Area light: rectangular light with very dense sampling (8x8 grid = 64 samples)
-        // Every point on the rectangular surface emits light
-        vec3 t, b;
-        basisFromDir(normalize(-uLightDir), t, b);
-        vec2 halfSize = uAreaSize * 0.5;
-        
-        // Sample an 8x8 grid for very smooth, continuous lighting from entire surface
-        const int gridSize = 8;
-        for (int ix = 0; ix < gridSize; ++ix) {
-            for (int iy = 0; iy < gridSize; ++iy) {
-                // Calculate normalized position on grid [-1, 1]
-                // Spread samples evenly across the entire rectangle
-                float u = (float(ix) / float(gridSize - 1)) * 2.0 - 1.0; // -1 to +1
-                float v = (float(iy) / float(gridSize - 1)) * 2.0 - 1.0; // -1 to +1
-                
-                // Position on the rectangular light surface
-                vec3 samplePos = uLightPos + (u * halfSize.x) * t + (v * halfSize.y) * b;
-                vec3 lightVec = samplePos - vWorldPos;
-                float dist = max(0.001, length(lightVec));
-                L = lightVec / dist;
-                
-                // Weight by light direction (area lights emit in one direction)
-                // Using light normal direction for proper one-sided emission
-                vec3 lightNormal = normalize(-uLightDir);
-                float cosTheta = dot(lightNormal, -L); // Negative L because we want light-to-surface
-                
-                // Only accept light from the front side of the area light
-                if (cosTheta > 0.0) {
-                    attenuation = cosTheta / (dist * dist);
-                    result += evaluateBRDF(N, V, L, uLightColor * uLightIntensity * attenuation);
-                }
-            }
-        }
-        
-        // Average all 64 samples for smooth continuous lighting
-        result /= float(gridSize * gridSize);
-    }
-
-    // Add small ambient term to prevent completely black surfaces
-    vec3 ambient = 0.03 * uAlbedo;
-    return ambient + result;
+float D_Charlie(float NdotH, float alpha) {
+    float invAlpha = 1.0 / alpha;
+    float sin2 = max(1.0 - NdotH * NdotH, 0.0078125); // Keeps pow away from 0^x
+    return (2.0 + invAlpha) * pow(sin2, invAlpha * 0.5) / (2.0 * PI);
 }
 
-void main() {
-    vec3 N = normalize(vNormal);                    // Surface normal
-    vec3 V = normalize(uCameraPos - vWorldPos);     // View direction
-    
-    // Compute lighting
-    vec3 color = computeLighting(N, V);
-    
-    // Apply shadow darkening
-    color = mix(color, color * (1.0 - uShadowBlend), uShadowBlend);
-    
-    fragColor = vec4(color, 1.0);
+/**
+ * Sheen visibility (V = G / (4 (n·l)(n·v))) - Neubelt and Pettineo 2013
+ * 
+ * Formula: V = 1 / (4 ((n·l) + (n·v) - (n·l)(n·v)))
+ * 
+ * @param NdotV - Dot product of normal and view direction
+ * @param NdotL - Dot product of normal and light direction
+ * @return Visibility
+ */
+float V_Neubelt(float NdotV, float NdotL) {
+    return 1.0 / max(4.0 * (NdotL + NdotV - NdotL * NdotV), 0.0001);
 }
 `;
 
 /**
- * Fragment Shader - Emissive (Unlit)
- * Used for drawing helper geometry like the light source indicator
+ * Shared GLSL: low-discrepancy sequence and GGX importance sampling
+ * The including shader provides PI.
  */
-export const emissiveFragmentShader = `#version 300 es
-precision highp float;
-
-in vec3 vWorldPos; // Unused but kept for interface compatibility
-in vec3 vNormal;
-in vec2 vUV;
+export const SAMPLING_GLSL = `
+// Van der Corput radical inverse (bit reversal without bitfieldReverse)
+float radicalInverse(uint bits) {
+    bits = (bits << 16u) | (bits >> 16u);
+    bits = ((bits & 0x55555555u) << 1u) | ((bits & 0xAAAAAAAAu) >> 1u);
+    bits = ((bits & 0x33333333u) << 2u) | ((bits & 0xCCCCCCCCu) >> 2u);
+    bits = ((bits & 0x0F0F0F0Fu) << 4u) | ((bits & 0xF0F0F0F0u) >> 4u);
+    bits = ((bits & 0x00FF00FFu) << 8u) | ((bits & 0xFF00FF00u) >> 8u);
+    return float(bits) * 2.3283064365386963e-10; // / 2^32
+}
 
-uniform vec3 uColor; // Final color
+// Hammersley point i of n in [0,1)²
+vec2 hammersley(uint i, uint n) {
+    return vec2(float(i) / float(n), radicalInverse(i));
+}
 
-out vec4 fragColor;
+// Sample a half vector around N distributed according to GGX D(h)·(n·h)
+vec3 importanceSampleGGX(vec2 Xi, vec3 N, float alpha) {
+    float a2 = alpha * alpha;
+    float phi = 2.0 * PI * Xi.x;
+    float cosTheta = sqrt((1.0 - Xi.y) / (1.0 + (a2 - 1.0) * Xi.y));
+    float sinTheta = sqrt(1.0 - cosTheta * cosTheta);
+    vec3 H = vec3(cos(phi) * sinTheta, sin(phi) * sinTheta, cosTheta);
 
-void main() {
-    fragColor = vec4(uColor, 1.0);
+    // Tangent space → world space
+    vec3 up = abs(N.z) < 0.999 ? vec3(0.0, 0.0, 1.0) : vec3(1.0, 0.0, 0.0);
+    vec3 tangent = normalize(cross(up, N));
+    vec3 bitangent = cross(N, tangent);
+    return normalize(tangent * H.x + bitangent * H.y + N * H.z);
 }
 `;
 
 /**
- * Shadow Fragment Shader
+ * Fragment Shader - Cook-Torrance BRDF
  * 
- * Soft shadow shader with distance-based opacity falloff.
- * Creates realistic soft edges by calculating distance from shadow center.
- * Used with shadow projection matrix to project object silhouette onto floor.
+ * Implements physically-based rendering using the Cook-Torrance microfacet BRDF model.
+ * The D, G and F terms are chosen at compile time (BRDF_D, BRDF_G and BRDF_F
+ * defines, see BRDF_VARIANTS); without defines GGX, Smith-Schlick and Schlick are used.
+ * MULTI_SCATTER adds the energy lost to multiple scattering between microfacets.
+ * 
+ * BRDF Formula:
+ * f(l,v) = kD * (albedo / π) + kS * (D * G * F) / (4 * (n·l) * (n·v))
+ * 
+ * Where:
+ * - kD: Diffuse coefficient (energy not reflected specularly)
+ * - kS: Specular coefficient (equals Fresnel term F)
+ * - D: Normal Distribution Function (microfacet distribution)
+ * - G: Geometry function (shadowing and masking)
+ * - F: Fresnel term (reflection at different angles)
+ * - n: Surface normal, l: Light direction, v: View direction
  */
-export const shadowFragmentShader = `#version 300 es
+export const fragmentShader = `#version 300 es
 precision highp float;
 
-in vec3 vWorldPos;  // World position of shadow pixel
-in vec3 vNormal;
-in vec2 vUV;
+// Input from vertex shader
+in vec3 vWorldPos;  // Fragment position in world space
+in vec3 vNormal;    // Interpolated normal
+in vec2 vUV;        // Texture coordinates
+in vec4 vTangent;   // Tangent + handedness (normal mapping)
 
+// Output color
 out vec4 fragColor;
 
-uniform float uAlpha;        // Base shadow opacity
-uniform vec3 uShadowCenter;  // Center of shadow in world space
-uniform float uShadowRadius; // Radius for soft edge falloff
+// BRDF term variants (overridden by createProgram defines)
+#ifndef BRDF_D
+#define BRDF_D 0
+#endif
+#ifndef BRDF_G
+#define BRDF_G 0
+#endif
+#ifndef BRDF_F
+#define BRDF_F 0
+#endif
+#ifndef BRDF_FD
+#define BRDF_FD 0
+#endif
+#ifndef MULTI_SCATTER
+#define MULTI_SCATTER 0
+#endif
 
-void main() {
-    // Calculate distance from shadow center
-    vec2 shadowPos = vWorldPos.xz;  // Use XZ plane (horizontal)
-    vec2 centerPos = uShadowCenter.xz;
-    float dist = length(shadowPos - centerPos);
-    
-    // Soft falloff using smoothstep for smooth edges
-    // Inner radius: full opacity, outer radius: fade to transparent
-    float innerRadius = uShadowRadius * 0.5;
-    float outerRadius = uShadowRadius;
-    float edgeFalloff = 1.0 - smoothstep(innerRadius, outerRadius, dist);
-    
-    // Apply falloff to base alpha
-    float finalAlpha = uAlpha * edgeFalloff;
-    
-    // Output semi-transparent black with soft edges
-    fragColor = vec4(0.0, 0.0, 0.0, finalAlpha);
-}
-`;
+const float PI = 3.14159265;
+
+// Camera
+uniform vec3 uCameraPos;  // Camera position for view direction calculation
+
+// Material properties (PBR parameters, act as factors when a map is bound)
+uniform vec3 uAlbedo;       // Base color (diffuse reflectance)
+uniform float uMetallic;    // Metalness [0=dielectric, 1=metal]
+uniform float uRoughness;   // Surface roughness [0=smooth, 1=rough]
+uniform float uIor;         // Dielectric index of refraction (F0 = ((η-1)/(η+1))²)
+uniform vec3 uEmissive;     // Emitted radiance (color × strength)
+
+// Material textures (glTF channel layout, see textures.js)
+uniform sampler2D uBaseColorMap;           // sRGB base color
+uniform sampler2D uNormalMap;              // Tangent-space normal
+uniform sampler2D uMetallicRoughnessMap;   // G = roughness, B = metallic
+uniform sampler2D uOcclusionMap;           // R = ambient occlusion
+uniform sampler2D uEmissiveMap;            // sRGB emissive color
+uniform sampler2D uAnisotropyMap;          // RG = direction in tangent space, B = strength
+uniform bool uHasBaseColorMap;
+uniform bool uHasNormalMap;
+uniform bool uHasMetallicRoughnessMap;
+uniform bool uHasOcclusionMap;
+uniform bool uHasEmissiveMap;
+uniform bool uHasAnisotropyMap;
+uniform float uNormalScale;         // Strength of the normal map's XY perturbation
+uniform float uOcclusionStrength;   // 0 = ignore AO map, 1 = full effect
+uniform float uAnisotropy;          // Anisotropy strength [0, 1]
+uniform vec2 uAnisotropyDirection;  // cos/sin of the anisotropy rotation (from the tangent)
+
+// Layers over the base (0 turns a layer off)
+uniform float uClearcoat;            // Clear-coat weight [0, 1]
+uniform float uClearcoatRoughness;   // Clear-coat roughness
+uniform vec3 uSheenColor;            // Sheen color (black = no sheen)
+uniform float uSheenRoughness;       // Sheen roughness
+uniform float uTransmission;         // Fraction of the dielectric base that transmits [0, 1]
+uniform sampler2D uTransmissionMap;  // Scene behind transmissive surfaces (see transmission.js)
+
+// Subsurface scattering of the diffuse lobe (see subsurface.js)
+uniform int uSubsurface;             // 0 = off, 1 = pre-integrated, 2 = wrap lighting
+uniform float uScatterRadius;        // Scatter distance of the widest channel (world units)
+uniform vec3 uScatterColor;          // Scatter distance per channel, relative to the radius
+uniform sampler2D uSubsurfaceLut;    // Scattered n·l by n·l and profile width
+
+// Conductor Fresnel (BRDF_F == 2): complex IOR of the metal
+uniform vec3 uConductorEta;   // Real part η per RGB channel
+uniform vec3 uConductorK;     // Extinction coefficient κ per RGB channel
 
 /**
- * Compile a shader from source code
- * 
- * @param {WebGL2RenderingContext} gl - WebGL context
+ * Surface parameters at the current fragment
+ * Scalar material properties combined with the material textures
+ */
+struct Material {
+    vec3 albedo;
+    float metallic;
+    float roughness;
+    float ior;       // Index of refraction of the dielectric base
+    float ao;        // Ambient occlusion (indirect light only)
+    vec3 emissive;
+    vec3 energyScale; // Specular multiple-scattering compensation for the view (1 = none)
+    float anisotropy; // Anisotropy strength [0, 1] (0 = isotropic)
+    vec3 anisotropicT; // Direction of the stretched roughness (world space)
+    vec3 anisotropicB; // Perpendicular direction in the surface
+    float clearcoat;
+    float clearcoatRoughness;
+    vec3 clearcoatNormal;  // The coat ignores the base's normal map
+    float coatAttenuation; // Fraction of light through the coat for the view
+    vec3 sheenColor;
+    float sheenRoughness;
+    float sheenAlbedo;     // Directional albedo of the sheen lobe for the view
+    float sheenScaling;    // Fraction of light through the sheen for the view
+    float transmission;
+    int subsurface;
+    vec3 scatterWidth;     // Scatter distance per channel over the radius of curvature
+    vec3 specularAlbedo;   // Light the specular lobe reflects for the view (BRDF_FD == 3)
+    vec3 diffuseCoupling;  // View factor of the coupled diffuse lobe (BRDF_FD == 3)
+};
+
+// Clear-coat reflectance at normal incidence (IOR 1.5, as in KHR_materials_clearcoat)
+#define CLEARCOAT_F0 0.04
+
+// Light properties (std140 uniform block, one vec4-aligned struct per light)
+#define MAX_LIGHTS ${MAX_LIGHTS}
+
+struct Light {
+    vec4 position;   // xyz = world position, w = type (0=point, 1=directional, 2=spot, 3=area)
+    vec4 direction;  // xyz = direction (directional/spot/area), w = spot cone angle (cosine)
+    vec4 color;      // rgb = color × intensity, a = spot edge softness
+    vec4 params;     // xy = area light dimensions, z = area shape, w = unused
+};
+
+layout(std140) uniform LightBlock {
+    Light uLights[MAX_LIGHTS];
+    int uLightCount;             // Number of active entries in uLights
+};
+
+// Shadow mapping
+uniform int uShadowLight;                         // Index of the shadow-casting light (-1 = none)
+uniform int uShadowMode;                          // 0=orthographic, 1=perspective, 2=cube
+uniform highp sampler2DShadow uShadowMap;         // Directional/spot depth map
+uniform highp samplerCubeShadow uShadowCubeMap;   // Point/area distance cube map
+uniform mat4 uLightViewProj;                      // World → light clip space (2D maps)
+uniform float uShadowDepthRange;                  // Depth range used to normalize bias
+uniform float uShadowBias;                        // Depth bias in world units
+uniform float uShadowMapSize;                     // Shadow map resolution in texels
+uniform int uShadowPcfRadius;                     // PCF kernel half-size (kernel = 2r+1)
+
+// Image-based lighting (split-sum approximation)
+uniform bool uIBLEnabled;              // Whether an environment map is loaded and active
+uniform samplerCube uIrradianceMap;    // Cosine-convolved environment (diffuse)
+uniform samplerCube uPrefilterMap;     // GGX-prefiltered environment, roughness per mip (specular)
+uniform sampler2D uBrdfLut;            // BRDF integration LUT: F0 scale (r) and bias (g)
+uniform float uPrefilterMaxLod;        // Mip level for roughness = 1
+uniform float uEnvIntensity;           // Environment radiance multiplier
+uniform float uAmbientIntensity;       // Constant ambient radiance without image-based lighting
+
+// Area lights: linearly transformed cosines fitted to GGX (see ltc.js)
+uniform sampler2D uLtcMatrix;      // Inverse LTC matrix (m00, m02, m20, m22) by roughness and √(1 - n·v)
+uniform sampler2D uLtcAmplitude;   // GGX albedo (r) and its Schlick Fresnel part (g)
+
+// Disks are integrated as regular polygons with this many sides (of the same area)
+#define AREA_DISK_SIDES 16
+
+// Directional albedo tables (multiple-scattering compensation, sheen layer, coupled diffuse)
+uniform sampler2D uAlbedoTable;    // By n·v and roughness: albedo of the D/G terms (r), of the sheen lobe (g),
+                                   // and the Schlick part of the D/G albedo (b)
+
+// White furnace test: uniform white light replaces the lights and the environment
+uniform bool uFurnace;
+#define FURNACE_SAMPLES 64u  // Samples per strategy (cosine and GGX)
+
+${MICROFACET_GLSL}
+/**
+ * Fresnel Equation - Schlick's Approximation
+ * 
+ * Describes how light reflects at different angles.
+ * At grazing angles, all surfaces become more reflective.
+ * 
+ * Formula: F = F₀ + (1 - F₀) * (1 - cos(θ))⁵
+ * 
+ * @param cosTheta - Dot product of view direction and half vector
+ * @param F0 - Base reflectance (at normal incidence)
+ * @return Fresnel reflectance
+ */
+vec3 fresnelSchlick(float cosTheta, vec3 F0) {
+    return F0 + (1.0 - F0) * pow(1.0 - cosTheta, 5.0);
+}
+
+/**
+ * Fresnel Equation - Exact dielectric (unpolarized, from air)
+ * 
+ * Formula (Walter et al. 2007), with g = √(η² - 1 + c²):
+ * F = ½ ((g - c)/(g + c))² (1 + ((c(g + c) - 1)/(c(g - c) + 1))²)
+ * 
+ * @param cosTheta - Dot product of view direction and half vector
+ * @param eta - Relative index of refraction per channel (> 1)
+ * @return Fresnel reflectance
+ */
+vec3 fresnelDielectric(float cosTheta, vec3 eta) {
+    float c = cosTheta;
+    vec3 g = sqrt(max(eta * eta - 1.0 + c * c, 0.0));
+    vec3 a = (g - c) / (g + c);
+    vec3 b = (c * (g + c) - 1.0) / (c * (g - c) + 1.0);
+    return 0.5 * a * a * (1.0 + b * b);
+}
+
+/**
+ * Fresnel Equation - Exact conductor with complex IOR η + iκ (from air)
+ * 
+ * Averages the s- and p-polarized reflectances.
+ * 
+ * @param cosTheta - Dot product of view direction and half vector
+ * @param eta - Real part of the index of refraction per channel
+ * @param k - Extinction coefficient per channel
+ * @return Fresnel reflectance
+ */
+vec3 fresnelConductor(float cosTheta, vec3 eta, vec3 k) {
+    float c2 = cosTheta * cosTheta;
+    float s2 = 1.0 - c2;
+    vec3 eta2 = eta * eta;
+    vec3 k2 = k * k;
+    
+    vec3 t0 = eta2 - k2 - s2;
+    vec3 a2b2 = sqrt(t0 * t0 + 4.0 * eta2 * k2);
+    vec3 a = sqrt(max(0.5 * (a2b2 + t0), 0.0));
+    
+    vec3 t1 = a2b2 + c2;
+    vec3 t2 = 2.0 * cosTheta * a;
+    vec3 Rs = (t1 - t2) / (t1 + t2);
+    
+    vec3 t3 = c2 * a2b2 + s2 * s2;
+    vec3 t4 = t2 * s2;
+    vec3 Rp = Rs * (t3 - t4) / (t3 + t4);
+    
+    return 0.5 * (Rp + Rs);
+}
+
+/**
+ * Reflectance at normal incidence (F0) of a material
+ * Dielectrics derive it from their IOR (4% at η = 1.5); metals use the base
+ * color, or the complex IOR when the conductor Fresnel variant is active.
+ * 
+ * @param m - Surface material
+ * @return F0 per channel
+ */
+vec3 specularF0(Material m) {
+    float r = (m.ior - 1.0) / (m.ior + 1.0);
+    vec3 dielectric = vec3(r * r);
+#if BRDF_F == 2
+    return mix(dielectric, fresnelConductor(1.0, uConductorEta, uConductorK), m.metallic);
+#else
+    return mix(dielectric, m.albedo, m.metallic);
+#endif
+}
+
+/**
+ * Selected Fresnel term (BRDF_F)
+ * 
+ * @param cosTheta - Dot product of view direction and half vector
+ * @param m - Surface material
+ * @return Fresnel reflectance
+ */
+vec3 fresnelTerm(float cosTheta, Material m) {
+#if BRDF_F == 1
+    // Invert F0 = ((η - 1)/(η + 1))² per channel
+    vec3 sqrtF0 = sqrt(clamp(specularF0(m), 0.0, 0.99));
+    return fresnelDielectric(cosTheta, (1.0 + sqrtF0) / (1.0 - sqrtF0));
+#elif BRDF_F == 2
+    // Dielectric base blended with the conductor by metalness
+    vec3 dielectric = fresnelDielectric(cosTheta, vec3(m.ior));
+    return mix(dielectric, fresnelConductor(cosTheta, uConductorEta, uConductorK), m.metallic);
+#else
+    return fresnelSchlick(cosTheta, specularF0(m));
+#endif
+}
+
+/**
+ * Fresnel-Schlick with roughness (for image-based lighting)
+ * 
+ * Rough surfaces reflect less at grazing angles because the lobe is spread
+ * over many directions; the grazing reflectance is capped by 1 - roughness.
+ * 
+ * @param cosTheta - Dot product of normal and view direction
+ * @param F0 - Base reflectance (at normal incidence)
+ * @param roughness - Perceptual roughness
+ * @return Fresnel reflectance averaged over the lobe
+ */
+vec3 fresnelSchlickRoughness(float cosTheta, vec3 F0, float roughness) {
+    return F0 + (max(vec3(1.0 - roughness), F0) - F0) * pow(1.0 - cosTheta, 5.0);
+}
+
+/**
+ * Directional albedo table lookup (see multiscatter.js)
+ * 
+ * @param NdotV - Cosine of the view angle
+ * @param roughness - Perceptual roughness of the lobe
+ * @return Albedo of the compiled D/G terms (x), of the sheen lobe (y), and the
+ *         part of x weighted by Schlick's (1 - v·h)⁵ (z)
+ */
+vec3 directionalAlbedo(float NdotV, float roughness) {
+    // Table entries sit on texel centers
+    vec2 size = vec2(textureSize(uAlbedoTable, 0));
+    vec2 uv = vec2(NdotV, roughness) * (size - 1.0) / size + 0.5 / size;
+    return texture(uAlbedoTable, uv).rgb;
+}
+
+/**
+ * Energy compensation for multiple scattering between microfacets
+ * 
+ * A single-scattering lobe only reflects E(n·v) of the incoming light even
+ * with F = 1; the rest bounces between microfacets and is lost, so rough
+ * metals come out too dark. Following Fdez-Agüera (2019) in the form used by
+ * Filament, the lobe is scaled by 1 + F0 (1/E - 1), which gives back exactly
+ * the missing energy when F0 = 1 and proportionally less for darker F0.
+ * E is integrated for the compiled D and G terms (see multiscatter.js).
+ * 
+ * @param m - Surface material
+ * @param NdotV - Cosine of the view angle
+ * @return Factor for the specular lobe (1 without MULTI_SCATTER)
+ */
+vec3 energyCompensation(Material m, float NdotV) {
+#if MULTI_SCATTER
+    float E = directionalAlbedo(NdotV, m.roughness).x;
+    return 1.0 + specularF0(m) * (1.0 / max(E, 0.05) - 1.0);
+#else
+    return vec3(1.0);
+#endif
+}
+
+/**
+ * Light reflected by the specular lobe for a direction, over all directions
+ * 
+ * F0 · (E - Es) + Es with Schlick's Fresnel weights, where E is the D/G albedo
+ * and Es its part weighted by (1 - v·h)⁵, scaled like the lobe by the
+ * multiple-scattering compensation. The other Fresnel variants are approximated
+ * by Schlick's, and anisotropic surfaces by the isotropic lobe.
+ * 
+ * @param m - Surface material
+ * @param NdotV - Cosine of the direction
+ * @return Directional albedo of the specular lobe per channel
+ */
+vec3 specularAlbedo(Material m, float NdotV) {
+    vec3 E = directionalAlbedo(NdotV, m.roughness);
+    return (specularF0(m) * (E.x - E.z) + E.z) * energyCompensation(m, NdotV);
+}
+
+/**
+ * Diffuse (Fd) - Disney diffuse (Burley 2012)
+ * 
+ * Darkens smooth surfaces and brightens rough ones at grazing angles through a
+ * Schlick-like retro-reflection term. With renormalize, Frostbite's variant
+ * (Lagarde and de Rousiers 2014) scales it so its albedo stays close to 1.
+ * 
+ * Formula: fd90 = 0.5 + 2 roughness (l·h)², Fd = (1 + (fd90 - 1)(1 - n·l)⁵)(1 + (fd90 - 1)(1 - n·v)⁵) / π
+ * 
+ * @param NdotV - Dot product of normal and view direction
+ * @param NdotL - Dot product of normal and light direction
+ * @param LdotH - Dot product of light direction and half vector
+ * @param roughness - Perceptual roughness
+ * @param renormalize - Frostbite's energy renormalization
+ * @return Diffuse BRDF for albedo 1
+ */
+float Fd_Burley(float NdotV, float NdotL, float LdotH, float roughness, bool renormalize) {
+    float energyBias = renormalize ? 0.5 * roughness : 0.5;
+    float energyFactor = renormalize ? mix(1.0, 1.0 / 1.51, roughness) : 1.0;
+    float fd90 = energyBias + 2.0 * roughness * LdotH * LdotH;
+    float lightScatter = 1.0 + (fd90 - 1.0) * pow(1.0 - NdotL, 5.0);
+    float viewScatter = 1.0 + (fd90 - 1.0) * pow(1.0 - NdotV, 5.0);
+    return lightScatter * viewScatter * energyFactor / PI;
+}
+
+/**
+ * Diffuse (Fd) - Qualitative Oren-Nayar (1994)
+ * 
+ * Lambertian V-cavities with a Gaussian slope spread σ (taken as the perceptual
+ * roughness, in radians): rough surfaces flatten and scatter back towards the light.
+ * 
+ * Formula: Fd = (A + B max(cos φ, 0) sin α tan β) / π, with
+ * A = 1 - 0.5 σ²/(σ² + 0.33), B = 0.45 σ²/(σ² + 0.09)
+ * 
+ * @param NdotV - Dot product of normal and view direction
+ * @param NdotL - Dot product of normal and light direction
+ * @param LdotV - Dot product of light and view direction
+ * @param roughness - Perceptual roughness
+ * @return Diffuse BRDF for albedo 1
+ */
+float Fd_OrenNayar(float NdotV, float NdotL, float LdotV, float roughness) {
+    float sigma2 = roughness * roughness;
+    float A = 1.0 - 0.5 * sigma2 / (sigma2 + 0.33);
+    float B = 0.45 * sigma2 / (sigma2 + 0.09);
+    
+    // cos φ sin α tan β = s / max(n·l, n·v), s = l·v - (n·l)(n·v)
+    float s = LdotV - NdotL * NdotV;
+    return (A + B * max(s, 0.0) / max(max(NdotL, NdotV), 0.0001)) / PI;
+}
+
+// Energy-preserving Oren-Nayar constants: 1/2 - 2/(3π) and 2/3 - 28/(15π)
+#define EON_C1 0.28779341
+#define EON_C2 0.07248821
+
+/**
+ * Directional albedo of Fujii's Oren-Nayar lobe (fitted, albedo 1)
+ * 
+ * @param mu - Cosine of the direction
+ * @param roughness - Perceptual roughness
+ * @return Albedo
+ */
+float E_FujiiOrenNayar(float mu, float roughness) {
+    float c = 1.0 - mu;
+    float GoverPi = c * (0.0571085289 + c * (0.491881867 + c * (-0.332181442 + c * 0.0714429953)));
+    return (1.0 + roughness * GoverPi) / (1.0 + EON_C1 * roughness);
+}
+
+/**
+ * Diffuse (Fd) - Energy-preserving Oren-Nayar (Portsmouth, Kutz and Hill 2024)
+ * 
+ * Fujii's Oren-Nayar lobe plus the light it loses to interreflections
+ * between the facets, returned as a lobe of its own: under uniform white light
+ * a white surface reflects exactly 1 at every view angle (OpenPBR's diffuse).
+ * 
+ * @param albedo - Diffuse albedo (the interreflections are not linear in it)
+ * @param NdotV - Dot product of normal and view direction
+ * @param NdotL - Dot product of normal and light direction
+ * @param LdotV - Dot product of light and view direction
+ * @param roughness - Perceptual roughness
+ * @return Diffuse BRDF
+ */
+vec3 Fd_OrenNayarEnergy(vec3 albedo, float NdotV, float NdotL, float LdotV, float roughness) {
+    float s = LdotV - NdotL * NdotV;
+    float sOverT = s > 0.0 ? s / max(max(NdotL, NdotV), 0.0001) : s;
+    float AF = 1.0 / (1.0 + EON_C1 * roughness);
+    vec3 single = albedo / PI * AF * (1.0 + roughness * sOverT);
+    
+    float average = AF * (1.0 + EON_C2 * roughness);
+    vec3 albedoMS = albedo * albedo * average / (vec3(1.0) - albedo * (1.0 - average));
+    float lost = max(1.0 - E_FujiiOrenNayar(NdotV, roughness), 1e-7)
+        * max(1.0 - E_FujiiOrenNayar(NdotL, roughness), 1e-7) / max(1.0 - average, 1e-7);
+    return single + albedoMS / PI * lost;
+}
+
+/**
+ * Selected diffuse lobe (BRDF_FD), without the share the specular lobe takes
+ * 
+ * @param m - Surface material
+ * @param N - Surface normal
+ * @param V - View direction
+ * @param L - Light direction
+ * @return Diffuse BRDF (albedo / π for Lambert)
+ */
+vec3 diffuseLobe(Material m, vec3 N, vec3 V, vec3 L) {
+    float NdotL = clamp(dot(N, L), 0.0, 1.0);
+    float NdotV = clamp(dot(N, V), 0.0, 1.0);
+    float LdotV = clamp(dot(L, V), -1.0, 1.0);
+    float LdotH = sqrt(0.5 + 0.5 * LdotV); // Half-angle identity: 2 (l·h)² = 1 + l·v
+#if BRDF_FD == 1 || BRDF_FD == 4
+    return m.albedo * Fd_Burley(NdotV, NdotL, LdotH, m.roughness, BRDF_FD == 4);
+#elif BRDF_FD == 2
+    return m.albedo * Fd_OrenNayar(NdotV, NdotL, LdotV, m.roughness);
+#elif BRDF_FD == 5
+    return Fd_OrenNayarEnergy(m.albedo, NdotV, NdotL, LdotV, m.roughness);
+#else
+    return m.albedo / PI;
+#endif
+}
+
+/**
+ * Share of the light the diffuse lobe receives (before metalness and transmission)
+ * 
+ * Usually 1 - F(v·h), what the specular lobe's Fresnel term passes on. The
+ * coupled Lambert (BRDF_FD == 3) instead takes what the whole specular lobe
+ * leaves on the way in and on the way out, (1 - Es(n·l))(1 - Es(n·v)) / (1 - Es avg)
+ * (Kelemen and Szirmay-Kalos 2001), so under uniform white light a white
+ * dielectric reflects exactly 1 (with Fdez-Agüera's compensation for the specular).
+ * 
+ * @param m - Surface material (specularAlbedo and diffuseCoupling prepared by sampleDiffuse)
+ * @param F - Fresnel term of the light sample
+ * @param NdotL - Cosine of the light angle
+ * @return Diffuse weight per channel
+ */
+vec3 diffuseWeight(Material m, vec3 F, float NdotL) {
+#if BRDF_FD == 3
+    return max(vec3(1.0) - specularAlbedo(m, NdotL), 0.0) * m.diffuseCoupling;
+#else
+    return vec3(1.0) - F;
+#endif
+}
+
+/**
+ * Stack the sheen and clear-coat layers on the base layer's radiance
+ * 
+ * Following the glTF layering (albedo scaling), each layer passes on what
+ * it does not reflect towards the viewer: the sheen 1 - max(sheen color)·E,
+ * the coat 1 - clearcoat·F(n·v). The factors depend on the view only and are
+ * prepared per fragment (see sampleLayers).
+ * 
+ * @param m - Surface material
+ * @param base - Radiance of the base layer (diffuse, specular, transmission)
+ * @param sheen - Radiance of the sheen lobe
+ * @param coat - Radiance of the clear-coat lobe
+ * @return Radiance of the layered surface
+ */
+vec3 layerRadiance(Material m, vec3 base, vec3 sheen, vec3 coat) {
+    return (base * m.sheenScaling + sheen) * m.coatAttenuation + coat;
+}
+
+/**
+ * Roughness of a thin transmissive surface: a thin wall of IOR 1 does not
+ * refract and so does not blur (KHR_materials_transmission sample viewer)
+ * 
+ * @param m - Surface material
+ * @return Perceptual roughness of the transmission lobe
+ */
+float transmissionRoughness(Material m) {
+    return m.roughness * clamp(m.ior * 2.0 - 2.0, 0.0, 1.0);
+}
+
+/**
+ * Light passing through a thin transmissive surface from behind
+ * 
+ * A thin wall lets the light out parallel to how it came in, so the light
+ * direction is mirrored through the surface and meets a GGX lobe around the
+ * view ray; what is not reflected (1 - F) passes, tinted by the base color.
+ * 
+ * @param m - Surface material
+ * @param N - Surface normal
+ * @param V - View direction
+ * @param L - Light direction (behind the surface for any contribution)
+ * @param radiance - Incoming light energy
+ * @return Transmitted radiance
+ */
+vec3 evaluateTransmission(Material m, vec3 N, vec3 V, vec3 L, vec3 radiance) {
+    float NdotL = -dot(N, L);
+    if (m.transmission <= 0.0 || NdotL <= 0.0) {
+        return vec3(0.0);
+    }
+    vec3 mirrored = L + 2.0 * NdotL * N;
+    vec3 H = normalize(V + mirrored);
+    float NdotV = clamp(dot(N, V), 0.0, 1.0);
+    float NdotH = clamp(dot(N, H), 0.0, 1.0);
+    float VdotH = clamp(dot(V, H), 0.0, 1.0);
+    
+    float roughness = max(transmissionRoughness(m), 0.01);
+    float alpha = roughness * roughness;
+    float D = D_GGX(NdotH, alpha);
+    float G = G_SmithHeightCorrelated(NdotV, NdotL, alpha);
+    vec3 F = fresnelTerm(VdotH, m);
+    
+    vec3 btdf = (vec3(1.0) - F) * m.albedo * D * G / max(0.001, 4.0 * NdotV * NdotL);
+    return btdf * m.transmission * (1.0 - m.metallic) * radiance * NdotL;
+}
+
+/**
+ * Clear-coat lobe for a single light sample
+ * 
+ * A colorless dielectric specular lobe with its own roughness and normal,
+ * using the selected D and G terms.
+ * 
+ * @param m - Surface material
+ * @param V - View direction
+ * @param L - Light direction
+ * @param radiance - Incoming light energy
+ * @return Radiance reflected by the coat
+ */
+vec3 evaluateClearcoat(Material m, vec3 V, vec3 L, vec3 radiance) {
+    if (m.clearcoat <= 0.0) {
+        return vec3(0.0);
+    }
+    vec3 N = m.clearcoatNormal;
+    vec3 H = normalize(V + L);
+    float NdotL = clamp(dot(N, L), 0.0, 1.0);
+    float NdotV = clamp(dot(N, V), 0.0, 1.0);
+    float NdotH = clamp(dot(N, H), 0.0, 1.0);
+    float VdotH = clamp(dot(V, H), 0.0, 1.0);
+    
+    float alpha = max(0.001, m.clearcoatRoughness * m.clearcoatRoughness);
+    float D = distributionTerm(NdotH, alpha);
+    float G = geometryTerm(NdotV, NdotL, NdotH, VdotH, alpha);
+    float F = fresnelSchlick(VdotH, vec3(CLEARCOAT_F0)).x;
+    
+    return m.clearcoat * D * G * F / max(0.001, 4.0 * NdotV * NdotL) * radiance * NdotL;
+}
+
+/**
+ * Sheen lobe for a single light sample (Charlie distribution, Neubelt visibility)
+ * 
+ * @param m - Surface material
+ * @param N - Surface normal
+ * @param V - View direction
+ * @param L - Light direction
+ * @param radiance - Incoming light energy
+ * @return Radiance reflected by the sheen
+ */
+vec3 evaluateSheen(Material m, vec3 N, vec3 V, vec3 L, vec3 radiance) {
+    if (m.sheenColor == vec3(0.0)) {
+        return vec3(0.0);
+    }
+    vec3 H = normalize(V + L);
+    float NdotL = clamp(dot(N, L), 0.0, 1.0);
+    float NdotV = clamp(dot(N, V), 0.0, 1.0);
+    float NdotH = clamp(dot(N, H), 0.0, 1.0);
+    
+    float alpha = m.sheenRoughness * m.sheenRoughness;
+    return m.sheenColor * D_Charlie(NdotH, alpha) * V_Neubelt(NdotV, NdotL) * radiance * NdotL;
+}
+
+/**
+ * Diffuse falloff with subsurface scattering
+ * 
+ * Replaces the diffuse lobe's n·l, per color channel:
+ * - Pre-integrated: n·l blurred around the surface by the diffusion profile,
+ *   read from the table (see subsurface.js)
+ * - Wrap: (n·l + w) / (1 + w)², w = scatter width up to 1 (energy-conserving)
+ * Both carry light past the terminator where the surface is curved.
+ * 
+ * @param m - Surface material
+ * @param NdotL - Unclamped cosine of the light angle
+ * @return Falloff per channel (max(n·l, 0) without scattering)
+ */
+vec3 subsurfaceFalloff(Material m, float NdotL) {
+    if (m.subsurface == 1) {
+        // Table entries sit on texel centers; width w is stored at w / (1 + w)
+        vec2 size = vec2(textureSize(uSubsurfaceLut, 0));
+        vec3 v = m.scatterWidth / (1.0 + m.scatterWidth);
+        float u = (NdotL * 0.5 + 0.5) * (size.x - 1.0) / size.x + 0.5 / size.x;
+        v = v * (size.y - 1.0) / size.y + 0.5 / size.y;
+        return vec3(
+            texture(uSubsurfaceLut, vec2(u, v.r)).r,
+            texture(uSubsurfaceLut, vec2(u, v.g)).r,
+            texture(uSubsurfaceLut, vec2(u, v.b)).r
+        );
+    }
+    if (m.subsurface == 2) {
+        vec3 w = min(m.scatterWidth, vec3(1.0));
+        return max(vec3(NdotL) + w, 0.0) / ((1.0 + w) * (1.0 + w));
+    }
+    return vec3(max(NdotL, 0.0));
+}
+
+/**
+ * Evaluate Cook-Torrance BRDF for a single light sample
+ * 
+ * Combines diffuse (selected lobe) and specular (Cook-Torrance) components, light
+ * transmitted from behind, and the sheen and clear-coat layers on top.
+ * Anisotropic materials always use anisotropic GGX with height-correlated
+ * Smith masking, whatever the selected D and G terms.
+ * 
+ * @param m - Surface material
+ * @param N - Surface normal
+ * @param V - View direction (to camera)
+ * @param L - Light direction (to light)
+ * @param radiance - Incoming light energy
+ * @return Outgoing light energy (reflected color)
+ */
+vec3 evaluateBRDF(Material m, vec3 N, vec3 V, vec3 L, vec3 radiance) {
+    vec3 H = normalize(V + L); // Half vector between view and light
+    
+    // Calculate dot products (clamped to [0,1] for lighting)
+    float NdotL = clamp(dot(N, L), 0.0, 1.0);
+    float NdotV = clamp(dot(N, V), 0.0, 1.0);
+    float NdotH = clamp(dot(N, H), 0.0, 1.0);
+    float VdotH = clamp(dot(V, H), 0.0, 1.0);
+
+    // Calculate Cook-Torrance BRDF terms (variants selected by defines)
+    float alpha = max(0.001, m.roughness * m.roughness);              // Squared roughness
+    float D, G;
+    if (m.anisotropy > 0.0) {
+        // Roughness stretched along the anisotropy direction (KHR_materials_anisotropy)
+        float at = mix(alpha, 1.0, m.anisotropy * m.anisotropy);
+        vec3 T = m.anisotropicT;
+        vec3 B = m.anisotropicB;
+        D = D_GGXAnisotropic(NdotH, dot(T, H), dot(B, H), at, alpha);
+        G = G_SmithAnisotropic(NdotV, NdotL, vec2(dot(T, V), dot(B, V)), vec2(dot(T, L), dot(B, L)), at, alpha);
+    } else {
+        D = distributionTerm(NdotH, alpha);                           // Normal distribution
+        G = geometryTerm(NdotV, NdotL, NdotH, VdotH, alpha);          // Geometry term
+    }
+
+    // Fresnel reflectance (F0: dielectrics from their IOR, metals use albedo or complex IOR)
+    vec3 F = fresnelTerm(VdotH, m);
+
+    // Specular component: (D * G * F) / (4 * NdotL * NdotV)
+    vec3 numerator = D * G * F;
+    float denom = max(0.001, 4.0 * NdotV * NdotL);
+    vec3 specular = numerator / denom * m.energyScale;
+
+    // Energy conservation: kS + kD = 1 (or the coupled weight, see diffuseWeight)
+    vec3 kS = F;                          // Specular reflection coefficient
+    vec3 kD = diffuseWeight(m, kS, NdotL) * (1.0 - m.metallic); // Diffuse (metals have no diffuse)
+
+    // Selected diffuse lobe, Lambert: albedo / π (the transmitted part of the base does not scatter)
+    vec3 diffuse = kD * (1.0 - m.transmission) * diffuseLobe(m, N, V, L);
+
+    // Combine diffuse and specular, multiply by radiance and angle (the diffuse
+    // falloff reaches past the terminator with subsurface scattering)
+    vec3 base = (diffuse * subsurfaceFalloff(m, dot(N, L)) + specular * NdotL) * radiance
+        + evaluateTransmission(m, N, V, L, radiance);
+    
+    // Sheen and clear coat on top
+    return layerRadiance(m, base, evaluateSheen(m, N, V, L, radiance), evaluateClearcoat(m, V, L, radiance));
+}
+
+/**
+ * Calculate spotlight attenuation with smooth falloff
+ * 
+ * @param L - Light direction
+ * @param dir - Spotlight direction
+ * @param edge - Cone angle (cosine)
+ * @param softness - Edge softness
+ * @return Attenuation factor [0, 1]
+ */
+float spotAttenuation(vec3 L, vec3 dir, float edge, float softness) {
+    float cosTheta = dot(normalize(-dir), L);
+    // Smooth transition from full intensity to zero
+    return smoothstep(edge, edge + softness, cosTheta);
+}
+
+/**
+ * Build orthonormal basis from a direction vector
+ * Used for area light frames and cube map PCF taps
+ * 
+ * @param n - Input direction (will be one basis vector)
+ * @param t - Output tangent vector
+ * @param b - Output bitangent vector
+ */
+void basisFromDir(vec3 n, out vec3 t, out vec3 b) {
+    // Choose a vector not parallel to n
+    vec3 up = abs(n.y) < 0.999 ? vec3(0.0, 1.0, 0.0) : vec3(1.0, 0.0, 0.0);
+    t = normalize(cross(up, n));
+    b = cross(n, t);
+}
+
+/**
+ * Slope-scaled depth bias
+ * Surfaces at grazing angles to the light need a larger offset to avoid acne.
+ * 
+ * @param NdotL - Cosine between geometric normal and light direction
+ * @return Bias in world units
+ */
+float adaptiveBias(float NdotL) {
+    float cosTheta = clamp(NdotL, 0.05, 1.0);
+    float tanTheta = sqrt(1.0 - cosTheta * cosTheta) / cosTheta;
+    return uShadowBias * clamp(1.0 + tanTheta, 1.0, 6.0);
+}
+
+/**
+ * Shadow lookup for 2D shadow maps (directional and spot lights)
+ * 
+ * Averages a (2r+1)x(2r+1) grid of hardware-compared taps (PCF).
+ * 
+ * @param lightPos - Light position (spot lights)
+ * @param bias - Depth bias in world units
+ * @return Visibility [0=fully shadowed, 1=fully lit]
+ */
+float shadow2D(vec3 lightPos, float bias) {
+    vec4 lightClip = uLightViewProj * vec4(vWorldPos, 1.0);
+    vec3 proj = lightClip.xyz / lightClip.w * 0.5 + 0.5;
+    
+    // Outside the light frustum: treat as lit
+    if (proj.x < 0.0 || proj.x > 1.0 || proj.y < 0.0 || proj.y > 1.0 || lightClip.w <= 0.0) {
+        return 1.0;
+    }
+    
+    // Orthographic maps store projected depth, perspective maps store linear distance
+    float ref;
+    if (uShadowMode == 0) {
+        if (proj.z > 1.0) return 1.0;
+        ref = proj.z - bias / uShadowDepthRange;
+    } else {
+        ref = (length(lightPos - vWorldPos) - bias) / uShadowDepthRange;
+    }
+    
+    float texel = 1.0 / uShadowMapSize;
+    float sum = 0.0;
+    for (int x = -uShadowPcfRadius; x <= uShadowPcfRadius; ++x) {
+        for (int y = -uShadowPcfRadius; y <= uShadowPcfRadius; ++y) {
+            vec2 offset = vec2(float(x), float(y)) * texel;
+            sum += texture(uShadowMap, vec3(proj.xy + offset, ref));
+        }
+    }
+    float taps = float((2 * uShadowPcfRadius + 1) * (2 * uShadowPcfRadius + 1));
+    return sum / taps;
+}
+
+/**
+ * Shadow lookup for cube shadow maps (point and area lights)
+ * 
+ * PCF taps are spread on the plane perpendicular to the lookup direction,
+ * spaced one texel apart at the fragment's distance from the light.
+ * 
+ * @param lightPos - Light position
+ * @param bias - Depth bias in world units
+ * @return Visibility [0=fully shadowed, 1=fully lit]
+ */
+float shadowCube(vec3 lightPos, float bias) {
+    vec3 toFrag = vWorldPos - lightPos;
+    float dist = length(toFrag);
+    float ref = (dist - bias) / uShadowDepthRange;
+    
+    vec3 t, b;
+    basisFromDir(toFrag / max(dist, 0.0001), t, b);
+    // A 90° cube face spans 2*dist world units across uShadowMapSize texels
+    float texel = 2.0 * dist / uShadowMapSize;
+    
+    float sum = 0.0;
+    for (int x = -uShadowPcfRadius; x <= uShadowPcfRadius; ++x) {
+        for (int y = -uShadowPcfRadius; y <= uShadowPcfRadius; ++y) {
+            vec3 dir = toFrag + (float(x) * t + float(y) * b) * texel;
+            sum += texture(uShadowCubeMap, vec4(dir, ref));
+        }
+    }
+    float taps = float((2 * uShadowPcfRadius + 1) * (2 * uShadowPcfRadius + 1));
+    return sum / taps;
+}
+
+/**
+ * Shadow visibility for the current fragment
+ * The bias uses the geometric normal, since normal maps do not change depth.
+ * 
+ * @param light - The shadow-casting light
+ * @return Visibility [0=fully shadowed, 1=fully lit]
+ */
+float shadowVisibility(Light light) {
+    vec3 N = normalize(vNormal);
+    vec3 lightPos = light.position.xyz;
+    vec3 L = int(light.position.w) == 1
+        ? normalize(-light.direction.xyz)
+        : normalize(lightPos - vWorldPos);
+    float bias = adaptiveBias(dot(N, L));
+    
+    return uShadowMode == 2 ? shadowCube(lightPos, bias) : shadow2D(lightPos, bias);
+}
+
+/**
+ * Frame (T1, T2, N) in which the LTC tables were fitted: V lies in the T1-N plane
+ * 
+ * @param N - Surface normal
+ * @param V - View direction
+ * @return Matrix with columns T1, T2, N (its transpose maps world → frame)
+ */
+mat3 viewFrame(vec3 N, vec3 V) {
+    vec3 T1 = V - N * dot(N, V);
+    if (dot(T1, T1) < 1e-8) {
+        // Looking straight along the normal: any tangent will do
+        vec3 t, b;
+        basisFromDir(N, t, b);
+        return mat3(t, b, N);
+    }
+    T1 = normalize(T1);
+    return mat3(T1, cross(N, T1), N);
+}
+
+/**
+ * Inverse LTC matrix of the GGX lobe for the current view and roughness
+ * Maps world directions (relative to the shading point) to the space where
+ * the lobe becomes a clamped cosine.
+ * 
+ * @param m - Surface material
+ * @param N - Surface normal
+ * @param V - View direction
+ * @param amplitude - Output: GGX albedo (x) and its Schlick Fresnel part (y)
+ * @return World → cosine space
+ */
+mat3 ltcMatrix(Material m, vec3 N, vec3 V, out vec2 amplitude) {
+    float NdotV = clamp(dot(N, V), 0.0, 1.0);
+    vec2 size = vec2(textureSize(uLtcMatrix, 0));
+    
+    // Table entries sit on texel centers
+    vec2 uv = vec2(m.roughness, sqrt(1.0 - NdotV));
+    uv = uv * (size - 1.0) / size + 0.5 / size;
+    
+    vec4 t = texture(uLtcMatrix, uv);
+    amplitude = texture(uLtcAmplitude, uv).rg;
+    mat3 Minv = mat3(
+        vec3(t.x, 0.0, t.y),
+        vec3(0.0, 1.0, 0.0),
+        vec3(t.z, 0.0, t.w)
+    );
+    return Minv * transpose(viewFrame(N, V));
+}
+
+/**
+ * Vector form factor of a polygon edge (both vertices on the unit sphere)
+ * A rational fit of θ / (2π sin θ) keeps precision for short edges.
+ * 
+ * @param v1 - First vertex direction
+ * @param v2 - Second vertex direction
+ * @return Edge contribution to the polygon's vector form factor
+ */
+vec3 edgeFormFactor(vec3 v1, vec3 v2) {
+    float x = dot(v1, v2);
+    float y = abs(x);
+    float a = 0.8543985 + (0.4965155 + 0.0145206 * y) * y;
+    float b = 3.4175940 + (4.1616724 + y) * y;
+    float v = a / b;
+    float thetaSinTheta = x > 0.0 ? v : 0.5 * inversesqrt(max(1.0 - x * x, 1e-7)) - v;
+    return cross(v1, v2) * thetaSinTheta;
+}
+
+/**
+ * Point where the arc between two directions crosses the horizon (z = 0)
+ * 
+ * @param a - Direction on one side
+ * @param b - Direction on the other side
+ * @return Unit direction on the horizon
+ */
+vec3 horizonCrossing(vec3 a, vec3 b) {
+    return normalize((a * b.z - b * a.z) / (b.z - a.z));
+}
+
+/**
+ * Integral of the clamped cosine over a polygon in cosine space
+ * The polygon is clipped to the upper hemisphere while walking its edges (the
+ * horizon edge closes it); the z component of its vector form factor is then exact.
+ * 
+ * Vertices are center + radius × (cos φ ex + sin φ ey) for φ = phase + k 2π/sides,
+ * counterclockwise seen from the side ex × ey points to.
+ * 
+ * @param Minv - World → cosine space (ltcMatrix, or the transposed frame for Lambert)
+ * @param center - Polygon center relative to the shading point
+ * @param ex - First half axis
+ * @param ey - Second half axis
+ * @param sides - Number of vertices
+ * @param phase - Angle of the first vertex
+ * @param radius - Vertex distance in units of the half axes
+ * @return Integral of the cosine distribution over the polygon
+ */
+float ltcPolygon(mat3 Minv, vec3 center, vec3 ex, vec3 ey, int sides, float phase, float radius) {
+    float step = 2.0 * PI / float(sides);
+    vec3 first = normalize(Minv * (center + radius * (cos(phase) * ex + sin(phase) * ey)));
+    vec3 previous = first;
+    vec3 entry = vec3(0.0);
+    vec3 exit = vec3(0.0);
+    bool clipped = false;
+    float sum = 0.0;
+    
+    for (int k = 1; k <= sides; ++k) {
+        float phi = phase + step * float(k);
+        vec3 vertex = k == sides ? first : normalize(Minv * (center + radius * (cos(phi) * ex + sin(phi) * ey)));
+        
+        if (previous.z > 0.0 && vertex.z > 0.0) {
+            sum += edgeFormFactor(previous, vertex).z;
+        } else if (previous.z > 0.0) {
+            exit = horizonCrossing(previous, vertex);
+            sum += edgeFormFactor(previous, exit).z;
+        } else if (vertex.z > 0.0) {
+            entry = horizonCrossing(previous, vertex);
+            sum += edgeFormFactor(entry, vertex).z;
+            clipped = true;
+        }
+        previous = vertex;
+    }
+    if (clipped) {
+        sum += edgeFormFactor(exit, entry).z;
+    }
+    
+    // Seen from the shading point the polygon winds clockwise, which makes the sum negative
+    return max(-sum, 0.0);
+}
+
+// Integrals along a line for the line-light form factor (Heitz and Hill 2017)
+float lineFpo(float d, float l) {
+    return l / (d * (d * d + l * l)) + atan(l / d) / (d * d);
+}
+
+float lineFwt(float d, float l) {
+    return l * l / (d * (d * d + l * l));
+}
+
+/**
+ * Clamped cosine integrated along a segment of radius 1 (in cosine space)
+ * 
+ * @param p1 - First end relative to the shading point
+ * @param p2 - Second end relative to the shading point
+ * @return Integral of the cosine distribution over the segment
+ */
+float integrateLineCosine(vec3 p1, vec3 p2) {
+    if (p1.z <= 0.0 && p2.z <= 0.0) return 0.0;
+    vec3 wt = normalize(p2 - p1);
+    
+    // Clip the segment to the horizon
+    if (p1.z < 0.0) p1 = (p1 * p2.z - p2 * p1.z) / (p2.z - p1.z);
+    if (p2.z < 0.0) p2 = (p2 * p1.z - p1 * p2.z) / (p1.z - p2.z);
+    
+    // Distance d to the line and positions l1, l2 along it
+    float l1 = dot(p1, wt);
+    float l2 = dot(p2, wt);
+    vec3 po = p1 - l1 * wt;
+    float d = max(length(po), 1e-4);
+    
+    float integral = (lineFpo(d, l2) - lineFpo(d, l1)) * po.z + (lineFwt(d, l2) - lineFwt(d, l1)) * wt.z;
+    return integral / PI;
+}
+
+/**
+ * Integral of an LTC distribution over a line light of radius 1
+ * The line's width is carried through the transform separately.
+ * 
+ * @param Minv - World → cosine space
+ * @param p1 - First end relative to the shading point
+ * @param p2 - Second end relative to the shading point
+ * @return Integral of the LTC distribution
+ */
+float ltcLine(mat3 Minv, vec3 p1, vec3 p2) {
+    vec3 ortho = cross(p1, p2);
+    if (dot(ortho, ortho) < 1e-12) return 0.0; // Shading point on the line
+    float width = 1.0 / length(inverse(transpose(Minv)) * normalize(ortho));
+    return width * integrateLineCosine(Minv * p1, Minv * p2);
+}
+
+/**
+ * Integral of a clamped cosine over an area light's shape
+ * 
+ * @param light - Area light
+ * @param Minv - World → cosine space (an LTC matrix, or the plain view frame)
+ * @return Integral (0 behind a one-sided emitter)
+ */
+float ltcShape(Light light, mat3 Minv) {
+    int shape = int(light.params.z);
+    vec3 lightNormal = normalize(light.direction.xyz);
+    vec3 t, b;
+    basisFromDir(lightNormal, t, b);
+    vec3 ex = t * (0.5 * light.params.x);
+    vec3 ey = b * (0.5 * light.params.y);
+    vec3 center = light.position.xyz - vWorldPos;
+    
+    if (shape == 2) {
+        // Tube along t, seen as a line as wide as its diameter
+        return ltcLine(Minv, center - ex, center + ex) * 0.5 * light.params.y;
+    }
+    
+    // One-sided: nothing behind the emitting face
+    if (dot(center, lightNormal) >= 0.0) return 0.0;
+    
+    // Rectangle: corners at ±ex ± ey; disk: polygon with the disk's area
+    int sides = shape == 1 ? AREA_DISK_SIDES : 4;
+    float phase = shape == 1 ? 0.0 : 0.25 * PI;
+    float radius = shape == 1
+        ? sqrt(2.0 * PI / (float(AREA_DISK_SIDES) * sin(2.0 * PI / float(AREA_DISK_SIDES))))
+        : sqrt(2.0);
+    return ltcPolygon(Minv, center, ex, ey, sides, phase, radius);
+}
+
+/**
+ * Diffuse integral of an area light with subsurface scattering
+ * 
+ * The exact clamped-cosine integral, corrected by the difference between the
+ * scattered and the plain falloff for a point light at the emitter's center
+ * with the same solid angle. Small lights match the punctual lights; the
+ * correction is approximate for lights close to a curved surface.
+ * 
+ * @param light - Area light
+ * @param m - Surface material
+ * @param N - Surface normal
+ * @param diffuse - Clamped-cosine integral of the light's shape (see ltcShape)
+ * @return Diffuse integral per channel
+ */
+vec3 subsurfaceAreaDiffuse(Light light, Material m, vec3 N, float diffuse) {
+    if (m.subsurface == 0) {
+        return vec3(diffuse);
+    }
+    int shape = int(light.params.z);
+    vec3 center = light.position.xyz - vWorldPos;
+    float dist2 = max(dot(center, center), 1e-6);
+    vec3 L = center * inversesqrt(dist2);
+    
+    // Projected area over distance² (tubes emit all around, their projected area
+    // is taken as length × diameter)
+    float area = light.params.x * light.params.y * (shape == 1 ? 0.25 * PI : 1.0);
+    float facing = shape == 2 ? 1.0 : max(-dot(L, normalize(light.direction.xyz)), 0.0);
+    float solidAngle = area * facing / dist2;
+    
+    // ltcShape integrates cos/π over the shape
+    float NdotL = dot(N, L);
+    vec3 correction = solidAngle / PI * (subsurfaceFalloff(m, NdotL) - max(NdotL, 0.0));
+    return max(vec3(diffuse) + correction, 0.0);
+}
+
+/**
+ * Area light (rectangle, disk or tube) with linearly transformed cosines
+ * The GGX lobe's integral over the light's shape is exact up to the LTC fit;
+ * the diffuse term integrates a plain cosine the same way, shaped by the
+ * selected diffuse lobe towards the emitter's center.
+ * The Fresnel term uses Schlick's weights with the material's F0 (whatever the
+ * BRDF_F variant), and the other D and G variants share the GGX fit.
+ * The clear coat gets its own LTC lobe; the sheen is treated as a diffuse lobe
+ * of its albedo, and area lights behind a transmissive surface do not shine through.
+ * Subsurface scattering corrects the diffuse integral (see subsurfaceAreaDiffuse).
+ * 
+ * @param light - Area light (color = luminance × color × exposure, see packLights)
+ * @param m - Surface material
+ * @param N - Surface normal
+ * @param V - View direction
+ * @return Reflected radiance from this light
+ */
+vec3 evaluateAreaLight(Light light, Material m, vec3 N, vec3 V) {
+    vec2 amplitude;
+    float specular = ltcShape(light, ltcMatrix(m, N, V, amplitude));
+    float diffuse = ltcShape(light, transpose(viewFrame(N, V)));
+    
+    vec3 F0 = specularF0(m);
+    float NdotV = clamp(dot(N, V), 0.0, 1.0);
+    vec3 specularColor = F0 * amplitude.x + (1.0 - F0) * amplitude.y;
+    
+    // The diffuse lobe's shape and weight are taken at the emitter's center
+    // (a constant albedo / π for Lambert, whose integral is exact)
+    vec3 Lc = normalize(light.position.xyz - vWorldPos);
+    vec3 F = fresnelSchlickRoughness(NdotV, F0, m.roughness);
+    vec3 kD = diffuseWeight(m, F, clamp(dot(N, Lc), 0.0, 1.0)) * (1.0 - m.metallic);
+    vec3 diffuseColor = diffuseLobe(m, N, V, Lc) * PI;
+    vec3 scattered = subsurfaceAreaDiffuse(light, m, N, diffuse);
+    vec3 base = kD * (1.0 - m.transmission) * diffuseColor * scattered + specularColor * specular * m.energyScale;
+    
+    vec3 sheen = m.sheenColor * m.sheenAlbedo * diffuse;
+    
+    vec3 coat = vec3(0.0);
+    if (m.clearcoat > 0.0) {
+        Material layer = m;
+        layer.roughness = m.clearcoatRoughness;
+        vec2 coatAmplitude;
+        float coatIntegral = ltcShape(light, ltcMatrix(layer, m.clearcoatNormal, V, coatAmplitude));
+        coat = vec3(m.clearcoat * (CLEARCOAT_F0 * coatAmplitude.x + (1.0 - CLEARCOAT_F0) * coatAmplitude.y) * coatIntegral);
+    }
+    
+    return light.color.rgb * layerRadiance(m, base, sheen, coat);
+}
+
+/**
+ * Evaluate a single light of any type
+ * 
+ * Handles point, directional, spot, and area lights.
+ * Calculates light direction, attenuation, and evaluates BRDF.
+ * 
+ * @param light - Light parameters from the LightBlock
+ * @param m - Surface material
+ * @param N - Surface normal
+ * @param V - View direction
+ * @return Reflected radiance from this light
+ */
+vec3 evaluateLight(Light light, Material m, vec3 N, vec3 V) {
+    int type = int(light.position.w);
+    vec3 lightPos = light.position.xyz;
+    vec3 lightDir = light.direction.xyz;
+    vec3 radiance = light.color.rgb;  // Color × intensity × camera exposure (see packLights)
+    
+    vec3 result = vec3(0.0);
+    vec3 L;
+    float attenuation = 1.0;
+
+    if (type == 0) {
+        // Point light: inverse-square falloff
+        vec3 lightVec = lightPos - vWorldPos;
+        float dist = max(0.001, length(lightVec));
+        L = lightVec / dist;
+        attenuation = 1.0 / (dist * dist);
+        result += evaluateBRDF(m, N, V, L, radiance * attenuation);
+        
+    } else if (type == 1) {
+        // Directional light: no attenuation (sun-like)
+        L = normalize(-lightDir);
+        result += evaluateBRDF(m, N, V, L, radiance);
+        
+    } else if (type == 2) {
+        // Spot light: cone with smooth edges + inverse-square falloff
+        vec3 lightVec = lightPos - vWorldPos;
+        float dist = max(0.001, length(lightVec));
+        L = lightVec / dist;
+        attenuation = spotAttenuation(L, lightDir, light.direction.w, light.color.a) * (1.0 / (dist * dist));
+        result += evaluateBRDF(m, N, V, L, radiance * attenuation);
+        
+    } else {
+        // Area light: integrated over its shape (linearly transformed cosines)
+        result = evaluateAreaLight(light, m, N, V);
+    }
+    
+    return result;
+}
+
+/**
+ * Normal for the environment reflection of an anisotropic surface
+ * 
+ * The prefiltered environment only has isotropic lobes. Bending the normal
+ * towards the direction perpendicular to the view within the plane of the
+ * stretched roughness smears the reflection along that direction, the more
+ * the stronger and rougher the anisotropy (as in the Khronos glTF viewer).
+ * 
+ * @param m - Surface material
+ * @param N - Surface normal
+ * @param V - View direction
+ * @return Normal to reflect the view about
+ */
+vec3 anisotropicNormal(Material m, vec3 N, vec3 V) {
+    if (m.anisotropy <= 0.0) {
+        return N;
+    }
+    vec3 anisotropicTangent = cross(m.anisotropicT, V);
+    vec3 bent = cross(anisotropicTangent, m.anisotropicT);
+    float bend = 1.0 - m.anisotropy * (1.0 - m.roughness);
+    bend *= bend;
+    return normalize(mix(bent, N, bend * bend));
+}
+
+/**
+ * Scene behind a thin transmissive surface
+ * 
+ * Read from the copy of the opaque scene at this pixel (a thin wall does not
+ * offset it), blurred by a mip level that grows with the transmission
+ * roughness, and tinted like the transmission lobe.
+ * 
+ * @param m - Surface material
+ * @param N - Surface normal
+ * @param V - View direction
+ * @return Transmitted radiance
+ */
+vec3 transmittedBackground(Material m, vec3 N, vec3 V) {
+    if (m.transmission <= 0.0) {
+        return vec3(0.0);
+    }
+    vec2 size = vec2(textureSize(uTransmissionMap, 0));
+    float lod = log2(max(size.x, size.y)) * transmissionRoughness(m);
+    vec3 background = textureLod(uTransmissionMap, gl_FragCoord.xy / size, lod).rgb;
+    
+    float NdotV = clamp(dot(N, V), 0.0, 1.0);
+    vec3 F = fresnelSchlickRoughness(NdotV, specularF0(m), m.roughness);
+    return (vec3(1.0) - F) * m.albedo * background * m.transmission * (1.0 - m.metallic);
+}
+
+/**
+ * Indirect lighting from the environment
+ * 
+ * Split-sum approximation:
+ * - Diffuse: kD * albedo * irradiance(N), also with subsurface scattering
+ *   (the irradiance varies slowly, so blurring it changes little); other
+ *   diffuse lobes replace the albedo by their value for light along N
+ * - Specular: prefiltered(R, roughness) * (F0 * A + B), with A, B from the BRDF LUT
+ * - Clear coat: the same with the coat's roughness and normal
+ * - Sheen: sheen albedo * sheen color * irradiance(N) (the lobe is wide)
+ * Falls back to a small constant ambient when no environment is loaded.
+ * All paths are attenuated by the material's ambient occlusion; the scene
+ * seen through a transmissive surface is added to the base layer.
+ * 
+ * @param m - Surface material
+ * @param N - Surface normal
+ * @param V - View direction
+ * @return Indirect radiance
+ */
+vec3 computeAmbient(Material m, vec3 N, vec3 V) {
+    vec3 transmitted = transmittedBackground(m, N, V);
+    if (!uIBLEnabled) {
+        // Small ambient term to prevent completely black surfaces
+        vec3 ambient = uAmbientIntensity * (1.0 - m.transmission) * m.albedo * m.ao;
+        return layerRadiance(m, ambient + transmitted, vec3(0.0), vec3(0.0));
+    }
+    
+    float NdotV = clamp(dot(N, V), 0.0, 1.0);
+    vec3 F0 = specularF0(m);
+    vec3 F = fresnelSchlickRoughness(NdotV, F0, m.roughness);
+#if BRDF_FD == 3
+    // Averaged over the light directions, the coupled weight is what the specular lobe leaves
+    vec3 kD = max(vec3(1.0) - m.specularAlbedo, 0.0);
+#else
+    vec3 kD = vec3(1.0) - F;
+#endif
+    kD *= (1.0 - m.metallic) * (1.0 - m.transmission);
+    
+    // The diffuse lobe is taken for light along the normal (albedo for Lambert)
+    vec3 irradiance = texture(uIrradianceMap, N).rgb;
+    vec3 diffuse = kD * diffuseLobe(m, N, V, N) * PI * irradiance;
+    
+    vec3 R = reflect(-V, anisotropicNormal(m, N, V));
+    vec3 prefiltered = textureLod(uPrefilterMap, R, m.roughness * uPrefilterMaxLod).rgb;
+    vec2 envBRDF = texture(uBrdfLut, vec2(NdotV, m.roughness)).rg;
+    vec3 specular = prefiltered * (F0 * envBRDF.x + envBRDF.y) * m.energyScale;
+    
+    vec3 sheen = m.sheenColor * m.sheenAlbedo * irradiance;
+    
+    vec3 coat = vec3(0.0);
+    if (m.clearcoat > 0.0) {
+        vec3 Nc = m.clearcoatNormal;
+        float coatNdotV = clamp(dot(Nc, V), 0.0, 1.0);
+        vec3 coatPrefiltered = textureLod(uPrefilterMap, reflect(-V, Nc), m.clearcoatRoughness * uPrefilterMaxLod).rgb;
+        vec2 coatBRDF = texture(uBrdfLut, vec2(coatNdotV, m.clearcoatRoughness)).rg;
+        coat = m.clearcoat * coatPrefiltered * (CLEARCOAT_F0 * coatBRDF.x + coatBRDF.y);
+    }
+    
+    float scale = uEnvIntensity * m.ao;
+    return layerRadiance(m, (diffuse + specular) * scale + transmitted, sheen * scale, coat * scale);
+}
+
+/**
+ * Compute lighting from all active lights
+ * 
+ * Sums the contribution of every light in the LightBlock.
+ * Only the shadow-casting light is attenuated by the shadow map.
+ * 
+ * @param m - Surface material
+ * @param N - Surface normal
+ * @param V - View direction
+ * @return Lit color
+ */
+vec3 computeLighting(Material m, vec3 N, vec3 V) {
+    vec3 result = vec3(0.0);
+    
+    for (int i = 0; i < uLightCount; ++i) {
+        vec3 contribution = evaluateLight(uLights[i], m, N, V);
+        
+        // Direct light is attenuated by shadowing
+        if (i == uShadowLight) {
+            contribution *= shadowVisibility(uLights[i]);
+        }
+        result += contribution;
+    }
+
+    return computeAmbient(m, N, V) + result;
+}
+
+/**
+ * Combine scalar material properties with the material textures
+ * Texture values multiply the scalar factors (glTF convention).
+ * 
+ * @return Material at the current fragment
+ */
+Material sampleMaterial() {
+    Material m;
+    m.albedo = uAlbedo;
+    m.metallic = uMetallic;
+    m.roughness = uRoughness;
+    m.ior = uIor;
+    m.ao = 1.0;
+    m.emissive = uEmissive;
+    
+    if (uHasBaseColorMap) {
+        m.albedo *= texture(uBaseColorMap, vUV).rgb;
+    }
+    if (uHasMetallicRoughnessMap) {
+        vec4 mr = texture(uMetallicRoughnessMap, vUV);
+        m.roughness *= mr.g;
+        m.metallic *= mr.b;
+    }
+    if (uHasOcclusionMap) {
+        m.ao = mix(1.0, texture(uOcclusionMap, vUV).r, uOcclusionStrength);
+    }
+    if (uHasEmissiveMap) {
+        m.emissive *= texture(uEmissiveMap, vUV).rgb;
+    }
+    
+    m.clearcoat = uClearcoat;
+    m.sheenColor = uSheenColor;
+    m.transmission = uTransmission;
+    m.subsurface = uSubsurface;
+    
+    // Keep GGX (and Charlie) away from a delta distribution
+    m.roughness = clamp(m.roughness, 0.01, 1.0);
+    m.clearcoatRoughness = clamp(uClearcoatRoughness, 0.01, 1.0);
+    m.sheenRoughness = clamp(uSheenRoughness, 0.07, 1.0);
+    return m;
+}
+
+/**
+ * Tangent frame (TBN) around a normal
+ * 
+ * The interpolated tangent is re-orthogonalized against N, since
+ * interpolation (and normal mapping) breaks orthogonality; its w
+ * flips the bitangent for mirrored UVs.
+ * 
+ * @param N - Normal (normalized)
+ * @return Columns tangent, bitangent and normal in world space
+ */
+mat3 tangentFrame(vec3 N) {
+    vec3 T = normalize(vTangent.xyz - N * dot(N, vTangent.xyz));
+    vec3 B = cross(N, T) * vTangent.w;
+    return mat3(T, B, N);
+}
+
+/**
+ * Shading normal, perturbed by the normal map when one is bound
+ * 
+ * @param N - Interpolated geometric normal (normalized)
+ * @return Shading normal in world space
+ */
+vec3 perturbNormal(vec3 N) {
+    if (!uHasNormalMap) {
+        return N;
+    }
+    vec3 tangentNormal = texture(uNormalMap, vUV).xyz * 2.0 - 1.0;
+    tangentNormal.xy *= uNormalScale;
+    return normalize(tangentFrame(N) * tangentNormal);
+}
+
+/**
+ * Anisotropy strength and direction at the current fragment
+ * The direction map (glTF anisotropyTexture) gives the direction in tangent
+ * space, rotated by the material's rotation, and scales the strength.
+ * 
+ * @param m - Surface material, completed in place
+ * @param N - Shading normal
+ */
+void sampleAnisotropy(inout Material m, vec3 N) {
+    m.anisotropy = uAnisotropy;
+    vec2 direction = vec2(1.0, 0.0);
+    if (uHasAnisotropyMap) {
+        vec3 texel = texture(uAnisotropyMap, vUV).rgb;
+        vec2 mapped = texel.rg * 2.0 - 1.0;
+        direction = dot(mapped, mapped) > 1e-6 ? normalize(mapped) : direction;
+        m.anisotropy *= texel.b;
+    }
+    vec2 c = uAnisotropyDirection;
+    direction = mat2(c.x, c.y, -c.y, c.x) * direction;
+    
+    mat3 tbn = tangentFrame(N);
+    m.anisotropicT = normalize(tbn * vec3(direction, 0.0));
+    m.anisotropicB = cross(N, m.anisotropicT);
+}
+
+/**
+ * View-dependent parts of the layers over the base
+ * 
+ * @param m - Surface material, completed in place
+ * @param Ng - Interpolated geometric normal (the clear coat's normal)
+ * @param N - Shading normal
+ * @param V - View direction
+ */
+void sampleLayers(inout Material m, vec3 Ng, vec3 N, vec3 V) {
+    m.clearcoatNormal = Ng;
+    float coatNdotV = clamp(dot(Ng, V), 0.0, 1.0);
+    m.coatAttenuation = 1.0 - m.clearcoat * fresnelSchlick(coatNdotV, vec3(CLEARCOAT_F0)).x;
+    
+    float sheenMax = max(m.sheenColor.r, max(m.sheenColor.g, m.sheenColor.b));
+    m.sheenAlbedo = sheenMax > 0.0 ? directionalAlbedo(clamp(dot(N, V), 0.0, 1.0), m.sheenRoughness).y : 0.0;
+    m.sheenScaling = max(1.0 - sheenMax * m.sheenAlbedo, 0.0);
+}
+
+/**
+ * Scatter widths of the subsurface scattering
+ * 
+ * The curvature 1/r is how fast the geometric normal turns from pixel to
+ * pixel over how far apart the pixels are (screen-space derivatives, so this
+ * runs in uniform control flow). It is capped where the derivatives jump,
+ * along silhouettes and hard edges.
+ * 
+ * @param m - Surface material, completed in place
+ * @param Ng - Interpolated geometric normal
+ */
+void sampleSubsurface(inout Material m, vec3 Ng) {
+    float curvature = length(fwidth(Ng)) / max(length(fwidth(vWorldPos)), 1e-6);
+    m.scatterWidth = uScatterRadius * uScatterColor * min(curvature, 20.0);
+}
+
+/**
+ * View-dependent parts of the coupled diffuse lobe (BRDF_FD == 3, see diffuseWeight)
+ * 
+ * The average Es avg = 2 ∫ Es(μ) μ dμ is taken with 8 midpoint samples.
+ * 
+ * @param m - Surface material, completed in place
+ * @param NdotV - Cosine of the view angle
+ */
+void sampleDiffuse(inout Material m, float NdotV) {
+#if BRDF_FD == 3
+    m.specularAlbedo = specularAlbedo(m, NdotV);
+    vec3 average = vec3(0.0);
+    for (int i = 0; i < 8; ++i) {
+        float mu = (float(i) + 0.5) / 8.0;
+        average += specularAlbedo(m, mu) * mu;
+    }
+    average *= 2.0 / 8.0;
+    m.diffuseCoupling = max(vec3(1.0) - m.specularAlbedo, 0.0) / max(vec3(1.0) - average, 0.001);
+#endif
+}
+
+${SAMPLING_GLSL}
+/**
+ * Reflected radiance under uniform white light (white furnace test)
+ * 
+ * Integrates evaluateBRDF over the hemisphere by Monte Carlo, with half the
+ * directions drawn from the cosine lobe and half from the GGX lobe, combined
+ * with the balance heuristic. A Cranley-Patterson shift per pixel turns the
+ * remaining error into fine noise. A white surface that neither loses nor
+ * gains energy reflects exactly 1 and disappears into the background.
+ * 
+ * @param m - Surface material
+ * @param N - Surface normal
+ * @param V - View direction
+ * @return Reflected radiance for incoming radiance 1 from every direction
+ */
+vec3 furnaceRadiance(Material m, vec3 N, vec3 V) {
+    float alpha = max(0.001, m.roughness * m.roughness);
+    vec3 t, b;
+    basisFromDir(N, t, b);
+    
+    // Interleaved gradient noise as the per-pixel shift
+    vec2 shift = fract(52.9829189 * fract(vec2(
+        dot(gl_FragCoord.xy, vec2(0.06711056, 0.00583715)),
+        dot(gl_FragCoord.yx, vec2(0.06711056, 0.00583715))
+    )));
+    
+    vec3 sum = vec3(0.0);
+    for (uint i = 0u; i < 2u * FURNACE_SAMPLES; ++i) {
+        vec2 Xi = fract(hammersley(i % FURNACE_SAMPLES, FURNACE_SAMPLES) + shift);
+        vec3 L;
+        if (i < FURNACE_SAMPLES) {
+            // Cosine-weighted direction
+            float r = sqrt(Xi.x);
+            float phi = 2.0 * PI * Xi.y;
+            L = t * (r * cos(phi)) + b * (r * sin(phi)) + N * sqrt(1.0 - Xi.x);
+        } else {
+            L = reflect(-V, importanceSampleGGX(Xi, N, alpha));
+        }
+        
+        float NdotL = dot(N, L);
+        if (NdotL <= 0.0) continue;
+        
+        // Density of L under both strategies (GGX: D(h)·(n·h) / (4·(v·h)))
+        vec3 H = normalize(V + L);
+        float NdotH = max(dot(N, H), 0.0);
+        float VdotH = max(dot(V, H), 0.0001);
+        float pdf = 0.5 * NdotL / PI + 0.5 * D_GGX(NdotH, alpha) * NdotH / (4.0 * VdotH);
+        
+        sum += evaluateBRDF(m, N, V, L, vec3(1.0)) / max(pdf, 1e-6);
+    }
+    return sum / float(2u * FURNACE_SAMPLES);
+}
+
+void main() {
+    vec3 Ng = normalize(vNormal);                   // Geometric normal
+    vec3 N = perturbNormal(Ng);                     // Surface normal
+    vec3 V = normalize(uCameraPos - vWorldPos);     // View direction
+    Material m = sampleMaterial();
+    sampleAnisotropy(m, N);
+    sampleLayers(m, Ng, N, V);
+    sampleSubsurface(m, Ng);
+    m.energyScale = energyCompensation(m, clamp(dot(N, V), 0.0, 1.0));
+    sampleDiffuse(m, clamp(dot(N, V), 0.0, 1.0));
+    
+    if (uFurnace) {
+        // The white background seen through a transmissive surface passes the layers too
+        vec3 transmitted = layerRadiance(m, transmittedBackground(m, N, V), vec3(0.0), vec3(0.0));
+        fragColor = vec4(furnaceRadiance(m, N, V) + transmitted, 1.0);
+        return;
+    }
+    
+    // Compute lighting (includes shadow visibility) plus emission
+    vec3 color = computeLighting(m, N, V) + m.emissive;
+    
+    fragColor = vec4(color, 1.0);
+}
+`;
+
+/**
+ * Fragment Shader - Emissive (Unlit)
+ * Used for drawing helper geometry like the light source indicator and
+ * the surfaces of area lights
+ */
+export const emissiveFragmentShader = `#version 300 es
+precision highp float;
+
+in vec3 vWorldPos; // Unused but kept for interface compatibility
+in vec3 vNormal;
+in vec2 vUV;
+in vec4 vTangent;
+
+uniform vec3 uColor; // Final color
+uniform bool uOneSided; // Black from behind (one-sided area light emitters)
+
+out vec4 fragColor;
+
+void main() {
+    fragColor = vec4(uOneSided && !gl_FrontFacing ? vec3(0.0) : uColor, 1.0);
+}
+`;
+
+/**
+ * Fullscreen Triangle Vertex Shader
+ * 
+ * Covers the viewport with one oversized triangle (no vertex buffers needed,
+ * draw 3 vertices with an empty VAO). vUV spans [0, 1] across the viewport.
+ */
+export const fullscreenVertexShader = `#version 300 es
+precision highp float;
+
+out vec2 vUV;
+
+void main() {
+    vec2 p = vec2(float((gl_VertexID << 1) & 2), float(gl_VertexID & 2));
+    vUV = p;
+    gl_Position = vec4(p * 2.0 - 1.0, 0.0, 1.0);
+}
+`;
+
+/**
+ * Depth Vertex Shader (Shadow Pass)
+ * 
+ * Transforms vertices into the light's clip space.
+ * Only the position attribute is used.
+ */
+export const depthVertexShader = `#version 300 es
+precision highp float;
+
+layout(location = 0) in vec3 aPos;
+
+uniform mat4 uModel;          // Model matrix (model → world space)
+uniform mat4 uLightViewProj;  // Light view-projection (world → light clip space)
+
+out vec3 vWorldPos;
+
+void main() {
+    vec4 worldPos = uModel * vec4(aPos, 1.0);
+    vWorldPos = worldPos.xyz;
+    gl_Position = uLightViewProj * worldPos;
+}
+`;
+
+/**
+ * Depth Fragment Shader (Shadow Pass)
+ * 
+ * Orthographic maps keep the rasterized depth.
+ * Perspective and cube maps store linear distance to the light instead,
+ * so the bias behaves the same at every distance.
+ */
+export const depthFragmentShader = `#version 300 es
+precision highp float;
+
+in vec3 vWorldPos;
+
+uniform bool uLinearDepth;  // Write distance / far instead of projected depth
+uniform vec3 uLightPos;     // Light position (world space)
+uniform float uShadowFar;   // Far plane used to normalize distance
+
+void main() {
+    if (uLinearDepth) {
+        gl_FragDepth = length(vWorldPos - uLightPos) / uShadowFar;
+    } else {
+        gl_FragDepth = gl_FragCoord.z;
+    }
+}
+`;
+
+/**
+ * Compile a shader from source code
+ * 
+ * @param {WebGL2RenderingContext} gl - WebGL context
  * @param {number} type - Shader type (gl.VERTEX_SHADER or gl.FRAGMENT_SHADER)
  * @param {string} source - GLSL source code
  * @returns {WebGLShader} Compiled shader
@@ -424,18 +2116,35 @@ export function compileShader(gl, type, source) {
     return shader;
 }
 
+/**
+ * Insert preprocessor defines into GLSL source
+ * Defines go right after the #version directive, which must stay the first line.
+ * 
+ * @param {string} source - GLSL source starting with #version
+ * @param {Object} defines - Map of macro name → value
+ * @returns {string} Source with one #define line per entry
+ */
+export function injectDefines(source, defines) {
+    const lines = Object.entries(defines).map(([name, value]) => `#define ${name} ${value}`);
+    if (lines.length === 0) return source;
+    
+    const versionEnd = source.indexOf('\n') + 1;
+    return source.slice(0, versionEnd) + lines.join('\n') + '\n' + source.slice(versionEnd);
+}
+
 /**
  * Create a shader program from vertex and fragment shader source
  * 
  * @param {WebGL2RenderingContext} gl - WebGL context
  * @param {string} vertexSource - Vertex shader GLSL source
  * @param {string} fragmentSource - Fragment shader GLSL source
+ * @param {Object} defines - Preprocessor defines added to both shaders (name → value)
  * @returns {WebGLProgram} Linked shader program
  * @throws {Error} If linking fails
  */
-export function createProgram(gl, vertexSource, fragmentSource) {
-    const vertexShaderObj = compileShader(gl, gl.VERTEX_SHADER, vertexSource);
-    const fragmentShaderObj = compileShader(gl, gl.FRAGMENT_SHADER, fragmentSource);
+export function createProgram(gl, vertexSource, fragmentSource, defines = {}) {
+    const vertexShaderObj = compileShader(gl, gl.VERTEX_SHADER, injectDefines(vertexSource, defines));
+    const fragmentShaderObj = compileShader(gl, gl.FRAGMENT_SHADER, injectDefines(fragmentSource, defines));
     
     const program = gl.createProgram();
     gl.attachShader(program, vertexShaderObj);
@@ -0,0 +1,246 @@
+/**
+ * Shadow Mapping Module
+ *
+ * Renders scene depth from the light's point of view so the main shader can
+ * test whether a fragment is occluded:
+ * - Directional light: orthographic 2D depth map fitted to the shadow casters
+ * - Spot light: perspective 2D depth map storing linear distance to the light
+ * - Point / area light: depth cube map storing linear distance to the light
+ *
+ * Depth textures use hardware comparison (sampler2DShadow / samplerCubeShadow),
+ * so every PCF tap in the fragment shader is already bilinearly filtered.
+ */
+
+import { vec3, mat4, clamp, CUBE_FACES } from './math.js';
+import { createBounds, expandBoundsTransformed } from './model.js';
+import { getMeshBVH } from './intersection.js';
+
+// Texture units reserved for shadow maps (kept distinct so the 2D and cube
+// samplers never alias the same unit, which WebGL2 rejects at draw time)
+export const SHADOW_MAP_UNIT = 0;
+export const SHADOW_CUBE_UNIT = 1;
+
+// Projection mode, must match the constants in fragmentShader
+export const SHADOW_MODE = {
+    ORTHO: 0,        // Directional light
+    PERSPECTIVE: 1,  // Spot light
+    CUBE: 2,         // Point and area lights
+};
+
+// Padding around the casters in the directional light's box (fraction of its
+// size), so PCF taps at the edge of the map still land on casters
+const ORTHO_MARGIN = 0.02;
+
+// Clip range for perspective and cube shadow passes
+const SHADOW_NEAR = 0.05;
+const SHADOW_FAR = 25.0;
+
+/**
+ * Pick an up vector that is not parallel to the given direction
+ * @param {Array<number>} dir - Normalized view direction
+ * @returns {Array<number>} Up vector
+ */
+function safeUp(dir) {
+    return Math.abs(dir[1]) > 0.99 ? [0, 0, 1] : [0, 1, 0];
+}
+
+/**
+ * World-space bounds of the shadow casters
+ * Each caster's BVH root box (mesh space) is transformed by its model matrix.
+ *
+ * @param {Array<Object>} casters - Geometry objects {data, indices, modelMatrix}
+ * @returns {{min: Array<number>, max: Array<number>}} Bounds (empty without casters)
+ */
+function casterBounds(casters) {
+    const bounds = createBounds();
+    for (const caster of casters) {
+        const root = getMeshBVH(caster).nodeBounds;
+        expandBoundsTransformed(bounds, root.subarray(0, 3), root.subarray(3, 6),
+            caster.modelMatrix || mat4.identity());
+    }
+    return bounds;
+}
+
+/**
+ * Shadow map renderer
+ * Owns the depth textures and the framebuffer used for the depth pass
+ */
+export class ShadowMapper {
+    /**
+     * @param {WebGL2RenderingContext} gl - WebGL context
+     * @param {WebGLProgram} program - Depth-only program (depthVertexShader + depthFragmentShader)
+     */
+    constructor(gl, program) {
+        this.gl = gl;
+        this.program = program;
+        this.framebuffer = gl.createFramebuffer();
+        this.texture = null;      // 2D depth texture (directional/spot)
+        this.cubeTexture = null;  // Cube depth texture (point/area)
+        this.resolution = 0;
+    }
+
+    /**
+     * (Re)allocate depth textures when the requested resolution changes
+     * Immutable storage (texStorage2D) cannot be resized, so textures are recreated
+     *
+     * @param {number} resolution - Shadow map width/height in texels
+     */
+    allocate(resolution) {
+        if (resolution === this.resolution) return;
+        const { gl } = this;
+
+        if (this.texture) gl.deleteTexture(this.texture);
+        if (this.cubeTexture) gl.deleteTexture(this.cubeTexture);
+
+        // Configure a depth texture for hardware depth comparison
+        const setupDepthTexture = (target) => {
+            gl.texParameteri(target, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+            gl.texParameteri(target, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+            gl.texParameteri(target, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(target, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(target, gl.TEXTURE_COMPARE_MODE, gl.COMPARE_REF_TO_TEXTURE);
+            gl.texParameteri(target, gl.TEXTURE_COMPARE_FUNC, gl.LEQUAL);
+        };
+
+        this.texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+        gl.texStorage2D(gl.TEXTURE_2D, 1, gl.DEPTH_COMPONENT24, resolution, resolution);
+        setupDepthTexture(gl.TEXTURE_2D);
+
+        this.cubeTexture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_CUBE_MAP, this.cubeTexture);
+        gl.texStorage2D(gl.TEXTURE_CUBE_MAP, 1, gl.DEPTH_COMPONENT24, resolution, resolution);
+        setupDepthTexture(gl.TEXTURE_CUBE_MAP);
+        gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_WRAP_R, gl.CLAMP_TO_EDGE);
+
+        gl.bindTexture(gl.TEXTURE_2D, null);
+        gl.bindTexture(gl.TEXTURE_CUBE_MAP, null);
+        this.resolution = resolution;
+    }
+
+    /**
+     * Build the light-space view-projection for a 2D shadow map
+     *
+     * @param {Object} light - Light description {type, position, direction, spotAngle}
+     * @param {Array<Object>} casters - Geometry objects that cast shadows
+     * @returns {{mode: number, viewProj: Array<number>, depthRange: number}}
+     */
+    computeLightSpace(light, casters) {
+        const dir = vec3.normalize(light.direction);
+
+        if (light.type === 1) {
+            // Directional: orthographic box around the casters' world bounds, seen
+            // from outside their bounding sphere
+            let { min, max } = casterBounds(casters);
+            if (!Number.isFinite(min[0])) {
+                min = [-1, -1, -1];
+                max = [1, 1, 1];
+            }
+            const center = vec3.scale(vec3.add(min, max), 0.5);
+            const radius = Math.max(vec3.length(vec3.sub(max, center)), 1e-3);
+            const view = mat4.lookAt(vec3.sub(center, vec3.scale(dir, radius * 2)), center, safeUp(dir));
+
+            // Box corners in light view space (looking down -Z)
+            const lightBounds = createBounds();
+            expandBoundsTransformed(lightBounds, min, max, view);
+            const [left, bottom, back] = lightBounds.min;
+            const [right, top, front] = lightBounds.max;
+            const margin = ORTHO_MARGIN * Math.max(right - left, top - bottom, radius * 0.1);
+            const near = -front - margin;
+            const far = -back + margin;
+            const proj = mat4.ortho(left - margin, right + margin, bottom - margin, top + margin, near, far);
+            return { mode: SHADOW_MODE.ORTHO, viewProj: mat4.multiply(proj, view), depthRange: far - near };
+        }
+
+        // Spot: perspective frustum wrapping the cone (uSpotAngle is the cosine of the half-angle)
+        const halfAngle = Math.acos(clamp(light.spotAngle, -1, 1));
+        const fov = clamp(halfAngle * 2 + 0.1, 0.2, Math.PI * 0.9);
+        const view = mat4.lookAt(light.position, vec3.add(light.position, dir), safeUp(dir));
+        const proj = mat4.perspective(fov, 1, SHADOW_NEAR, SHADOW_FAR);
+        return { mode: SHADOW_MODE.PERSPECTIVE, viewProj: mat4.multiply(proj, view), depthRange: SHADOW_FAR };
+    }
+
+    /**
+     * Draw all casters into the currently bound depth attachment
+     *
+     * @param {Array<number>} viewProj - Light-space view-projection matrix
+     * @param {boolean} linearDepth - Write distance-to-light instead of projected depth
+     * @param {Array<number>} lightPos - Light position (for linear depth)
+     * @param {Array<Object>} casters - Geometry objects {vao, count, indexType, modelMatrix}
+     */
+    drawCasters(viewProj, linearDepth, lightPos, casters) {
+        const { gl, program } = this;
+        const loc = (name) => gl.getUniformLocation(program, name);
+
+        gl.clear(gl.DEPTH_BUFFER_BIT);
+        gl.uniformMatrix4fv(loc('uLightViewProj'), false, viewProj);
+        gl.uniform1i(loc('uLinearDepth'), linearDepth ? 1 : 0);
+        gl.uniform3fv(loc('uLightPos'), lightPos);
+        gl.uniform1f(loc('uShadowFar'), SHADOW_FAR);
+
+        for (const caster of casters) {
+            gl.uniformMatrix4fv(loc('uModel'), false, caster.modelMatrix || mat4.identity());
+            gl.bindVertexArray(caster.vao);
+            gl.drawElements(gl.TRIANGLES, caster.count, caster.indexType, 0);
+        }
+    }
+
+    /**
+     * Render the shadow map for a light
+     * Leaves the default framebuffer bound; the caller must restore the viewport
+     *
+     * @param {Object} light - Light description {type, position, direction, spotAngle}
+     * @param {Array<Object>} casters - Geometry objects that cast shadows
+     * @param {number} resolution - Shadow map resolution in texels
+     * @returns {Object} Shadow parameters for the main pass {mode, viewProj, depthRange, resolution}
+     */
+    render(light, casters, resolution) {
+        const { gl } = this;
+        this.allocate(resolution);
+
+        gl.useProgram(this.program);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.viewport(0, 0, resolution, resolution);
+
+        // Slope-scaled offset reduces acne on surfaces facing away from the light
+        gl.enable(gl.POLYGON_OFFSET_FILL);
+        gl.polygonOffset(2, 4);
+
+        let info;
+        if (light.type === 0 || light.type === 3) {
+            // Point / area: render six 90° faces around the light
+            const proj = mat4.perspective(Math.PI / 2, 1, SHADOW_NEAR, SHADOW_FAR);
+            CUBE_FACES.forEach((face, i) => {
+                gl.framebufferTexture2D(
+                    gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT,
+                    gl.TEXTURE_CUBE_MAP_POSITIVE_X + i, this.cubeTexture, 0
+                );
+                const view = mat4.lookAt(light.position, vec3.add(light.position, face.dir), face.up);
+                this.drawCasters(mat4.multiply(proj, view), true, light.position, casters);
+            });
+            info = { mode: SHADOW_MODE.CUBE, viewProj: mat4.identity(), depthRange: SHADOW_FAR };
+        } else {
+            info = this.computeLightSpace(light, casters);
+            gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.TEXTURE_2D, this.texture, 0);
+            this.drawCasters(info.viewProj, info.mode === SHADOW_MODE.PERSPECTIVE, light.position, casters);
+        }
+
+        gl.disable(gl.POLYGON_OFFSET_FILL);
+        gl.bindVertexArray(null);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+        return { ...info, resolution };
+    }
+
+    /**
+     * Bind shadow textures to their reserved texture units
+     */
+    bindTextures() {
+        const { gl } = this;
+        gl.activeTexture(gl.TEXTURE0 + SHADOW_MAP_UNIT);
+        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+        gl.activeTexture(gl.TEXTURE0 + SHADOW_CUBE_UNIT);
+        gl.bindTexture(gl.TEXTURE_CUBE_MAP, this.cubeTexture);
+        gl.activeTexture(gl.TEXTURE0);
+    }
+}
@@ -0,0 +1,111 @@
+/**
+ * Subsurface Scattering Module
+ *
+ * Lookup table for pre-integrated subsurface scattering (Penner and Borshukov,
+ * "Pre-Integrated Skin Shading", GPU Pro 2, 2011). Light entering a translucent
+ * surface leaves it again some distance away, spread by a diffusion profile; on a
+ * curved surface this blurs the diffuse falloff n·l around the surface, softening
+ * it and carrying light past the terminator. For a sphere of radius r the blurred
+ * falloff only depends on the angle to the light and on σ/r, the profile's width
+ * over the radius of curvature, so it is integrated once into a table that the
+ * lighting shader reads per color channel (see subsurfaceFalloff).
+ *
+ * The profile is a single Gaussian rather than a fitted skin profile, so each
+ * channel's scatter distance (scatter radius × scatter color) shapes any material.
+ * Blurring around a ring overstates the light carried to the dark side, so each
+ * width's falloff is rescaled to reflect what n·l does under light from all
+ * around (a scattering surface lit evenly looks the same as a Lambertian one).
+ */
+
+import { clamp } from './math.js';
+
+// Texture unit of the table (after the transmission background, 14)
+export const SUBSURFACE_LUT_UNIT = 15;
+
+const TABLE_SIZE = 64;      // Entries per axis (n·l and profile width)
+const RING_SAMPLES = 256;   // Samples of the profile around the ring
+
+/**
+ * Diffuse falloff on a ring blurred by a Gaussian diffusion profile
+ * The profile is evaluated at the chord distance 2r·sin(x/2) between the shaded
+ * point and each point of a ring around a sphere of radius r.
+ *
+ * @param {number} cosTheta - n·l at the shaded point
+ * @param {number} width - Profile standard deviation over the radius of curvature (σ/r)
+ * @returns {number} Scattered falloff (max(n·l, 0) for width 0, 1/π for an infinite width)
+ */
+function scatteredFalloff(cosTheta, width) {
+    if (width <= 0) return Math.max(cosTheta, 0);
+    const theta = Math.acos(clamp(cosTheta, -1, 1));
+
+    let sum = 0;
+    let weightSum = 0;
+    for (let i = 0; i < RING_SAMPLES; i++) {
+        const x = ((i + 0.5) / RING_SAMPLES * 2 - 1) * Math.PI;
+        const distance = 2 * Math.sin(x / 2) / width;
+        const weight = Math.exp(-0.5 * distance * distance);
+        sum += Math.max(Math.cos(theta + x), 0) * weight;
+        weightSum += weight;
+    }
+    return sum / weightSum;
+}
+
+/**
+ * Tabulate the scattered falloff
+ * Texel (i, j) holds n·l = 2i / (size - 1) - 1 and width = v / (1 - v) with
+ * v = j / (size - 1), matching the texel-center lookup of subsurfaceFalloff.
+ * Each row is scaled so that its integral over n·l is that of max(n·l, 0), 1/2.
+ *
+ * @returns {Float32Array} size × size values, rows by width
+ */
+function integrateTable() {
+    const data = new Float32Array(TABLE_SIZE * TABLE_SIZE);
+    for (let j = 0; j < TABLE_SIZE; j++) {
+        const v = j / (TABLE_SIZE - 1);
+        const width = v / (1 - v); // Infinity on the last row
+        const row = data.subarray(j * TABLE_SIZE, (j + 1) * TABLE_SIZE);
+        for (let i = 0; i < TABLE_SIZE; i++) {
+            row[i] = scatteredFalloff(2 * i / (TABLE_SIZE - 1) - 1, width);
+        }
+
+        // Trapezoidal integral over n·l in [-1, 1]
+        let integral = 0;
+        for (let i = 1; i < TABLE_SIZE; i++) {
+            integral += (row[i - 1] + row[i]) / (TABLE_SIZE - 1);
+        }
+        for (let i = 0; i < TABLE_SIZE; i++) {
+            row[i] *= 0.5 / integral;
+        }
+    }
+    return data;
+}
+
+/**
+ * Pre-integrated scattering table, shared by every lighting program
+ */
+export class SubsurfaceTable {
+    /**
+     * @param {WebGL2RenderingContext} gl - WebGL context
+     */
+    constructor(gl) {
+        this.gl = gl;
+        this.texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.R16F, TABLE_SIZE, TABLE_SIZE, 0, gl.RED, gl.FLOAT, integrateTable());
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+    }
+
+    /**
+     * Bind the table to its texture unit
+     */
+    bindTexture() {
+        const { gl } = this;
+        gl.activeTexture(gl.TEXTURE0 + SUBSURFACE_LUT_UNIT);
+        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+        gl.activeTexture(gl.TEXTURE0);
+    }
+}
@@ -0,0 +1,140 @@
+/**
+ * Material Texture Module
+ *
+ * Loads image files into WebGL textures for the PBR material slots.
+ * Channel conventions follow glTF 2.0 so maps exported for glTF work as-is:
+ * - Base color: sRGB, multiplied with the base color factor
+ * - Normal: tangent space, +Y up (OpenGL convention)
+ * - Metallic-roughness: linear, G = roughness, B = metallic
+ * - Occlusion: linear, R = ambient occlusion
+ * - Emissive: sRGB, multiplied with the emissive factor
+ * - Anisotropy: linear, RG = direction in tangent space ([-1, 1]), B = strength
+ *   (KHR_materials_anisotropy)
+ *
+ * Color maps use SRGB8_ALPHA8 storage so the hardware decodes them to linear
+ * before filtering; data maps are stored linear.
+ */
+
+/**
+ * Material texture slots
+ * Units continue after the shadow (0-1) and IBL (2-4) reservations; the anisotropy
+ * map comes after the LTC (10-11) and albedo (12) tables
+ */
+export const TEXTURE_SLOTS = {
+    baseColor:         { unit: 5, sampler: 'uBaseColorMap',         flag: 'uHasBaseColorMap',         srgb: true },
+    normal:            { unit: 6, sampler: 'uNormalMap',            flag: 'uHasNormalMap',            srgb: false },
+    metallicRoughness: { unit: 7, sampler: 'uMetallicRoughnessMap', flag: 'uHasMetallicRoughnessMap', srgb: false },
+    occlusion:         { unit: 8, sampler: 'uOcclusionMap',         flag: 'uHasOcclusionMap',         srgb: false },
+    emissive:          { unit: 9, sampler: 'uEmissiveMap',          flag: 'uHasEmissiveMap',          srgb: true },
+    anisotropy:        { unit: 13, sampler: 'uAnisotropyMap',       flag: 'uHasAnisotropyMap',        srgb: false },
+};
+
+/**
+ * Upload an image as a mipmapped, repeating 2D texture
+ *
+ * @param {WebGL2RenderingContext} gl - WebGL context
+ * @param {TexImageSource} image - Decoded image (ImageBitmap, HTMLImageElement, ...)
+ * @param {boolean} srgb - Store as sRGB (color data) instead of linear
+ * @returns {WebGLTexture} Texture object
+ */
+export function createTextureFromImage(gl, image, srgb) {
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+
+    // Images are uploaded top row first, matching v = 0 at the top of the UV space
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+    gl.pixelStorei(gl.UNPACK_COLORSPACE_CONVERSION_WEBGL, gl.NONE);
+
+    const internalFormat = srgb ? gl.SRGB8_ALPHA8 : gl.RGBA8;
+    gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, gl.RGBA, gl.UNSIGNED_BYTE, image);
+    gl.generateMipmap(gl.TEXTURE_2D);
+
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT);
+
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    return texture;
+}
+
+/**
+ * Set of material textures for one object
+ * Empty slots fall back to the scalar material parameters
+ */
+export class MaterialTextures {
+    /**
+     * @param {WebGL2RenderingContext} gl - WebGL context
+     */
+    constructor(gl) {
+        this.gl = gl;
+        this.maps = {};
+        for (const slot of Object.keys(TEXTURE_SLOTS)) {
+            this.maps[slot] = null;
+        }
+    }
+
+    /**
+     * Replace the texture in a slot (the previous texture is deleted)
+     *
+     * @param {string} slot - Key of TEXTURE_SLOTS
+     * @param {TexImageSource|null} image - Decoded image, or null to clear the slot
+     */
+    setImage(slot, image) {
+        const info = TEXTURE_SLOTS[slot];
+        if (!info) {
+            throw new Error(`Unknown material texture slot: ${slot}`);
+        }
+        if (this.maps[slot]) {
+            this.gl.deleteTexture(this.maps[slot]);
+        }
+        this.maps[slot] = image ? createTextureFromImage(this.gl, image, info.srgb) : null;
+    }
+
+    /**
+     * Decode an image file and load it into a slot
+     *
+     * @param {string} slot - Key of TEXTURE_SLOTS
+     * @param {File|Blob} file - Image file (PNG, JPEG, WebP, ...)
+     * @returns {Promise<{width: number, height: number}>} Image dimensions
+     * @throws {Error} If the file cannot be decoded as an image
+     */
+    async loadFile(slot, file) {
+        // Keep the stored values untouched: data maps must not be premultiplied or color-managed
+        const image = await createImageBitmap(file, {
+            premultiplyAlpha: 'none',
+            colorSpaceConversion: 'none',
+        });
+        this.setImage(slot, image);
+        const { width, height } = image;
+        image.close();
+        return { width, height };
+    }
+
+    /**
+     * Delete every texture in the set
+     */
+    dispose() {
+        for (const slot of Object.keys(this.maps)) {
+            this.setImage(slot, null);
+        }
+    }
+
+    /**
+     * Assign sampler units, set the "has map" flags and bind the textures
+     * Units are assigned even for empty slots so no two sampler types share a unit
+     *
+     * @param {WebGLProgram} program - Program using the material texture uniforms
+     */
+    bind(program) {
+        const { gl } = this;
+        for (const [slot, info] of Object.entries(TEXTURE_SLOTS)) {
+            const texture = this.maps[slot];
+            gl.uniform1i(gl.getUniformLocation(program, info.sampler), info.unit);
+            gl.uniform1i(gl.getUniformLocation(program, info.flag), texture ? 1 : 0);
+            gl.activeTexture(gl.TEXTURE0 + info.unit);
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+        }
+        gl.activeTexture(gl.TEXTURE0);
+    }
+}
@@ -0,0 +1,84 @@
+/**
+ * Transmission Background Module
+ *
+ * Screen-space background for thin transmissive surfaces (the transmission
+ * layer of the lighting shader, KHR_materials_transmission without a volume).
+ * After the opaque objects, light markers and skybox are drawn, the scene
+ * target's color is copied into a mipmapped texture; transmissive objects are
+ * drawn afterwards and look up what lies behind them at their own pixel, at a
+ * mip level that grows with their roughness (as in the Khronos glTF sample viewer).
+ *
+ * Transmissive objects only see the opaque scene: one glass pane does not show
+ * another one behind it.
+ */
+
+// Texture unit of the background (after the anisotropy map, 13)
+export const TRANSMISSION_UNIT = 14;
+
+/**
+ * Mipmapped copy of the scene target's color
+ */
+export class TransmissionBackground {
+    /**
+     * @param {WebGL2RenderingContext} gl - WebGL context
+     */
+    constructor(gl) {
+        this.gl = gl;
+        this.framebuffer = gl.createFramebuffer();
+        this.texture = null;
+        this.width = 0;
+        this.height = 0;
+    }
+
+    /**
+     * (Re)allocate the texture for a scene target size
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @param {number} internalFormat - The scene target's color format
+     */
+    resize(width, height, internalFormat) {
+        if (width === this.width && height === this.height) return;
+        const { gl } = this;
+        if (this.texture) gl.deleteTexture(this.texture);
+
+        const levels = Math.floor(Math.log2(Math.max(width, height))) + 1;
+        this.texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+        gl.texStorage2D(gl.TEXTURE_2D, levels, internalFormat, width, height);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.texture, 0);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+        this.width = width;
+        this.height = height;
+    }
+
+    /**
+     * Copy the scene drawn so far (resolving multisampling) and bind it to its unit
+     * Leaves the scene target bound for drawing. An active scissor test limits the
+     * copy to the scissored part (one comparison side).
+     *
+     * @param {PostProcessor} postProcessor - Owner of the scene target
+     */
+    capture(postProcessor) {
+        const { gl } = this;
+        const { width, height } = postProcessor;
+        this.resize(width, height, postProcessor.colorFormat);
+
+        gl.bindFramebuffer(gl.READ_FRAMEBUFFER, postProcessor.sceneFramebuffer);
+        gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, this.framebuffer);
+        gl.blitFramebuffer(0, 0, width, height, 0, 0, width, height, gl.COLOR_BUFFER_BIT, gl.NEAREST);
+        postProcessor.bindSceneTarget();
+
+        gl.activeTexture(gl.TEXTURE0 + TRANSMISSION_UNIT);
+        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+        gl.generateMipmap(gl.TEXTURE_2D);
+        gl.activeTexture(gl.TEXTURE0);
+    }
+}
@@ -5,6 +5,20 @@
  * Connects HTML controls to application state and provides callbacks.
  */
 
+import { MAX_LIGHTS, BRDF_VARIANTS, AREA_SHAPES, SUBSURFACE_MODES, createBrdfSettings } from './shaders.js';
+import { TEXTURE_SLOTS } from './textures.js';
+import { TONE_MAPPING } from './postprocess.js';
+import { SceneGraph, createNode, createLight, cloneMaterialSettings } from './scene.js';
+import { GIZMO_MODES } from './gizmo.js';
+import { MAX_EXPORT_SIZE } from './export.js';
+import { SWEEP_PARAMETERS, createAnimationSettings } from './animation.js';
+import { MATERIAL_PRESETS, createPreset, mergePresets } from './presets.js';
+import { LOBE_TERMS } from './lobe.js';
+import {
+    LIGHT_UNITS, LIGHT_TYPE_UNITS, APERTURES, SHUTTER_SPEEDS, ISO_SPEEDS, DEFAULT_CAMERA,
+    computeEV100, setLightType, setLightUnit, formatIntensity,
+} from './photometry.js';
+
 /**
  * Helper function to convert hex color string to RGB array [0-1 range]
  * @param {string} hex - Color in #RRGGBB format
@@ -18,6 +32,116 @@ function hexToRgb(hex) {
     return [r, g, b];
 }
 
+/**
+ * Helper function to convert RGB array [0-1 range] to hex color string
+ * @param {Array<number>} rgb - RGB values [r, g, b] in range [0, 1]
+ * @returns {string} Color in #RRGGBB format
+ */
+function rgbToHex(rgb) {
+    const toHex = (c) => Math.round(Math.min(Math.max(c, 0), 1) * 255).toString(16).padStart(2, '0');
+    return `#${toHex(rgb[0])}${toHex(rgb[1])}${toHex(rgb[2])}`;
+}
+
+/**
+ * Show a status message below a file picker
+ * @param {HTMLElement} element - Status span
+ * @param {string} text - Status message
+ * @param {boolean} isError - Whether to highlight the message as an error
+ */
+function showStatus(element, text, isError) {
+    element.textContent = text;
+    element.title = text;
+    element.classList.toggle('error', isError);
+}
+
+// Display names for light types (index = type id)
+const LIGHT_TYPE_NAMES = ['Point', 'Directional', 'Spot', 'Area'];
+
+/**
+ * Format a shutter speed for display
+ * @param {number} seconds - Exposure time
+ * @returns {string} e.g. '1/30 s', '1 s'
+ */
+function formatShutter(seconds) {
+    return seconds >= 1 ? `${seconds} s` : `1/${Math.round(1 / seconds)} s`;
+}
+
+// Node transform properties edited by the XYZ sliders (element id prefix, label digits)
+const TRANSFORM_PROPERTIES = {
+    translation: { id: 'nodePos', digits: 2 },
+    rotation: { id: 'nodeRot', digits: 0 },
+    scale: { id: 'nodeScale', digits: 2 },
+};
+
+/**
+ * Create the application state with every setting at its default
+ * (also used to fill in the fields a loaded scene file does not set)
+ * 
+ * @returns {Object} Application state
+ */
+function createDefaultState() {
+    const scene = SceneGraph.createDefault();
+    return {
+        // Scene graph (every node carries its own material for sides A and B)
+        scene,
+        selectedNode: scene.nodes[scene.nodes.length - 1].id, // Node edited by the node/material controls
+        
+        // Viewport gizmo
+        gizmoMode: GIZMO_MODES.TRANSLATE,
+        gizmoTarget: 'node',     // 'node' (selected node) or 'light' (selected light)
+        snapEnabled: false,      // Inverted while Ctrl is held
+        snapTranslate: 0.25,     // Grid step in world units
+        snapRotate: 15,          // Degrees
+        snapScale: 0.1,
+        
+        // BRDF term variants per comparison side (A is used outside compare mode)
+        brdf: {
+            A: createBrdfSettings(),
+            B: createBrdfSettings(),
+        },
+        editedMaterial: 'A',     // Side edited by the material controls
+        furnaceTest: false,      // Uniform white light instead of the lights and environment
+        
+        // BRDF lobe visualiser
+        lobeEnabled: false,
+        lobeSource: 'hover',     // 'hover' (last hovered point) or 'angle' (edited material at lobeAngle)
+        lobeAngle: 45,           // Incident angle in degrees (lobeSource 'angle')
+        lobeTerm: 'fr',          // Term drawn as the 3D lobe (see LOBE_TERMS)
+        
+        // A/B comparison (A left of the divider, B right)
+        compareEnabled: false,
+        compareSplit: 0.5,       // Divider position as a fraction of the canvas width
+        
+        // Lights (edited one at a time through the light controls)
+        lights: [createLight()],
+        selectedLight: 0,  // Index of the light shown in the light controls
+        shadowLight: 0,    // Index of the shadow-casting light (-1 = none)
+        
+        // Environment (image-based lighting)
+        iblEnabled: true,
+        skyboxEnabled: true,
+        envIntensity: 1.0,
+        
+        // Display (HDR → sRGB)
+        toneMapping: TONE_MAPPING.ACES,
+        exposure: 0.0,           // Exposure compensation in EV (stops)
+        
+        // Physical camera (its exposure converts the lights' units to radiance)
+        cameraAperture: DEFAULT_CAMERA.aperture,  // f-number
+        cameraShutter: DEFAULT_CAMERA.shutter,    // Seconds
+        cameraIso: DEFAULT_CAMERA.iso,
+        
+        // Other
+        smoothNormals: true,     // Normals generated for OBJ files without vn are smooth
+        shadowEnabled: true,
+        
+        // Shadow map properties
+        shadowResolution: 2048, // Depth texture size (texels)
+        shadowPcfSize: 5,       // PCF kernel width (odd, 1 = hard shadows)
+        shadowBias: 0.02,       // Depth bias in world units
+    };
+}
+
 /**
  * UI Manager class
  * Handles all control panel interactions and state updates
@@ -26,17 +150,28 @@ export class UIManager {
     constructor() {
         // Get references to all UI elements
         this.elements = {
-            // Light controls
+            // Light list controls
+            lightList: document.getElementById('lightList'),
+            addLight: document.getElementById('addLight'),
+            removeLight: document.getElementById('removeLight'),
+            
+            // Light controls (edit the selected light)
             lightType: document.getElementById('lightType'),
             lightColor: document.getElementById('lightColor'),
             lightIntensity: document.getElementById('lightIntensity'),
             lightIntensityVal: document.getElementById('lightIntensity-value'),
+            lightUnit: document.getElementById('lightUnit'),
+            lightUseTemperature: document.getElementById('lightUseTemperature'),
+            lightTemperature: document.getElementById('lightTemperature'),
+            lightTemperatureVal: document.getElementById('lightTemperature-value'),
+            temperatureControls: document.getElementById('temperatureControls'),
             lightX: document.getElementById('lightX'),
             lightY: document.getElementById('lightY'),
             lightZ: document.getElementById('lightZ'),
             lightXVal: document.getElementById('lightX-value'),
             lightYVal: document.getElementById('lightY-value'),
             lightZVal: document.getElementById('lightZ-value'),
+            lightCastShadow: document.getElementById('lightCastShadow'),
             
             // Spotlight controls
             spotAngle: document.getElementById('spotAngle'),
@@ -46,52 +181,230 @@ export class UIManager {
             spotControls: document.getElementById('spotControls'),
             
             // Area light controls
+            areaShape: document.getElementById('areaShape'),
             areaWidth: document.getElementById('areaWidth'),
+            areaWidthLabel: document.getElementById('areaWidthLabel'),
             areaWidthVal: document.getElementById('areaWidth-value'),
             areaHeight: document.getElementById('areaHeight'),
             areaHeightVal: document.getElementById('areaHeight-value'),
+            areaHeightLabel: document.getElementById('areaHeightLabel'),
             areaControls: document.getElementById('areaControls'),
             
+            // Scene outliner
+            nodeList: document.getElementById('nodeList'),
+            addNodeMesh: document.getElementById('addNodeMesh'),
+            addNode: document.getElementById('addNode'),
+            duplicateNode: document.getElementById('duplicateNode'),
+            removeNode: document.getElementById('removeNode'),
+            
+            // Gizmo controls
+            gizmoMode: document.getElementById('gizmoMode'),
+            snapEnabled: document.getElementById('snapEnabled'),
+            snapTranslate: document.getElementById('snapTranslate'),
+            snapRotate: document.getElementById('snapRotate'),
+            snapScale: document.getElementById('snapScale'),
+            undo: document.getElementById('undo'),
+            redo: document.getElementById('redo'),
+            
+            // Selected node controls
+            nodeName: document.getElementById('nodeName'),
+            nodeParent: document.getElementById('nodeParent'),
+            nodeMesh: document.getElementById('nodeMesh'),
+            nodeVisible: document.getElementById('nodeVisible'),
+            
+            // A/B comparison controls
+            compareEnabled: document.getElementById('compareEnabled'),
+            editedMaterial: document.getElementById('editedMaterial'),
+            copyAtoB: document.getElementById('copyAtoB'),
+            copyBtoA: document.getElementById('copyBtoA'),
+            compareDivider: document.getElementById('compareDivider'),
+            
             // Material controls
+            materialPreset: document.getElementById('materialPreset'),
+            savePreset: document.getElementById('savePreset'),
+            deletePreset: document.getElementById('deletePreset'),
+            exportPresets: document.getElementById('exportPresets'),
+            presetFile: document.getElementById('presetFile'),
+            presetStatus: document.getElementById('presetStatus'),
             roughness: document.getElementById('roughness'),
             roughnessVal: document.getElementById('roughness-value'),
             metallic: document.getElementById('metallic'),
             metallicVal: document.getElementById('metallic-value'),
+            ior: document.getElementById('ior'),
+            iorVal: document.getElementById('ior-value'),
+            anisotropy: document.getElementById('anisotropy'),
+            anisotropyVal: document.getElementById('anisotropy-value'),
+            anisotropyRotation: document.getElementById('anisotropyRotation'),
+            anisotropyRotationVal: document.getElementById('anisotropyRotation-value'),
             albedo: document.getElementById('albedo'),
+            emissive: document.getElementById('emissive'),
+            emissiveStrength: document.getElementById('emissiveStrength'),
+            emissiveStrengthVal: document.getElementById('emissiveStrength-value'),
+            normalScale: document.getElementById('normalScale'),
+            normalScaleVal: document.getElementById('normalScale-value'),
+            occlusionStrength: document.getElementById('occlusionStrength'),
+            occlusionStrengthVal: document.getElementById('occlusionStrength-value'),
+            
+            // Material layers
+            clearcoatEnabled: document.getElementById('clearcoatEnabled'),
+            clearcoatControls: document.getElementById('clearcoatControls'),
+            clearcoat: document.getElementById('clearcoat'),
+            clearcoatVal: document.getElementById('clearcoat-value'),
+            clearcoatRoughness: document.getElementById('clearcoatRoughness'),
+            clearcoatRoughnessVal: document.getElementById('clearcoatRoughness-value'),
+            sheenEnabled: document.getElementById('sheenEnabled'),
+            sheenControls: document.getElementById('sheenControls'),
+            sheenColor: document.getElementById('sheenColor'),
+            sheenRoughness: document.getElementById('sheenRoughness'),
+            sheenRoughnessVal: document.getElementById('sheenRoughness-value'),
+            transmissionEnabled: document.getElementById('transmissionEnabled'),
+            transmissionControls: document.getElementById('transmissionControls'),
+            transmission: document.getElementById('transmission'),
+            transmissionVal: document.getElementById('transmission-value'),
+            
+            // Subsurface scattering
+            subsurface: document.getElementById('subsurface'),
+            subsurfaceControls: document.getElementById('subsurfaceControls'),
+            scatterRadius: document.getElementById('scatterRadius'),
+            scatterRadiusVal: document.getElementById('scatterRadius-value'),
+            scatterColor: document.getElementById('scatterColor'),
+            
+            // BRDF term variants
+            brdfD: document.getElementById('brdfD'),
+            brdfG: document.getElementById('brdfG'),
+            brdfF: document.getElementById('brdfF'),
+            brdfFd: document.getElementById('brdfFd'),
+            brdfMultiScatter: document.getElementById('brdfMultiScatter'),
+            furnaceTest: document.getElementById('furnaceTest'),
+            conductor: document.getElementById('conductor'),
+            conductorControls: document.getElementById('conductorControls'),
+            brdfStatus: document.getElementById('brdfStatus'),
+            
+            // BRDF lobe visualiser
+            lobeEnabled: document.getElementById('lobeEnabled'),
+            lobeControls: document.getElementById('lobeControls'),
+            lobeSource: document.getElementById('lobeSource'),
+            lobeAngle: document.getElementById('lobeAngle'),
+            lobeAngleVal: document.getElementById('lobeAngle-value'),
+            lobeAngleControls: document.getElementById('lobeAngleControls'),
+            lobeTerm: document.getElementById('lobeTerm'),
+            
+            // Environment controls
+            envFile: document.getElementById('envFile'),
+            envStatus: document.getElementById('envStatus'),
+            envIntensity: document.getElementById('envIntensity'),
+            envIntensityVal: document.getElementById('envIntensity-value'),
+            iblEnabled: document.getElementById('iblEnabled'),
+            skyboxEnabled: document.getElementById('skyboxEnabled'),
             
-            // Object controls
-            objectType: document.getElementById('objectType'),
+            // Tone mapping controls
+            toneMapping: document.getElementById('toneMapping'),
+            exposure: document.getElementById('exposure'),
+            exposureVal: document.getElementById('exposure-value'),
+            cameraAperture: document.getElementById('cameraAperture'),
+            cameraShutter: document.getElementById('cameraShutter'),
+            cameraIso: document.getElementById('cameraIso'),
+            cameraEv: document.getElementById('cameraEv'),
+            
+            // Model import controls
+            modelFile: document.getElementById('modelFile'),
+            modelStatus: document.getElementById('modelStatus'),
+            generatedNormals: document.getElementById('generatedNormals'),
             shadowEnabled: document.getElementById('shadowEnabled'),
-        };
-        
-        // Application state
-        this.state = {
-            // Material properties
-            albedo: [1, 0.42, 0.42],
-            roughness: 0.72,
-            metallic: 1.0,
             
-            // Light properties
-            lightColor: [1, 1, 1],
-            lightIntensity: 10.0,
-            lightPos: [1.3, 1.0, 0.4],
-            lightDir: [0, -1, -1],
-            lightType: 0, // 0=point, 1=directional, 2=spot, 3=area
+            // Shadow map controls
+            shadowControls: document.getElementById('shadowControls'),
+            shadowResolution: document.getElementById('shadowResolution'),
+            shadowPcf: document.getElementById('shadowPcf'),
+            shadowPcfVal: document.getElementById('shadowPcf-value'),
+            shadowBias: document.getElementById('shadowBias'),
+            shadowBiasVal: document.getElementById('shadowBias-value'),
             
-            // Spotlight properties
-            spotAngle: 0.5,
-            spotSoftness: 0.1,
+            // Scene file controls
+            saveScene: document.getElementById('saveScene'),
+            resetScene: document.getElementById('resetScene'),
+            sceneFile: document.getElementById('sceneFile'),
+            sceneStatus: document.getElementById('sceneStatus'),
+            autosaveEnabled: document.getElementById('autosaveEnabled'),
             
-            // Area light properties
-            areaSize: [1, 1],
+            // Animation controls
+            animTurntable: document.getElementById('animTurntable'),
+            animOrbit: document.getElementById('animOrbit'),
+            animSweep: document.getElementById('animSweep'),
+            animSweepFrom: document.getElementById('animSweepFrom'),
+            animSweepTo: document.getElementById('animSweepTo'),
+            animSweepReturn: document.getElementById('animSweepReturn'),
+            animDuration: document.getElementById('animDuration'),
+            animFps: document.getElementById('animFps'),
+            animFormat: document.getElementById('animFormat'),
+            animPlay: document.getElementById('animPlay'),
+            animRecord: document.getElementById('animRecord'),
+            animStatus: document.getElementById('animStatus'),
             
-            // Other
-            objectType: 'sphere',
-            shadowEnabled: true,
+            // Image export controls
+            exportPreset: document.getElementById('exportPreset'),
+            exportWidth: document.getElementById('exportWidth'),
+            exportHeight: document.getElementById('exportHeight'),
+            exportSupersampling: document.getElementById('exportSupersampling'),
+            exportRadiance: document.getElementById('exportRadiance'),
+            exportImage: document.getElementById('exportImage'),
+            exportStatus: document.getElementById('exportStatus'),
         };
         
+        // Material texture slots: file picker, clear button and status per slot
+        this.textureInputs = {};
+        for (const slot of Object.keys(TEXTURE_SLOTS)) {
+            this.textureInputs[slot] = {
+                file: document.getElementById(`${slot}Map`),
+                clear: document.getElementById(`${slot}MapClear`),
+                status: document.getElementById(`${slot}MapStatus`),
+            };
+        }
+        
+        // Node transform sliders: slider and value label per property and axis
+        this.transformInputs = {};
+        for (const [property, { id }] of Object.entries(TRANSFORM_PROPERTIES)) {
+            this.transformInputs[property] = ['X', 'Y', 'Z'].map((axis) => ({
+                slider: document.getElementById(`${id}${axis}`),
+                value: document.getElementById(`${id}${axis}-value`),
+            }));
+        }
+        
+        // Value label and formatter of every hooked range slider (see setRangeValue)
+        this.rangeLabels = new Map();
+        
+        // Application state
+        this.state = createDefaultState();
+        
+        // Material presets saved by the user (kept outside the scene, see setUserPresets)
+        this.userPresets = [];
+        
         // Callbacks for state changes
-        this.onObjectTypeChange = null;
+        this.onBrdfChange = null;      // Receives (side, brdf) when a side's BRDF terms change
+        this.onModelFiles = null;      // Receives the chosen model File list
+        this.onEnvironmentFile = null; // Receives the chosen .hdr File
+        this.onTextureFile = null;     // Receives (node, slot, File) for a material map
+        this.onTextureClear = null;    // Receives (node, slot) when a map was removed
+        this.onNodesRemoved = null;    // Receives the nodes deleted from the scene
+        this.onNodeMeshChange = null;  // Receives the node whose mesh was replaced
+        this.onUndo = null;
+        this.onRedo = null;
+        this.onSceneSave = null;       // Save button pressed
+        this.onSceneFile = null;       // Receives the chosen scene .json File
+        this.onSceneReset = null;      // Reset confirmed (restore the defaults)
+        this.onAutosaveChange = null;  // Receives whether autosave is enabled
+        this.onAnimationPlay = null;   // Receives animation settings (see createAnimationSettings)
+        this.onAnimationStop = null;   // Stop pressed during playback
+        this.onAnimationRecord = null; // Receives {settings, fps, format}
+        this.onAnimationCancel = null; // Cancel pressed during a recording
+        this.onExport = null;          // Receives {width, height, supersampling, radianceFormat}
+        this.onPresetsChange = null;   // Receives the user presets after one was saved or deleted
+        this.onPresetsExport = null;   // Receives the user presets to download
+        this.onPresetsFile = null;     // Receives the chosen presets .json File
+        
+        // Animation button states (see setAnimationPlaying and setAnimationRecording)
+        this.animationPlaying = false;
+        this.animationRecording = false;
     }
     
     /**
@@ -101,6 +414,7 @@ export class UIManager {
     initialize() {
         // Helper to setup a range slider with live value display
         const hookRange = (slider, valueLabel, callback, formatter = (v) => v.toFixed(2)) => {
+            this.rangeLabels.set(slider, { valueLabel, formatter });
             const update = () => {
                 const value = parseFloat(slider.value);
                 valueLabel.textContent = formatter(value);
@@ -110,46 +424,262 @@ export class UIManager {
             update(); // Initialize
         };
         
+        // Material sliders write into whichever side (A or B) of the selected node is being edited
+        const material = () => this.getEditedMaterial();
+        
         // Material property sliders
         hookRange(
             this.elements.roughness,
             this.elements.roughnessVal,
-            (v) => this.state.roughness = v
+            (v) => material().roughness = v
         );
         
         hookRange(
             this.elements.metallic,
             this.elements.metallicVal,
-            (v) => this.state.metallic = v
+            (v) => material().metallic = v
+        );
+        
+        hookRange(
+            this.elements.ior,
+            this.elements.iorVal,
+            (v) => material().ior = v
+        );
+        
+        hookRange(
+            this.elements.anisotropy,
+            this.elements.anisotropyVal,
+            (v) => material().anisotropy = v
+        );
+        
+        hookRange(
+            this.elements.anisotropyRotation,
+            this.elements.anisotropyRotationVal,
+            (v) => material().anisotropyRotation = v,
+            (v) => `${v.toFixed(0)}°`
+        );
+        
+        hookRange(
+            this.elements.emissiveStrength,
+            this.elements.emissiveStrengthVal,
+            (v) => material().emissiveStrength = v,
+            (v) => v.toFixed(1)
+        );
+        
+        hookRange(
+            this.elements.normalScale,
+            this.elements.normalScaleVal,
+            (v) => material().normalScale = v
+        );
+        
+        hookRange(
+            this.elements.occlusionStrength,
+            this.elements.occlusionStrengthVal,
+            (v) => material().occlusionStrength = v
+        );
+        
+        // Material layers: a checkbox per layer, its parameters shown while it is on
+        for (const layer of ['clearcoat', 'sheen', 'transmission']) {
+            this.elements[`${layer}Enabled`].addEventListener('change', () => {
+                material()[`${layer}Enabled`] = this.elements[`${layer}Enabled`].checked;
+                this.updateLayerControls();
+            });
+        }
+        
+        hookRange(
+            this.elements.clearcoat,
+            this.elements.clearcoatVal,
+            (v) => material().clearcoat = v
+        );
+        
+        hookRange(
+            this.elements.clearcoatRoughness,
+            this.elements.clearcoatRoughnessVal,
+            (v) => material().clearcoatRoughness = v
+        );
+        
+        hookRange(
+            this.elements.sheenRoughness,
+            this.elements.sheenRoughnessVal,
+            (v) => material().sheenRoughness = v
+        );
+        
+        hookRange(
+            this.elements.transmission,
+            this.elements.transmissionVal,
+            (v) => material().transmission = v
+        );
+        
+        // Subsurface scattering
+        this.elements.subsurface.addEventListener('change', () => {
+            material().subsurface = parseInt(this.elements.subsurface.value, 10);
+            this.updateLayerControls();
+        });
+        
+        hookRange(
+            this.elements.scatterRadius,
+            this.elements.scatterRadiusVal,
+            (v) => material().scatterRadius = v,
+            (v) => v.toFixed(3)
+        );
+        
+        // Material texture maps (loaded into the selected node)
+        for (const [slot, inputs] of Object.entries(this.textureInputs)) {
+            inputs.file.addEventListener('change', () => {
+                const file = inputs.file.files[0];
+                if (!file || !this.onTextureFile) return;
+                const node = this.getSelectedNode();
+                
+                // An emissive map multiplies the emissive color, so black would hide it
+                // (a node's maps are shared by both comparison sides)
+                if (slot === 'emissive') {
+                    for (const settings of Object.values(node.materials)) {
+                        if (settings.emissive.every((c) => c === 0)) {
+                            settings.emissive = [1, 1, 1];
+                        }
+                    }
+                    this.elements.emissive.value = rgbToHex(material().emissive);
+                }
+                // Likewise the anisotropy map scales the anisotropy strength
+                if (slot === 'anisotropy') {
+                    for (const settings of Object.values(node.materials)) {
+                        if (settings.anisotropy === 0) {
+                            settings.anisotropy = 1;
+                        }
+                    }
+                    this.setRangeValue(this.elements.anisotropy, material().anisotropy);
+                }
+                this.setTextureStatus(slot, `Loading ${file.name}…`);
+                this.onTextureFile(node, slot, file);
+            });
+            
+            inputs.clear.addEventListener('click', () => {
+                const node = this.getSelectedNode();
+                inputs.file.value = '';
+                delete node.maps[slot];
+                this.setTextureStatus(slot, 'None', false, false);
+                if (this.onTextureClear) {
+                    this.onTextureClear(node, slot);
+                }
+            });
+        }
+        
+        // BRDF term selectors (the side's program is recompiled with the new defines)
+        for (const term of ['D', 'G', 'F', 'Fd']) {
+            const select = this.elements[`brdf${term}`];
+            select.addEventListener('change', () => {
+                const side = this.state.editedMaterial;
+                this.state.brdf[side][term] = parseInt(select.value, 10);
+                this.updateBrdfControls();
+                if (this.onBrdfChange) {
+                    this.onBrdfChange(side, this.state.brdf[side]);
+                }
+            });
+        }
+        
+        this.elements.brdfMultiScatter.addEventListener('change', () => {
+            const side = this.state.editedMaterial;
+            this.state.brdf[side].multiScatter = this.elements.brdfMultiScatter.checked;
+            if (this.onBrdfChange) {
+                this.onBrdfChange(side, this.state.brdf[side]);
+            }
+        });
+        
+        this.elements.conductor.addEventListener('change', () => {
+            material().conductor = this.elements.conductor.value;
+        });
+        this.updateBrdfControls();
+        
+        this.elements.furnaceTest.addEventListener('change', () => {
+            this.state.furnaceTest = this.elements.furnaceTest.checked;
+        });
+        
+        // BRDF lobe visualiser (drawn every frame from the current state)
+        this.elements.lobeEnabled.addEventListener('change', () => {
+            this.state.lobeEnabled = this.elements.lobeEnabled.checked;
+            this.updateLobeControls();
+        });
+        this.elements.lobeSource.addEventListener('change', () => {
+            this.state.lobeSource = this.elements.lobeSource.value;
+            this.updateLobeControls();
+        });
+        hookRange(
+            this.elements.lobeAngle,
+            this.elements.lobeAngleVal,
+            (v) => this.state.lobeAngle = v,
+            (v) => `${v.toFixed(0)}°`
         );
+        this.elements.lobeTerm.addEventListener('change', () => {
+            this.state.lobeTerm = this.elements.lobeTerm.value;
+        });
+        this.updateLobeControls();
+        
+        // A/B comparison
+        this.elements.compareEnabled.addEventListener('change', () => {
+            this.state.compareEnabled = this.elements.compareEnabled.checked;
+            this.updateCompareDivider();
+        });
+        
+        this.elements.editedMaterial.addEventListener('change', () => {
+            this.state.editedMaterial = this.elements.editedMaterial.value;
+            this.syncMaterialControls();
+        });
+        
+        this.elements.copyAtoB.addEventListener('click', () => this.copyMaterial('A', 'B'));
+        this.elements.copyBtoA.addEventListener('click', () => this.copyMaterial('B', 'A'));
+        
+        this.initCompareDivider();
         
-        // Light intensity slider
+        // Light sliders write into whichever light is currently selected
+        const light = () => this.getSelectedLight();
+        
+        // Light intensity slider (logarithmic, in the light's unit)
         hookRange(
             this.elements.lightIntensity,
             this.elements.lightIntensityVal,
-            (v) => this.state.lightIntensity = v,
-            (v) => v.toFixed(1)
+            (v) => light().intensity = Math.pow(10, v),
+            (v) => formatIntensity(Math.pow(10, v), light().unit)
+        );
+        
+        // Switching units converts the value, so the light stays as bright
+        this.elements.lightUnit.addEventListener('change', () => {
+            setLightUnit(light(), this.elements.lightUnit.value);
+            this.syncLightIntensity();
+        });
+        this.syncLightIntensity(); // Fill the unit list (the slider's value is rounded to its step)
+        
+        // Color temperature (the color picker then acts as a filter)
+        this.elements.lightUseTemperature.addEventListener('change', () => {
+            light().useTemperature = this.elements.lightUseTemperature.checked;
+            this.updateTemperatureControls();
+        });
+        
+        hookRange(
+            this.elements.lightTemperature,
+            this.elements.lightTemperatureVal,
+            (v) => light().temperature = v,
+            (v) => `${v} K`
         );
         
         // Light position sliders
         hookRange(
             this.elements.lightX,
             this.elements.lightXVal,
-            (v) => this.state.lightPos[0] = v,
+            (v) => light().position[0] = v,
             (v) => v.toFixed(1)
         );
         
         hookRange(
             this.elements.lightY,
             this.elements.lightYVal,
-            (v) => this.state.lightPos[1] = v,
+            (v) => light().position[1] = v,
             (v) => v.toFixed(1)
         );
         
         hookRange(
             this.elements.lightZ,
             this.elements.lightZVal,
-            (v) => this.state.lightPos[2] = v,
+            (v) => light().position[2] = v,
             (v) => v.toFixed(1)
         );
         
@@ -157,122 +687,1387 @@ export class UIManager {
         hookRange(
             this.elements.spotAngle,
             this.elements.spotAngleVal,
-            (v) => this.state.spotAngle = v
+            (v) => light().spotAngle = v
         );
         
         hookRange(
             this.elements.spotSoftness,
             this.elements.spotSoftnessVal,
-            (v) => this.state.spotSoftness = v
+            (v) => light().spotSoftness = v
         );
         
-        // Area light controls
+        // Area light controls (the luminance stays the same when the shape or size changes)
+        this.elements.areaShape.addEventListener('change', () => {
+            light().areaShape = parseInt(this.elements.areaShape.value, 10);
+            this.updateAreaShapeLabels();
+        });
+        
         hookRange(
             this.elements.areaWidth,
             this.elements.areaWidthVal,
-            (v) => this.state.areaSize[0] = v,
-            (v) => v.toFixed(1)
+            (v) => light().areaSize[0] = v,
+            (v) => v.toFixed(2)
         );
         
         hookRange(
             this.elements.areaHeight,
             this.elements.areaHeightVal,
-            (v) => this.state.areaSize[1] = v,
-            (v) => v.toFixed(1)
+            (v) => light().areaSize[1] = v,
+            (v) => v.toFixed(2)
         );
         
         // Color pickers
         this.elements.albedo.addEventListener('input', () => {
-            this.state.albedo = hexToRgb(this.elements.albedo.value);
+            material().albedo = hexToRgb(this.elements.albedo.value);
+        });
+        
+        this.elements.emissive.addEventListener('input', () => {
+            material().emissive = hexToRgb(this.elements.emissive.value);
+        });
+        
+        this.elements.sheenColor.addEventListener('input', () => {
+            material().sheenColor = hexToRgb(this.elements.sheenColor.value);
+        });
+        
+        this.elements.scatterColor.addEventListener('input', () => {
+            material().scatterColor = hexToRgb(this.elements.scatterColor.value);
         });
         
         this.elements.lightColor.addEventListener('input', () => {
-            this.state.lightColor = hexToRgb(this.elements.lightColor.value);
+            light().color = hexToRgb(this.elements.lightColor.value);
         });
         
-        // Light type selector
+        // Light type selector (the intensity moves to a unit of the new type)
         this.elements.lightType.addEventListener('change', () => {
-            this.state.lightType = parseInt(this.elements.lightType.value, 10);
+            setLightType(light(), parseInt(this.elements.lightType.value, 10));
+            this.syncLightIntensity();
+            this.updateLightTypeControls();
+            this.refreshLightList();
+        });
+        
+        // Shadow caster toggle (only one light casts shadows at a time)
+        this.elements.lightCastShadow.addEventListener('change', () => {
+            this.state.shadowLight = this.elements.lightCastShadow.checked
+                ? this.state.selectedLight
+                : -1;
+            this.refreshLightList();
+        });
+        
+        // Light list: select, add, remove
+        this.elements.lightList.addEventListener('change', () => {
+            this.selectLight(parseInt(this.elements.lightList.value, 10));
+        });
+        
+        this.elements.addLight.addEventListener('click', () => {
+            if (this.state.lights.length >= MAX_LIGHTS) return;
+            // New lights start as a dimmer point light on the opposite side
+            this.state.lights.push(createLight({ position: [-1.3, 1.0, 0.4], intensity: 1100 }));
+            this.selectLight(this.state.lights.length - 1);
+        });
+        
+        this.elements.removeLight.addEventListener('click', () => {
+            const { lights, selectedLight } = this.state;
+            if (lights.length <= 1) return; // Keep at least one light
+            lights.splice(selectedLight, 1);
             
-            // Show/hide light-specific controls
-            this.elements.spotControls.style.display = 
-                this.state.lightType === 2 ? 'block' : 'none';
-            this.elements.areaControls.style.display = 
-                this.state.lightType === 3 ? 'block' : 'none';
-        });
-        // Trigger initial update
-        this.elements.lightType.dispatchEvent(new Event('change'));
-        
-        // Object type selector
-        this.elements.objectType.addEventListener('change', () => {
-            this.state.objectType = this.elements.objectType.value;
-            if (this.onObjectTypeChange) {
-                this.onObjectTypeChange(this.state.objectType);
+            // Keep the shadow caster pointing at the same light
+            if (this.state.shadowLight === selectedLight) {
+                this.state.shadowLight = -1;
+            } else if (this.state.shadowLight > selectedLight) {
+                this.state.shadowLight--;
+            }
+            this.selectLight(Math.min(selectedLight, lights.length - 1));
+        });
+        
+        // Populate list and show controls for the initial light
+        this.selectLight(0);
+        
+        // Outliner and gizmo (selecting the initial node makes it the gizmo target)
+        this.initSceneControls();
+        this.initGizmoControls();
+        
+        // Environment controls
+        this.elements.envFile.addEventListener('change', () => {
+            const file = this.elements.envFile.files[0];
+            if (file && this.onEnvironmentFile) {
+                this.setEnvironmentStatus(`Loading ${file.name}…`);
+                this.onEnvironmentFile(file);
+            }
+        });
+        
+        hookRange(
+            this.elements.envIntensity,
+            this.elements.envIntensityVal,
+            (v) => this.state.envIntensity = v
+        );
+        
+        this.elements.iblEnabled.addEventListener('change', () => {
+            this.state.iblEnabled = this.elements.iblEnabled.checked;
+        });
+        
+        this.elements.skyboxEnabled.addEventListener('change', () => {
+            this.state.skyboxEnabled = this.elements.skyboxEnabled.checked;
+        });
+        
+        // Tone mapping controls
+        this.elements.toneMapping.addEventListener('change', () => {
+            this.state.toneMapping = parseInt(this.elements.toneMapping.value, 10);
+        });
+        
+        hookRange(
+            this.elements.exposure,
+            this.elements.exposureVal,
+            (v) => this.state.exposure = v,
+            (v) => `${v >= 0 ? '+' : ''}${v.toFixed(1)}`
+        );
+        
+        // Physical camera settings
+        const cameraSelects = [
+            [this.elements.cameraAperture, APERTURES, 'cameraAperture', (v) => `f/${v}`],
+            [this.elements.cameraShutter, SHUTTER_SPEEDS, 'cameraShutter', formatShutter],
+            [this.elements.cameraIso, ISO_SPEEDS, 'cameraIso', (v) => `ISO ${v}`],
+        ];
+        for (const [select, values, key, format] of cameraSelects) {
+            for (const value of values) {
+                const option = document.createElement('option');
+                option.value = String(value);
+                option.textContent = format(value);
+                select.appendChild(option);
+            }
+            select.value = String(this.state[key]);
+            select.addEventListener('change', () => {
+                this.state[key] = parseFloat(select.value);
+                this.updateCameraExposure();
+            });
+        }
+        this.updateCameraExposure();
+        
+        // Model files (.glb, or .gltf with its buffers and images)
+        this.elements.modelFile.addEventListener('change', () => {
+            const files = Array.from(this.elements.modelFile.files);
+            if (files.length > 0 && this.onModelFiles) {
+                this.onModelFiles(files);
             }
         });
         
+        this.elements.generatedNormals.addEventListener('change', () => {
+            this.state.smoothNormals = this.elements.generatedNormals.value === 'smooth';
+        });
+        
         // Shadow toggle
         this.elements.shadowEnabled.addEventListener('change', () => {
             this.state.shadowEnabled = this.elements.shadowEnabled.checked;
+            this.updateShadowControls();
+        });
+        
+        // Shadow map settings
+        this.elements.shadowResolution.addEventListener('change', () => {
+            this.state.shadowResolution = parseInt(this.elements.shadowResolution.value, 10);
         });
+        
+        hookRange(
+            this.elements.shadowPcf,
+            this.elements.shadowPcfVal,
+            (v) => this.state.shadowPcfSize = v,
+            (v) => `${v}×${v}`
+        );
+        
+        hookRange(
+            this.elements.shadowBias,
+            this.elements.shadowBiasVal,
+            (v) => this.state.shadowBias = v,
+            (v) => v.toFixed(3)
+        );
+        
+        this.initPresetControls();
+        this.initSceneFileControls();
+        this.initAnimationControls();
+        this.initExportControls();
     }
     
     /**
-     * Get current application state
-     * @returns {Object} Current state object
+     * Hook up the material preset list and the buttons managing the user's presets
      */
-    getState() {
-        return this.state;
-    }
-}
-
-/**
- * Tooltip Manager for vector visualization
- * Shows BRDF vectors when hovering over the object
- */
-export class TooltipManager {
-    constructor() {
-        // Get tooltip elements
-        this.tooltip = document.getElementById('vectorTooltip');
-        this.vecText = {
-            N: document.getElementById('vecN'),
-            L: document.getElementById('vecL'),
-            V: document.getElementById('vecV'),
-            H: document.getElementById('vecH'),
-            NdotL: document.getElementById('vecNdotL'),
-            NdotH: document.getElementById('vecNdotH'),
-        };
+    initPresetControls() {
+        const e = this.elements;
+        
+        e.materialPreset.addEventListener('change', () => {
+            const preset = this.getChosenPreset();
+            if (preset) {
+                this.applyMaterialPreset(preset);
+                this.setPresetStatus(`Applied ${preset.name}`);
+            }
+            e.deletePreset.disabled = !e.materialPreset.value.startsWith('user:');
+        });
+        
+        e.savePreset.addEventListener('click', () => {
+            const chosen = this.getChosenPreset();
+            const name = window.prompt('Preset name', chosen ? chosen.name : '');
+            if (!name || !name.trim()) return;
+            const preset = createPreset(name.trim(), this.getEditedMaterial());
+            this.setUserPresets(mergePresets(this.userPresets, [preset]));
+            e.materialPreset.value = `user:${this.userPresets.indexOf(preset)}`;
+            e.deletePreset.disabled = false;
+            this.setPresetStatus(`Saved ${preset.name}`);
+            if (this.onPresetsChange) this.onPresetsChange(this.userPresets);
+        });
+        
+        e.deletePreset.addEventListener('click', () => {
+            const preset = this.getChosenPreset();
+            if (!preset || !window.confirm(`Delete the preset "${preset.name}"?`)) return;
+            this.setUserPresets(this.userPresets.filter((p) => p !== preset));
+            this.setPresetStatus(`Deleted ${preset.name}`);
+            if (this.onPresetsChange) this.onPresetsChange(this.userPresets);
+        });
+        
+        e.exportPresets.addEventListener('click', () => {
+            if (this.userPresets.length === 0) {
+                this.setPresetStatus('Save a preset first', true);
+            } else if (this.onPresetsExport) {
+                this.onPresetsExport(this.userPresets);
+            }
+        });
+        
+        e.presetFile.addEventListener('change', () => {
+            const file = e.presetFile.files[0];
+            e.presetFile.value = '';
+            if (file && this.onPresetsFile) {
+                this.setPresetStatus(`Loading ${file.name}…`);
+                this.onPresetsFile(file);
+            }
+        });
+        
+        this.refreshPresetList();
     }
     
     /**
-     * Update tooltip with vector information
-     * @param {Object} vectors - Object containing N, L, V, H vectors and dot products
-     * @param {number} x - Screen x position
-     * @param {number} y - Screen y position
+     * Rebuild the preset list: the built-in groups, then the user's presets
+     * The choice is reset to "Custom".
      */
-    show(vectors, x, y) {
-        // Format vector as string
-        const formatVec = (v) => 
-            `${v[0].toFixed(2)}, ${v[1].toFixed(2)}, ${v[2].toFixed(2)}`;
+    refreshPresetList() {
+        const select = this.elements.materialPreset;
+        while (select.children.length > 1) {
+            select.removeChild(select.lastChild);
+        }
         
-        // Update vector displays
-        this.vecText.N.textContent = formatVec(vectors.N);
-        this.vecText.L.textContent = formatVec(vectors.L);
-        this.vecText.V.textContent = formatVec(vectors.V);
-        this.vecText.H.textContent = formatVec(vectors.H);
-        this.vecText.NdotL.textContent = vectors.NdotL.toFixed(2);
-        this.vecText.NdotH.textContent = vectors.NdotH.toFixed(2);
+        const groups = new Map();
+        MATERIAL_PRESETS.forEach((preset, i) => {
+            if (!groups.has(preset.group)) groups.set(preset.group, []);
+            groups.get(preset.group).push([`builtin:${i}`, preset.name]);
+        });
+        if (this.userPresets.length > 0) {
+            groups.set('My Presets', this.userPresets.map((preset, i) => [`user:${i}`, preset.name]));
+        }
         
-        // Position tooltip near mouse
-        this.tooltip.style.display = 'block';
-        this.tooltip.style.left = `${x + 12}px`;
-        this.tooltip.style.top = `${y + 12}px`;
+        for (const [label, entries] of groups) {
+            const group = document.createElement('optgroup');
+            group.label = label;
+            for (const [value, name] of entries) {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = name;
+                group.appendChild(option);
+            }
+            select.appendChild(group);
+        }
+        select.value = '';
+        this.elements.deletePreset.disabled = true;
     }
     
     /**
-     * Hide tooltip
+     * Preset chosen in the preset list
+     * @returns {Object|null} Built-in or user preset, or null for "Custom"
      */
-    hide() {
-        this.tooltip.style.display = 'none';
+    getChosenPreset() {
+        const [source, index] = this.elements.materialPreset.value.split(':');
+        const list = source === 'builtin' ? MATERIAL_PRESETS : source === 'user' ? this.userPresets : [];
+        return list[parseInt(index, 10)] || null;
+    }
+    
+    /**
+     * Replace the user's presets (e.g. restored from storage or imported)
+     * @param {Array<Object>} presets - Presets (see createPreset)
+     */
+    setUserPresets(presets) {
+        this.userPresets = presets;
+        this.refreshPresetList();
+    }
+    
+    /**
+     * Apply a preset to the edited material
+     * The values go through the material controls' own input events, exactly as if
+     * they had been entered by hand; fields the preset leaves out are not changed.
+     * 
+     * @param {Object} preset - Preset {albedo, metallic, roughness, ior, conductor}
+     */
+    applyMaterialPreset(preset) {
+        const e = this.elements;
+        const enter = (control, value, type = 'input') => {
+            control.value = value;
+            control.dispatchEvent(new Event(type, { bubbles: true }));
+        };
+        
+        if (preset.albedo) enter(e.albedo, rgbToHex(preset.albedo));
+        if (preset.metallic !== undefined) enter(e.metallic, String(preset.metallic));
+        if (preset.roughness !== undefined) enter(e.roughness, String(preset.roughness));
+        if (preset.ior !== undefined) enter(e.ior, String(preset.ior));
+        if (preset.conductor) enter(e.conductor, preset.conductor, 'change');
+    }
+    
+    /**
+     * Show the result of a preset action below the preset buttons
+     * @param {string} text - Status message
+     * @param {boolean} isError - Whether to highlight the message as an error
+     */
+    setPresetStatus(text, isError = false) {
+        showStatus(this.elements.presetStatus, text, isError);
+    }
+    
+    /**
+     * Hook up saving, opening and resetting the scene and the autosave toggle
+     */
+    initSceneFileControls() {
+        const e = this.elements;
+        
+        e.saveScene.addEventListener('click', () => {
+            if (this.onSceneSave) this.onSceneSave();
+        });
+        
+        e.sceneFile.addEventListener('change', () => {
+            const file = e.sceneFile.files[0];
+            e.sceneFile.value = ''; // Picking the same file again reloads it
+            if (file && this.onSceneFile) {
+                this.setSceneStatus(`Loading ${file.name}…`);
+                this.onSceneFile(file);
+            }
+        });
+        
+        e.resetScene.addEventListener('click', () => {
+            if (this.onSceneReset && window.confirm('Reset the scene and all settings to their defaults?')) {
+                this.onSceneReset();
+            }
+        });
+        
+        e.autosaveEnabled.addEventListener('change', () => {
+            if (this.onAutosaveChange) this.onAutosaveChange(e.autosaveEnabled.checked);
+        });
+    }
+    
+    /**
+     * Hook up the animation controls (choosing a sweep parameter fills in its range)
+     */
+    initAnimationControls() {
+        const e = this.elements;
+        
+        for (const [key, { label }] of Object.entries(SWEEP_PARAMETERS)) {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = label;
+            e.animSweep.appendChild(option);
+        }
+        
+        e.animSweep.addEventListener('change', () => {
+            const parameter = SWEEP_PARAMETERS[e.animSweep.value];
+            if (!parameter) return;
+            [e.animSweepFrom.value, e.animSweepTo.value] = parameter.range.map(String);
+        });
+        
+        e.animPlay.addEventListener('click', () => {
+            if (this.animationPlaying) {
+                if (this.onAnimationStop) this.onAnimationStop();
+            } else if (this.onAnimationPlay) {
+                this.onAnimationPlay(this.getAnimationSettings());
+            }
+        });
+        
+        e.animRecord.addEventListener('click', () => {
+            if (this.animationRecording) {
+                if (this.onAnimationCancel) this.onAnimationCancel();
+            } else if (this.onAnimationRecord) {
+                this.onAnimationRecord({
+                    settings: this.getAnimationSettings(),
+                    fps: parseInt(e.animFps.value, 10),
+                    format: e.animFormat.value,
+                });
+            }
+        });
+    }
+    
+    /**
+     * Read the animation controls
+     * A sweep runs from its start value to its end value over the clip, or there
+     * and back when "There and Back" is checked (so the clip loops seamlessly).
+     * 
+     * @returns {Object} Animation settings (see createAnimationSettings)
+     */
+    getAnimationSettings() {
+        const e = this.elements;
+        const number = (input, fallback, min = -Infinity, max = Infinity) => {
+            const value = parseFloat(input.value);
+            const result = Number.isFinite(value) ? Math.min(Math.max(value, min), max) : fallback;
+            input.value = String(result);
+            return result;
+        };
+        
+        const duration = number(e.animDuration, 5, 0.5, 120);
+        let sweep = null;
+        const parameter = SWEEP_PARAMETERS[e.animSweep.value];
+        if (parameter) {
+            const [min, max] = parameter.range;
+            const from = number(e.animSweepFrom, min, min, max);
+            const to = number(e.animSweepTo, max, min, max);
+            const keyframes = e.animSweepReturn.checked
+                ? [{ time: 0, value: from }, { time: duration / 2, value: to }, { time: duration, value: from }]
+                : [{ time: 0, value: from }, { time: duration, value: to }];
+            sweep = { parameter: e.animSweep.value, keyframes };
+        }
+        
+        return createAnimationSettings({
+            duration,
+            turntable: e.animTurntable.checked,
+            orbit: e.animOrbit.checked,
+            sweep,
+        });
+    }
+    
+    /**
+     * Switch the play button between Play and Stop
+     * @param {boolean} playing - Whether the preview is running
+     */
+    setAnimationPlaying(playing) {
+        this.animationPlaying = playing;
+        this.elements.animPlay.textContent = playing ? 'Stop' : 'Play';
+    }
+    
+    /**
+     * Switch the record button between Record and Cancel (playback is disabled meanwhile)
+     * @param {boolean} recording - Whether a recording is running
+     */
+    setAnimationRecording(recording) {
+        this.animationRecording = recording;
+        this.elements.animRecord.textContent = recording ? 'Cancel' : 'Record';
+        this.elements.animPlay.disabled = recording;
+    }
+    
+    /**
+     * Show the playback or recording progress below the animation buttons
+     * @param {string} text - Status message
+     * @param {boolean} isError - Whether to highlight the message as an error
+     */
+    setAnimationStatus(text, isError = false) {
+        showStatus(this.elements.animStatus, text, isError);
+    }
+    
+    /**
+     * Hook up the image export controls (size presets fill in width and height)
+     */
+    initExportControls() {
+        const e = this.elements;
+        
+        e.exportPreset.addEventListener('change', () => {
+            if (e.exportPreset.value === 'custom') return;
+            const [width, height] = e.exportPreset.value.split('x');
+            e.exportWidth.value = width;
+            e.exportHeight.value = height;
+        });
+        
+        for (const input of [e.exportWidth, e.exportHeight]) {
+            input.addEventListener('input', () => {
+                e.exportPreset.value = 'custom';
+            });
+        }
+        
+        e.exportImage.addEventListener('click', () => {
+            const size = (input) => {
+                const value = Math.round(parseFloat(input.value));
+                const clamped = Math.min(Math.max(Number.isFinite(value) ? value : 1024, 16), MAX_EXPORT_SIZE);
+                input.value = String(clamped);
+                return clamped;
+            };
+            if (this.onExport) {
+                this.onExport({
+                    width: size(e.exportWidth),
+                    height: size(e.exportHeight),
+                    supersampling: parseInt(e.exportSupersampling.value, 10),
+                    radianceFormat: e.exportRadiance.value,
+                });
+            }
+        });
+    }
+    
+    /**
+     * Disable the export button while an export is running
+     * @param {boolean} busy - Whether an export is running
+     */
+    setExportBusy(busy) {
+        this.elements.exportImage.disabled = busy;
+    }
+    
+    /**
+     * Show the export progress or result below the export button
+     * @param {string} text - Status message
+     * @param {boolean} isError - Whether to highlight the message as an error
+     */
+    setExportStatus(text, isError = false) {
+        showStatus(this.elements.exportStatus, text, isError);
+    }
+    
+    /**
+     * Set a hooked range slider without firing its callback, keeping its value label in sync
+     * @param {HTMLInputElement} slider - Range slider set up in initialize
+     * @param {number} value - New value
+     */
+    setRangeValue(slider, value) {
+        const { valueLabel, formatter } = this.rangeLabels.get(slider);
+        slider.value = value;
+        valueLabel.textContent = formatter(value);
+    }
+    
+    /**
+     * Replace the whole state (scene file loaded or reset) and push it into every control
+     * The BRDF programs are not recompiled here (see onBrdfChange).
+     * 
+     * @param {Object} values - State fields to set; the others get their defaults
+     */
+    applyState(values) {
+        this.state = { ...createDefaultState(), ...values };
+        this.syncControls();
+    }
+    
+    /**
+     * Push the whole state into the control panel
+     * Sliders only fire 'input' on user interaction, so labels are updated here too
+     */
+    syncControls() {
+        const state = this.state;
+        const e = this.elements;
+        
+        e.gizmoMode.value = state.gizmoMode;
+        e.snapEnabled.checked = state.snapEnabled;
+        e.snapTranslate.value = String(state.snapTranslate);
+        e.snapRotate.value = String(state.snapRotate);
+        e.snapScale.value = String(state.snapScale);
+        
+        e.compareEnabled.checked = state.compareEnabled;
+        e.furnaceTest.checked = state.furnaceTest;
+        e.lobeEnabled.checked = state.lobeEnabled;
+        e.lobeSource.value = state.lobeSource;
+        this.setRangeValue(e.lobeAngle, state.lobeAngle);
+        e.lobeTerm.value = state.lobeTerm;
+        this.updateLobeControls();
+        e.editedMaterial.value = state.editedMaterial;
+        this.updateCompareDivider();
+        
+        this.setRangeValue(e.envIntensity, state.envIntensity);
+        e.iblEnabled.checked = state.iblEnabled;
+        e.skyboxEnabled.checked = state.skyboxEnabled;
+        
+        e.toneMapping.value = String(state.toneMapping);
+        this.setRangeValue(e.exposure, state.exposure);
+        e.cameraAperture.value = String(state.cameraAperture);
+        e.cameraShutter.value = String(state.cameraShutter);
+        e.cameraIso.value = String(state.cameraIso);
+        this.updateCameraExposure();
+        
+        e.generatedNormals.value = state.smoothNormals ? 'smooth' : 'flat';
+        e.shadowEnabled.checked = state.shadowEnabled;
+        e.shadowResolution.value = String(state.shadowResolution);
+        this.setRangeValue(e.shadowPcf, state.shadowPcfSize);
+        this.setRangeValue(e.shadowBias, state.shadowBias);
+        this.updateShadowControls();
+        
+        // Lights, then the node (node, transform, material and BRDF controls),
+        // which leaves the selected node as the gizmo target
+        this.selectLight(state.selectedLight);
+        this.selectNode(state.selectedNode);
+    }
+    
+    /**
+     * Show the exposure value of the camera settings
+     */
+    updateCameraExposure() {
+        const { cameraAperture, cameraShutter, cameraIso } = this.state;
+        this.elements.cameraEv.textContent = `EV100 ${computeEV100(cameraAperture, cameraShutter, cameraIso).toFixed(1)}`;
+    }
+    
+    /**
+     * Show the shadow map controls only while shadows are enabled
+     */
+    updateShadowControls() {
+        this.elements.shadowControls.style.display = this.state.shadowEnabled ? 'block' : 'none';
+    }
+    
+    /**
+     * Reflect the autosave setting in its checkbox
+     * @param {boolean} enabled - Whether the setup is autosaved
+     */
+    setAutosaveEnabled(enabled) {
+        this.elements.autosaveEnabled.checked = enabled;
+    }
+    
+    /**
+     * Show the save/load status below the scene file picker
+     * @param {string} text - Status message
+     * @param {boolean} isError - Whether to highlight the message as an error
+     */
+    setSceneStatus(text, isError = false) {
+        showStatus(this.elements.sceneStatus, text, isError);
+    }
+    
+    /**
+     * Get the light currently edited by the light controls
+     * @returns {Object} Selected light
+     */
+    getSelectedLight() {
+        return this.state.lights[this.state.selectedLight];
+    }
+    
+    /**
+     * Select a light (also as the gizmo target) and load its values into the light controls
+     * @param {number} index - Index into state.lights
+     */
+    selectLight(index) {
+        this.state.selectedLight = index;
+        this.state.gizmoTarget = 'light';
+        this.refreshLightList();
+        this.syncLightControls();
+    }
+    
+    /**
+     * Rebuild the light list options (labels reflect type and shadow casting)
+     */
+    refreshLightList() {
+        const { lightList, addLight, removeLight } = this.elements;
+        lightList.innerHTML = '';
+        this.state.lights.forEach((light, i) => {
+            const option = document.createElement('option');
+            option.value = String(i);
+            const shadow = i === this.state.shadowLight ? ' ◐' : '';
+            option.textContent = `${i + 1}. ${LIGHT_TYPE_NAMES[light.type]}${shadow}`;
+            lightList.appendChild(option);
+        });
+        lightList.value = String(this.state.selectedLight);
+        
+        addLight.disabled = this.state.lights.length >= MAX_LIGHTS;
+        removeLight.disabled = this.state.lights.length <= 1;
+    }
+    
+    /**
+     * Push the selected light's values into the light controls
+     * Sliders only fire 'input' on user interaction, so labels are updated here too
+     */
+    syncLightControls() {
+        const light = this.getSelectedLight();
+        const e = this.elements;
+        
+        e.lightType.value = String(light.type);
+        e.lightColor.value = rgbToHex(light.color);
+        e.lightUseTemperature.checked = light.useTemperature;
+        this.setRangeValue(e.lightTemperature, light.temperature);
+        this.updateTemperatureControls();
+        this.syncLightIntensity();
+        this.setRangeValue(e.lightX, light.position[0]);
+        this.setRangeValue(e.lightY, light.position[1]);
+        this.setRangeValue(e.lightZ, light.position[2]);
+        this.setRangeValue(e.spotAngle, light.spotAngle);
+        this.setRangeValue(e.spotSoftness, light.spotSoftness);
+        e.areaShape.value = String(light.areaShape);
+        this.setRangeValue(e.areaWidth, light.areaSize[0]);
+        this.setRangeValue(e.areaHeight, light.areaSize[1]);
+        this.updateAreaShapeLabels();
+        e.lightCastShadow.checked = this.state.shadowLight === this.state.selectedLight;
+        
+        this.updateLightTypeControls();
+    }
+    
+    /**
+     * List the units of the selected light's type and show its intensity
+     * (the logarithmic slider's range follows the unit)
+     */
+    syncLightIntensity() {
+        const light = this.getSelectedLight();
+        const { lightUnit, lightIntensity } = this.elements;
+        const units = LIGHT_TYPE_UNITS[light.type];
+        
+        lightUnit.innerHTML = '';
+        for (const unit of units) {
+            const option = document.createElement('option');
+            option.value = unit;
+            option.textContent = LIGHT_UNITS[unit].name;
+            lightUnit.appendChild(option);
+        }
+        lightUnit.value = light.unit;
+        lightUnit.disabled = units.length < 2;
+        
+        const [min, max] = LIGHT_UNITS[light.unit].range;
+        lightIntensity.min = String(Math.log10(min));
+        lightIntensity.max = String(Math.log10(max));
+        this.setRangeValue(lightIntensity, Math.log10(Math.max(light.intensity, min)));
+    }
+    
+    /**
+     * Show the temperature slider only while the selected light uses it
+     */
+    updateTemperatureControls() {
+        this.elements.temperatureControls.style.display = this.getSelectedLight().useTemperature ? 'block' : 'none';
+    }
+    
+    /**
+     * Name the area size sliders after the selected light's shape
+     */
+    updateAreaShapeLabels() {
+        const tube = this.getSelectedLight().areaShape === AREA_SHAPES.TUBE;
+        this.elements.areaWidthLabel.textContent = tube ? 'Length' : 'Width';
+        this.elements.areaHeightLabel.textContent = tube ? 'Diameter' : 'Height';
+    }
+    
+    /**
+     * Show/hide light-specific controls for the selected light's type
+     */
+    updateLightTypeControls() {
+        const { type } = this.getSelectedLight();
+        this.elements.spotControls.style.display = type === 2 ? 'block' : 'none';
+        this.elements.areaControls.style.display = type === 3 ? 'block' : 'none';
+    }
+    
+    /**
+     * Hook up the outliner (node list, add/duplicate/remove) and the
+     * controls of the selected node
+     */
+    initSceneControls() {
+        const e = this.elements;
+        const node = () => this.getSelectedNode();
+        
+        e.nodeList.addEventListener('change', () => {
+            this.selectNode(parseInt(e.nodeList.value, 10));
+        });
+        
+        e.addNode.addEventListener('click', () => {
+            const mesh = e.addNodeMesh.value || null;
+            const name = mesh ? e.addNodeMesh.selectedOptions[0].textContent : 'Group';
+            // Built-in planes are floor-sized, so new ones start at 1×1
+            const scale = mesh === 'plane' ? [0.1, 1, 0.1] : [1, 1, 1];
+            this.addNode({ name, mesh, scale });
+        });
+        
+        e.duplicateNode.addEventListener('click', () => {
+            const copy = this.state.scene.duplicate(this.state.selectedNode);
+            this.selectNode(copy.id);
+        });
+        
+        e.removeNode.addEventListener('click', () => {
+            const { scene } = this.state;
+            const parent = node().parent;
+            if (scene.subtree(this.state.selectedNode).length >= scene.nodes.length) return; // Keep at least one node
+            const removed = scene.remove(this.state.selectedNode);
+            this.selectNode(scene.get(parent) ? parent : scene.nodes[0].id);
+            if (this.onNodesRemoved) {
+                this.onNodesRemoved(removed);
+            }
+        });
+        
+        e.nodeName.addEventListener('input', () => {
+            node().name = e.nodeName.value;
+            this.refreshNodeList();
+        });
+        
+        e.nodeParent.addEventListener('change', () => {
+            const parent = e.nodeParent.value === '' ? null : parseInt(e.nodeParent.value, 10);
+            this.state.scene.setParent(this.state.selectedNode, parent);
+            this.refreshNodeList();
+        });
+        
+        e.nodeMesh.addEventListener('change', () => {
+            node().mesh = e.nodeMesh.value || null;
+            if (this.onNodeMeshChange) {
+                this.onNodeMeshChange(node());
+            }
+        });
+        
+        e.nodeVisible.addEventListener('change', () => {
+            node().visible = e.nodeVisible.checked;
+            this.refreshNodeList();
+        });
+        
+        // Transform sliders (not initialized from their HTML values: the
+        // selected node's transform is pushed into them by syncTransformControls)
+        for (const [property, inputs] of Object.entries(this.transformInputs)) {
+            const { digits } = TRANSFORM_PROPERTIES[property];
+            inputs.forEach(({ slider, value }, axis) => {
+                slider.addEventListener('input', () => {
+                    const v = parseFloat(slider.value);
+                    value.textContent = v.toFixed(digits);
+                    node()[property][axis] = v;
+                });
+            });
+        }
+        
+        this.selectNode(this.state.selectedNode);
+    }
+    
+    /**
+     * Hook up the gizmo mode, snapping and undo/redo controls
+     */
+    initGizmoControls() {
+        const e = this.elements;
+        
+        e.gizmoMode.addEventListener('change', () => {
+            this.state.gizmoMode = e.gizmoMode.value;
+        });
+        
+        e.snapEnabled.addEventListener('change', () => {
+            this.state.snapEnabled = e.snapEnabled.checked;
+        });
+        
+        for (const [key, select] of [['snapTranslate', e.snapTranslate], ['snapRotate', e.snapRotate], ['snapScale', e.snapScale]]) {
+            select.addEventListener('change', () => {
+                this.state[key] = parseFloat(select.value);
+            });
+        }
+        
+        e.undo.addEventListener('click', () => {
+            if (this.onUndo) this.onUndo();
+        });
+        e.redo.addEventListener('click', () => {
+            if (this.onRedo) this.onRedo();
+        });
+    }
+    
+    /**
+     * Switch the gizmo mode (keyboard shortcuts)
+     * @param {string} mode - Value of GIZMO_MODES
+     */
+    setGizmoMode(mode) {
+        this.state.gizmoMode = mode;
+        this.elements.gizmoMode.value = mode;
+    }
+    
+    /**
+     * Enable the undo/redo buttons and name the edit they apply to
+     * @param {string|null} undoLabel - Edit reverted by undo (null = nothing to undo)
+     * @param {string|null} redoLabel - Edit re-applied by redo (null = nothing to redo)
+     */
+    setHistoryState(undoLabel, redoLabel) {
+        const { undo, redo } = this.elements;
+        undo.disabled = !undoLabel;
+        undo.title = undoLabel ? `Undo ${undoLabel} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+        redo.disabled = !redoLabel;
+        redo.title = redoLabel ? `Redo ${redoLabel} (Ctrl+Y)` : 'Redo (Ctrl+Y)';
+    }
+    
+    /**
+     * Get the node edited by the node and material controls
+     * @returns {Object} Selected scene node
+     */
+    getSelectedNode() {
+        return this.state.scene.get(this.state.selectedNode);
+    }
+    
+    /**
+     * Add a node at the scene root and select it
+     * @param {Object} overrides - Fields for createNode (name, mesh, ...)
+     * @returns {Object} The added node
+     */
+    addNode(overrides) {
+        const node = this.state.scene.add(createNode(overrides));
+        this.selectNode(node.id);
+        return node;
+    }
+    
+    /**
+     * Select a node (also as the gizmo target) and load its values into the node and material controls
+     * @param {number} id - Node id
+     */
+    selectNode(id) {
+        this.state.selectedNode = id;
+        this.state.gizmoTarget = 'node';
+        this.refreshNodeList();
+        this.syncNodeControls();
+        this.syncMaterialControls();
+    }
+    
+    /**
+     * Rebuild the outliner (children indented below their parent)
+     */
+    refreshNodeList() {
+        const { scene, selectedNode } = this.state;
+        const { nodeList, removeNode } = this.elements;
+        nodeList.innerHTML = '';
+        for (const { node, depth } of scene.traverse()) {
+            const option = document.createElement('option');
+            option.value = String(node.id);
+            const hidden = node.visible ? '' : ' (hidden)';
+            option.textContent = `${'\u00a0\u00a0\u00a0'.repeat(depth)}${node.name || 'Node'}${hidden}`;
+            nodeList.appendChild(option);
+        }
+        nodeList.value = String(selectedNode);
+        
+        removeNode.disabled = scene.subtree(selectedNode).length >= scene.nodes.length;
+    }
+    
+    /**
+     * Push the selected node's values into the node controls and texture slots
+     * Sliders only fire 'input' on user interaction, so labels are updated here too
+     */
+    syncNodeControls() {
+        const { scene } = this.state;
+        const node = this.getSelectedNode();
+        const e = this.elements;
+        
+        e.nodeName.value = node.name;
+        e.nodeVisible.checked = node.visible;
+        e.nodeMesh.value = node.mesh || '';
+        
+        // A node cannot be attached to itself or to one of its descendants
+        e.nodeParent.innerHTML = '';
+        const root = document.createElement('option');
+        root.value = '';
+        root.textContent = '(none)';
+        e.nodeParent.appendChild(root);
+        for (const { node: candidate } of scene.traverse()) {
+            if (scene.isInSubtree(candidate.id, node.id)) continue;
+            const option = document.createElement('option');
+            option.value = String(candidate.id);
+            option.textContent = candidate.name || 'Node';
+            e.nodeParent.appendChild(option);
+        }
+        e.nodeParent.value = node.parent === null ? '' : String(node.parent);
+        
+        this.syncTransformControls();
+        
+        for (const [slot, inputs] of Object.entries(this.textureInputs)) {
+            inputs.file.value = '';
+            this.setTextureStatus(slot, node.maps[slot] || 'None', false, slot in node.maps);
+        }
+    }
+    
+    /**
+     * Push the selected node's transform into the transform sliders
+     * (also called while a gizmo drag edits the node)
+     */
+    syncTransformControls() {
+        const node = this.getSelectedNode();
+        for (const [property, inputs] of Object.entries(this.transformInputs)) {
+            const { digits } = TRANSFORM_PROPERTIES[property];
+            inputs.forEach(({ slider, value }, axis) => {
+                slider.value = node[property][axis];
+                value.textContent = node[property][axis].toFixed(digits);
+            });
+        }
+    }
+    
+    /**
+     * Offer a loaded model in the mesh selectors
+     * @param {string} key - Mesh library key ('model:<n>')
+     * @param {string} name - Model name
+     */
+    addMeshOption(key, name) {
+        for (const select of [this.elements.nodeMesh, this.elements.addNodeMesh]) {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = name;
+            select.appendChild(option);
+        }
+    }
+    
+    /**
+     * Remove a released model from the mesh selectors
+     * @param {string} key - Mesh library key
+     */
+    removeMeshOption(key) {
+        for (const select of [this.elements.nodeMesh, this.elements.addNodeMesh]) {
+            const option = Array.from(select.options).find((o) => o.value === key);
+            if (option) option.remove();
+        }
+    }
+    
+    /**
+     * Record the map loaded into a node's texture slot and show it if the node is selected
+     * @param {Object} node - Scene node the map belongs to
+     * @param {string} slot - Key of TEXTURE_SLOTS
+     * @param {string} text - Map description, or the error message
+     * @param {boolean} isError - Whether loading failed (the slot is left empty)
+     */
+    setNodeMapStatus(node, slot, text, isError = false) {
+        if (isError) {
+            delete node.maps[slot];
+        } else {
+            node.maps[slot] = text;
+        }
+        if (node === this.getSelectedNode()) {
+            this.setTextureStatus(slot, text, isError);
+        }
+    }
+    
+    /**
+     * Get the material settings edited by the material controls
+     * @returns {Object} Settings of side A or B of the selected node
+     */
+    getEditedMaterial() {
+        return this.getSelectedNode().materials[this.state.editedMaterial];
+    }
+    
+    /**
+     * Push the edited side's values into the material and BRDF controls
+     * Sliders only fire 'input' on user interaction, so labels are updated here too
+     */
+    syncMaterialControls() {
+        const material = this.getEditedMaterial();
+        const e = this.elements;
+        
+        // A preset describes the material it was applied to, not this one
+        e.materialPreset.value = '';
+        e.deletePreset.disabled = true;
+        
+        this.setRangeValue(e.roughness, material.roughness);
+        this.setRangeValue(e.metallic, material.metallic);
+        this.setRangeValue(e.ior, material.ior);
+        this.setRangeValue(e.anisotropy, material.anisotropy);
+        this.setRangeValue(e.anisotropyRotation, material.anisotropyRotation);
+        e.albedo.value = rgbToHex(material.albedo);
+        e.emissive.value = rgbToHex(material.emissive);
+        this.setRangeValue(e.emissiveStrength, material.emissiveStrength);
+        this.setRangeValue(e.normalScale, material.normalScale);
+        this.setRangeValue(e.occlusionStrength, material.occlusionStrength);
+        
+        e.clearcoatEnabled.checked = material.clearcoatEnabled;
+        this.setRangeValue(e.clearcoat, material.clearcoat);
+        this.setRangeValue(e.clearcoatRoughness, material.clearcoatRoughness);
+        e.sheenEnabled.checked = material.sheenEnabled;
+        e.sheenColor.value = rgbToHex(material.sheenColor);
+        this.setRangeValue(e.sheenRoughness, material.sheenRoughness);
+        e.transmissionEnabled.checked = material.transmissionEnabled;
+        this.setRangeValue(e.transmission, material.transmission);
+        e.subsurface.value = String(material.subsurface);
+        this.setRangeValue(e.scatterRadius, material.scatterRadius);
+        e.scatterColor.value = rgbToHex(material.scatterColor);
+        this.updateLayerControls();
+        
+        const brdf = this.state.brdf[this.state.editedMaterial];
+        e.brdfD.value = String(brdf.D);
+        e.brdfG.value = String(brdf.G);
+        e.brdfF.value = String(brdf.F);
+        e.brdfFd.value = String(brdf.Fd);
+        e.brdfMultiScatter.checked = brdf.multiScatter;
+        e.conductor.value = material.conductor;
+        this.updateBrdfControls();
+    }
+    
+    /**
+     * Copy one comparison side to the other: the BRDF terms and the material of every node
+     * @param {string} from - Source side ('A' or 'B')
+     * @param {string} to - Destination side ('A' or 'B')
+     */
+    copyMaterial(from, to) {
+        const { brdf, scene } = this.state;
+        const brdfChanged = ['D', 'G', 'F', 'Fd', 'multiScatter'].some((term) => brdf[from][term] !== brdf[to][term]);
+        brdf[to] = { ...brdf[from] };
+        for (const node of scene.nodes) {
+            node.materials[to] = cloneMaterialSettings(node.materials[from]);
+        }
+        
+        if (to === this.state.editedMaterial) {
+            this.syncMaterialControls();
+        }
+        if (brdfChanged && this.onBrdfChange) {
+            this.onBrdfChange(to, brdf[to]);
+        }
+    }
+    
+    /**
+     * Make the compare divider draggable (pointer capture keeps the drag
+     * going when the pointer leaves the divider)
+     */
+    initCompareDivider() {
+        const divider = this.elements.compareDivider;
+        
+        const moveTo = (clientX) => {
+            const rect = divider.parentElement.getBoundingClientRect();
+            const split = (clientX - rect.left) / rect.width;
+            this.state.compareSplit = Math.min(Math.max(split, 0.05), 0.95);
+            this.updateCompareDivider();
+        };
+        
+        divider.addEventListener('pointerdown', (e) => {
+            divider.setPointerCapture(e.pointerId);
+            moveTo(e.clientX);
+        });
+        divider.addEventListener('pointermove', (e) => {
+            if (divider.hasPointerCapture(e.pointerId)) {
+                moveTo(e.clientX);
+            }
+        });
+        
+        this.updateCompareDivider();
+    }
+    
+    /**
+     * Show/position the compare divider over the canvas
+     */
+    updateCompareDivider() {
+        const divider = this.elements.compareDivider;
+        divider.style.display = this.state.compareEnabled ? 'block' : 'none';
+        divider.style.left = `${this.state.compareSplit * 100}%`;
+    }
+    
+    /**
+     * Show the metal selector only while the conductor Fresnel term is active
+     */
+    updateBrdfControls() {
+        const conductor = this.state.brdf[this.state.editedMaterial].F === BRDF_VARIANTS.F.CONDUCTOR;
+        this.elements.conductorControls.style.display = conductor ? 'block' : 'none';
+    }
+    
+    /**
+     * Show the parameters of the material layers that are switched on,
+     * and of subsurface scattering unless it is off
+     */
+    updateLayerControls() {
+        const material = this.getEditedMaterial();
+        for (const layer of ['clearcoat', 'sheen', 'transmission']) {
+            this.elements[`${layer}Controls`].style.display = material[`${layer}Enabled`] ? 'block' : 'none';
+        }
+        const scattering = material.subsurface !== SUBSURFACE_MODES.OFF;
+        this.elements.subsurfaceControls.style.display = scattering ? 'block' : 'none';
+    }
+    
+    /**
+     * Show the lobe visualiser while it is switched on, and the incident angle
+     * while the lobe does not follow the hovered point
+     */
+    updateLobeControls() {
+        const { lobeEnabled, lobeSource } = this.state;
+        this.elements.lobeControls.style.display = lobeEnabled ? 'block' : 'none';
+        this.elements.lobeAngleControls.style.display = lobeSource === 'angle' ? '' : 'none';
+    }
+    
+    /**
+     * Show the shader compilation status below the BRDF term selectors
+     * @param {string} text - Status message (empty when the program compiled)
+     * @param {boolean} isError - Whether to highlight the message as an error
+     */
+    setBrdfStatus(text, isError = false) {
+        showStatus(this.elements.brdfStatus, text, isError);
+    }
+    
+    /**
+     * Show the environment loading status below the file picker
+     * @param {string} text - Status message
+     * @param {boolean} isError - Whether to highlight the message as an error
+     */
+    setEnvironmentStatus(text, isError = false) {
+        showStatus(this.elements.envStatus, text, isError);
+    }
+    
+    /**
+     * Show the model loading status below the model file picker
+     * @param {string} text - Status message
+     * @param {boolean} isError - Whether to highlight the message as an error
+     */
+    setModelStatus(text, isError = false) {
+        showStatus(this.elements.modelStatus, text, isError);
+    }
+    
+    /**
+     * Show the loading status of a material texture slot
+     * @param {string} slot - Key of TEXTURE_SLOTS
+     * @param {string} text - Status message
+     * @param {boolean} isError - Whether to highlight the message as an error
+     * @param {boolean} loaded - Whether the slot holds a map (enables the clear button)
+     */
+    setTextureStatus(slot, text, isError = false, loaded = !isError) {
+        const inputs = this.textureInputs[slot];
+        showStatus(inputs.status, text, isError);
+        inputs.clear.disabled = !loaded;
+    }
+    
+    /**
+     * Get current application state
+     * @returns {Object} Current state object
+     */
+    getState() {
+        return this.state;
+    }
+}
+
+/**
+ * Tooltip Manager for vector visualization
+ * Shows BRDF vectors when hovering over the object
+ */
+export class TooltipManager {
+    constructor() {
+        // Get tooltip elements
+        this.tooltip = document.getElementById('vectorTooltip');
+        this.vecText = {
+            N: document.getElementById('vecN'),
+            L: document.getElementById('vecL'),
+            V: document.getElementById('vecV'),
+            H: document.getElementById('vecH'),
+            T: document.getElementById('vecT'),
+            B: document.getElementById('vecB'),
+            NdotL: document.getElementById('vecNdotL'),
+            NdotH: document.getElementById('vecNdotH'),
+        };
+    }
+    
+    /**
+     * Update tooltip with vector information
+     * @param {Object} vectors - Object containing N, L, V, H vectors, the tangent T and
+     *                           bitangent B, and dot products
+     * @param {number} x - Screen x position
+     * @param {number} y - Screen y position
+     */
+    show(vectors, x, y) {
+        // Format vector as string
+        const formatVec = (v) => 
+            `${v[0].toFixed(2)}, ${v[1].toFixed(2)}, ${v[2].toFixed(2)}`;
+        
+        // Update vector displays
+        this.vecText.N.textContent = formatVec(vectors.N);
+        this.vecText.L.textContent = formatVec(vectors.L);
+        this.vecText.V.textContent = formatVec(vectors.V);
+        this.vecText.H.textContent = formatVec(vectors.H);
+        this.vecText.T.textContent = formatVec(vectors.T);
+        this.vecText.B.textContent = formatVec(vectors.B);
+        this.vecText.NdotL.textContent = vectors.NdotL.toFixed(2);
+        this.vecText.NdotH.textContent = vectors.NdotH.toFixed(2);
+        
+        // Position tooltip near mouse
+        this.tooltip.style.display = 'block';
+        this.tooltip.style.left = `${x + 12}px`;
+        this.tooltip.style.top = `${y + 12}px`;
+    }
+    
+    /**
+     * Hide tooltip
+     */
+    hide() {
+        this.tooltip.style.display = 'none';
+    }
+}
+
+/**
+ * Polar plot of the BRDF lobe in the plane of incidence
+ * The normal points up and the light comes in from the left. Each term is
+ * scaled to its own maximum (printed in the legend), so the curves compare
+ * shapes rather than magnitudes.
+ */
+export class LobePlot {
+    constructor() {
+        this.canvas = document.getElementById('lobePlot');
+        this.context = this.canvas.getContext('2d');
+        this.status = document.getElementById('lobeStatus');
+    }
+    
+    /**
+     * Draw a sampled lobe
+     * @param {{angles: Float32Array, terms: Object}} samples - Lobe in the plane of
+     *        incidence (see sampleIncidencePlane)
+     * @param {number} incidentAngle - Angle of the light to the normal (radians)
+     * @param {number|null} viewAngle - Angle of the view direction projected into the
+     *        plane (radians, positive on the mirror side), or null for none
+     * @param {string} description - Status line below the plot
+     */
+    draw(samples, incidentAngle, viewAngle, description) {
+        const ctx = this.context;
+        const { origin, radius } = this.drawAxes();
+        const toCss = (color) => `rgb(${color.map((c) => Math.round(c * 255)).join(', ')})`;
+        const ray = (angle, length) => [origin[0] + length * Math.sin(angle), origin[1] - length * Math.cos(angle)];
+        
+        // Light and view directions (colors of the debug vectors)
+        this.drawRay(origin, ray(-incidentAngle, radius), 'rgb(255, 255, 0)', 'L');
+        if (viewAngle !== null) {
+            this.drawRay(origin, ray(viewAngle, radius), 'rgb(0, 128, 255)', 'V');
+        }
+        
+        // Terms back to front, the full BRDF on top
+        const keys = Object.keys(LOBE_TERMS).reverse();
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([]);
+        ctx.font = '10px monospace';
+        ctx.textBaseline = 'top';
+        keys.forEach((key, k) => {
+            const values = samples.terms[key];
+            const max = values.reduce((a, b) => Math.max(a, b), 0);
+            const color = toCss(LOBE_TERMS[key].color);
+            
+            if (max > 0 && Number.isFinite(max)) {
+                ctx.strokeStyle = color;
+                ctx.beginPath();
+                samples.angles.forEach((angle, i) => {
+                    const [x, y] = ray(angle, radius * values[i] / max);
+                    if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+                });
+                ctx.stroke();
+            }
+            
+            // Legend: the full BRDF first, left to right
+            const label = `${LOBE_TERMS[key].label} ${max < 1000 ? max.toPrecision(3) : max.toFixed(0)}`;
+            ctx.fillStyle = color;
+            ctx.fillText(label, 4 + (keys.length - 1 - k) * this.canvas.width / keys.length, 3);
+        });
+        
+        this.status.textContent = description;
+    }
+    
+    /**
+     * Show the empty plot with a status message
+     * @param {string} message - Reason why there is no lobe
+     */
+    clear(message) {
+        this.drawAxes();
+        this.status.textContent = message;
+    }
+    
+    /**
+     * Clear the canvas and draw the normal, the horizon and two angle circles
+     * @returns {{origin: Array<number>, radius: number}} Plot origin and radius in pixels
+     */
+    drawAxes() {
+        const ctx = this.context;
+        const { width, height } = this.canvas;
+        const origin = [width / 2, height - 10];
+        const radius = Math.min(width / 2 - 8, height - 34);
+        
+        ctx.clearRect(0, 0, width, height);
+        ctx.lineWidth = 1;
+        ctx.strokeStyle = '#34495e';
+        ctx.setLineDash([]);
+        for (const r of [radius / 2, radius]) {
+            ctx.beginPath();
+            ctx.arc(origin[0], origin[1], r, Math.PI, 2 * Math.PI);
+            ctx.stroke();
+        }
+        ctx.beginPath();
+        ctx.moveTo(origin[0] - radius - 4, origin[1]);
+        ctx.lineTo(origin[0] + radius + 4, origin[1]);
+        ctx.stroke();
+        
+        this.drawRay(origin, [origin[0], origin[1] - radius], 'rgb(0, 255, 0)', 'N');
+        return { origin, radius };
+    }
+    
+    /**
+     * Draw a dashed direction from the plot origin
+     * @param {Array<number>} origin - Plot origin in pixels
+     * @param {Array<number>} end - End point in pixels
+     * @param {string} color - CSS color
+     * @param {string} label - Name drawn at the end
+     */
+    drawRay(origin, end, color, label) {
+        const ctx = this.context;
+        ctx.lineWidth = 1;
+        ctx.strokeStyle = color;
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(origin[0], origin[1]);
+        ctx.lineTo(end[0], end[1]);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        ctx.font = '10px monospace';
+        ctx.textBaseline = 'bottom';
+        ctx.fillStyle = color;
+        ctx.fillText(label, end[0] + 2, end[1]);
     }
 }
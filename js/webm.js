@@ -0,0 +1,195 @@
+/**
+ * WebM Muxer Module
+ *
+ * Writes a WebM (Matroska) file from video frames encoded with WebCodecs, one
+ * video track and no audio. Every frame carries the timestamp it was encoded
+ * with, so the video's timing is the clip's and not the speed of the machine.
+ * A cluster starts at each keyframe; there is no seek index (Cues), which
+ * players only need for fast seeking in long files.
+ */
+
+// Element ids (with their length marker bits, as written)
+const EBML = 0x1A45DFA3;
+const EBML_VERSION = 0x4286;
+const EBML_READ_VERSION = 0x42F7;
+const EBML_MAX_ID_LENGTH = 0x42F2;
+const EBML_MAX_SIZE_LENGTH = 0x42F3;
+const DOC_TYPE = 0x4282;
+const DOC_TYPE_VERSION = 0x4287;
+const DOC_TYPE_READ_VERSION = 0x4285;
+const SEGMENT = 0x18538067;
+const INFO = 0x1549A966;
+const TIMECODE_SCALE = 0x2AD7B1;
+const DURATION = 0x4489;
+const MUXING_APP = 0x4D80;
+const WRITING_APP = 0x5741;
+const TRACKS = 0x1654AE6B;
+const TRACK_ENTRY = 0xAE;
+const TRACK_NUMBER = 0xD7;
+const TRACK_UID = 0x73C5;
+const TRACK_TYPE = 0x83;
+const FLAG_LACING = 0x9C;
+const CODEC_ID = 0x86;
+const DEFAULT_DURATION = 0x23E383;
+const VIDEO = 0xE0;
+const PIXEL_WIDTH = 0xB0;
+const PIXEL_HEIGHT = 0xBA;
+const CLUSTER = 0x1F43B675;
+const TIMECODE = 0xE7;
+const SIMPLE_BLOCK = 0xA3;
+
+// Matroska codec ids by WebCodecs codec string prefix
+const CODEC_IDS = { vp8: 'V_VP8', vp09: 'V_VP9' };
+
+// Timestamps are stored in milliseconds (TimecodeScale in nanoseconds)
+const TIMECODE_SCALE_NS = 1e6;
+
+// Largest block timecode relative to its cluster (signed 16-bit)
+const MAX_BLOCK_OFFSET = 32767;
+
+/**
+ * Bytes of an element id
+ * @param {number} id - Element id
+ * @returns {Array<number>} Big-endian bytes without leading zeros
+ */
+function idBytes(id) {
+    const bytes = [];
+    for (let value = id; value > 0; value = Math.floor(value / 256)) {
+        bytes.unshift(value & 0xFF);
+    }
+    return bytes;
+}
+
+/**
+ * Element data size as a variable-length integer (shortest form)
+ * @param {number} size - Size in bytes
+ * @returns {Array<number>} Encoded bytes
+ */
+function sizeBytes(size) {
+    let length = 1;
+    while (size >= 2 ** (7 * length) - 1) length++;
+    const bytes = [];
+    let value = size;
+    for (let i = 0; i < length; i++) {
+        bytes.unshift(value & 0xFF);
+        value = Math.floor(value / 256);
+    }
+    bytes[0] |= 0x80 >> (length - 1);
+    return bytes;
+}
+
+/**
+ * Unsigned integer in the fewest bytes
+ * @param {number} value - Non-negative integer
+ * @returns {Uint8Array} Big-endian bytes
+ */
+function uintBytes(value) {
+    const bytes = [];
+    do {
+        bytes.unshift(value & 0xFF);
+        value = Math.floor(value / 256);
+    } while (value > 0);
+    return Uint8Array.from(bytes);
+}
+
+/**
+ * 64-bit float, big-endian
+ * @param {number} value - Value
+ * @returns {Uint8Array} 8 bytes
+ */
+function floatBytes(value) {
+    const view = new DataView(new ArrayBuffer(8));
+    view.setFloat64(0, value);
+    return new Uint8Array(view.buffer);
+}
+
+/**
+ * Element with its content
+ * @param {number} id - Element id
+ * @param {Array<Uint8Array>|Uint8Array|number|string} content - Child parts (master
+ *        element), raw bytes, an unsigned integer or a string
+ * @returns {Array<Uint8Array>} Parts of the encoded element
+ */
+function element(id, content) {
+    let parts;
+    if (Array.isArray(content)) {
+        parts = content.flat();
+    } else if (typeof content === 'number') {
+        parts = [uintBytes(content)];
+    } else if (typeof content === 'string') {
+        parts = [new TextEncoder().encode(content)];
+    } else {
+        parts = [content];
+    }
+    const size = parts.reduce((sum, part) => sum + part.byteLength, 0);
+    return [Uint8Array.from([...idBytes(id), ...sizeBytes(size)]), ...parts];
+}
+
+/**
+ * Frame as a SimpleBlock of track 1
+ * @param {Object} frame - {data, timestamp, keyframe} (timestamp in microseconds)
+ * @param {number} offset - Timecode relative to the cluster (milliseconds)
+ * @returns {Array<Uint8Array>} Parts of the encoded element
+ */
+function simpleBlock(frame, offset) {
+    const header = new DataView(new ArrayBuffer(4));
+    header.setUint8(0, 0x81);                       // Track number 1 (variable-length)
+    header.setInt16(1, offset);
+    header.setUint8(3, frame.keyframe ? 0x80 : 0);  // Flags: keyframe
+    return element(SIMPLE_BLOCK, [new Uint8Array(header.buffer), frame.data]);
+}
+
+/**
+ * Write a WebM file
+ * @param {Object} video - {codec (WebCodecs codec string), width, height, fps,
+ *        frames: Array of {data: Uint8Array, timestamp (microseconds), keyframe}
+ *        in decoding order, starting with a keyframe}
+ * @returns {Blob} WebM file
+ */
+export function createWebM(video) {
+    const { codec, width, height, fps, frames } = video;
+    const frameDuration = 1e9 / fps; // Nanoseconds
+
+    const clusters = [];
+    let cluster = null;
+    for (const frame of frames) {
+        const time = Math.round(frame.timestamp * 1000 / TIMECODE_SCALE_NS);
+        if (!cluster || frame.keyframe || time - cluster.time > MAX_BLOCK_OFFSET) {
+            cluster = { time, blocks: [] };
+            clusters.push(cluster);
+        }
+        cluster.blocks.push(simpleBlock(frame, time - cluster.time));
+    }
+
+    const track = [
+        element(TRACK_NUMBER, 1),
+        element(TRACK_UID, 1),
+        element(TRACK_TYPE, 1),     // Video
+        element(FLAG_LACING, 0),
+        element(CODEC_ID, CODEC_IDS[codec.split('.')[0]]),
+        element(DEFAULT_DURATION, Math.round(frameDuration)),
+        element(VIDEO, [element(PIXEL_WIDTH, width), element(PIXEL_HEIGHT, height)]),
+    ];
+
+    const segment = element(SEGMENT, [
+        element(INFO, [
+            element(TIMECODE_SCALE, TIMECODE_SCALE_NS),
+            element(DURATION, floatBytes(frames.length * frameDuration / TIMECODE_SCALE_NS)),
+            element(MUXING_APP, 'cook-torrance-demo'),
+            element(WRITING_APP, 'cook-torrance-demo'),
+        ]),
+        element(TRACKS, [element(TRACK_ENTRY, track)]),
+        ...clusters.map(({ time, blocks }) => element(CLUSTER, [element(TIMECODE, time), ...blocks])),
+    ]);
+
+    const header = element(EBML, [
+        element(EBML_VERSION, 1),
+        element(EBML_READ_VERSION, 1),
+        element(EBML_MAX_ID_LENGTH, 4),
+        element(EBML_MAX_SIZE_LENGTH, 8),
+        element(DOC_TYPE, 'webm'),
+        element(DOC_TYPE_VERSION, 2),
+        element(DOC_TYPE_READ_VERSION, 2),
+    ]);
+    return new Blob([...header, ...segment], { type: 'video/webm' });
+}
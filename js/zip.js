@@ -0,0 +1,87 @@
+/**
+ * ZIP Archive Module
+ *
+ * Writes uncompressed ("stored") ZIP archives, e.g. a folder of PNG frames
+ * (PNG data is already compressed, so deflating it again gains almost nothing).
+ * Entries carry a fixed timestamp, so the same files always give the same archive.
+ */
+
+// CRC-32 (IEEE) lookup table
+const CRC_TABLE = Uint32Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+// MS-DOS date of every entry: 1980-01-01 (the earliest the format can store), 00:00
+const DOS_DATE = (1 << 5) | 1;
+
+/**
+ * CRC-32 checksum of a byte array
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Checksum (unsigned)
+ */
+export function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Pack files into a ZIP archive (no compression, no ZIP64: under 4 GB and 65535 files)
+ * @param {Array<{name: string, data: Uint8Array}>} files - Entries in archive order
+ * @returns {Blob} ZIP file
+ */
+export function createZip(files) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    for (const { name, data } of files) {
+        const nameBytes = encoder.encode(name);
+        const crc = crc32(data);
+
+        // Fields shared by the local header and the central directory entry,
+        // from "version needed" up to the name length
+        const common = new DataView(new ArrayBuffer(26));
+        common.setUint16(0, 20, true);              // Version needed (2.0)
+        common.setUint16(2, 0x0800, true);          // Flags: UTF-8 names
+        common.setUint16(4, 0, true);               // Method: stored
+        common.setUint16(6, 0, true);               // Time
+        common.setUint16(8, DOS_DATE, true);        // Date
+        common.setUint32(10, crc, true);
+        common.setUint32(14, data.length, true);    // Compressed size
+        common.setUint32(18, data.length, true);    // Uncompressed size
+        common.setUint16(22, nameBytes.length, true);
+        common.setUint16(24, 0, true);              // Extra field length
+
+        const local = new DataView(new ArrayBuffer(4));
+        local.setUint32(0, 0x04034B50, true);
+        parts.push(local, common, nameBytes, data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014B50, true);
+        entry.setUint16(4, 20, true);               // Version made by
+        new Uint8Array(entry.buffer, 6, 26).set(new Uint8Array(common.buffer));
+        // Comment length, disk number, internal and external attributes stay 0
+        entry.setUint32(42, offset, true);          // Offset of the local header
+        directory.push(entry, nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    }
+
+    const directorySize = directory.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, files.length, true);           // Entries on this disk
+    end.setUint16(10, files.length, true);          // Entries in total
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);                // Offset of the central directory
+
+    return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+}
@@ -0,0 +1,433 @@
+/**
+ * LTC Table Fitting
+ *
+ * Fits the linearly transformed cosine (LTC) tables used by the area lights to the
+ * GGX BRDF (height-correlated Smith masking-shadowing) and writes js/ltc-data.js.
+ * Follows the reference fitting code of Heitz, Dupuy, Hill and Neubelt,
+ * "Real-Time Polygonal-Light Shading with Linearly Transformed Cosines" (2016):
+ * for every roughness and view angle, the matrix M = R · [m11 0 m13; 0 m22 0; 0 0 1]
+ * (R = frame around the BRDF's average direction) is refined with Nelder-Mead to
+ * minimize the multiple-importance-sampled L3 difference between the two lobes.
+ *
+ * Usage (from the repository root, takes a few minutes): node tools/fit-ltc.mjs
+ */
+
+import { writeFileSync } from 'node:fs';
+
+// Table resolution: roughness (x) × √(1 - cos θv) (y)
+const SIZE = 64;
+
+// Integration samples per axis for the error and the average terms
+const SAMPLES = 32;
+
+// Smallest α fitted (roughness 0 is a mirror)
+const MIN_ALPHA = 0.00001;
+
+// ====================================
+// 3x3 matrices (row-major arrays of 9)
+// ====================================
+
+function multiply(a, b) {
+    const r = new Array(9);
+    for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) {
+            r[i * 3 + j] = a[i * 3] * b[j] + a[i * 3 + 1] * b[3 + j] + a[i * 3 + 2] * b[6 + j];
+        }
+    }
+    return r;
+}
+
+function determinant(m) {
+    return m[0] * (m[4] * m[8] - m[5] * m[7])
+        - m[1] * (m[3] * m[8] - m[5] * m[6])
+        + m[2] * (m[3] * m[7] - m[4] * m[6]);
+}
+
+function invert(m) {
+    const det = determinant(m);
+    return [
+        (m[4] * m[8] - m[5] * m[7]) / det,
+        (m[2] * m[7] - m[1] * m[8]) / det,
+        (m[1] * m[5] - m[2] * m[4]) / det,
+        (m[5] * m[6] - m[3] * m[8]) / det,
+        (m[0] * m[8] - m[2] * m[6]) / det,
+        (m[2] * m[3] - m[0] * m[5]) / det,
+        (m[3] * m[7] - m[4] * m[6]) / det,
+        (m[1] * m[6] - m[0] * m[7]) / det,
+        (m[0] * m[4] - m[1] * m[3]) / det,
+    ];
+}
+
+// ====================================
+// GGX BRDF (times cosine)
+// ====================================
+
+/**
+ * Smith Λ of GGX
+ * @param {number} alpha - GGX α
+ * @param {number} cosTheta - Cosine to the normal
+ * @returns {number} Λ
+ */
+function lambda(alpha, cosTheta) {
+    if (cosTheta >= 1) return 0;
+    const tan2 = (1 - cosTheta * cosTheta) / (cosTheta * cosTheta);
+    return 0.5 * (Math.sqrt(1 + alpha * alpha * tan2) - 1);
+}
+
+/**
+ * BRDF × cosine and its sampling pdf for a light direction
+ * @param {Array<number>} v - View direction (z up)
+ * @param {number} lx - Light direction x
+ * @param {number} ly - Light direction y
+ * @param {number} lz - Light direction z
+ * @param {number} alpha - GGX α
+ * @returns {Array<number>} [value, pdf]
+ */
+function evalGGX(v, lx, ly, lz, alpha) {
+    if (v[2] <= 0) return [0, 0];
+    const G2 = lz <= 0 ? 0 : 1 / (1 + lambda(alpha, v[2]) + lambda(alpha, lz));
+
+    let hx = v[0] + lx;
+    let hy = v[1] + ly;
+    let hz = v[2] + lz;
+    const length = Math.sqrt(hx * hx + hy * hy + hz * hz);
+    hx /= length;
+    hy /= length;
+    hz /= length;
+
+    const slope2 = (hx * hx + hy * hy) / (hz * hz);
+    let D = 1 / (1 + slope2 / (alpha * alpha));
+    D = D * D / (Math.PI * alpha * alpha * hz * hz * hz * hz);
+
+    const VdotH = v[0] * hx + v[1] * hy + v[2] * hz;
+    const pdf = Math.abs(D * hz / (4 * VdotH));
+    return [D * G2 / (4 * v[2]), pdf];
+}
+
+/**
+ * Sample a light direction from the GGX normal distribution
+ * @returns {Array<number>} Light direction
+ */
+function sampleGGX(v, alpha, u1, u2) {
+    const phi = 2 * Math.PI * u1;
+    const r = alpha * Math.sqrt(u2 / (1 - u2));
+    const length = Math.sqrt(r * r + 1);
+    const nx = r * Math.cos(phi) / length;
+    const ny = r * Math.sin(phi) / length;
+    const nz = 1 / length;
+    const d = 2 * (nx * v[0] + ny * v[1] + nz * v[2]);
+    return [nx * d - v[0], ny * d - v[1], nz * d - v[2]];
+}
+
+// ====================================
+// LTC lobe
+// ====================================
+
+/**
+ * LTC lobe {magnitude, m11, m22, m13, frame} with its derived matrices
+ */
+function updateLtc(ltc) {
+    const { frame, m11, m22, m13 } = ltc;
+    ltc.M = multiply(frame, [m11, 0, m13, 0, m22, 0, 0, 0, 1]);
+    ltc.invM = invert(ltc.M);
+    ltc.detM = Math.abs(determinant(ltc.M));
+}
+
+function evalLtc(ltc, lx, ly, lz) {
+    const { M, invM, detM } = ltc;
+    let ox = invM[0] * lx + invM[1] * ly + invM[2] * lz;
+    let oy = invM[3] * lx + invM[4] * ly + invM[5] * lz;
+    let oz = invM[6] * lx + invM[7] * ly + invM[8] * lz;
+    const length = Math.sqrt(ox * ox + oy * oy + oz * oz);
+    ox /= length;
+    oy /= length;
+    oz /= length;
+
+    const mx = M[0] * ox + M[1] * oy + M[2] * oz;
+    const my = M[3] * ox + M[4] * oy + M[5] * oz;
+    const mz = M[6] * ox + M[7] * oy + M[8] * oz;
+    const l = Math.sqrt(mx * mx + my * my + mz * mz);
+    const jacobian = detM / (l * l * l);
+    return ltc.magnitude * Math.max(0, oz) / Math.PI / jacobian;
+}
+
+function sampleLtc(ltc, u1, u2) {
+    const { M } = ltc;
+    const theta = Math.acos(Math.sqrt(u1));
+    const phi = 2 * Math.PI * u2;
+    const x = Math.sin(theta) * Math.cos(phi);
+    const y = Math.sin(theta) * Math.sin(phi);
+    const z = Math.cos(theta);
+    const lx = M[0] * x + M[1] * y + M[2] * z;
+    const ly = M[3] * x + M[4] * y + M[5] * z;
+    const lz = M[6] * x + M[7] * y + M[8] * z;
+    const length = Math.sqrt(lx * lx + ly * ly + lz * lz);
+    return [lx / length, ly / length, lz / length];
+}
+
+// ====================================
+// Fitting
+// ====================================
+
+/**
+ * Albedo of the BRDF, its Schlick Fresnel weight and average direction
+ * @returns {{norm: number, fresnel: number, direction: Array<number>}}
+ */
+function averageTerms(v, alpha) {
+    let norm = 0;
+    let fresnel = 0;
+    const direction = [0, 0, 0];
+    for (let j = 0; j < SAMPLES; j++) {
+        for (let i = 0; i < SAMPLES; i++) {
+            const l = sampleGGX(v, alpha, (i + 0.5) / SAMPLES, (j + 0.5) / SAMPLES);
+            const [value, pdf] = evalGGX(v, l[0], l[1], l[2], alpha);
+            if (pdf <= 0) continue;
+            const weight = value / pdf;
+            const h = [v[0] + l[0], v[1] + l[1], v[2] + l[2]];
+            const VdotH = Math.max((v[0] * h[0] + v[1] * h[1] + v[2] * h[2]) / Math.hypot(...h), 0);
+            norm += weight;
+            fresnel += weight * Math.pow(1 - VdotH, 5);
+            direction[0] += weight * l[0];
+            direction[2] += weight * l[2];
+        }
+    }
+    const length = Math.hypot(direction[0], direction[2]);
+    return {
+        norm: norm / (SAMPLES * SAMPLES),
+        fresnel: fresnel / (SAMPLES * SAMPLES),
+        direction: [direction[0] / length, 0, direction[2] / length],
+    };
+}
+
+/**
+ * Difference between the BRDF and the LTC lobe (L3, multiple importance sampled)
+ * @returns {number} Error
+ */
+function fitError(ltc, v, alpha) {
+    let error = 0;
+    const accumulate = (l) => {
+        const [brdf, pdfBrdf] = evalGGX(v, l[0], l[1], l[2], alpha);
+        const lobe = evalLtc(ltc, l[0], l[1], l[2]);
+        const pdfLtc = lobe / ltc.magnitude;
+        const difference = Math.abs(brdf - lobe);
+        error += difference * difference * difference / (pdfLtc + pdfBrdf);
+    };
+    for (let j = 0; j < SAMPLES; j++) {
+        for (let i = 0; i < SAMPLES; i++) {
+            const u1 = (i + 0.5) / SAMPLES;
+            const u2 = (j + 0.5) / SAMPLES;
+            accumulate(sampleLtc(ltc, u1, u2));
+            accumulate(sampleGGX(v, alpha, u1, u2));
+        }
+    }
+    return error / (SAMPLES * SAMPLES);
+}
+
+/**
+ * Minimize a function with the Nelder-Mead simplex method
+ * @param {Function} f - Objective of a point (array)
+ * @param {Array<number>} start - First guess
+ * @param {number} delta - Initial simplex size
+ * @param {number} tolerance - Relative spread of the values at which to stop
+ * @param {number} maxIterations - Iteration limit
+ * @returns {Array<number>} Best point
+ */
+function nelderMead(f, start, delta, tolerance, maxIterations) {
+    const dim = start.length;
+    const points = [start.slice()];
+    for (let i = 0; i < dim; i++) {
+        const point = start.slice();
+        point[i] += delta;
+        points.push(point);
+    }
+    const values = points.map(f);
+    const along = (centroid, worst, scale) => centroid.map((c, i) => c + scale * (c - worst[i]));
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        const order = values.map((_, i) => i).sort((a, b) => values[a] - values[b]);
+        const lo = order[0];
+        const hi = order[dim];
+        const nextHi = order[dim - 1];
+
+        const a = Math.abs(values[lo]);
+        const b = Math.abs(values[hi]);
+        if (2 * Math.abs(a - b) < (a + b) * tolerance) break;
+
+        const centroid = new Array(dim).fill(0);
+        points.forEach((point, k) => {
+            if (k === hi) return;
+            point.forEach((x, i) => centroid[i] += x / dim);
+        });
+
+        const reflected = along(centroid, points[hi], 1);
+        const reflectedValue = f(reflected);
+        if (reflectedValue < values[nextHi]) {
+            if (reflectedValue < values[lo]) {
+                const expanded = along(centroid, points[hi], 2);
+                const expandedValue = f(expanded);
+                if (expandedValue < reflectedValue) {
+                    points[hi] = expanded;
+                    values[hi] = expandedValue;
+                    continue;
+                }
+            }
+            points[hi] = reflected;
+            values[hi] = reflectedValue;
+            continue;
+        }
+
+        const contracted = along(centroid, points[hi], -0.5);
+        const contractedValue = f(contracted);
+        if (contractedValue < values[hi]) {
+            points[hi] = contracted;
+            values[hi] = contractedValue;
+            continue;
+        }
+
+        // Shrink towards the best point
+        points.forEach((point, k) => {
+            if (k === lo) return;
+            points[k] = point.map((x, i) => points[lo][i] + 0.5 * (x - points[lo][i]));
+            values[k] = f(points[k]);
+        });
+    }
+
+    let best = 0;
+    values.forEach((value, k) => { if (value < values[best]) best = k; });
+    return points[best];
+}
+
+/**
+ * Fit every table entry, from rough to smooth and from normal to grazing
+ * incidence, each starting from its neighbour's result
+ * @returns {{matrices: Array<Array<number>>, amplitudes: Array<Array<number>>}}
+ */
+function fitTables() {
+    const matrices = new Array(SIZE * SIZE);
+    const amplitudes = new Array(SIZE * SIZE);
+    const ltc = { magnitude: 1, m11: 1, m22: 1, m13: 0, frame: [1, 0, 0, 0, 1, 0, 0, 0, 1] };
+
+    for (let a = SIZE - 1; a >= 0; a--) {
+        for (let t = 0; t < SIZE; t++) {
+            const x = t / (SIZE - 1);
+            const theta = Math.min(1.57, Math.acos(1 - x * x));
+            const v = [Math.sin(theta), 0, Math.cos(theta)];
+            const roughness = a / (SIZE - 1);
+            const alpha = Math.max(roughness * roughness, MIN_ALPHA);
+
+            const { norm, fresnel, direction } = averageTerms(v, alpha);
+            ltc.magnitude = norm;
+
+            // Normal incidence: isotropic lobe around the normal; otherwise a lobe
+            // around the average direction, starting from the previous view angle
+            const isotropic = t === 0;
+            if (isotropic) {
+                ltc.frame = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+                const previous = a === SIZE - 1 ? null : matrices[a + 1];
+                ltc.m11 = previous ? previous[0] : 1;
+                ltc.m22 = previous ? previous[4] : 1;
+                ltc.m13 = 0;
+            } else {
+                const [dx, , dz] = direction;
+                ltc.frame = [dz, 0, dx, 0, 1, 0, -dx, 0, dz];
+            }
+
+            const apply = ([m11, m22, m13]) => {
+                ltc.m11 = Math.max(m11, 1e-7);
+                ltc.m22 = isotropic ? ltc.m11 : Math.max(m22, 1e-7);
+                ltc.m13 = isotropic ? 0 : m13;
+                updateLtc(ltc);
+            };
+            const best = nelderMead((params) => {
+                apply(params);
+                return fitError(ltc, v, alpha);
+            }, [ltc.m11, ltc.m22, ltc.m13], 0.05, 1e-5, 100);
+            apply(best);
+
+            matrices[a + t * SIZE] = ltc.M;
+            amplitudes[a + t * SIZE] = [norm, fresnel];
+        }
+        process.stdout.write(`\rroughness ${SIZE - a}/${SIZE}`);
+    }
+    process.stdout.write('\n');
+    return { matrices, amplitudes };
+}
+
+// ====================================
+// Output
+// ====================================
+
+/**
+ * Convert a number to IEEE half-float bits (round to nearest)
+ * @param {number} value - Finite number
+ * @returns {number} 16-bit pattern
+ */
+function toHalf(value) {
+    const floatView = new Float32Array(1);
+    const intView = new Uint32Array(floatView.buffer);
+    floatView[0] = value;
+    const bits = intView[0];
+    const sign = (bits >>> 16) & 0x8000;
+    const exponent = ((bits >>> 23) & 0xFF) - 127 + 15;
+    const mantissa = bits & 0x7FFFFF;
+
+    if (exponent >= 31) return sign | 0x7BFF; // Clamp to the largest half
+    if (exponent <= 0) {
+        if (exponent < -10) return sign;
+        const m = (mantissa | 0x800000) >> (1 - exponent);
+        return sign | ((m + 0x1000) >> 13);
+    }
+    return sign | ((exponent << 10) + ((mantissa + 0x1000) >> 13));
+}
+
+/**
+ * Base64 of half floats (little-endian)
+ * @param {Array<number>} values - Numbers
+ * @returns {string} Encoded data
+ */
+function encodeHalfs(values) {
+    return Buffer.from(new Uint16Array(values.map(toHalf)).buffer).toString('base64');
+}
+
+/**
+ * Split a long string into lines for the generated module
+ */
+function wrap(text, width = 100) {
+    const lines = [];
+    for (let i = 0; i < text.length; i += width) {
+        lines.push(`    '${text.slice(i, i + width)}'`);
+    }
+    return lines.join(' +\n');
+}
+
+const { matrices, amplitudes } = fitTables();
+
+// Inverse matrices, normalized by their middle element; only the four entries
+// that vary are stored (m00, m02, m20, m22 in the GLSL column-major layout)
+const inverse = [];
+for (const M of matrices) {
+    const inv = invert(M);
+    const scale = inv[4];
+    inverse.push(inv[0] / scale, inv[6] / scale, inv[2] / scale, inv[8] / scale);
+}
+
+const source = `/**
+ * LTC Table Data
+ *
+ * Generated by tools/fit-ltc.mjs (GGX, height-correlated Smith) - do not edit.
+ * ${SIZE}×${SIZE} entries indexed by roughness (x) and √(1 - n·v) (y), stored as
+ * base64 little-endian half floats:
+ * - LTC_MATRIX: inverse LTC matrix, 4 per entry (see ltcMatrix in shaders.js)
+ * - LTC_AMPLITUDE: BRDF albedo and its Schlick Fresnel part, 2 per entry
+ */
+
+export const LTC_SIZE = ${SIZE};
+
+export const LTC_MATRIX =
+${wrap(encodeHalfs(inverse))};
+
+export const LTC_AMPLITUDE =
+${wrap(encodeHalfs(amplitudes.flat()))};
+`;
+
+writeFileSync(new URL('../js/ltc-data.js', import.meta.url), source);